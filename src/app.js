@@ -86,6 +86,9 @@ async function start() {
         // Initialize Cron jobs (expiration check, etc.)
         CronService.init();
 
+        // Start the mailing queue (broadcasts)
+        QueueService.init();
+
         // Start HTTP server
         app.listen(config.port, () => {
             console.log(`🚀 Server running on port ${config.port}`);
@@ -128,6 +131,7 @@ async function createDefaultAdmin() {
 process.on('SIGTERM', async () => {
     console.log('🛑 SIGTERM received. Shutting down...');
     CronService.stop();
+    QueueService.stop();
     await TelegramEngine.shutdown();
     process.exit(0);
 });
@@ -135,6 +139,7 @@ process.on('SIGTERM', async () => {
 process.on('SIGINT', async () => {
     console.log('🛑 SIGINT received. Shutting down...');
     CronService.stop();
+    QueueService.stop();
     await TelegramEngine.shutdown();
     process.exit(0);
 });
@@ -31,7 +31,8 @@ module.exports = {
 
     // Mercado Pago
     mercadoPago: {
-        accessToken: process.env.MERCADOPAGO_ACCESS_TOKEN
+        accessToken: process.env.MERCADOPAGO_ACCESS_TOKEN,
+        webhookSecret: process.env.MERCADOPAGO_WEBHOOK_SECRET
     },
 
     // Stripe
@@ -40,9 +41,19 @@ module.exports = {
         webhookSecret: process.env.STRIPE_WEBHOOK_SECRET
     },
 
+    // Credentials encryption at rest (gateway tokens, bot tokens)
+    // Previous keys (comma separated) stay readable until `npm run credentials:rotate`
+    vault: {
+        key: process.env.CREDENTIALS_KEY,
+        previousKeys: (process.env.CREDENTIALS_PREVIOUS_KEYS || '').split(',').map(key => key.trim()).filter(Boolean)
+    },
+
     // Telegram
     telegram: {
-        webhookBaseUrl: process.env.TELEGRAM_WEBHOOK_BASE_URL
+        webhookBaseUrl: process.env.TELEGRAM_WEBHOOK_BASE_URL,
+        // Broadcast sending limits (messages per second): each bot and the whole platform
+        broadcastBotRate: parseInt(process.env.BROADCAST_BOT_RATE) || 25,
+        broadcastGlobalRate: parseInt(process.env.BROADCAST_GLOBAL_RATE) || 50
     },
 
     // URLs
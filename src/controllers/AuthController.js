@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
 const { User } = require('../models');
 const config = require('../config');
+const GatewayRoutingService = require('../services/GatewayRoutingService');
 
 /**
  * Authentication Controller
@@ -121,7 +122,7 @@ class AuthController {
 
     /**
      * PUT /api/auth/gateway
-     * Update gateway configuration
+     * Update gateway configuration (the gateway becomes the first one of the checkout)
      */
     async updateGateway(req, res) {
         try {
@@ -132,10 +133,10 @@ class AuthController {
                 return res.status(404).json({ error: 'Usuário não encontrado' });
             }
 
-            await user.update({
-                gateway_preference: gateway,
-                gateway_api_token: typeof apiToken === 'object' ? JSON.stringify(apiToken) : apiToken
-            });
+            const result = await GatewayRoutingService.save(user, gateway, { apiToken, status: 'active' }, { primary: true });
+            if (!result.valid) {
+                return res.status(400).json({ error: result.error });
+            }
 
             res.json({
                 message: 'Gateway atualizado com sucesso',
@@ -147,6 +148,78 @@ class AuthController {
         }
     }
 
+    /**
+     * GET /api/auth/gateways
+     * List configured gateways in checkout order
+     */
+    async listGateways(req, res) {
+        try {
+            const user = await User.findByPk(req.userId);
+            if (!user) {
+                return res.status(404).json({ error: 'Usuário não encontrado' });
+            }
+
+            // Creators with only the profile gateway see it as their first configured gateway
+            await GatewayRoutingService.importLegacy(user);
+
+            res.json({ gateways: await GatewayRoutingService.list(user.id) });
+        } catch (error) {
+            console.error('[AuthController] List gateways error:', error);
+            res.status(500).json({ error: 'Erro ao listar gateways' });
+        }
+    }
+
+    /**
+     * PUT /api/auth/gateways/:gateway
+     * Add or update a gateway: { apiToken, priority, paymentMethods, status }
+     * paymentMethods routes methods to it (e.g. ['pix']); null = every method it accepts
+     */
+    async saveGateway(req, res) {
+        try {
+            const { apiToken, priority, paymentMethods, status } = req.body;
+
+            const user = await User.findByPk(req.userId);
+            if (!user) {
+                return res.status(404).json({ error: 'Usuário não encontrado' });
+            }
+
+            const result = await GatewayRoutingService.save(user, req.params.gateway, { apiToken, priority, paymentMethods, status });
+            if (!result.valid) {
+                return res.status(400).json({ error: result.error });
+            }
+
+            res.json({
+                message: 'Gateway salvo com sucesso',
+                gateway: result.config
+            });
+        } catch (error) {
+            console.error('[AuthController] Save gateway error:', error);
+            res.status(500).json({ error: 'Erro ao salvar gateway' });
+        }
+    }
+
+    /**
+     * DELETE /api/auth/gateways/:gateway
+     * Remove a gateway (payments already created on it stop being refunded/checked through the API)
+     */
+    async removeGateway(req, res) {
+        try {
+            const user = await User.findByPk(req.userId);
+            if (!user) {
+                return res.status(404).json({ error: 'Usuário não encontrado' });
+            }
+
+            if (!await GatewayRoutingService.remove(user, req.params.gateway)) {
+                return res.status(404).json({ error: 'Gateway não encontrado' });
+            }
+
+            res.json({ message: 'Gateway removido' });
+        } catch (error) {
+            console.error('[AuthController] Remove gateway error:', error);
+            res.status(500).json({ error: 'Erro ao remover gateway' });
+        }
+    }
+
     /**
      * POST /api/auth/complete-onboarding
      * Complete onboarding with fee type selection
@@ -420,11 +493,15 @@ class AuthController {
 
     /**
      * PUT /api/auth/profile
-     * Update user profile (name, email)
+     * Update user profile (name, email, Telegram ID for alerts)
      */
     async updateProfile(req, res) {
         try {
-            const { name, email } = req.body;
+            const { name, email, telegramId } = req.body;
+
+            if (telegramId && !/^\d+$/.test(String(telegramId))) {
+                return res.status(400).json({ error: 'ID do Telegram inválido' });
+            }
 
             const user = await User.findByPk(req.userId);
             if (!user) {
@@ -441,7 +518,8 @@ class AuthController {
 
             await user.update({
                 name: name || user.name,
-                email: email || user.email
+                email: email || user.email,
+                ...(telegramId !== undefined && { telegram_id: telegramId || null })
             });
 
             res.json({
@@ -1,5 +1,23 @@
-const { Bot, Plan, User } = require('../models');
+const { Op } = require('sequelize');
+const { Bot, BotChat, ChatJoinRequest, ChatMember, MembershipReport, Plan, User } = require('../models');
 const TelegramEngine = require('../services/TelegramEngine');
+const RecoveryService = require('../services/RecoveryService');
+const ReminderService = require('../services/ReminderService');
+const ReconciliationService = require('../services/ReconciliationService');
+const VaultService = require('../services/VaultService');
+const BroadcastScheduleService = require('../services/BroadcastScheduleService');
+const AbTestService = require('../services/AbTestService');
+
+/**
+ * Content of a welcome message variant (A/B test)
+ */
+function parseWelcomeVariant(variant) {
+    if (typeof variant?.message !== 'string' || !variant.message.trim()) {
+        return { error: 'Mensagem é obrigatória' };
+    }
+
+    return { content: { message: variant.message.trim() } };
+}
 
 /**
  * Bot Controller
@@ -75,8 +93,10 @@ class BotController {
                 return res.status(400).json({ error: 'Token inválido. Verifique se copiou corretamente do BotFather.' });
             }
 
-            // Check if token already registered
-            const existingBot = await Bot.findOne({ where: { token } });
+            // Check if token already registered (plaintext: bots not rotated yet)
+            const existingBot = await Bot.findOne({
+                where: { [Op.or]: [{ token_hash: VaultService.hash(token) }, { token }] }
+            });
             if (existingBot) {
                 return res.status(400).json({ error: 'Este bot já está conectado' });
             }
@@ -112,10 +132,19 @@ class BotController {
             const {
                 name,
                 welcomeMessage, welcome_message,
+                welcomeVariants, welcome_variants,
                 requestMediaOnStart, request_media_on_start,
                 channelId, channel_id,
                 status,
-                antiCloning, anti_cloning
+                antiCloning, anti_cloning,
+                recoveryEnabled, recovery_enabled,
+                recoverySteps, recovery_steps,
+                remindersEnabled, reminders_enabled,
+                reminderSteps, reminder_steps,
+                gracePeriodDays, grace_period_days,
+                accessMode, access_mode,
+                reconciliationMode, reconciliation_mode,
+                timezone
             } = req.body;
 
             const bot = await Bot.findOne({
@@ -126,20 +155,100 @@ class BotController {
                 return res.status(404).json({ error: 'Bot não encontrado' });
             }
 
+            // Abandoned checkout recovery sequence (null = default steps)
+            const steps = recoverySteps !== undefined ? recoverySteps : recovery_steps;
+            let parsedSteps = bot.recovery_steps;
+            if (steps !== undefined) {
+                const validation = RecoveryService.validateSteps(steps);
+                if (!validation.valid) {
+                    return res.status(400).json({ error: validation.error });
+                }
+                parsedSteps = validation.steps;
+            }
+
+            // Renewal reminder offsets and templates (null = default schedule)
+            const reminders = reminderSteps !== undefined ? reminderSteps : reminder_steps;
+            let parsedReminders = bot.reminder_steps;
+            if (reminders !== undefined) {
+                const validation = ReminderService.validateSteps(reminders);
+                if (!validation.valid) {
+                    return res.status(400).json({ error: validation.error });
+                }
+                parsedReminders = validation.steps;
+            }
+
+            // Grace period before removing expired members (0 = remove right away)
+            const grace = gracePeriodDays ?? grace_period_days;
+            if (grace !== undefined && (isNaN(parseInt(grace)) || parseInt(grace) < 0 || parseInt(grace) > 30)) {
+                return res.status(400).json({ error: 'Carência deve ser de 0 a 30 dias' });
+            }
+
+            // How members get into the chats: single-use links or approved join requests
+            const mode = accessMode ?? access_mode;
+            if (mode !== undefined && !['invite_link', 'join_request'].includes(mode)) {
+                return res.status(400).json({ error: 'Modo de acesso inválido' });
+            }
+
+            // Members without subscription found by the reconciliation: flag only or remove
+            const reconcile = reconciliationMode ?? reconciliation_mode;
+            if (reconcile !== undefined && !['flag', 'remove'].includes(reconcile)) {
+                return res.status(400).json({ error: 'Modo de conferência inválido' });
+            }
+
+            // A/B test of the welcome message ([{ percent, message }], null = welcome_message only)
+            const welcomeTest = welcomeVariants !== undefined ? welcomeVariants : welcome_variants;
+            let parsedWelcomeVariants = bot.welcome_variants;
+            if (welcomeTest !== undefined) {
+                parsedWelcomeVariants = null;
+                if (welcomeTest !== null) {
+                    const validation = AbTestService.validateVariants(welcomeTest, parseWelcomeVariant);
+                    if (!validation.valid) {
+                        return res.status(400).json({ error: validation.error });
+                    }
+                    parsedWelcomeVariants = validation.variants;
+                }
+            }
+            const welcomeTestChanged = JSON.stringify(parsedWelcomeVariants) !== JSON.stringify(bot.welcome_variants);
+            const previousWelcome = bot.welcome_message;
+
+            // Timezone of scheduled broadcasts
+            if (timezone !== undefined && !BroadcastScheduleService.isValidTimezone(timezone)) {
+                return res.status(400).json({ error: 'Fuso horário inválido' });
+            }
+
             await bot.update({
                 name: name ?? bot.name,
                 welcome_message: welcomeMessage ?? welcome_message ?? bot.welcome_message,
+                welcome_variants: parsedWelcomeVariants,
+                welcome_test_started_at: welcomeTestChanged
+                    ? (parsedWelcomeVariants ? new Date() : null)
+                    : bot.welcome_test_started_at,
                 request_media_on_start: requestMediaOnStart ?? request_media_on_start ?? bot.request_media_on_start,
                 channel_id: channelId ?? channel_id ?? bot.channel_id,
                 status: status ?? bot.status,
-                anti_cloning: antiCloning ?? anti_cloning ?? bot.anti_cloning
+                anti_cloning: antiCloning ?? anti_cloning ?? bot.anti_cloning,
+                recovery_enabled: recoveryEnabled ?? recovery_enabled ?? bot.recovery_enabled,
+                recovery_steps: parsedSteps,
+                reminders_enabled: remindersEnabled ?? reminders_enabled ?? bot.reminders_enabled,
+                reminder_steps: parsedReminders,
+                grace_period_days: grace !== undefined ? parseInt(grace) : bot.grace_period_days,
+                access_mode: mode ?? bot.access_mode,
+                reconciliation_mode: reconcile ?? bot.reconciliation_mode,
+                timezone: timezone ?? bot.timezone
             });
 
-            // Re-register if status changed
+            // A new welcome test starts with no views
+            if (welcomeTestChanged) {
+                await AbTestService.resetWelcomeViews(bot.id);
+            }
+
+            // Re-register if status changed (or the welcome changed: handlers keep the bot record)
             if (status === 'active') {
                 await TelegramEngine.registerBot(bot);
             } else if (status === 'paused') {
                 await TelegramEngine.stopBot(bot.id);
+            } else if (bot.status === 'active' && (welcomeTestChanged || bot.welcome_message !== previousWelcome)) {
+                await TelegramEngine.registerBot(bot);
             }
 
             res.json({
@@ -169,8 +278,12 @@ class BotController {
             // Stop bot
             await TelegramEngine.stopBot(bot.id);
 
-            // Delete plans first
+            // Delete plans and chats first
             await Plan.destroy({ where: { bot_id: bot.id } });
+            await BotChat.destroy({ where: { bot_id: bot.id } });
+            await ChatJoinRequest.destroy({ where: { bot_id: bot.id } });
+            await ChatMember.destroy({ where: { bot_id: bot.id } });
+            await MembershipReport.destroy({ where: { bot_id: bot.id } });
 
             // Delete bot
             await bot.destroy();
@@ -181,6 +294,258 @@ class BotController {
             res.status(500).json({ error: 'Erro ao remover bot' });
         }
     }
+
+    /**
+     * GET /api/bots/:id/chats
+     * List channels/groups connected to the bot
+     */
+    async listChats(req, res) {
+        try {
+            const bot = await Bot.findOne({
+                where: { id: req.params.id, user_id: req.userId }
+            });
+
+            if (!bot) {
+                return res.status(404).json({ error: 'Bot não encontrado' });
+            }
+
+            const chats = await BotChat.findAll({
+                where: { bot_id: bot.id },
+                include: [{ association: 'plans', attributes: ['id', 'name'], through: { attributes: [] } }],
+                order: [['created_at', 'ASC']]
+            });
+
+            res.json({ chats });
+        } catch (error) {
+            console.error('[BotController] List chats error:', error);
+            res.status(500).json({ error: 'Erro ao listar grupos' });
+        }
+    }
+
+    /**
+     * POST /api/bots/:id/chats
+     * Connect a channel, group or discussion group (bot must be admin)
+     */
+    async addChat(req, res) {
+        try {
+            const { chatId, chat_id, title, type } = req.body;
+            const telegramChatId = (chatId ?? chat_id)?.toString().trim();
+
+            const bot = await Bot.findOne({
+                where: { id: req.params.id, user_id: req.userId }
+            });
+
+            if (!bot) {
+                return res.status(404).json({ error: 'Bot não encontrado' });
+            }
+
+            if (!telegramChatId) {
+                return res.status(400).json({ error: 'ID do grupo é obrigatório' });
+            }
+
+            if (type && !['channel', 'group', 'discussion'].includes(type)) {
+                return res.status(400).json({ error: 'Tipo inválido' });
+            }
+
+            const access = await TelegramEngine.getChatAccess(bot.id, telegramChatId);
+            if (!access) {
+                return res.status(400).json({ error: 'Não foi possível acessar o grupo. Adicione o bot ao grupo/canal e verifique o ID.' });
+            }
+
+            if (!access.canInvite || !access.canRestrict) {
+                return res.status(400).json({ error: 'O bot precisa ser administrador com permissão para convidar e banir membros' });
+            }
+
+            const [chat, created] = await BotChat.findOrCreate({
+                where: { bot_id: bot.id, chat_id: access.chatId },
+                defaults: {
+                    title: title || access.title,
+                    type: type || access.type
+                }
+            });
+
+            if (!created) {
+                await chat.update({
+                    title: title || access.title || chat.title,
+                    type: type || chat.type,
+                    status: 'active'
+                });
+            }
+
+            res.status(created ? 201 : 200).json({
+                message: 'Grupo conectado',
+                chat
+            });
+        } catch (error) {
+            console.error('[BotController] Add chat error:', error);
+            res.status(500).json({ error: 'Erro ao conectar grupo' });
+        }
+    }
+
+    /**
+     * GET /api/bots/:id/join-requests
+     * Join requests approved/declined by the bot (declines = leaked links)
+     */
+    async listJoinRequests(req, res) {
+        try {
+            const { decision, page = 1, limit = 50 } = req.query;
+
+            const bot = await Bot.findOne({
+                where: { id: req.params.id, user_id: req.userId }
+            });
+
+            if (!bot) {
+                return res.status(404).json({ error: 'Bot não encontrado' });
+            }
+
+            const where = { bot_id: bot.id };
+            if (decision) {
+                where.decision = decision;
+            }
+
+            const pageSize = Math.min(parseInt(limit) || 50, 200);
+            const { count, rows } = await ChatJoinRequest.findAndCountAll({
+                where,
+                order: [['created_at', 'DESC']],
+                limit: pageSize,
+                offset: (Math.max(parseInt(page) || 1, 1) - 1) * pageSize
+            });
+
+            const declined = await ChatJoinRequest.count({ where: { bot_id: bot.id, decision: 'declined' } });
+
+            res.json({
+                requests: rows,
+                total: count,
+                declined,
+                page: parseInt(page) || 1
+            });
+        } catch (error) {
+            console.error('[BotController] List join requests error:', error);
+            res.status(500).json({ error: 'Erro ao listar pedidos de entrada' });
+        }
+    }
+
+    /**
+     * GET /api/bots/:id/welcome-stats
+     * Views, purchases and conversion of each variant of the welcome message
+     */
+    async getWelcomeStats(req, res) {
+        try {
+            const bot = await Bot.findOne({
+                where: { id: req.params.id, user_id: req.userId }
+            });
+
+            if (!bot) {
+                return res.status(404).json({ error: 'Bot não encontrado' });
+            }
+
+            const stats = await AbTestService.getWelcomeStats(bot);
+
+            res.json(stats);
+        } catch (error) {
+            console.error('[BotController] Welcome stats error:', error);
+            res.status(500).json({ error: 'Erro ao buscar teste da boas-vindas' });
+        }
+    }
+
+    /**
+     * GET /api/bots/:id/reconciliation
+     * Latest member reconciliation reports and members currently flagged or pending removal
+     */
+    async getReconciliation(req, res) {
+        try {
+            const bot = await Bot.findOne({
+                where: { id: req.params.id, user_id: req.userId }
+            });
+
+            if (!bot) {
+                return res.status(404).json({ error: 'Bot não encontrado' });
+            }
+
+            const reports = await MembershipReport.findAll({
+                where: { bot_id: bot.id },
+                order: [['created_at', 'DESC']],
+                limit: 10
+            });
+
+            const pending = await ChatMember.findAll({
+                where: {
+                    bot_id: bot.id,
+                    status: { [Op.in]: ['member', 'restricted'] },
+                    removal_status: { [Op.in]: ['flagged', 'failed'] }
+                },
+                order: [['flagged_at', 'DESC']]
+            });
+
+            res.json({
+                mode: bot.reconciliation_mode,
+                tracked: await ChatMember.count({ where: { bot_id: bot.id, status: { [Op.in]: ['member', 'restricted'] } } }),
+                reports,
+                pending
+            });
+        } catch (error) {
+            console.error('[BotController] Get reconciliation error:', error);
+            res.status(500).json({ error: 'Erro ao buscar conferência de membros' });
+        }
+    }
+
+    /**
+     * POST /api/bots/:id/reconciliation
+     * Run the member reconciliation now
+     */
+    async runReconciliation(req, res) {
+        try {
+            const bot = await Bot.findOne({
+                where: { id: req.params.id, user_id: req.userId }
+            });
+
+            if (!bot) {
+                return res.status(404).json({ error: 'Bot não encontrado' });
+            }
+
+            const report = await ReconciliationService.reconcileBot(bot);
+            if (!report) {
+                return res.status(409).json({ error: 'Bot offline ou conferência já em andamento' });
+            }
+
+            res.json({ report });
+        } catch (error) {
+            console.error('[BotController] Run reconciliation error:', error);
+            res.status(500).json({ error: 'Erro ao conferir membros' });
+        }
+    }
+
+    /**
+     * DELETE /api/bots/:id/chats/:chatId
+     * Disconnect a chat (removed from every plan)
+     */
+    async removeChat(req, res) {
+        try {
+            const bot = await Bot.findOne({
+                where: { id: req.params.id, user_id: req.userId }
+            });
+
+            if (!bot) {
+                return res.status(404).json({ error: 'Bot não encontrado' });
+            }
+
+            const chat = await BotChat.findOne({
+                where: { id: req.params.chatId, bot_id: bot.id }
+            });
+
+            if (!chat) {
+                return res.status(404).json({ error: 'Grupo não encontrado' });
+            }
+
+            await chat.setPlans([]);
+            await chat.destroy();
+
+            res.json({ message: 'Grupo removido' });
+        } catch (error) {
+            console.error('[BotController] Remove chat error:', error);
+            res.status(500).json({ error: 'Erro ao remover grupo' });
+        }
+    }
 }
 
 module.exports = new BotController();
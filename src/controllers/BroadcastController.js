@@ -1,6 +1,254 @@
-const { Broadcast, BroadcastItem, Bot, Subscription } = require('../models');
-const TelegramEngine = require('../services/TelegramEngine');
 const { Op } = require('sequelize');
+const { Broadcast, BroadcastItem, Bot, Plan, Segment } = require('../models');
+const QueueService = require('../services/QueueService');
+const BroadcastScheduleService = require('../services/BroadcastScheduleService');
+const AudienceService = require('../services/AudienceService');
+const BroadcastAnalyticsService = require('../services/BroadcastAnalyticsService');
+const AbTestService = require('../services/AbTestService');
+
+const MEDIA_TYPES = ['photo', 'video', 'audio'];
+
+// Scheduled broadcasts can be edited, paused and cancelled until they start
+const EDITABLE_STATUSES = ['scheduled', 'paused'];
+
+/**
+ * Message of a broadcast or of one of its A/B variants
+ * @returns {object} { error?, content? } - content: { type, message_text, media_url, buttons }
+ */
+function parseMessage(fields) {
+    const {
+        type, // 'text', 'photo', 'video', 'audio'
+        message,
+        media_url,
+        buttons // [{text, url}] or [{text, plan_id}] (buy button)
+    } = fields;
+
+    if (!message && !media_url) {
+        return { error: 'Mensagem ou mídia é obrigatória' };
+    }
+
+    const messageType = MEDIA_TYPES.includes(type) && media_url ? type : 'text';
+    if (messageType === 'text' && !message) {
+        return { error: 'Informe o tipo da mídia (photo, video ou audio)' };
+    }
+
+    if (buttons !== undefined && buttons !== null &&
+        (!Array.isArray(buttons) || buttons.some(btn => !btn?.text || (!btn.url && !btn.plan_id)))) {
+        return { error: 'Botões devem ter texto e URL (ou plano)' };
+    }
+
+    return {
+        content: {
+            type: messageType,
+            message_text: message,
+            media_url: messageType === 'text' ? null : media_url,
+            buttons: buttons?.length > 0 ? buttons : null
+        }
+    };
+}
+
+/**
+ * Broadcast fields from the request body (shared by admin and creator mailings)
+ * A/B test: variants ([{ percent, type, message, media_url, buttons }], the first one is the main content)
+ * and optional ab_test ({ test_percent, after_hours, metric }) to send the winner to the remainder
+ * @returns {object} { error?, content? }
+ */
+function parseContent(body) {
+    const {
+        filter, // 'all', 'active', 'expired', 'pending'
+        behavior, // 'all', 'upsellers', 'downsellers', 'order_bump'
+        segment_id, // saved segment
+        criteria, // or audience criteria (see AudienceService)
+        variants,
+        ab_test
+    } = body;
+
+    let message;
+    const test = { variants: null, ab_test: null };
+
+    if (variants) {
+        const validation = AbTestService.validateVariants(variants, parseMessage);
+        if (!validation.valid) {
+            return { error: validation.error };
+        }
+
+        const [main] = validation.variants;
+        message = { type: main.type, message_text: main.message_text, media_url: main.media_url, buttons: main.buttons };
+        test.variants = validation.variants;
+
+        if (ab_test) {
+            const winnerMode = AbTestService.validateWinnerMode(ab_test);
+            if (!winnerMode.valid) {
+                return { error: winnerMode.error };
+            }
+            test.ab_test = winnerMode.abTest;
+        }
+    } else {
+        if (ab_test) {
+            return { error: 'O envio do vencedor precisa de variantes' };
+        }
+
+        const parsed = parseMessage(body);
+        if (parsed.error) {
+            return { error: parsed.error };
+        }
+        message = parsed.content;
+    }
+
+    const audience = AudienceService.validateCriteria(criteria);
+    if (!audience.valid) {
+        return { error: audience.error };
+    }
+
+    return {
+        content: {
+            segment_id: segment_id || null,
+            criteria: criteria ? audience.criteria : null,
+            filter_status: filter || 'all',
+            filter_behavior: behavior || 'all',
+            ...message,
+            button_text: message.buttons?.[0]?.url ? message.buttons[0].text : null,
+            button_url: message.buttons?.[0]?.url || null,
+            ...test
+        }
+    };
+}
+
+/**
+ * Request body with the current fields of a broadcast (edits change only what is sent)
+ */
+function toBody(broadcast) {
+    return {
+        type: broadcast.type,
+        filter: broadcast.filter_status,
+        behavior: broadcast.filter_behavior,
+        message: broadcast.message_text,
+        media_url: broadcast.media_url,
+        segment_id: broadcast.segment_id,
+        criteria: broadcast.criteria,
+        variants: broadcast.variants?.map(variant => ({
+            percent: variant.percent,
+            type: variant.type,
+            message: variant.message_text,
+            media_url: variant.media_url,
+            buttons: variant.buttons
+        })),
+        ab_test: broadcast.ab_test,
+        buttons: broadcast.buttons || (broadcast.button_text && broadcast.button_url
+            ? [{ text: broadcast.button_text, url: broadcast.button_url }]
+            : undefined)
+    };
+}
+
+/**
+ * Schedule fields from the request body (scheduled_at, recurrence, timezone)
+ * @param {object} current - Broadcast being edited (unsent fields are kept)
+ * @returns {object} { error?, schedule? } - schedule is null for immediate sending
+ */
+async function parseSchedule(body, botId, current = null) {
+    const { scheduled_at, recurrence, timezone } = body;
+    const changed = scheduled_at !== undefined || recurrence !== undefined || timezone !== undefined;
+
+    if (!current && !changed) return { schedule: null };
+    if (current && !changed) return { schedule: {} };
+
+    const validation = BroadcastScheduleService.validateSchedule({
+        scheduledAt: scheduled_at !== undefined
+            ? scheduled_at
+            : current && !current.recurrence ? current.scheduled_at : null,
+        recurrence: recurrence !== undefined ? recurrence : current?.recurrence,
+        timezone: await BroadcastScheduleService.resolveTimezone(timezone ?? current?.timezone, botId)
+    });
+
+    if (!validation.valid) return { error: validation.error };
+    return { schedule: validation.values };
+}
+
+/**
+ * Check that a saved segment belongs to the user
+ */
+async function ownsSegment(segmentId, userId) {
+    if (!segmentId) return true;
+    if (!AudienceService.isSegmentId(segmentId)) return false;
+    return !!await Segment.findOne({ where: { id: segmentId, user_id: userId } });
+}
+
+/**
+ * Check that the plans of buy buttons (all variants) exist (creators: on their bots)
+ */
+async function ownsPlans(content, userId, scope) {
+    const buttons = [content.buttons, ...(content.variants || []).map(variant => variant.buttons)];
+    const planIds = buttons.flat().filter(btn => btn?.plan_id).map(btn => btn.plan_id);
+    if (planIds.length === 0) return true;
+
+    const count = await Plan.count({
+        where: { id: { [Op.in]: planIds } },
+        include: [{
+            association: 'bot',
+            required: true,
+            ...(scope !== 'platform' && { where: { user_id: userId } })
+        }]
+    });
+
+    return count === new Set(planIds).size;
+}
+
+/**
+ * Queue a broadcast, or schedule it when the body has a date or recurrence
+ */
+async function createBroadcast(res, values, body) {
+    if (!await ownsSegment(values.segment_id, values.user_id)) {
+        return res.status(404).json({ error: 'Segmento não encontrado' });
+    }
+
+    if (!await ownsPlans(values, values.user_id, values.scope)) {
+        return res.status(404).json({ error: 'Plano do botão não encontrado' });
+    }
+
+    const { error, schedule } = await parseSchedule(body, values.bot_id);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    if (schedule) {
+        const broadcast = await Broadcast.create({ ...values, ...schedule, status: 'scheduled' });
+        return res.status(201).json({
+            message: schedule.recurrence ? 'Campanha recorrente agendada' : 'Broadcast agendado',
+            broadcast
+        });
+    }
+
+    const broadcast = await QueueService.enqueue(values);
+    res.status(202).json({
+        message: 'Broadcast na fila de envio',
+        broadcast
+    });
+}
+
+/**
+ * Broadcast visible to the user (admin: any, creator: their own)
+ */
+async function findBroadcast(req) {
+    const broadcast = await Broadcast.findByPk(req.params.id);
+    if (!broadcast || (req.userRole !== 'admin' && broadcast.user_id !== req.userId)) {
+        return null;
+    }
+
+    return broadcast;
+}
+
+/**
+ * Change the status of a broadcast that hasn't started (conditional: a run may start meanwhile)
+ * @returns {boolean} Whether it changed
+ */
+async function transition(broadcast, fromStatuses, values) {
+    const [updated] = await Broadcast.update(values, {
+        where: { id: broadcast.id, status: fromStatuses }
+    });
+
+    if (updated > 0) await broadcast.reload();
+    return updated > 0;
+}
 
 /**
  * Broadcast Controller
@@ -9,70 +257,21 @@ const { Op } = require('sequelize');
 class BroadcastController {
     /**
      * POST /api/admin/broadcasts
-     * Create and send a broadcast (Admin - all users)
+     * Queue or schedule a broadcast (Admin - all users)
+     * Optional scheduled_at (local time), recurrence ({ days, time }) and timezone
      */
     async createAdminBroadcast(req, res) {
         try {
-            const {
-                type, // 'text', 'photo', 'video'
-                filter, // 'all', 'active', 'expired', 'pending'
-                message,
-                media_url,
-                buttons // [{text, url}]
-            } = req.body;
-
-            if (!message && !media_url) {
-                return res.status(400).json({ error: 'Mensagem ou mídia é obrigatória' });
-            }
-
-            // Get all bots
-            const bots = await Bot.findAll({ where: { status: 'active' } });
-
-            let totalSent = 0;
-            let totalFailed = 0;
-
-            for (const bot of bots) {
-                // Get subscribers based on filter
-                const subscribers = await TelegramEngine.getBotSubscribers(bot.id, filter || 'all');
-
-                for (const telegramId of subscribers) {
-                    let success = false;
-
-                    if (type === 'photo' && media_url) {
-                        success = await TelegramEngine.sendBroadcastPhoto(bot, telegramId, media_url, message, buttons);
-                    } else if (type === 'video' && media_url) {
-                        success = await TelegramEngine.sendBroadcastVideo(bot, telegramId, media_url, message, buttons);
-                    } else {
-                        success = await TelegramEngine.sendBroadcastMessage(bot, telegramId, message, buttons);
-                    }
-
-                    if (success) totalSent++;
-                    else totalFailed++;
-
-                    // Small delay to avoid rate limiting
-                    await new Promise(r => setTimeout(r, 50));
-                }
-            }
-
-            // Save broadcast record
-            const broadcast = await Broadcast.create({
-                type: type || 'text',
-                filter_status: filter || 'all',
-                message_text: message,
-                media_url,
-                button_text: buttons?.[0]?.text,
-                button_url: buttons?.[0]?.url,
-                status: 'completed',
-                sent_at: new Date(),
-                total_sent: totalSent,
-                total_failed: totalFailed
-            });
+            const { error, content } = parseContent(req.body);
+            if (error) {
+                return res.status(400).json({ error });
+            }
 
-            res.json({
-                message: 'Broadcast enviado',
-                stats: { sent: totalSent, failed: totalFailed },
-                broadcast
-            });
+            await createBroadcast(res, {
+                ...content,
+                scope: 'platform',
+                user_id: req.userId
+            }, req.body);
         } catch (error) {
             console.error('[BroadcastController] Admin broadcast error:', error);
             res.status(500).json({ error: 'Erro ao enviar broadcast' });
@@ -81,69 +280,241 @@ class BroadcastController {
 
     /**
      * POST /api/creator/broadcasts
-     * Create and send a broadcast (Creator - their bots only)
+     * Queue or schedule a broadcast (Creator - their bots only)
+     * Schedules use the timezone of the bot unless one is sent
      */
     async createCreatorBroadcast(req, res) {
         try {
-            const creatorId = req.user.id;
-            const {
-                bot_id, // specific bot or 'all'
-                type, // 'text', 'photo', 'video'
-                filter, // 'all', 'active', 'expired'
-                message,
-                media_url,
-                buttons // [{text, url}]
-            } = req.body;
+            const { bot_id } = req.body; // specific bot or 'all'
 
-            if (!message && !media_url) {
-                return res.status(400).json({ error: 'Mensagem ou mídia é obrigatória' });
+            const { error, content } = parseContent(req.body);
+            if (error) {
+                return res.status(400).json({ error });
             }
 
             // Get creator's bots
-            let whereClause = { creator_id: creatorId, status: 'active' };
+            const whereClause = { user_id: req.userId, status: 'active' };
             if (bot_id && bot_id !== 'all') {
                 whereClause.id = bot_id;
             }
 
-            const bots = await Bot.findAll({ where: whereClause });
-
-            if (bots.length === 0) {
+            const botCount = await Bot.count({ where: whereClause });
+            if (botCount === 0) {
                 return res.status(404).json({ error: 'Nenhum bot encontrado' });
             }
 
-            let totalSent = 0;
-            let totalFailed = 0;
+            await createBroadcast(res, {
+                ...content,
+                scope: 'creator',
+                user_id: req.userId,
+                bot_id: bot_id && bot_id !== 'all' ? bot_id : null
+            }, req.body);
+        } catch (error) {
+            console.error('[BroadcastController] Creator broadcast error:', error);
+            res.status(500).json({ error: 'Erro ao enviar broadcast' });
+        }
+    }
+
+    /**
+     * GET /api/broadcasts/:id
+     * Sending progress of a broadcast (admin: any, creator: their own)
+     */
+    async getStatus(req, res) {
+        try {
+            const broadcast = await findBroadcast(req);
+            if (!broadcast) {
+                return res.status(404).json({ error: 'Broadcast não encontrado' });
+            }
+
+            const progress = await QueueService.getProgress(broadcast);
+
+            res.json({ broadcast, progress });
+        } catch (error) {
+            console.error('[BroadcastController] Status error:', error);
+            res.status(500).json({ error: 'Erro ao buscar broadcast' });
+        }
+    }
+
+    /**
+     * GET /api/broadcasts/:id/stats
+     * Funnel of a broadcast: delivered, blocked, failed, clicks and attributed purchases
+     */
+    async getStats(req, res) {
+        try {
+            const broadcast = await findBroadcast(req);
+            if (!broadcast) {
+                return res.status(404).json({ error: 'Broadcast não encontrado' });
+            }
+
+            const stats = await BroadcastAnalyticsService.getStats(broadcast);
+
+            res.json({ broadcast, ...stats });
+        } catch (error) {
+            console.error('[BroadcastController] Stats error:', error);
+            res.status(500).json({ error: 'Erro ao buscar estatísticas' });
+        }
+    }
+
+    /**
+     * GET /api/r/:token/:button
+     * Click on a broadcast link button: counts the click and redirects to the link (public)
+     */
+    async redirect(req, res) {
+        try {
+            const item = await BroadcastAnalyticsService.verifyClick(req.params.token);
+            const broadcast = item?.broadcast;
+
+            const buttons = broadcast ? AbTestService.getBroadcastContent(broadcast, item.variant).buttons : [];
+            const url = buttons[parseInt(req.params.button)]?.url;
+
+            if (!url) {
+                return res.status(404).json({ error: 'Link não encontrado' });
+            }
+
+            await BroadcastAnalyticsService.recordClick(item);
+            res.redirect(302, url);
+        } catch (error) {
+            console.error('[BroadcastController] Redirect error:', error);
+            res.status(500).json({ error: 'Erro ao abrir link' });
+        }
+    }
+
+    /**
+     * PUT /api/broadcasts/:id
+     * Edit a scheduled broadcast or recurring campaign (content, filters, schedule)
+     */
+    async update(req, res) {
+        try {
+            const broadcast = await findBroadcast(req);
+            if (!broadcast) {
+                return res.status(404).json({ error: 'Broadcast não encontrado' });
+            }
+
+            if (!EDITABLE_STATUSES.includes(broadcast.status)) {
+                return res.status(409).json({ error: 'Este broadcast já começou e não pode mais ser alterado' });
+            }
+
+            const { error, content } = parseContent({ ...toBody(broadcast), ...req.body });
+            if (error) {
+                return res.status(400).json({ error });
+            }
+
+            if (!await ownsSegment(content.segment_id, broadcast.user_id)) {
+                return res.status(404).json({ error: 'Segmento não encontrado' });
+            }
+
+            if (!await ownsPlans(content, broadcast.user_id, broadcast.scope)) {
+                return res.status(404).json({ error: 'Plano do botão não encontrado' });
+            }
+
+            const { error: scheduleError, schedule } = await parseSchedule(req.body, broadcast.bot_id, broadcast);
+            if (scheduleError) {
+                return res.status(400).json({ error: scheduleError });
+            }
+
+            if (!await transition(broadcast, EDITABLE_STATUSES, { ...content, ...schedule })) {
+                return res.status(409).json({ error: 'Este broadcast já começou e não pode mais ser alterado' });
+            }
+
+            res.json({ message: 'Broadcast atualizado', broadcast });
+        } catch (error) {
+            console.error('[BroadcastController] Update error:', error);
+            res.status(500).json({ error: 'Erro ao atualizar broadcast' });
+        }
+    }
+
+    /**
+     * POST /api/broadcasts/:id/pause
+     * Pause a scheduled broadcast or recurring campaign
+     */
+    async pause(req, res) {
+        try {
+            const broadcast = await findBroadcast(req);
+            if (!broadcast) {
+                return res.status(404).json({ error: 'Broadcast não encontrado' });
+            }
+
+            if (!await transition(broadcast, ['scheduled'], { status: 'paused' })) {
+                return res.status(409).json({ error: 'Apenas broadcasts agendados podem ser pausados' });
+            }
+
+            res.json({ message: 'Broadcast pausado', broadcast });
+        } catch (error) {
+            console.error('[BroadcastController] Pause error:', error);
+            res.status(500).json({ error: 'Erro ao pausar broadcast' });
+        }
+    }
+
+    /**
+     * POST /api/broadcasts/:id/resume
+     * Resume a paused broadcast (campaigns continue on their next date)
+     */
+    async resume(req, res) {
+        try {
+            const broadcast = await findBroadcast(req);
+            if (!broadcast) {
+                return res.status(404).json({ error: 'Broadcast não encontrado' });
+            }
+
+            if (broadcast.status !== 'paused') {
+                return res.status(409).json({ error: 'Este broadcast não está pausado' });
+            }
 
-            for (const bot of bots) {
-                // Get subscribers based on filter
-                const subscribers = await TelegramEngine.getBotSubscribers(bot.id, filter || 'all');
+            const values = { status: 'scheduled' };
+            if (broadcast.recurrence) {
+                values.scheduled_at = BroadcastScheduleService.getNextRun(broadcast.recurrence, broadcast.timezone);
+            } else if (broadcast.scheduled_at <= new Date()) {
+                return res.status(400).json({ error: 'A data do agendamento já passou. Edite o agendamento antes de retomar.' });
+            }
 
-                for (const telegramId of subscribers) {
-                    let success = false;
+            if (!await transition(broadcast, ['paused'], values)) {
+                return res.status(409).json({ error: 'Este broadcast não está pausado' });
+            }
 
-                    if (type === 'photo' && media_url) {
-                        success = await TelegramEngine.sendBroadcastPhoto(bot, telegramId, media_url, message, buttons);
-                    } else if (type === 'video' && media_url) {
-                        success = await TelegramEngine.sendBroadcastVideo(bot, telegramId, media_url, message, buttons);
-                    } else {
-                        success = await TelegramEngine.sendBroadcastMessage(bot, telegramId, message, buttons);
-                    }
+            res.json({ message: 'Broadcast retomado', broadcast });
+        } catch (error) {
+            console.error('[BroadcastController] Resume error:', error);
+            res.status(500).json({ error: 'Erro ao retomar broadcast' });
+        }
+    }
 
-                    if (success) totalSent++;
-                    else totalFailed++;
+    /**
+     * POST /api/broadcasts/:id/cancel
+     * Cancel a scheduled broadcast or recurring campaign (runs already sent are kept)
+     */
+    async cancel(req, res) {
+        try {
+            const broadcast = await findBroadcast(req);
+            if (!broadcast) {
+                return res.status(404).json({ error: 'Broadcast não encontrado' });
+            }
 
-                    // Small delay to avoid rate limiting
-                    await new Promise(r => setTimeout(r, 50));
-                }
+            if (!await transition(broadcast, EDITABLE_STATUSES, { status: 'cancelled' })) {
+                return res.status(409).json({ error: 'Este broadcast já começou e não pode mais ser cancelado' });
             }
 
-            res.json({
-                message: 'Broadcast enviado',
-                stats: { sent: totalSent, failed: totalFailed }
+            res.json({ message: 'Broadcast cancelado', broadcast });
+        } catch (error) {
+            console.error('[BroadcastController] Cancel error:', error);
+            res.status(500).json({ error: 'Erro ao cancelar broadcast' });
+        }
+    }
+
+    /**
+     * GET /api/creator/broadcasts
+     * List broadcasts of the creator (scheduled, campaigns and sent)
+     */
+    async listOwn(req, res) {
+        try {
+            const broadcasts = await Broadcast.findAll({
+                where: { user_id: req.userId, scope: 'creator' },
+                order: [['created_at', 'DESC']],
+                limit: 50
             });
+            res.json({ broadcasts });
         } catch (error) {
-            console.error('[BroadcastController] Creator broadcast error:', error);
-            res.status(500).json({ error: 'Erro ao enviar broadcast' });
+            console.error('[BroadcastController] List error:', error);
+            res.status(500).json({ error: 'Erro ao listar broadcasts' });
         }
     }
 
@@ -175,6 +546,8 @@ class BroadcastController {
                 return res.status(404).json({ error: 'Broadcast não encontrado' });
             }
 
+            // Pending items of the broadcast are not sent anymore
+            await BroadcastItem.destroy({ where: { broadcast_id: broadcast.id } });
             await broadcast.destroy();
             res.json({ message: 'Broadcast excluído' });
         } catch (error) {
@@ -1,10 +1,7 @@
-const { Plan, Bot, User, Subscription, Transaction } = require('../models');
-const AsaasService = require('../services/payment/AsaasService');
-const MercadoPagoService = require('../services/payment/MercadoPagoService');
-const StripeService = require('../services/payment/StripeService');
-const PushinPayService = require('../services/payment/PushinPayService');
-const config = require('../config');
-const PaymentService = require('../services/payment');
+const { Plan, Subscription, PlanOffer } = require('../models');
+const CouponService = require('../services/CouponService');
+const CheckoutService = require('../services/CheckoutService');
+const PaymentPollingService = require('../services/PaymentPollingService');
 
 /**
  * Checkout Controller
@@ -17,206 +14,84 @@ class CheckoutController {
      */
     async generateLink(req, res) {
         try {
-            const { planId, telegramId, telegramUsername, email, name, botId, amount, description, paymentMethod } = req.body;
+            const result = await CheckoutService.create(req.body);
 
-            let plan, creator;
-
-            // SCENARIO 1: PLAN BASED
-            if (planId) {
-                plan = await Plan.findByPk(planId, {
-                    include: [{
-                        association: 'bot',
-                        include: [{
-                            association: 'owner',
-                            attributes: ['id', 'name', 'email', 'gateway_preference', 'gateway_api_token', 'asaas_wallet_id']
-                        }]
-                    }]
+            if (!result.valid) {
+                return res.status(result.notFound ? 404 : 400).json({
+                    error: result.error,
+                    ...(result.details && { details: result.details }),
+                    ...(result.code && { code: result.code })
                 });
-
-                if (!plan) return res.status(404).json({ error: 'Plano não encontrado' });
-                creator = plan.bot?.owner;
             }
-            // SCENARIO 2: CUSTOM PROMOTIONAL OFFER (No Plan)
-            else if (botId && amount) {
-                const bot = await Bot.findByPk(botId, {
-                    include: [{
-                        association: 'user', // owner
-                        as: 'owner', // Alias might be 'user' or 'owner' depending on association, checking code assumes 'owner' in plan include but let's check Bot model
-                        attributes: ['id', 'name', 'email', 'gateway_preference', 'gateway_api_token', 'asaas_wallet_id']
-                    }]
-                });
 
-                // Bot model usually has user_id, association is 'user' (User model).
-                // Let's assume standard association: Bot.belongsTo(User, { foreignKey: 'user_id' })
-                if (!bot) return res.status(404).json({ error: 'Bot não encontrado' });
+            const { subscription, transaction, ...checkout } = result.checkout;
 
-                // Fetch User manually if alias 'owner' fails (Bot.js definotion doesn't show alias, usually 'User')
-                if (!bot.User && !bot.owner) {
-                    creator = await User.findByPk(bot.user_id);
-                } else {
-                    creator = bot.User || bot.owner;
-                }
+            res.json({
+                paymentUrl: checkout.paymentUrl,
+                qrCode: checkout.qrCode,
+                pixCopyPaste: checkout.pixCopyPaste,
+                subscriptionId: subscription.id,
+                externalReference: checkout.externalReference,
+                split: checkout.split,
+                discount: checkout.discount,
+                couponCode: checkout.couponCode,
+                recurring: checkout.recurring,
+                gateway: checkout.gateway,
+                creatorName: checkout.creatorName
+            });
+        } catch (error) {
+            console.error('[CheckoutController] Generate link error:', error);
+            res.status(500).json({ error: 'Erro ao gerar link de pagamento: ' + error.message });
+        }
+    }
 
-                // Create a "Virtual" plan object for data consistency
-                plan = {
-                    id: null,
-                    name: description || 'Oferta Especial',
-                    description: 'Pagamento de oferta promocional',
-                    price: parseFloat(amount),
-                    is_recurring: false, // Offers are usually one-time
-                    duration_days: 0,
-                    bot: bot
-                };
-            } else {
-                return res.status(400).json({ error: 'planId ou (botId + amount) são obrigatórios' });
-            }
+    /**
+     * POST /api/checkout/coupon
+     * Preview a coupon discount for a plan before generating the payment
+     */
+    async validateCoupon(req, res) {
+        try {
+            const { planId, couponCode, telegramId, orderBumpId } = req.body;
 
-            if (!creator) {
-                return res.status(400).json({ error: 'Criador não encontrado' });
+            if (!planId || !couponCode) {
+                return res.status(400).json({ error: 'planId e couponCode são obrigatórios' });
             }
 
-            // ⚠️ CRITICAL: Validate creator has configured payment gateway
-            if (!creator.gateway_api_token) {
-                return res.status(400).json({
-                    error: 'O criador ainda não configurou o gateway de pagamento',
-                    code: 'CREATOR_GATEWAY_NOT_CONFIGURED'
-                });
+            const plan = await Plan.findByPk(planId, { include: ['bot'] });
+            if (!plan || !plan.bot) {
+                return res.status(404).json({ error: 'Plano não encontrado' });
             }
 
-            // Determine gateway
-            const gateway = creator.gateway_preference || 'asaas';
-            const creatorApiKey = creator.gateway_api_token;
-
-            // Calculate Split
-            // Uses fixed fee from PaymentService
-            const splitAmounts = await PaymentService.calculateSplit(parseFloat(plan.price));
-            const grossAmount = splitAmounts.gross;
-
-            // Create external reference for tracking
-            const externalReference = `${planId || 'offer'}_${telegramId || 'web'}_${Date.now()}`;
-
-            // Webhook URL
-            const webhookUrl = `${config.urls.api}/api/webhooks/${gateway.toLowerCase()}`;
-
-            // Map paymentMethod (frontend) to billingType (Asaas/Gateway)
-            // Frontend: 'pix' | 'credit_card'
-            // Asaas: 'PIX' | 'CREDIT_CARD' | 'BOLETO'
-            let billingType = 'PIX';
-            if (paymentMethod === 'credit_card') {
-                billingType = 'CREDIT_CARD';
-            }
-
-            // Prepare payment data
-            const paymentData = {
-                planId: plan.id, // Can be null
-                title: plan.name,
-                description: plan.description || `Pagamento ${plan.name}`,
-                amount: grossAmount,
-                value: grossAmount,
-                email: email || `telegram_${telegramId}@boyzclub.temp`,
-                name: name || 'Assinante',
-                telegramId,
-                telegramUsername,
-                externalReference,
-                webhookUrl,
-                successUrl: `${config.urls.frontend}/success?ref=${externalReference}`,
-                failureUrl: `${config.urls.frontend}/failure`,
-                cancelUrl: `${config.urls.frontend}/cancel`,
-                dueDate: this.getNextDueDate(),
-                nextDueDate: this.getNextDueDate(),
-                cycle: undefined, // One-time default for offers
-                billingType, // Add billingType
-                // Pass credentials to PaymentService
-                creatorApiToken: typeof creatorApiKey === 'string' && creatorApiKey.startsWith('{')
-                    ? JSON.parse(creatorApiKey).api_token // Extract token if JSON (PushinPay)
-                    : creatorApiKey,
-                gatewayCredentials: typeof creatorApiKey === 'string' && creatorApiKey.startsWith('{')
-                    ? JSON.parse(creatorApiKey)
-                    : creatorApiKey
-            };
-
-            // Create payment using creator's credentials
-            let result;
-
-            try {
-                // Gateway Factory Logic
-                result = await PaymentService.createPaymentLink(gateway, paymentData, creator.asaas_wallet_id);
-            } catch (gatewayError) {
-                console.error(`[Checkout] Gateway error (${gateway}):`, gatewayError);
-                return res.status(400).json({
-                    error: 'Erro ao criar pagamento no gateway',
-                    details: gatewayError.message,
-                    code: 'GATEWAY_ERROR'
+            let amount = parseFloat(plan.price);
+            if (orderBumpId) {
+                const orderBump = await PlanOffer.findOne({
+                    where: { id: orderBumpId, plan_id: plan.id, type: 'order_bump', status: 'active' }
                 });
+                if (orderBump) amount += parseFloat(orderBump.price);
             }
 
-            // Create pending subscription/transaction record
-            // If planId is null, we might need a workaround for Subscription model if it enforces plan_id
-            // Checking models... Subscription usually requires plan_id. 
-            // If we are selling something without a plan, we might need a dummy plan or nullable plan_id
-            // For now, let's assume we create a generic "Offer" subscription
-
-            let subscription;
-            if (plan.id) {
-                subscription = await Subscription.create({
-                    plan_id: plan.id,
-                    user_telegram_id: telegramId || 0,
-                    user_telegram_username: telegramUsername,
-                    user_name: name,
-                    user_email: email,
-                    gateway,
-                    gateway_subscription_id: result.id || result.sessionId, // Unified ID access
-                    status: 'pending'
-                });
-            } else {
-                // For custom offers, create record without plan_id (if allowed) or handle differently
-                // Ideally we should have a generic 'Offer' model or allow nullable.
-                // Assuming we can pass null or 0 if constraint allows, or we just create Transaction linked to Bot directly?
-                // Let's rely on standard Subscription for now but we might hit FK constraint.
-                // WORKAROUND: For this feature to work strictly without Plan DB changes, 
-                // we might need to find a 'Default' plan or just skip Subscription creation and rely on Transaction?
-                // No, Transaction needs subscription_id usually.
+            const result = await CouponService.validate(couponCode, {
+                creatorId: plan.bot.user_id,
+                botId: plan.bot.id,
+                planId: plan.id,
+                telegramId,
+                amount
+            });
 
-                // Let's create a subscription with plan_id = null if possible, checking Subscription.js
-                subscription = await Subscription.create({
-                    plan_id: null, // Hope this is allowed, otherwise we need to fix model
-                    bot_id: botId, // Add bot_id to subscription if plan_id is null?
-                    user_telegram_id: telegramId || 0,
-                    user_telegram_username: telegramUsername,
-                    user_name: name,
-                    user_email: email,
-                    gateway,
-                    gateway_subscription_id: result.id || result.sessionId,
-                    status: 'pending',
-                    metadata: { type: 'offer', description: description, amount: amount }
-                });
+            if (!result.valid) {
+                return res.status(400).json({ error: result.error, code: 'INVALID_COUPON' });
             }
 
-            // Create pending transaction
-            await Transaction.create({
-                subscription_id: subscription.id,
-                gateway,
-                gateway_payment_id: result.id || null,
-                gateway_invoice_url: result.invoiceUrl || result.url || result.initPoint || result.qr_code,
-                amount_gross: splitAmounts.gross,
-                amount_net_creator: splitAmounts.creatorNet,
-                amount_platform_fee: splitAmounts.platformFee,
-                status: 'pending'
-            });
-
             res.json({
-                paymentUrl: result.invoiceUrl || result.url || result.initPoint || result.sandboxInitPoint,
-                qrCode: result.qr_code,
-                pixCopyPaste: result.copy_paste,
-                subscriptionId: subscription.id,
-                externalReference,
-                split: splitAmounts,
-                gateway,
-                creatorName: creator.name
+                code: result.coupon.code,
+                label: CouponService.formatDiscount(result.coupon),
+                originalAmount: parseFloat(amount.toFixed(2)),
+                discount: result.discount,
+                finalAmount: result.finalAmount
             });
         } catch (error) {
-            console.error('[CheckoutController] Generate link error:', error);
-            res.status(500).json({ error: 'Erro ao gerar link de pagamento: ' + error.message });
+            console.error('[CheckoutController] Validate coupon error:', error);
+            res.status(500).json({ error: 'Erro ao validar cupom' });
         }
     }
 
@@ -234,6 +109,11 @@ class CheckoutController {
                 return res.status(404).json({ error: 'Assinatura não encontrada' });
             }
 
+            // Buyer waiting for confirmation: ask the gateway in case the webhook was lost
+            if (subscription.status === 'pending' && await PaymentPollingService.pollSubscription(subscription)) {
+                await subscription.reload();
+            }
+
             res.json({
                 status: subscription.status,
                 plan: subscription.plan,
@@ -244,13 +124,6 @@ class CheckoutController {
             res.status(500).json({ error: 'Erro ao verificar status' });
         }
     }
-
-    // Helper
-    getNextDueDate() {
-        const date = new Date();
-        date.setDate(date.getDate() + 1);
-        return date.toISOString().split('T')[0];
-    }
 }
 
 module.exports = new CheckoutController();
@@ -0,0 +1,240 @@
+const { Op } = require('sequelize');
+const { Coupon, Bot, Plan, Transaction } = require('../models');
+
+/**
+ * Read coupon fields from body (camelCase or snake_case)
+ * and validate bot/plan ownership
+ * @param {object} current - Coupon being updated (null on create)
+ */
+async function parseCouponBody(req, current = null) {
+    const {
+        code,
+        description,
+        discountType, discount_type,
+        discountValue, discount_value,
+        botId, bot_id,
+        planId, plan_id,
+        expiresAt, expires_at,
+        maxUses, max_uses,
+        maxUsesPerUser, max_uses_per_user,
+        firstPurchaseOnly, first_purchase_only
+    } = req.body;
+
+    const data = {};
+    if (code !== undefined) data.code = code;
+    if (description !== undefined) data.description = description;
+
+    const type = discountType ?? discount_type;
+    if (type !== undefined) {
+        if (!['percentage', 'fixed'].includes(type)) {
+            return { error: 'Tipo de desconto inválido' };
+        }
+        data.discount_type = type;
+    }
+
+    const value = discountValue ?? discount_value;
+    if (value !== undefined) {
+        const parsed = parseFloat(value);
+        if (isNaN(parsed) || parsed <= 0) {
+            return { error: 'Valor do desconto inválido' };
+        }
+        data.discount_value = parsed;
+    }
+
+    // Also checked when only the type changes (a fixed R$ 150 can't become 150%)
+    const finalType = data.discount_type || current?.discount_type || 'percentage';
+    const finalValue = data.discount_value ?? (current ? parseFloat(current.discount_value) : undefined);
+    if (finalType === 'percentage' && finalValue > 100) {
+        return { error: 'Desconto percentual não pode passar de 100%' };
+    }
+
+    const actualBotId = botId ?? bot_id;
+    if (actualBotId !== undefined) {
+        if (actualBotId) {
+            const bot = await Bot.findOne({ where: { id: actualBotId, user_id: req.userId } });
+            if (!bot) return { error: 'Bot não encontrado', status: 404 };
+        }
+        data.bot_id = actualBotId || null;
+    }
+
+    const actualPlanId = planId ?? plan_id;
+    if (actualPlanId !== undefined) {
+        if (actualPlanId) {
+            const plan = await Plan.findByPk(actualPlanId, {
+                include: [{ association: 'bot', where: { user_id: req.userId }, required: true }]
+            });
+            if (!plan) return { error: 'Plano não encontrado', status: 404 };
+            data.bot_id = plan.bot_id;
+        }
+        data.plan_id = actualPlanId || null;
+    }
+
+    const expires = expiresAt ?? expires_at;
+    if (expires !== undefined) data.expires_at = expires || null;
+
+    const uses = maxUses ?? max_uses;
+    if (uses !== undefined) data.max_uses = uses ? parseInt(uses) : null;
+
+    const usesPerUser = maxUsesPerUser ?? max_uses_per_user;
+    if (usesPerUser !== undefined) data.max_uses_per_user = usesPerUser ? parseInt(usesPerUser) : null;
+
+    const firstOnly = firstPurchaseOnly ?? first_purchase_only;
+    if (firstOnly !== undefined) data.first_purchase_only = !!firstOnly;
+
+    return data;
+}
+
+/**
+ * Coupon Controller
+ * Manage discount coupons for creators
+ */
+class CouponController {
+    /**
+     * GET /api/coupons
+     * List coupons of current creator (with confirmed uses)
+     */
+    async list(req, res) {
+        try {
+            const { botId, includePersonal } = req.query;
+
+            const where = { user_id: req.userId };
+
+            // Personal coupons are generated automatically (checkout recovery)
+            if (includePersonal !== 'true') {
+                where.user_telegram_id = null;
+            }
+            if (botId) {
+                where.bot_id = botId;
+            }
+
+            const coupons = await Coupon.findAll({
+                where,
+                include: [
+                    { association: 'bot', attributes: ['id', 'username', 'name'] },
+                    { association: 'plan', attributes: ['id', 'name'] }
+                ],
+                order: [['created_at', 'DESC']]
+            });
+
+            const couponIds = coupons.map(c => c.id);
+            const uses = couponIds.length > 0 ? await Transaction.count({
+                where: { coupon_id: { [Op.in]: couponIds }, status: 'confirmed' },
+                group: ['coupon_id']
+            }) : [];
+
+            const usesMap = {};
+            uses.forEach(u => { usesMap[u.coupon_id] = parseInt(u.count); });
+
+            res.json({
+                coupons: coupons.map(c => ({
+                    ...c.toJSON(),
+                    uses: usesMap[c.id] || 0
+                }))
+            });
+        } catch (error) {
+            console.error('[CouponController] List error:', error);
+            res.status(500).json({ error: 'Erro ao listar cupons' });
+        }
+    }
+
+    /**
+     * POST /api/coupons
+     * Create new coupon
+     */
+    async create(req, res) {
+        try {
+            const data = await parseCouponBody(req);
+            if (data.error) {
+                return res.status(data.status || 400).json({ error: data.error });
+            }
+
+            if (!data.code || data.discount_value === undefined) {
+                return res.status(400).json({ error: 'Código e valor do desconto são obrigatórios' });
+            }
+
+            const existing = await Coupon.findOne({
+                where: { user_id: req.userId, code: data.code.trim().toUpperCase() }
+            });
+            if (existing) {
+                return res.status(400).json({ error: 'Já existe um cupom com este código' });
+            }
+
+            const coupon = await Coupon.create({
+                user_id: req.userId,
+                ...data,
+                status: 'active'
+            });
+
+            res.status(201).json({
+                message: 'Cupom criado com sucesso',
+                coupon
+            });
+        } catch (error) {
+            console.error('[CouponController] Create error:', error);
+            res.status(500).json({ error: 'Erro ao criar cupom' });
+        }
+    }
+
+    /**
+     * PUT /api/coupons/:id
+     * Update coupon
+     */
+    async update(req, res) {
+        try {
+            const coupon = await Coupon.findOne({
+                where: { id: req.params.id, user_id: req.userId }
+            });
+
+            if (!coupon) {
+                return res.status(404).json({ error: 'Cupom não encontrado' });
+            }
+
+            const data = await parseCouponBody(req, coupon);
+            if (data.error) {
+                return res.status(data.status || 400).json({ error: data.error });
+            }
+
+            // Code can't change after creation (links already shared)
+            delete data.code;
+
+            await coupon.update({
+                ...data,
+                status: req.body.status ?? coupon.status
+            });
+
+            res.json({
+                message: 'Cupom atualizado',
+                coupon
+            });
+        } catch (error) {
+            console.error('[CouponController] Update error:', error);
+            res.status(500).json({ error: 'Erro ao atualizar cupom' });
+        }
+    }
+
+    /**
+     * DELETE /api/coupons/:id
+     * Disable coupon
+     */
+    async delete(req, res) {
+        try {
+            const coupon = await Coupon.findOne({
+                where: { id: req.params.id, user_id: req.userId }
+            });
+
+            if (!coupon) {
+                return res.status(404).json({ error: 'Cupom não encontrado' });
+            }
+
+            // Soft delete - transactions keep referencing it
+            await coupon.update({ status: 'inactive' });
+
+            res.json({ message: 'Cupom removido' });
+        } catch (error) {
+            console.error('[CouponController] Delete error:', error);
+            res.status(500).json({ error: 'Erro ao remover cupom' });
+        }
+    }
+}
+
+module.exports = new CouponController();
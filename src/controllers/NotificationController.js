@@ -0,0 +1,57 @@
+const { Notification } = require('../models');
+
+/**
+ * Notification Controller
+ * Creator in-app notifications
+ */
+class NotificationController {
+    /**
+     * GET /api/notifications
+     * List latest notifications (?unread=true for unread only)
+     */
+    async list(req, res) {
+        try {
+            const where = { user_id: req.userId };
+            if (req.query.unread === 'true') {
+                where.read_at = null;
+            }
+
+            const notifications = await Notification.findAll({
+                where,
+                order: [['created_at', 'DESC']],
+                limit: 50
+            });
+
+            const unread = await Notification.count({ where: { user_id: req.userId, read_at: null } });
+
+            res.json({ notifications, unread });
+        } catch (error) {
+            console.error('[NotificationController] List error:', error);
+            res.status(500).json({ error: 'Erro ao listar notificações' });
+        }
+    }
+
+    /**
+     * POST /api/notifications/read
+     * Mark notifications as read (body.ids, or all when omitted)
+     */
+    async markRead(req, res) {
+        try {
+            const { ids } = req.body;
+
+            const where = { user_id: req.userId, read_at: null };
+            if (Array.isArray(ids)) {
+                where.id = ids;
+            }
+
+            const [updated] = await Notification.update({ read_at: new Date() }, { where });
+
+            res.json({ message: 'Notificações marcadas como lidas', updated });
+        } catch (error) {
+            console.error('[NotificationController] Mark read error:', error);
+            res.status(500).json({ error: 'Erro ao atualizar notificações' });
+        }
+    }
+}
+
+module.exports = new NotificationController();
@@ -1,4 +1,5 @@
-const { Plan, Bot } = require('../models');
+const { Plan, Bot, PlanOffer } = require('../models');
+const AccessService = require('../services/AccessService');
 
 /**
  * Plan Controller
@@ -24,6 +25,10 @@ class PlanController {
                     association: 'bot',
                     where: { user_id: req.userId },
                     required: true
+                }, 'offers', {
+                    association: 'chats',
+                    attributes: ['id', 'chat_id', 'title', 'type', 'status'],
+                    through: { attributes: [] }
                 }],
                 order: [['price', 'ASC']]
             });
@@ -45,6 +50,10 @@ class PlanController {
                 include: [{
                     association: 'bot',
                     include: ['owner']
+                }, {
+                    association: 'offers',
+                    where: { status: 'active' },
+                    required: false
                 }]
             });
 
@@ -70,8 +79,10 @@ class PlanController {
                 name,
                 description,
                 price,
+                priceStars, price_stars,
                 durationDays, duration_days,
-                isRecurring, is_recurring
+                isRecurring, is_recurring,
+                chatIds, chat_ids
             } = req.body;
 
             const actualBotId = botId || bot_id;
@@ -94,11 +105,22 @@ class PlanController {
                 name,
                 description,
                 price,
+                price_stars: priceStars ?? price_stars ?? null, // null = not sold for Telegram Stars
                 duration_days: durationDays || duration_days || 30,
                 is_recurring: isRecurring ?? is_recurring ?? true,
                 status: 'active'
             });
 
+            // Chats granted by the plan (none = bot's default channel)
+            const planChats = chatIds ?? chat_ids;
+            if (Array.isArray(planChats) && planChats.length > 0) {
+                const result = await AccessService.setPlanChats(plan, planChats);
+                if (!result.valid) {
+                    await plan.destroy();
+                    return res.status(400).json({ error: result.error });
+                }
+            }
+
             res.status(201).json({
                 message: 'Plano criado com sucesso',
                 plan
@@ -115,7 +137,7 @@ class PlanController {
      */
     async update(req, res) {
         try {
-            const { name, description, price, durationDays, isRecurring, status } = req.body;
+            const { name, description, price, priceStars, durationDays, isRecurring, status } = req.body;
 
             const plan = await Plan.findByPk(req.params.id, {
                 include: [{
@@ -133,6 +155,7 @@ class PlanController {
                 name: name ?? plan.name,
                 description: description ?? plan.description,
                 price: price ?? plan.price,
+                price_stars: priceStars !== undefined ? priceStars : plan.price_stars, // null disables Stars
                 duration_days: durationDays ?? plan.duration_days,
                 is_recurring: isRecurring ?? plan.is_recurring,
                 status: status ?? plan.status
@@ -148,6 +171,46 @@ class PlanController {
         }
     }
 
+    /**
+     * PUT /api/plans/:id/chats
+     * Set the channels/groups the plan grants access to (empty = bot's default channel)
+     */
+    async setChats(req, res) {
+        try {
+            const { chatIds, chat_ids } = req.body;
+            const ids = chatIds ?? chat_ids;
+
+            if (!Array.isArray(ids)) {
+                return res.status(400).json({ error: 'Informe a lista de grupos' });
+            }
+
+            const plan = await Plan.findByPk(req.params.id, {
+                include: [{
+                    association: 'bot',
+                    where: { user_id: req.userId },
+                    required: true
+                }]
+            });
+
+            if (!plan) {
+                return res.status(404).json({ error: 'Plano não encontrado' });
+            }
+
+            const result = await AccessService.setPlanChats(plan, [...new Set(ids)]);
+            if (!result.valid) {
+                return res.status(400).json({ error: result.error });
+            }
+
+            res.json({
+                message: 'Grupos do plano atualizados',
+                chats: result.chats
+            });
+        } catch (error) {
+            console.error('[PlanController] Set chats error:', error);
+            res.status(500).json({ error: 'Erro ao atualizar grupos do plano' });
+        }
+    }
+
     /**
      * DELETE /api/plans/:id
      * Delete plan
@@ -175,6 +238,149 @@ class PlanController {
             res.status(500).json({ error: 'Erro ao remover plano' });
         }
     }
+
+    /**
+     * GET /api/plans/:id/offers
+     * List order bump / upsell / downsell offers of a plan
+     */
+    async listOffers(req, res) {
+        try {
+            const plan = await Plan.findByPk(req.params.id, {
+                include: [{
+                    association: 'bot',
+                    where: { user_id: req.userId },
+                    required: true
+                }]
+            });
+
+            if (!plan) {
+                return res.status(404).json({ error: 'Plano não encontrado' });
+            }
+
+            const offers = await PlanOffer.findAll({
+                where: { plan_id: plan.id },
+                include: ['offerPlan']
+            });
+
+            res.json({ offers });
+        } catch (error) {
+            console.error('[PlanController] List offers error:', error);
+            res.status(500).json({ error: 'Erro ao listar ofertas' });
+        }
+    }
+
+    /**
+     * PUT /api/plans/:id/offers/:type
+     * Create or update the plan's offer of a type (order_bump, upsell, downsell)
+     */
+    async saveOffer(req, res) {
+        try {
+            const { type } = req.params;
+            const {
+                name,
+                description,
+                price,
+                offerPlanId, offer_plan_id,
+                deliveryMessage, delivery_message,
+                status
+            } = req.body;
+
+            if (!['order_bump', 'upsell', 'downsell'].includes(type)) {
+                return res.status(400).json({ error: 'Tipo de oferta inválido' });
+            }
+
+            const plan = await Plan.findByPk(req.params.id, {
+                include: [{
+                    association: 'bot',
+                    where: { user_id: req.userId },
+                    required: true
+                }]
+            });
+
+            if (!plan) {
+                return res.status(404).json({ error: 'Plano não encontrado' });
+            }
+
+            let offer = await PlanOffer.findOne({ where: { plan_id: plan.id, type } });
+
+            const actualOfferPlanId = offerPlanId ?? offer_plan_id ?? offer?.offer_plan_id ?? null;
+
+            // Upsell/downsell deliver another plan of the same bot
+            if (type !== 'order_bump') {
+                if (!actualOfferPlanId) {
+                    return res.status(400).json({ error: 'Plano da oferta é obrigatório para upsell/downsell' });
+                }
+
+                const offerPlan = await Plan.findOne({
+                    where: { id: actualOfferPlanId, bot_id: plan.bot_id }
+                });
+
+                if (!offerPlan) {
+                    return res.status(404).json({ error: 'Plano da oferta não encontrado' });
+                }
+            }
+
+            const data = {
+                name: name ?? offer?.name,
+                description: description ?? offer?.description,
+                price: price ?? offer?.price,
+                offer_plan_id: type === 'order_bump' ? null : actualOfferPlanId,
+                delivery_message: deliveryMessage ?? delivery_message ?? offer?.delivery_message,
+                status: status ?? offer?.status ?? 'active'
+            };
+
+            if (!data.name || data.price === undefined || data.price === null) {
+                return res.status(400).json({ error: 'Nome e valor da oferta são obrigatórios' });
+            }
+
+            if (offer) {
+                await offer.update(data);
+            } else {
+                offer = await PlanOffer.create({ plan_id: plan.id, type, ...data });
+            }
+
+            res.json({
+                message: 'Oferta salva',
+                offer
+            });
+        } catch (error) {
+            console.error('[PlanController] Save offer error:', error);
+            res.status(500).json({ error: 'Erro ao salvar oferta' });
+        }
+    }
+
+    /**
+     * DELETE /api/plans/:id/offers/:type
+     * Disable the plan's offer of a type
+     */
+    async deleteOffer(req, res) {
+        try {
+            const plan = await Plan.findByPk(req.params.id, {
+                include: [{
+                    association: 'bot',
+                    where: { user_id: req.userId },
+                    required: true
+                }]
+            });
+
+            if (!plan) {
+                return res.status(404).json({ error: 'Plano não encontrado' });
+            }
+
+            const offer = await PlanOffer.findOne({ where: { plan_id: plan.id, type: req.params.type } });
+            if (!offer) {
+                return res.status(404).json({ error: 'Oferta não encontrada' });
+            }
+
+            // Soft delete - keep responses history for broadcast filters
+            await offer.update({ status: 'inactive' });
+
+            res.json({ message: 'Oferta removida' });
+        } catch (error) {
+            console.error('[PlanController] Delete offer error:', error);
+            res.status(500).json({ error: 'Erro ao remover oferta' });
+        }
+    }
 }
 
 module.exports = new PlanController();
@@ -0,0 +1,166 @@
+const { Segment } = require('../models');
+const AudienceService = require('../services/AudienceService');
+
+/**
+ * Segment Controller
+ * Saved broadcast audiences and audience preview (admin: all bots, creator: their bots)
+ */
+class SegmentController {
+    /**
+     * GET /api/segments
+     * List saved segments
+     */
+    async list(req, res) {
+        try {
+            const segments = await Segment.findAll({
+                where: { user_id: req.userId },
+                order: [['name', 'ASC']]
+            });
+
+            res.json({ segments });
+        } catch (error) {
+            console.error('[SegmentController] List error:', error);
+            res.status(500).json({ error: 'Erro ao listar segmentos' });
+        }
+    }
+
+    /**
+     * POST /api/segments
+     * Save a segment { name, criteria }
+     */
+    async create(req, res) {
+        try {
+            const { name, criteria } = req.body;
+
+            if (!name || !name.trim()) {
+                return res.status(400).json({ error: 'Nome do segmento é obrigatório' });
+            }
+
+            const validation = AudienceService.validateCriteria(criteria);
+            if (!validation.valid) {
+                return res.status(400).json({ error: validation.error });
+            }
+
+            const segment = await Segment.create({
+                user_id: req.userId,
+                name: name.trim(),
+                criteria: validation.criteria
+            });
+
+            res.status(201).json({
+                message: 'Segmento salvo',
+                segment
+            });
+        } catch (error) {
+            console.error('[SegmentController] Create error:', error);
+            res.status(500).json({ error: 'Erro ao salvar segmento' });
+        }
+    }
+
+    /**
+     * PUT /api/segments/:id
+     * Rename or change the criteria (scheduled broadcasts using it get the new audience)
+     */
+    async update(req, res) {
+        try {
+            const segment = AudienceService.isSegmentId(req.params.id) && await Segment.findOne({
+                where: { id: req.params.id, user_id: req.userId }
+            });
+
+            if (!segment) {
+                return res.status(404).json({ error: 'Segmento não encontrado' });
+            }
+
+            const { name, criteria } = req.body;
+
+            if (name !== undefined && !name.trim()) {
+                return res.status(400).json({ error: 'Nome do segmento é obrigatório' });
+            }
+
+            let parsedCriteria = segment.criteria;
+            if (criteria !== undefined) {
+                const validation = AudienceService.validateCriteria(criteria);
+                if (!validation.valid) {
+                    return res.status(400).json({ error: validation.error });
+                }
+                parsedCriteria = validation.criteria;
+            }
+
+            await segment.update({
+                name: name !== undefined ? name.trim() : segment.name,
+                criteria: parsedCriteria
+            });
+
+            res.json({
+                message: 'Segmento atualizado',
+                segment
+            });
+        } catch (error) {
+            console.error('[SegmentController] Update error:', error);
+            res.status(500).json({ error: 'Erro ao atualizar segmento' });
+        }
+    }
+
+    /**
+     * DELETE /api/segments/:id
+     * Delete a segment (broadcasts keep the criteria they were created with)
+     */
+    async delete(req, res) {
+        try {
+            const segment = AudienceService.isSegmentId(req.params.id) && await Segment.findOne({
+                where: { id: req.params.id, user_id: req.userId }
+            });
+
+            if (!segment) {
+                return res.status(404).json({ error: 'Segmento não encontrado' });
+            }
+
+            await segment.destroy();
+            res.json({ message: 'Segmento excluído' });
+        } catch (error) {
+            console.error('[SegmentController] Delete error:', error);
+            res.status(500).json({ error: 'Erro ao excluir segmento' });
+        }
+    }
+
+    /**
+     * POST /api/segments/preview
+     * Audience count before sending { criteria | segment_id, bot_id }
+     */
+    async preview(req, res) {
+        try {
+            const { segment_id, bot_id } = req.body;
+            let criteria;
+
+            if (segment_id) {
+                const segment = AudienceService.isSegmentId(segment_id) && await Segment.findOne({
+                    where: { id: segment_id, user_id: req.userId }
+                });
+                if (!segment) {
+                    return res.status(404).json({ error: 'Segmento não encontrado' });
+                }
+                criteria = segment.criteria;
+            } else {
+                const validation = AudienceService.validateCriteria(req.body.criteria);
+                if (!validation.valid) {
+                    return res.status(400).json({ error: validation.error });
+                }
+                criteria = validation.criteria;
+            }
+
+            const audience = await AudienceService.preview({
+                scope: req.userRole === 'admin' ? 'platform' : 'creator',
+                userId: req.userId,
+                botId: bot_id && bot_id !== 'all' ? bot_id : null,
+                criteria
+            });
+
+            res.json(audience);
+        } catch (error) {
+            console.error('[SegmentController] Preview error:', error);
+            res.status(500).json({ error: 'Erro ao calcular público' });
+        }
+    }
+}
+
+module.exports = new SegmentController();
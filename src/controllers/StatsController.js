@@ -1,5 +1,5 @@
 const { Op } = require('sequelize');
-const { sequelize, User, Bot, Plan, Subscription, Transaction } = require('../models');
+const { sequelize, User, Bot, Plan, Subscription, Transaction, CheckoutRecovery } = require('../models');
 
 /**
  * Stats Controller
@@ -178,6 +178,10 @@ class StatsController {
                 where: { status: 'confirmed' }
             }) || 0;
 
+            // Refunds / chargebacks and platform fees given back
+            const totalRefunded = await Transaction.sum('amount_refunded') || 0;
+            const feesReversed = await Transaction.sum('platform_fee_reversed') || 0;
+
             // Total pending payouts (creator net amounts)
             const pendingPayouts = await Transaction.sum('amount_net_creator', {
                 where: { status: 'confirmed' }
@@ -207,6 +211,8 @@ class StatsController {
                 newSubscribersMonth,
                 totalRevenue,
                 totalCommission,
+                totalRefunded,
+                feesReversed,
                 pendingPayouts,
                 recentTransactions: recentTransactions.map(t => ({
                     id: t.id,
@@ -290,6 +296,54 @@ class StatsController {
             res.status(500).json({ error: 'Erro ao buscar ranking' });
         }
     }
+
+    /**
+     * GET /api/stats/recovery
+     * Abandoned checkout recovery results for current creator
+     */
+    async getRecoveryStats(req, res) {
+        try {
+            const { botId } = req.query;
+
+            const botWhere = { user_id: req.userId };
+            if (botId) botWhere.id = botId;
+
+            const bots = await Bot.findAll({ where: botWhere, attributes: ['id'] });
+            const botIds = bots.map(b => b.id);
+
+            const recoveries = botIds.length > 0 ? await CheckoutRecovery.findAll({
+                where: { bot_id: { [Op.in]: botIds } },
+                attributes: ['step', 'status', 'recovered_amount']
+            }) : [];
+
+            const recovered = recoveries.filter(r => r.status === 'recovered');
+            const revenue = recovered.reduce((sum, r) => sum + parseFloat(r.recovered_amount || 0), 0);
+
+            // Which message of the sequence brought the buyer back
+            const byStep = {};
+            for (const r of recovered) {
+                byStep[r.step] = byStep[r.step] || { step: r.step, recovered: 0, revenue: 0 };
+                byStep[r.step].recovered++;
+                byStep[r.step].revenue += parseFloat(r.recovered_amount || 0);
+            }
+
+            res.json({
+                started: recoveries.length,
+                active: recoveries.filter(r => r.status === 'active').length,
+                recovered: recovered.length,
+                conversionRate: recoveries.length > 0
+                    ? parseFloat(((recovered.length / recoveries.length) * 100).toFixed(2))
+                    : 0,
+                recoveredRevenue: `R$ ${revenue.toFixed(2).replace('.', ',')}`,
+                steps: Object.values(byStep)
+                    .sort((a, b) => a.step - b.step)
+                    .map(s => ({ ...s, revenue: `R$ ${s.revenue.toFixed(2).replace('.', ',')}` }))
+            });
+        } catch (error) {
+            console.error('[StatsController] Recovery stats error:', error);
+            res.status(500).json({ error: 'Erro ao buscar estatísticas de recuperação' });
+        }
+    }
 }
 
 module.exports = new StatsController();
@@ -0,0 +1,285 @@
+const { Op } = require('sequelize');
+const { Subscription, Plan } = require('../models');
+const TelegramEngine = require('../services/TelegramEngine');
+const SubscriptionService = require('../services/SubscriptionService');
+const RecurringService = require('../services/RecurringService');
+const RefundService = require('../services/RefundService');
+
+/**
+ * Find a subscription of one of the creator's bots
+ */
+async function findOwnedSubscription(req) {
+    return await Subscription.findByPk(req.params.id, {
+        include: [{
+            association: 'plan',
+            required: true,
+            include: [{
+                association: 'bot',
+                where: { user_id: req.userId },
+                required: true
+            }]
+        }]
+    });
+}
+
+/**
+ * Parse a positive number of days (max 10 years)
+ */
+function parseDays(value) {
+    const days = parseInt(value);
+    return days > 0 && days <= 3650 ? days : null;
+}
+
+/**
+ * Subscriber Controller
+ * Creator-side subscriber management: grant, extend, revoke and refund
+ */
+class SubscriberController {
+    /**
+     * GET /api/subscribers
+     * List subscribers of the creator's bots
+     */
+    async list(req, res) {
+        try {
+            const { botId, planId, status, search, page = 1, limit = 50 } = req.query;
+
+            const where = {};
+            if (status) where.status = status;
+            if (planId) where.plan_id = planId;
+            if (search) {
+                where[Op.or] = [
+                    { user_name: { [Op.iLike]: `%${search}%` } },
+                    { user_telegram_username: { [Op.iLike]: `%${search.replace('@', '')}%` } },
+                    ...(/^\d+$/.test(search) ? [{ user_telegram_id: search }] : [])
+                ];
+            }
+
+            const pageSize = Math.min(parseInt(limit) || 50, 200);
+            const { count, rows } = await Subscription.findAndCountAll({
+                where,
+                include: [{
+                    association: 'plan',
+                    attributes: ['id', 'name', 'price', 'duration_days', 'bot_id'],
+                    required: true,
+                    include: [{
+                        association: 'bot',
+                        attributes: ['id', 'name', 'username'],
+                        where: { user_id: req.userId, ...(botId && { id: botId }) },
+                        required: true
+                    }]
+                }],
+                order: [['created_at', 'DESC']],
+                limit: pageSize,
+                offset: (Math.max(parseInt(page) || 1, 1) - 1) * pageSize
+            });
+
+            res.json({
+                subscribers: rows,
+                total: count,
+                page: parseInt(page) || 1
+            });
+        } catch (error) {
+            console.error('[SubscriberController] List error:', error);
+            res.status(500).json({ error: 'Erro ao listar assinantes' });
+        }
+    }
+
+    /**
+     * GET /api/subscribers/:id
+     * Subscriber details with payments and history
+     */
+    async get(req, res) {
+        try {
+            const subscription = await findOwnedSubscription(req);
+
+            if (!subscription) {
+                return res.status(404).json({ error: 'Assinante não encontrado' });
+            }
+
+            const transactions = await subscription.getTransactions({ order: [['created_at', 'DESC']] });
+            const history = await subscription.getHistory({ order: [['created_at', 'DESC']] });
+
+            res.json({ subscriber: subscription, transactions, history });
+        } catch (error) {
+            console.error('[SubscriberController] Get error:', error);
+            res.status(500).json({ error: 'Erro ao buscar assinante' });
+        }
+    }
+
+    /**
+     * POST /api/subscribers
+     * Give access to a plan without payment (stacks on a running subscription of the same plan)
+     */
+    async grant(req, res) {
+        try {
+            const {
+                planId, plan_id,
+                telegramId, telegram_id,
+                name, username,
+                days
+            } = req.body;
+
+            const userTelegramId = (telegramId ?? telegram_id)?.toString().trim();
+            if (!userTelegramId || !/^\d+$/.test(userTelegramId)) {
+                return res.status(400).json({ error: 'ID do Telegram inválido' });
+            }
+
+            const durationDays = days !== undefined ? parseDays(days) : null;
+            if (days !== undefined && !durationDays) {
+                return res.status(400).json({ error: 'Quantidade de dias inválida' });
+            }
+
+            const plan = await Plan.findByPk(planId ?? plan_id, {
+                include: [{ association: 'bot', where: { user_id: req.userId }, required: true }]
+            });
+
+            if (!plan) {
+                return res.status(404).json({ error: 'Plano não encontrado' });
+            }
+
+            const subscription = await Subscription.create({
+                plan_id: plan.id,
+                user_telegram_id: userTelegramId,
+                user_name: name || null,
+                user_telegram_username: username ? username.replace('@', '') : null,
+                gateway: 'manual',
+                status: 'pending'
+            });
+
+            const history = await SubscriptionService.activate(subscription, { durationDays });
+
+            // Plan change: remove from chats the new plan doesn't grant
+            if (history.previous_subscription_id && ['upgrade', 'downgrade'].includes(history.action)) {
+                const previous = await Subscription.findByPk(history.previous_subscription_id);
+                if (previous) {
+                    await TelegramEngine.revokeSubscriptionAccess(previous);
+                }
+            }
+
+            await TelegramEngine.notifyAccessGranted(subscription, {
+                days: durationDays ?? plan.duration_days,
+                extended: history.action === 'renewal'
+            });
+
+            res.status(201).json({
+                message: 'Acesso liberado',
+                subscriber: subscription,
+                history
+            });
+        } catch (error) {
+            console.error('[SubscriberController] Grant error:', error);
+            res.status(500).json({ error: 'Erro ao liberar acesso' });
+        }
+    }
+
+    /**
+     * POST /api/subscribers/:id/extend
+     * Add days to a subscription (reactivates expired ones)
+     */
+    async extend(req, res) {
+        try {
+            const days = parseDays(req.body.days);
+            if (!days) {
+                return res.status(400).json({ error: 'Quantidade de dias inválida' });
+            }
+
+            const subscription = await findOwnedSubscription(req);
+
+            if (!subscription) {
+                return res.status(404).json({ error: 'Assinante não encontrado' });
+            }
+
+            if (['pending', 'failed', 'renewed'].includes(subscription.status)) {
+                return res.status(400).json({ error: 'Esta assinatura não pode ser estendida' });
+            }
+
+            if (subscription.status === 'active' && !subscription.expires_at) {
+                return res.status(400).json({ error: 'Assinatura vitalícia não precisa ser estendida' });
+            }
+
+            const { history, reactivated } = await SubscriptionService.extend(subscription, days);
+
+            await TelegramEngine.notifyAccessGranted(subscription, { days, extended: true, reactivated });
+
+            res.json({
+                message: `Assinatura estendida em ${days} dia(s)`,
+                subscriber: subscription,
+                history
+            });
+        } catch (error) {
+            console.error('[SubscriberController] Extend error:', error);
+            res.status(500).json({ error: 'Erro ao estender assinatura' });
+        }
+    }
+
+    /**
+     * POST /api/subscribers/:id/revoke
+     * End a subscription now and remove the member from the chats
+     */
+    async revoke(req, res) {
+        try {
+            const subscription = await findOwnedSubscription(req);
+
+            if (!subscription) {
+                return res.status(404).json({ error: 'Assinante não encontrado' });
+            }
+
+            if (!['active', 'past_due'].includes(subscription.status)) {
+                return res.status(400).json({ error: 'Assinatura não está ativa' });
+            }
+
+            await RecurringService.cancel(subscription);
+            const history = await SubscriptionService.revoke(subscription);
+            await TelegramEngine.notifySubscriptionRevoked(subscription);
+
+            res.json({
+                message: 'Assinatura revogada',
+                subscriber: subscription,
+                history
+            });
+        } catch (error) {
+            console.error('[SubscriberController] Revoke error:', error);
+            res.status(500).json({ error: 'Erro ao revogar assinatura' });
+        }
+    }
+
+    /**
+     * POST /api/subscribers/:id/refund
+     * Refund a payment on the gateway (latest confirmed by default) and revoke the subscription
+     * Body: { transactionId?, revoke = true, manual = false }
+     */
+    async refund(req, res) {
+        try {
+            const { transactionId, transaction_id, revoke = true, manual = false } = req.body;
+
+            const subscription = await findOwnedSubscription(req);
+
+            if (!subscription) {
+                return res.status(404).json({ error: 'Assinante não encontrado' });
+            }
+
+            const transaction = await RefundService.findRefundable(subscription, transactionId ?? transaction_id);
+            if (!transaction) {
+                return res.status(404).json({ error: 'Pagamento não encontrado' });
+            }
+
+            transaction.subscription = subscription;
+            const result = await RefundService.refund(transaction, { revoke: !!revoke, manual: !!manual });
+
+            if (!result.valid) {
+                return res.status(400).json({ error: result.error });
+            }
+
+            res.json({
+                message: 'Pagamento estornado',
+                transaction: result.transaction,
+                subscriber: subscription
+            });
+        } catch (error) {
+            console.error('[SubscriberController] Refund error:', error);
+            res.status(500).json({ error: 'Erro ao estornar pagamento' });
+        }
+    }
+}
+
+module.exports = new SubscriberController();
@@ -1,4 +1,5 @@
-const { Subscription, Transaction, Plan } = require('../models');
+const { Op } = require('sequelize');
+const { Subscription, Transaction, Plan, User, WebhookEvent } = require('../models');
 const TelegramEngine = require('../services/TelegramEngine');
 const AsaasService = require('../services/payment/AsaasService');
 const MercadoPagoService = require('../services/payment/MercadoPagoService');
@@ -6,56 +7,174 @@ const StripeService = require('../services/payment/StripeService');
 const PushinPayService = require('../services/payment/PushinPayService');
 const SyncPayService = require('../services/payment/SyncPayService');
 const ParadisePagService = require('../services/payment/ParadisePagService');
+const TelegramStarsService = require('../services/payment/TelegramStarsService');
+const OfferService = require('../services/OfferService');
+const RecoveryService = require('../services/RecoveryService');
+const SubscriptionService = require('../services/SubscriptionService');
+const RecurringService = require('../services/RecurringService');
+const RefundService = require('../services/RefundService');
+const WebhookService = require('../services/WebhookService');
+const GatewayRoutingService = require('../services/GatewayRoutingService');
+
+// Plan ids are UUIDs (custom offers use 'offer' in the reference)
+const PLAN_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * API token of a creator's gateway (lookups on the creator's account)
+ */
+async function getCreatorToken(creatorId, gateway) {
+    const creator = await User.findByPk(creatorId, {
+        attributes: ['id', 'gateway_preference', 'gateway_api_token']
+    });
+
+    const credentials = creator && await GatewayRoutingService.getCredentials(creator, gateway);
+    return credentials?.apiToken || null;
+}
 
 /**
  * Webhook Controller
  * Universal handler for all payment gateway webhooks
  */
 class WebhookController {
+    constructor() {
+        // Routes pass handlers unbound, but they call this.ingest / this.processPaymentStatus
+        for (const method of ['handleAsaas', 'handleMercadoPago', 'handleStripe', 'handlePushinPay', 'handleSyncPay', 'handleParadisePag']) {
+            this[method] = this[method].bind(this);
+        }
+
+        // Processors run by WebhookService (first delivery, retries and replays)
+        WebhookService.registerProcessor('asaas', (payload) => this.processAsaas(payload));
+        WebhookService.registerProcessor('mercadopago', (payload, event) => this.processMercadoPago(payload, event));
+        WebhookService.registerProcessor('stripe', (payload) => this.processStripe(payload));
+        WebhookService.registerProcessor('pushinpay', (payload, event) => this.processPushinPay(payload, event));
+        WebhookService.registerProcessor('syncpay', (payload, event) => this.processSyncPay(payload, event));
+        WebhookService.registerProcessor('paradisepag', (payload, event) => this.processParadisePag(payload, event));
+        WebhookService.registerProcessor('stars', (payload) => this.processStars(payload));
+    }
+
     /**
-     * POST /api/webhooks/asaas
-     * Handle Asaas webhooks
+     * Verify an incoming webhook request and ingest it
+     * Requests that can't be authenticated are rejected (and logged)
      */
-    async handleAsaas(req, res) {
+    async receive(gateway, req, res) {
+        let verification;
         try {
-            console.log('[Webhook] Asaas event:', JSON.stringify(req.body, null, 2));
+            verification = await WebhookService.verify(gateway, req);
+        } catch (error) {
+            console.error(`[Webhook] Error verifying ${gateway} webhook:`, error);
+            return res.sendStatus(500);
+        }
+
+        if (!verification.valid) {
+            console.warn(`[Webhook] Rejected ${gateway} webhook from ${req.ip}: ${verification.error}`);
+            return res.sendStatus(401);
+        }
 
-            const event = AsaasService.parseWebhookEvent(req.body);
+        await this.ingest(gateway, req.body, res, { creatorId: verification.creatorId });
+    }
 
-            if (!event.paymentId && !event.externalReference) {
+    /**
+     * Persist an incoming webhook, acknowledge it and process it
+     * Duplicates are acknowledged without processing; failures are retried by WebhookService
+     */
+    async ingest(gateway, payload, res, { creatorId = null } = {}) {
+        let event;
+        try {
+            const result = await WebhookService.record(gateway, payload, { creatorId });
+            if (result.duplicate) {
+                console.log(`[Webhook] Duplicate ${gateway} event ${result.event.dedupe_key}, skipping`);
                 return res.sendStatus(200);
             }
+            event = result.event;
+        } catch (error) {
+            // Not persisted - let the gateway deliver it again
+            console.error(`[Webhook] Error recording ${gateway} event:`, error);
+            return res.sendStatus(500);
+        }
 
-            // Find transaction by payment ID
-            let transaction = await Transaction.findOne({
-                where: { gateway_payment_id: event.paymentId },
-                include: ['subscription']
-            });
+        res.sendStatus(200);
 
-            // Or find by external reference 
-            if (!transaction && event.externalReference) {
-                const subscription = await this.findSubscriptionByExternalRef(event.externalReference);
-                if (subscription) {
-                    transaction = await Transaction.findOne({
-                        where: { subscription_id: subscription.id },
-                        include: ['subscription']
-                    });
-                }
+        // Already acknowledged: an error here is only logged, the event is picked up by the retry job
+        try {
+            await WebhookService.process(event);
+        } catch (error) {
+            console.error(`[Webhook] Error processing ${gateway} event ${event.id}:`, error);
+        }
+    }
+
+    /**
+     * POST /api/webhooks/asaas
+     * Handle Asaas webhooks
+     */
+    async handleAsaas(req, res) {
+        await this.receive('asaas', req, res);
+    }
+
+    /**
+     * Process an Asaas webhook payload (also run on retries and replays)
+     */
+    async processAsaas(body) {
+        const event = AsaasService.parseWebhookEvent(body);
+
+        // Native subscription stopped on the gateway -> no more automatic renewals
+        if (['SUBSCRIPTION_DELETED', 'SUBSCRIPTION_INACTIVATED'].includes(event.event)) {
+            const subscription = await RecurringService.findByGatewaySubscription(event.subscriptionId);
+            if (subscription) await subscription.update({ renewal_mode: null });
+            return;
+        }
+
+        if (!event.paymentId && !event.externalReference) {
+            return;
+        }
+
+        // Find transaction by payment ID
+        let transaction = event.paymentId ? await Transaction.findOne({
+            where: { gateway_payment_id: event.paymentId },
+            include: ['subscription']
+        }) : null;
+
+        // Refund / chargeback of a known payment
+        if (event.reversal) {
+            if (transaction) {
+                await RefundService.applyReversal(transaction, { ...event.reversal, source: 'asaas' });
+            } else {
+                console.log('[Webhook] Reversed transaction not found:', event.paymentId);
             }
+            return;
+        }
 
-            if (!transaction) {
-                console.log('[Webhook] Transaction not found');
-                return res.sendStatus(200);
+        // Charge of a native subscription (a new transaction each cycle)
+        if (!transaction && event.subscriptionId) {
+            const subscription = await RecurringService.findByGatewaySubscription(event.subscriptionId);
+            if (subscription) {
+                transaction = await RecurringService.findOrCreateCycleTransaction(subscription, {
+                    paymentId: event.paymentId,
+                    amount: event.value
+                });
             }
+        }
 
-            // Process based on status
-            await this.processPaymentStatus(transaction, event.status, event);
+        // Or find by external reference (renewal charges keep it on their transaction)
+        if (!transaction && event.externalReference) {
+            transaction = await this.findTransactionByExternalRef(event.externalReference);
+        }
+        if (!transaction && event.externalReference) {
+            const subscription = await this.findSubscriptionByExternalRef(event.externalReference);
+            if (subscription) {
+                transaction = await Transaction.findOne({
+                    where: { subscription_id: subscription.id },
+                    include: ['subscription']
+                });
+            }
+        }
 
-            res.sendStatus(200);
-        } catch (error) {
-            console.error('[Webhook] Asaas error:', error);
-            res.sendStatus(500);
+        if (!transaction) {
+            console.log('[Webhook] Transaction not found');
+            return;
         }
+
+        // Process based on status
+        await this.processPaymentStatus(transaction, event.status, event);
     }
 
     /**
@@ -63,46 +182,89 @@ class WebhookController {
      * Handle Mercado Pago webhooks
      */
     async handleMercadoPago(req, res) {
-        try {
-            console.log('[Webhook] MercadoPago event:', JSON.stringify(req.body, null, 2));
+        await this.receive('mercadopago', req, res);
+    }
+
+    /**
+     * Process a Mercado Pago webhook payload (also run on retries, replays and polling)
+     * With a creator (polling, creator webhook URL) the payment is fetched with the creator's token
+     */
+    async processMercadoPago(body, webhookEvent = {}) {
+        const event = MercadoPagoService.parseWebhookEvent(body);
 
-            const event = MercadoPagoService.parseWebhookEvent(req.body);
+        if (event.type !== 'payment' || !event.paymentId) {
+            return;
+        }
 
-            if (event.type !== 'payment' || !event.paymentId) {
-                return res.sendStatus(200);
+        // Payments on a creator's account are only visible with the creator's token
+        let creatorToken = null;
+        if (webhookEvent.user_id) {
+            creatorToken = await getCreatorToken(webhookEvent.user_id, 'mercadopago');
+            if (!creatorToken) {
+                throw new Error(`Mercado Pago credentials not found for creator ${webhookEvent.user_id}`);
             }
+        }
 
-            // Get full payment details
-            const payment = await MercadoPagoService.getPayment(event.paymentId);
-            const externalRef = payment.external_reference;
+        // Get full payment details
+        const payment = await MercadoPagoService.getPayment(event.paymentId, creatorToken);
+        const externalRef = payment.external_reference;
 
-            const subscription = await this.findSubscriptionByExternalRef(externalRef);
-            if (!subscription) {
-                console.log('[Webhook] Subscription not found');
-                return res.sendStatus(200);
+        // Refund / chargeback of a known payment
+        const reversal = MercadoPagoService.getReversal(payment);
+        if (reversal) {
+            const reversed = await Transaction.findOne({
+                where: { gateway_payment_id: event.paymentId.toString() },
+                include: ['subscription']
+            });
+
+            if (reversed) {
+                await RefundService.applyReversal(reversed, { ...reversal, source: 'mercadopago' });
+            } else {
+                console.log('[Webhook] Reversed transaction not found:', event.paymentId);
             }
+            return;
+        }
+
+        // Charge of a native subscription (preapproval) -> a new transaction each cycle
+        const preapprovalId = payment.metadata?.preapproval_id ||
+            payment.point_of_interaction?.transaction_data?.subscription_id;
+        const recurringSubscription = await RecurringService.findByGatewaySubscription(preapprovalId);
+
+        // Scheduled PIX renewal: the reference is on the renewal transaction, not on the subscription
+        const renewal = !recurringSubscription && await this.findTransactionByExternalRef(externalRef);
 
-            const transaction = await Transaction.findOne({
+        const subscription = recurringSubscription || renewal?.subscription || await this.findSubscriptionByExternalRef(externalRef);
+        if (!subscription) {
+            console.log('[Webhook] Subscription not found');
+            return;
+        }
+
+        // The external reference is set by whoever created the payment: it must be a checkout of this creator
+        if (webhookEvent.user_id && !await this.belongsToCreator(subscription, webhookEvent.user_id)) {
+            console.warn(`[Webhook] Mercado Pago payment ${event.paymentId} doesn't belong to creator ${webhookEvent.user_id}, ignoring`);
+            return;
+        }
+
+        const transaction = recurringSubscription
+            ? await RecurringService.findOrCreateCycleTransaction(recurringSubscription, {
+                paymentId: event.paymentId.toString(),
+                amount: payment.transaction_amount
+            })
+            : renewal || await Transaction.findOne({
                 where: { subscription_id: subscription.id },
                 include: ['subscription']
             });
 
-            if (transaction) {
-                await transaction.update({
-                    gateway_payment_id: event.paymentId,
-                    gateway_status: payment.status
-                });
-
-                const ourStatus = MercadoPagoService.mapStatus(payment.status);
-                await this.processPaymentStatus(transaction, ourStatus === 'confirmed' ? 'CONFIRMED' : 'PENDING', {
-                    paidAt: payment.date_approved
-                });
-            }
+        if (transaction) {
+            await transaction.update({
+                gateway_payment_id: event.paymentId,
+                gateway_status: payment.status
+            });
 
-            res.sendStatus(200);
-        } catch (error) {
-            console.error('[Webhook] MercadoPago error:', error);
-            res.sendStatus(500);
+            const ourStatus = MercadoPagoService.mapStatus(payment.status);
+            await this.processPaymentStatus(transaction, ourStatus === 'confirmed' ? 'CONFIRMED' : 'PENDING', {
+                paidAt: payment.date_approved
+            });
         }
     }
 
@@ -111,102 +273,136 @@ class WebhookController {
      * Handle Stripe webhooks
      */
     async handleStripe(req, res) {
-        try {
-            // Verify signature
-            const signature = req.headers['stripe-signature'];
-            const event = StripeService.verifyWebhookSignature(req.body, signature);
+        // Verify signature (needs the raw body, so it can't wait for processing)
+        const signature = req.headers['stripe-signature'];
+        const event = StripeService.verifyWebhookSignature(req.body, signature);
 
-            if (!event) {
-                return res.status(400).send('Invalid signature');
-            }
+        if (!event) {
+            console.warn(`[Webhook] Rejected stripe webhook from ${req.ip}: invalid signature`);
+            return res.status(400).send('Invalid signature');
+        }
+
+        await this.ingest('stripe', event, res);
+    }
 
-            console.log('[Webhook] Stripe event:', event.type);
+    /**
+     * Process a verified Stripe event (also run on retries and replays)
+     */
+    async processStripe(event) {
+        const parsedEvent = StripeService.parseWebhookEvent(event);
 
-            const parsedEvent = StripeService.parseWebhookEvent(event);
+        // Handle checkout.session.completed
+        if (event.type === 'checkout.session.completed') {
+            const subscription = await this.findSubscriptionByExternalRef(parsedEvent.externalReference);
 
-            // Handle checkout.session.completed
-            if (event.type === 'checkout.session.completed') {
-                const subscription = await this.findSubscriptionByExternalRef(parsedEvent.externalReference);
+            if (subscription) {
+                // Subscription mode: keep the Stripe subscription to match future invoices
+                if (parsedEvent.subscriptionId) {
+                    await subscription.update({ gateway_subscription_id: parsedEvent.subscriptionId });
+                }
 
-                if (subscription) {
-                    const transaction = await Transaction.findOne({
-                        where: { subscription_id: subscription.id },
-                        include: ['subscription']
-                    });
+                const transaction = await Transaction.findOne({
+                    where: { subscription_id: subscription.id },
+                    include: ['subscription']
+                });
 
-                    if (transaction) {
-                        await transaction.update({
-                            gateway_payment_id: parsedEvent.sessionId,
-                            gateway_status: 'complete'
-                        });
+                if (transaction) {
+                    await transaction.update({
+                        gateway_payment_id: parsedEvent.sessionId,
+                        gateway_status: 'complete',
+                        // Refund/dispute events only carry the payment intent
+                        metadata: { ...transaction.metadata, payment_intent: parsedEvent.paymentIntent || null }
+                    });
 
-                        await this.processPaymentStatus(transaction, 'CONFIRMED', {
-                            paidAt: new Date()
-                        });
-                    }
+                    await this.processPaymentStatus(transaction, 'CONFIRMED', {
+                        paidAt: new Date()
+                    });
                 }
             }
+        }
 
-            res.sendStatus(200);
-        } catch (error) {
-            console.error('[Webhook] Stripe error:', error);
-            res.sendStatus(500);
+        // Recurring cycle paid (first invoice is handled by checkout.session.completed)
+        if (event.type === 'invoice.paid' && parsedEvent.billingReason !== 'subscription_create') {
+            const subscription = await RecurringService.findByGatewaySubscription(parsedEvent.subscriptionId);
+
+            if (subscription) {
+                const transaction = await RecurringService.findOrCreateCycleTransaction(subscription, {
+                    paymentId: parsedEvent.sessionId,
+                    amount: parsedEvent.amountPaid
+                });
+
+                await transaction.update({
+                    gateway_status: 'paid',
+                    metadata: { ...transaction.metadata, payment_intent: parsedEvent.paymentIntent || null }
+                });
+                await this.processPaymentStatus(transaction, 'CONFIRMED', {
+                    paidAt: new Date()
+                });
+            }
+        }
+
+        // Refund (charge.refunded) or chargeback (charge.dispute.created)
+        if (parsedEvent.reversal) {
+            const transaction = await this.findStripeTransaction(parsedEvent);
+
+            if (transaction) {
+                await RefundService.applyReversal(transaction, { ...parsedEvent.reversal, source: 'stripe' });
+            } else {
+                console.log('[Webhook] Reversed transaction not found:', parsedEvent.paymentIntent);
+            }
+        }
+
+        // Subscription cancelled on Stripe -> no more automatic renewals
+        // (the event object is the subscription itself)
+        if (event.type === 'customer.subscription.deleted') {
+            const subscription = await RecurringService.findByGatewaySubscription(parsedEvent.sessionId);
+            if (subscription) await subscription.update({ renewal_mode: null });
         }
     }
 
     /**
-     * POST /api/webhooks/pushinpay
+     * POST /api/webhooks/pushinpay/:token
      * Handle PushinPay webhooks
-     * 
-     * Payload: { id, value, status, description }
      */
     async handlePushinPay(req, res) {
-        try {
-            console.log('[Webhook] PushinPay event:', JSON.stringify(req.body, null, 2));
-
-            // Respond immediately to PushinPay (they expect fast response)
-            res.status(200).json({ received: true });
-
-            // Process webhook payload
-            const event = PushinPayService.processWebhook(req.body);
-
-            if (!event.transactionId) {
-                console.log('[Webhook] No transaction ID in PushinPay event');
-                return;
-            }
+        await this.receive('pushinpay', req, res);
+    }
 
-            // Find transaction by gateway payment ID
-            const transaction = await Transaction.findOne({
-                where: { gateway_payment_id: event.transactionId },
-                include: ['subscription']
+    /**
+     * Process a PushinPay webhook payload (also run on retries and replays)
+     *
+     * Payload: { id, value, status, description }
+     * Only transactions of the creator whose URL token received the event are updated
+     */
+    async processPushinPay(body, webhookEvent = {}) {
+        // Process webhook payload
+        const event = PushinPayService.processWebhook(body);
+
+        const transaction = await this.findCreatorTransaction('PushinPay', event.transactionId, webhookEvent);
+        if (!transaction) return;
+
+        // Process based on status
+        if (event.isRefunded) {
+            await RefundService.applyReversal(transaction, { type: 'refund', source: 'pushinpay' });
+        } else if (event.isPaid) {
+            await this.processPaymentStatus(transaction, 'CONFIRMED', {
+                paidAt: new Date()
             });
-
-            if (!transaction) {
-                console.log('[Webhook] Transaction not found for PushinPay ID:', event.transactionId);
-                return;
-            }
-
-            // Process based on status
-            if (event.isPaid) {
-                await this.processPaymentStatus(transaction, 'CONFIRMED', {
-                    paidAt: new Date()
-                });
-                console.log('[Webhook] PushinPay payment confirmed:', event.transactionId);
-            }
-        } catch (error) {
-            console.error('[Webhook] PushinPay error:', error);
-            // Already responded, just log
+            console.log('[Webhook] PushinPay payment confirmed:', event.transactionId);
         }
     }
 
     /**
-     * POST /api/webhooks/telegram/:token
+     * POST /api/webhooks/telegram/:botId
      * Handle Telegram updates for specific bot
      */
     async handleTelegram(req, res) {
         try {
-            const { token } = req.params;
-            await TelegramEngine.handleWebhook(token, req.body);
+            await TelegramEngine.handleWebhook(
+                req.params.botId,
+                req.body,
+                req.headers['x-telegram-bot-api-secret-token']
+            );
             res.sendStatus(200);
         } catch (error) {
             console.error('[Webhook] Telegram error:', error);
@@ -215,35 +411,140 @@ class WebhookController {
     }
 
     /**
-     * POST /api/webhooks/syncpay
+     * POST /api/webhooks/syncpay/:token
      * Handle SyncPay webhooks
      */
     async handleSyncPay(req, res) {
-        try {
-            console.log('[Webhook] SyncPay event:', JSON.stringify(req.body, null, 2));
+        await this.receive('syncpay', req, res);
+    }
 
-            const result = await SyncPayService.handleWebhook(req);
-            res.status(200).json(result);
-        } catch (error) {
-            console.error('[Webhook] SyncPay error:', error);
-            res.sendStatus(500);
-        }
+    /**
+     * Process a SyncPay webhook payload (also run on retries and replays)
+     * Only transactions of the creator whose URL token received the event are updated
+     */
+    async processSyncPay(body, webhookEvent = {}) {
+        const event = SyncPayService.parseWebhookEvent(body);
+        if (!event.isPaid) return;
+
+        const transaction = await this.findCreatorTransaction('SyncPay', event.transactionId, webhookEvent);
+        if (!transaction) return;
+
+        await this.processPaymentStatus(transaction, 'CONFIRMED', { paidAt: new Date() });
+        console.log('[Webhook] SyncPay payment confirmed:', event.transactionId);
     }
 
     /**
-     * POST /api/webhooks/paradisepag
+     * POST /api/webhooks/paradisepag/:token
      * Handle ParadisePag webhooks
      */
     async handleParadisePag(req, res) {
-        try {
-            console.log('[Webhook] ParadisePag event:', JSON.stringify(req.body, null, 2));
+        await this.receive('paradisepag', req, res);
+    }
 
-            const result = await ParadisePagService.handleWebhook(req);
-            res.status(200).json(result);
-        } catch (error) {
-            console.error('[Webhook] ParadisePag error:', error);
-            res.sendStatus(500);
+    /**
+     * Process a ParadisePag webhook payload (also run on retries and replays)
+     * Only transactions of the creator whose URL token received the event are updated
+     */
+    async processParadisePag(body, webhookEvent = {}) {
+        const event = ParadisePagService.parseWebhookEvent(body);
+        if (!event.isPaid) return;
+
+        const transaction = await this.findCreatorTransaction('ParadisePag', event.transactionId, webhookEvent);
+        if (!transaction) return;
+
+        await this.processPaymentStatus(transaction, 'CONFIRMED', { paidAt: new Date() });
+        console.log('[Webhook] ParadisePag payment confirmed:', event.transactionId);
+    }
+
+    /**
+     * Transaction of a gateway payment, if it belongs to the creator identified by the webhook URL token
+     * Events without a creator are rejected: any creator holds a valid token of their own
+     */
+    async findCreatorTransaction(gatewayName, paymentId, webhookEvent) {
+        if (!paymentId) {
+            console.log(`[Webhook] No transaction ID in ${gatewayName} event`);
+            return null;
+        }
+
+        if (!webhookEvent.user_id) {
+            console.warn(`[Webhook] ${gatewayName} event for ${paymentId} without creator, ignoring`);
+            return null;
         }
+
+        const transaction = await Transaction.findOne({
+            where: { gateway_payment_id: paymentId.toString() },
+            include: ['subscription']
+        });
+
+        if (!transaction) {
+            console.log(`[Webhook] Transaction not found for ${gatewayName} ID:`, paymentId);
+            return null;
+        }
+
+        if (!await this.belongsToCreator(transaction.subscription, webhookEvent.user_id)) {
+            console.warn(`[Webhook] ${gatewayName} ID ${paymentId} doesn't belong to creator ${webhookEvent.user_id}, ignoring`);
+            return null;
+        }
+
+        return transaction;
+    }
+
+    /**
+     * Check that a subscription was sold by one of the creator's bots
+     */
+    async belongsToCreator(subscription, creatorId) {
+        const plan = subscription?.plan_id && await Plan.findByPk(subscription.plan_id, { include: ['bot'] });
+        return !!plan && plan.bot?.user_id === creatorId;
+    }
+
+    /**
+     * Process a Telegram Stars payment (successful_payment update recorded by TelegramEngine)
+     *
+     * Payload: successful_payment fields + from_id
+     * Stars subscriptions renew with the invoice payload of the first payment
+     */
+    async processStars(payment) {
+        const chargeId = payment.telegram_payment_charge_id;
+
+        // Subscription renewal charged by Telegram
+        if (payment.is_recurring && !payment.is_first_recurring) {
+            const subscription = await this.findSubscriptionByExternalRef(payment.invoice_payload);
+            if (!subscription) {
+                console.log('[Webhook] Stars subscription not found:', payment.invoice_payload);
+                return;
+            }
+
+            const plan = await Plan.findByPk(subscription.plan_id);
+            const transaction = await RecurringService.findOrCreateCycleTransaction(subscription, {
+                paymentId: chargeId,
+                amount: plan.price
+            });
+
+            await transaction.update({
+                metadata: { ...transaction.metadata, amount_stars: payment.total_amount }
+            });
+            await this.processPaymentStatus(transaction, 'PAID', { paidAt: new Date() });
+            return;
+        }
+
+        const transaction = await TelegramStarsService.findInvoiceTransaction(payment.invoice_payload);
+        if (!transaction) {
+            // Already confirmed (replay) or unknown invoice
+            console.log('[Webhook] Stars transaction not found:', payment.invoice_payload);
+            return;
+        }
+
+        await transaction.update({ gateway_payment_id: chargeId });
+
+        // First payment of a Stars subscription: its charge ID identifies the subscription
+        if (payment.is_first_recurring) {
+            await transaction.subscription.update({
+                gateway_subscription_id: chargeId,
+                renewal_mode: 'native'
+            });
+        }
+
+        await this.processPaymentStatus(transaction, 'PAID', { paidAt: new Date() });
     }
 
     /**
@@ -254,7 +555,7 @@ class WebhookController {
 
         // Map gateway status to our status
         const confirmedStatuses = ['CONFIRMED', 'RECEIVED', 'PAID', 'complete', 'approved'];
-        const failedStatuses = ['OVERDUE', 'FAILED', 'REFUNDED', 'CANCELLED', 'rejected'];
+        const failedStatuses = ['OVERDUE', 'FAILED', 'CANCELLED', 'rejected'];
 
         let newStatus = 'pending';
         if (confirmedStatuses.includes(gatewayStatus)) {
@@ -263,58 +564,197 @@ class WebhookController {
             newStatus = 'failed';
         }
 
-        // Update transaction
-        await transaction.update({
+        // Already confirmed: skip (gateways resend events) - activating again would stack the period twice
+        // A paid transaction only changes through refunds/chargebacks (RefundService)
+        const finalStatuses = newStatus === 'confirmed' ? ['confirmed'] : ['confirmed', 'refunded', 'chargeback'];
+
+        // Conditional update: of a resent event, a replay and a poll racing each other only one changes the row
+        const changes = {
             gateway_status: gatewayStatus,
             status: newStatus,
             paid_at: newStatus === 'confirmed' ? (eventData.paidAt || new Date()) : null
+        };
+        const [updated] = await Transaction.update(changes, {
+            where: { id: transaction.id, status: { [Op.notIn]: finalStatuses } }
         });
 
+        if (updated === 0) {
+            console.log(`[Webhook] Transaction ${transaction.id} already processed, ignoring ${gatewayStatus}`);
+            return;
+        }
+        transaction.set(changes);
+
         // Update subscription
         if (newStatus === 'confirmed') {
-            const plan = await Plan.findByPk(subscription.plan_id);
+            // Renewals stack on the current period (upgrades/downgrades credited pro-rata)
+            const history = await SubscriptionService.activate(subscription, {
+                transaction,
+                paidAt: eventData.paidAt || new Date()
+            });
 
-            let expiresAt = null;
-            if (plan && plan.duration_days > 0) {
-                expiresAt = new Date();
-                expiresAt.setDate(expiresAt.getDate() + plan.duration_days);
-            }
+            // Order bump / upsell bought with this payment are now paid
+            await OfferService.markPaid(subscription.id, eventData.paidAt || new Date());
 
-            await subscription.update({
-                status: 'active',
-                starts_at: new Date(),
-                expires_at: expiresAt
-            });
+            // Paid after a recovery message -> count as recovered
+            await RecoveryService.markRecovered(subscription, transaction);
 
             // Notify user via Telegram
-            await TelegramEngine.notifySubscriptionActivated(subscription);
+            await TelegramEngine.notifySubscriptionActivated(subscription, history.action);
+
+            // Plan change: remove from chats the new plan doesn't grant
+            if (history.previous_subscription_id && ['upgrade', 'downgrade'].includes(history.action)) {
+                const previous = await Subscription.findByPk(history.previous_subscription_id);
+                if (previous) {
+                    await TelegramEngine.revokeSubscriptionAccess(previous);
+                }
+            }
 
             console.log(`[Webhook] Subscription ${subscription.id} activated`);
         } else if (newStatus === 'failed') {
-            await subscription.update({ status: 'failed' });
+            // A failed renewal charge doesn't touch a running subscription (grace/expiration handle it)
+            if (subscription.status === 'pending') {
+                await subscription.update({ status: 'failed' });
+            }
             console.log(`[Webhook] Payment failed for subscription ${subscription.id}`);
         }
     }
 
+    /**
+     * Find the transaction of a Stripe charge/dispute
+     * (payment intent stored on confirmation, invoice ID for cycles, checkout session for older payments)
+     */
+    async findStripeTransaction(parsedEvent) {
+        if (!parsedEvent.paymentIntent) return null;
+
+        const byIntent = await Transaction.findOne({
+            where: { metadata: { payment_intent: parsedEvent.paymentIntent } },
+            include: ['subscription']
+        });
+        if (byIntent) return byIntent;
+
+        const paymentId = parsedEvent.invoiceId || await StripeService.findSessionByPaymentIntent(parsedEvent.paymentIntent);
+        if (!paymentId) return null;
+
+        return await Transaction.findOne({
+            where: { gateway_payment_id: paymentId },
+            include: ['subscription']
+        });
+    }
+
+    /**
+     * Find a transaction by its own external reference (scheduled renewal charges)
+     */
+    async findTransactionByExternalRef(externalRef) {
+        if (!externalRef) return null;
+
+        return await Transaction.findOne({
+            where: { metadata: { external_reference: externalRef } },
+            include: ['subscription']
+        });
+    }
+
     /**
      * Find subscription by external reference
      */
     async findSubscriptionByExternalRef(externalRef) {
         if (!externalRef) return null;
 
-        // External ref format: planId_telegramId_timestamp
-        const parts = externalRef.split('_');
-        const planId = parts[0];
-        const telegramId = parts[1];
+        const byReference = await Subscription.findOne({
+            where: { external_reference: externalRef }
+        });
+        if (byReference) return byReference;
+
+        // Legacy checkouts (no external_reference stored)
+        // External ref format: planId_telegramId_timestamp - only the buyer's own pending checkout matches
+        const [planId, telegramId] = externalRef.split('_');
+        if (!PLAN_ID_PATTERN.test(planId) || !/^\d+$/.test(telegramId || '')) return null;
 
         return await Subscription.findOne({
             where: {
                 plan_id: planId,
+                user_telegram_id: telegramId,
                 status: 'pending'
             },
             order: [['created_at', 'DESC']]
         });
     }
+
+    /**
+     * GET /api/admin/webhooks
+     * List received webhook events (admin)
+     */
+    async listEvents(req, res) {
+        try {
+            const { gateway, status, type, page = 1, limit = 50 } = req.query;
+
+            const where = {};
+            if (gateway) where.gateway = gateway;
+            if (status) where.status = status;
+            if (type) where.event_type = type;
+
+            const pageSize = Math.min(parseInt(limit) || 50, 200);
+            const { count, rows } = await WebhookEvent.findAndCountAll({
+                where,
+                attributes: { exclude: ['payload'] },
+                order: [['created_at', 'DESC']],
+                limit: pageSize,
+                offset: (Math.max(parseInt(page) || 1, 1) - 1) * pageSize
+            });
+
+            res.json({
+                events: rows,
+                total: count,
+                page: parseInt(page) || 1
+            });
+        } catch (error) {
+            console.error('[Webhook] List events error:', error);
+            res.status(500).json({ error: 'Erro ao listar webhooks' });
+        }
+    }
+
+    /**
+     * GET /api/admin/webhooks/:id
+     * Webhook event with its payload (admin)
+     */
+    async getEvent(req, res) {
+        try {
+            const event = await WebhookEvent.findByPk(req.params.id);
+
+            if (!event) {
+                return res.status(404).json({ error: 'Evento não encontrado' });
+            }
+
+            res.json({ event });
+        } catch (error) {
+            console.error('[Webhook] Get event error:', error);
+            res.status(500).json({ error: 'Erro ao buscar webhook' });
+        }
+    }
+
+    /**
+     * POST /api/admin/webhooks/:id/replay
+     * Process a webhook event again (admin)
+     */
+    async replayEvent(req, res) {
+        try {
+            const event = await WebhookEvent.findByPk(req.params.id);
+
+            if (!event) {
+                return res.status(404).json({ error: 'Evento não encontrado' });
+            }
+
+            const result = await WebhookService.replay(event);
+
+            if (!result.valid) {
+                return res.status(400).json({ error: result.error, event: result.event });
+            }
+
+            res.json({ message: 'Evento reprocessado', event: result.event });
+        } catch (error) {
+            console.error('[Webhook] Replay event error:', error);
+            res.status(500).json({ error: 'Erro ao reprocessar webhook' });
+        }
+    }
 }
 
 module.exports = new WebhookController();
@@ -1,5 +1,6 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const VaultService = require('../services/VaultService');
 
 const Bot = sequelize.define('Bot', {
     id: {
@@ -18,7 +19,12 @@ const Bot = sequelize.define('Bot', {
     token: {
         type: DataTypes.TEXT,
         allowNull: false,
-        comment: 'Token do Bot do Telegram (BotFather)'
+        comment: 'Token do Bot do Telegram (BotFather), criptografado'
+    },
+    token_hash: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+        comment: 'SHA-256 do token para busca (o token criptografado não é pesquisável)'
     },
     username: {
         type: DataTypes.STRING(100),
@@ -35,6 +41,16 @@ const Bot = sequelize.define('Bot', {
         defaultValue: 'Olá {nome}! Bem-vindo ao grupo VIP!',
         comment: 'Mensagem de boas-vindas. Use {nome} para o nome do usuário.'
     },
+    welcome_variants: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        comment: 'Teste A/B da boas-vindas: [{ key, percent, message }]; null = só welcome_message'
+    },
+    welcome_test_started_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Início do teste A/B atual da boas-vindas (compras anteriores não contam)'
+    },
     request_media_on_start: {
         type: DataTypes.BOOLEAN,
         defaultValue: false,
@@ -45,6 +61,11 @@ const Bot = sequelize.define('Bot', {
         allowNull: true,
         comment: 'ID do canal/grupo VIP no Telegram'
     },
+    timezone: {
+        type: DataTypes.STRING(50),
+        defaultValue: 'America/Sao_Paulo',
+        comment: 'Fuso horário dos envios agendados'
+    },
     status: {
         type: DataTypes.ENUM('active', 'paused', 'error'),
         defaultValue: 'active'
@@ -61,15 +82,62 @@ const Bot = sequelize.define('Bot', {
         type: DataTypes.BOOLEAN,
         defaultValue: true,
         comment: 'Proteção de conteúdo (proibir encaminhamento/salvamento)'
+    },
+    recovery_enabled: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false,
+        comment: 'Enviar sequência de recuperação de checkout abandonado'
+    },
+    recovery_steps: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        comment: 'Etapas da recuperação: [{ delay_minutes, discount_percent, message }] (null = padrão)'
+    },
+    reminders_enabled: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: true,
+        comment: 'Enviar lembretes de renovação antes do vencimento'
+    },
+    reminder_steps: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        comment: 'Lembretes de renovação: [{ days_before, message }] (null = padrão)'
+    },
+    grace_period_days: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+        comment: 'Dias de carência após o vencimento antes de remover do canal (0 = remover na hora)'
+    },
+    access_mode: {
+        type: DataTypes.STRING(20),
+        defaultValue: 'invite_link',
+        comment: 'Acesso aos grupos: invite_link (link de uso único) ou join_request (pedido aprovado pelo bot)'
+    },
+    reconciliation_mode: {
+        type: DataTypes.STRING(20),
+        defaultValue: 'flag',
+        comment: 'Membros sem assinatura encontrados na conferência: flag (apenas sinalizar) ou remove (remover)'
     }
 }, {
-    tableName: 'bots'
+    tableName: 'bots',
+    indexes: [
+        { fields: ['token_hash'] }
+    ],
+    hooks: {
+        beforeSave: (bot) => {
+            if (bot.changed('token') && !VaultService.isEncrypted(bot.token)) {
+                bot.token_hash = VaultService.hash(bot.token);
+                bot.token = VaultService.encrypt(bot.token);
+            }
+        }
+    }
 });
 
 // Hide token in JSON output
 Bot.prototype.toJSON = function () {
     const values = { ...this.get() };
-    values.token = values.token ? values.token.substring(0, 15) + '...hidden' : null;
+    values.token = VaultService.mask(values.token);
+    delete values.token_hash;
     return values;
 };
 
@@ -0,0 +1,43 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const BotChat = sequelize.define('BotChat', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    bot_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'bots',
+            key: 'id'
+        }
+    },
+    chat_id: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        comment: 'ID do chat no Telegram (-100...)'
+    },
+    title: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
+    type: {
+        type: DataTypes.ENUM('channel', 'group', 'discussion'),
+        defaultValue: 'channel',
+        comment: 'discussion = grupo de comentários do canal'
+    },
+    status: {
+        type: DataTypes.ENUM('active', 'inactive'),
+        defaultValue: 'active'
+    }
+}, {
+    tableName: 'bot_chats',
+    indexes: [
+        { unique: true, fields: ['bot_id', 'chat_id'] }
+    ]
+});
+
+module.exports = BotChat;
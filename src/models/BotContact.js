@@ -0,0 +1,68 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const BotContact = sequelize.define('BotContact', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    bot_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'bots',
+            key: 'id'
+        }
+    },
+    user_telegram_id: {
+        type: DataTypes.BIGINT,
+        allowNull: false
+    },
+    user_name: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
+    user_telegram_username: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
+    first_seen_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        comment: 'Primeira conversa com o bot'
+    },
+    last_interaction_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        comment: 'Última mensagem ou clique no bot (atualizado a cada poucos minutos)'
+    },
+    coupon_code: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        comment: 'Cupom aplicado no chat (/cupom ou link), usado nos próximos checkouts'
+    },
+    broadcast_ref: {
+        type: DataTypes.STRING(30),
+        allowNull: true,
+        comment: 'Ref do último botão de transmissão que abriu o bot (atribuição das compras)'
+    },
+    broadcast_ref_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Quando o broadcast_ref foi aberto'
+    },
+    welcome_variant: {
+        type: DataTypes.STRING(5),
+        allowNull: true,
+        comment: 'Variante da mensagem de boas-vindas vista (teste A/B)'
+    }
+}, {
+    tableName: 'bot_contacts',
+    indexes: [
+        { unique: true, fields: ['bot_id', 'user_telegram_id'] },
+        { fields: ['bot_id', 'last_interaction_at'] }
+    ]
+});
+
+module.exports = BotContact;
@@ -9,32 +9,96 @@ const Broadcast = sequelize.define('Broadcast', {
     },
     status: {
         type: DataTypes.STRING,
-        defaultValue: 'draft' // draft, queued, processing, completed, failed
+        defaultValue: 'draft' // draft, scheduled, paused, cancelled, queued, sending, completed, failed
+    },
+    user_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Quem criou o envio (admin ou criador)'
+    },
+    scope: {
+        type: DataTypes.STRING(20),
+        defaultValue: 'creator',
+        comment: 'platform = todos os bots ativos (admin) | creator = bots do criador'
+    },
+    bot_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Bot específico; null = todos os bots do escopo'
     },
     type: {
         type: DataTypes.STRING,
         defaultValue: 'text' // text, photo, video, audio
     },
 
-    // Filters
+    // Filters (legacy: converted to criteria when no segment is set)
     filter_status: DataTypes.STRING, // vips, new, expired, pending, all
     filter_behavior: DataTypes.STRING, // upsellers, downsellers, order_bump, all
-    filter_origin: DataTypes.STRING, // packages, premium, all
+    filter_origin: DataTypes.STRING, // packages, premium, all - replaced by criteria.plan_ids
+
+    // Audience: saved segment (its current criteria) or the criteria sent with the broadcast
+    segment_id: {
+        type: DataTypes.UUID,
+        allowNull: true
+    },
+    criteria: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        comment: 'Critérios do público no momento do envio (ver AudienceService)'
+    },
 
     // Content
     message_text: DataTypes.TEXT,
     media_url: DataTypes.STRING,
     button_text: DataTypes.STRING,
     button_url: DataTypes.STRING,
+    buttons: DataTypes.JSONB, // [{ text, url }] or [{ text, plan_id }] (buy button)
 
-    // Stats
+    // A/B test (AbTestService): the content above is variant A
+    variants: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        comment: 'Variantes: [{ key, percent, type, message_text, media_url, buttons }]; null = sem teste'
+    },
+    ab_test: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        comment: 'Envio do vencedor ao restante: { test_percent, after_hours, metric }; null = só divisão'
+    },
+    winner_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Quando o vencedor é escolhido (fim da janela do teste)'
+    },
+    winner_variant: {
+        type: DataTypes.STRING(5),
+        allowNull: true
+    },
+
+    // Stats (funnel details: BroadcastAnalyticsService)
     total_recipients: { type: DataTypes.INTEGER, defaultValue: 0 },
-    sent_count: { type: DataTypes.INTEGER, defaultValue: 0 },
+    sent_count: { type: DataTypes.INTEGER, defaultValue: 0 }, // delivered
+    blocked_count: { type: DataTypes.INTEGER, defaultValue: 0 }, // user blocked the bot
     failed_count: { type: DataTypes.INTEGER, defaultValue: 0 },
-    total_sent: { type: DataTypes.INTEGER, defaultValue: 0 },
-    total_failed: { type: DataTypes.INTEGER, defaultValue: 0 },
+    click_count: { type: DataTypes.INTEGER, defaultValue: 0 },
 
+    // Schedule (status 'scheduled'): next run, in the timezone of the bot
     scheduled_at: DataTypes.DATE,
+    timezone: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        comment: 'Fuso horário do agendamento (IANA, ex.: America/Sao_Paulo)'
+    },
+    recurrence: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        comment: 'Campanha recorrente: { days: [0-6], time: HH:MM }; null = envio único'
+    },
+    parent_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Campanha recorrente que gerou este envio'
+    },
     sent_at: DataTypes.DATE,
     completed_at: DataTypes.DATE,
     error_log: DataTypes.TEXT
@@ -9,18 +9,48 @@ const BroadcastItem = sequelize.define('BroadcastItem', {
     },
     status: {
         type: DataTypes.STRING,
-        defaultValue: 'pending' // pending, sent, failed
+        defaultValue: 'pending' // held (A/B test: waits for the winner), pending, sent (delivered), blocked (user blocked the bot), failed
     },
     broadcast_id: {
         type: DataTypes.INTEGER,
         allowNull: false
     },
+    bot_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Bot que envia a mensagem'
+    },
     user_telegram_id: DataTypes.STRING,
+    variant: {
+        type: DataTypes.STRING(5),
+        allowNull: true,
+        comment: 'Variante do teste A/B enviada'
+    },
+    attempts: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+        comment: 'Falhas temporárias (rede, erro do Telegram) já tentadas'
+    },
+    next_attempt_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Não enviar antes (retry_after do Telegram ou nova tentativa)'
+    },
+    sent_at: DataTypes.DATE,
+    clicked_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Primeiro clique em um botão do envio'
+    },
+    click_count: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0
+    },
     error_message: DataTypes.TEXT
 }, {
     tableName: 'broadcast_items',
     indexes: [
-        { fields: ['status'] },
+        { fields: ['status', 'next_attempt_at'] },
         { fields: ['broadcast_id'] }
     ]
 });
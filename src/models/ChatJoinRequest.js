@@ -0,0 +1,65 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const ChatJoinRequest = sequelize.define('ChatJoinRequest', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    bot_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'bots',
+            key: 'id'
+        }
+    },
+    chat_id: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+    },
+    chat_title: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
+    user_telegram_id: {
+        type: DataTypes.BIGINT,
+        allowNull: false
+    },
+    user_name: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
+    user_telegram_username: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
+    invite_link: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        comment: 'Link usado no pedido (identifica de onde o link vazou)'
+    },
+    subscription_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Assinatura que liberou o acesso'
+    },
+    decision: {
+        type: DataTypes.ENUM('approved', 'declined'),
+        allowNull: false
+    },
+    reason: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        comment: 'Motivo da recusa: no_subscription, chat_not_granted, error'
+    }
+}, {
+    tableName: 'chat_join_requests',
+    indexes: [
+        { fields: ['bot_id', 'created_at'] },
+        { fields: ['user_telegram_id'] }
+    ]
+});
+
+module.exports = ChatJoinRequest;
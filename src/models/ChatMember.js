@@ -0,0 +1,72 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const ChatMember = sequelize.define('ChatMember', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    bot_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'bots',
+            key: 'id'
+        }
+    },
+    chat_id: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+    },
+    user_telegram_id: {
+        type: DataTypes.BIGINT,
+        allowNull: false
+    },
+    user_name: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
+    user_telegram_username: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
+    status: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        comment: 'Status no Telegram: creator, administrator, member, restricted, left, kicked'
+    },
+    joined_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    left_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    removal_status: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+        comment: 'Reconciliação: flagged (sem assinatura), failed (remoção falhou), removed'
+    },
+    removal_attempts: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0
+    },
+    last_error: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    flagged_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'chat_members',
+    indexes: [
+        { unique: true, fields: ['bot_id', 'chat_id', 'user_telegram_id'] },
+        { fields: ['bot_id', 'status'] }
+    ]
+});
+
+module.exports = ChatMember;
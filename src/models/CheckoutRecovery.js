@@ -0,0 +1,68 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const CheckoutRecovery = sequelize.define('CheckoutRecovery', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    bot_id: {
+        type: DataTypes.UUID,
+        allowNull: false
+    },
+    plan_id: {
+        type: DataTypes.UUID,
+        allowNull: true
+    },
+    subscription_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        comment: 'Checkout pendente sendo recuperado (atualizado se o usuário gerar um novo pelo link de recuperação)'
+    },
+    user_telegram_id: {
+        type: DataTypes.BIGINT,
+        allowNull: false
+    },
+    abandoned_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        comment: 'Quando o checkout original foi criado (base para os atrasos da sequência)'
+    },
+    step: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+        comment: 'Quantidade de etapas da sequência já enviadas'
+    },
+    last_step_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    coupon_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Último cupom de desconto gerado pela sequência'
+    },
+    status: {
+        type: DataTypes.ENUM('active', 'recovered', 'exhausted', 'cancelled'),
+        defaultValue: 'active'
+    },
+    recovered_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    recovered_amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true,
+        comment: 'Valor bruto pago após a recuperação'
+    }
+}, {
+    tableName: 'checkout_recoveries',
+    indexes: [
+        { fields: ['subscription_id'] },
+        { fields: ['bot_id', 'status'] },
+        { fields: ['user_telegram_id'] }
+    ]
+});
+
+module.exports = CheckoutRecovery;
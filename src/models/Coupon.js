@@ -0,0 +1,99 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Coupon = sequelize.define('Coupon', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    user_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        comment: 'Criador dono do cupom'
+    },
+    bot_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'bots',
+            key: 'id'
+        },
+        comment: 'Bot onde o cupom vale (null = todos os bots do criador)'
+    },
+    plan_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'plans',
+            key: 'id'
+        },
+        comment: 'Plano onde o cupom vale (null = todos os planos)'
+    },
+    code: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        comment: 'Código do cupom (sempre em maiúsculas)'
+    },
+    description: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
+    discount_type: {
+        type: DataTypes.ENUM('percentage', 'fixed'),
+        allowNull: false,
+        defaultValue: 'percentage'
+    },
+    discount_value: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        comment: 'Percentual (0-100) ou valor fixo em Reais'
+    },
+    expires_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    max_uses: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Limite total de usos (null = ilimitado)'
+    },
+    max_uses_per_user: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Limite de usos por usuário do Telegram (null = ilimitado)'
+    },
+    user_telegram_id: {
+        type: DataTypes.BIGINT,
+        allowNull: true,
+        comment: 'Cupom exclusivo de um usuário (ex: gerado pela recuperação de checkout)'
+    },
+    first_purchase_only: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false,
+        comment: 'Válido apenas para quem nunca comprou nos bots do criador'
+    },
+    status: {
+        type: DataTypes.ENUM('active', 'inactive'),
+        defaultValue: 'active'
+    }
+}, {
+    tableName: 'coupons',
+    indexes: [
+        { unique: true, fields: ['user_id', 'code'] },
+        { fields: ['bot_id'] }
+    ],
+    hooks: {
+        beforeValidate: (coupon) => {
+            if (coupon.code) {
+                coupon.code = coupon.code.trim().toUpperCase();
+            }
+        }
+    }
+});
+
+module.exports = Coupon;
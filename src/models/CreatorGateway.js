@@ -0,0 +1,79 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const VaultService = require('../services/VaultService');
+
+const CreatorGateway = sequelize.define('CreatorGateway', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    user_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        comment: 'Criador dono das credenciais'
+    },
+    gateway: {
+        type: DataTypes.ENUM('asaas', 'mercadopago', 'stripe', 'pushinpay', 'syncpay', 'paradisepag'),
+        allowNull: false
+    },
+    api_token: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        comment: 'Token de API do gateway (texto ou JSON com campos extras), criptografado'
+    },
+    priority: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Ordem de tentativa no checkout (menor primeiro); os seguintes são usados se o anterior falhar'
+    },
+    payment_methods: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        comment: 'Meios roteados para este gateway (pix, credit_card, boleto); null = todos os que ele aceita'
+    },
+    status: {
+        type: DataTypes.ENUM('active', 'inactive'),
+        defaultValue: 'active'
+    },
+    health_status: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+        comment: 'Resultado da última validação das credenciais: ok | invalid'
+    },
+    health_error: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Motivo retornado pelo gateway quando as credenciais são recusadas'
+    },
+    last_checked_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'creator_gateways',
+    indexes: [
+        { unique: true, fields: ['user_id', 'gateway'] }
+    ],
+    hooks: {
+        beforeSave: (gateway) => {
+            if (gateway.changed('api_token')) {
+                gateway.api_token = VaultService.encrypt(gateway.api_token);
+            }
+        }
+    }
+});
+
+// Only the end of the token in API output
+CreatorGateway.prototype.toJSON = function () {
+    const values = { ...this.get() };
+    values.api_token = VaultService.mask(values.api_token);
+    return values;
+};
+
+module.exports = CreatorGateway;
@@ -0,0 +1,64 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const MembershipReport = sequelize.define('MembershipReport', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    bot_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'bots',
+            key: 'id'
+        }
+    },
+    mode: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        comment: 'flag ou remove (configuração do bot no momento da execução)'
+    },
+    members_checked: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0
+    },
+    unauthorized: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+        comment: 'Membros sem assinatura ativa'
+    },
+    flagged: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0
+    },
+    removed: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0
+    },
+    failed: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0
+    },
+    details: {
+        type: DataTypes.JSONB,
+        defaultValue: [],
+        comment: '[{ chat_id, user_telegram_id, user_name, action, error }]'
+    },
+    started_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    finished_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'membership_reports',
+    indexes: [
+        { fields: ['bot_id', 'created_at'] }
+    ]
+});
+
+module.exports = MembershipReport;
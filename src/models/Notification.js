@@ -0,0 +1,48 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Notification = sequelize.define('Notification', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    user_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        comment: 'Criador notificado'
+    },
+    type: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        comment: 'refund, chargeback, gateway_credentials, ...'
+    },
+    title: {
+        type: DataTypes.STRING(255),
+        allowNull: false
+    },
+    message: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    data: {
+        type: DataTypes.JSONB,
+        defaultValue: {},
+        comment: 'IDs relacionados (assinatura, transação, bot...)'
+    },
+    read_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'notifications',
+    indexes: [
+        { fields: ['user_id', 'read_at'] }
+    ]
+});
+
+module.exports = Notification;
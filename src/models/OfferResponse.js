@@ -0,0 +1,54 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const OfferResponse = sequelize.define('OfferResponse', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    offer_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'plan_offers',
+            key: 'id'
+        }
+    },
+    bot_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        comment: 'Bot onde a oferta foi exibida (usado nos filtros de broadcast)'
+    },
+    type: {
+        type: DataTypes.ENUM('order_bump', 'upsell', 'downsell'),
+        allowNull: false
+    },
+    user_telegram_id: {
+        type: DataTypes.BIGINT,
+        allowNull: false
+    },
+    response: {
+        type: DataTypes.ENUM('accepted', 'declined'),
+        allowNull: false
+    },
+    subscription_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Assinatura gerada pela compra da oferta'
+    },
+    paid_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Quando o pagamento da oferta foi confirmado'
+    }
+}, {
+    tableName: 'offer_responses',
+    indexes: [
+        { fields: ['user_telegram_id'] },
+        { fields: ['bot_id', 'type'] },
+        { fields: ['subscription_id'] }
+    ]
+});
+
+module.exports = OfferResponse;
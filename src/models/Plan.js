@@ -29,6 +29,11 @@ const Plan = sequelize.define('Plan', {
         allowNull: false,
         comment: 'Valor em Reais'
     },
+    price_stars: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Valor em Telegram Stars (null = não vende por Stars)'
+    },
     duration_days: {
         type: DataTypes.INTEGER,
         allowNull: false,
@@ -0,0 +1,33 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const PlanChat = sequelize.define('PlanChat', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    plan_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'plans',
+            key: 'id'
+        }
+    },
+    bot_chat_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'bot_chats',
+            key: 'id'
+        }
+    }
+}, {
+    tableName: 'plan_chats',
+    indexes: [
+        { unique: true, fields: ['plan_id', 'bot_chat_id'] }
+    ]
+});
+
+module.exports = PlanChat;
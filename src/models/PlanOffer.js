@@ -0,0 +1,62 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const PlanOffer = sequelize.define('PlanOffer', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    plan_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'plans',
+            key: 'id'
+        },
+        comment: 'Plano ao qual a oferta está vinculada'
+    },
+    type: {
+        type: DataTypes.ENUM('order_bump', 'upsell', 'downsell'),
+        allowNull: false,
+        comment: 'order_bump = antes do pagamento, upsell/downsell = após a compra'
+    },
+    name: {
+        type: DataTypes.STRING(255),
+        allowNull: false
+    },
+    description: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    price: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        comment: 'Valor da oferta em Reais'
+    },
+    offer_plan_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'plans',
+            key: 'id'
+        },
+        comment: 'Plano liberado ao aceitar upsell/downsell'
+    },
+    delivery_message: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Mensagem/link entregue após o pagamento do order bump'
+    },
+    status: {
+        type: DataTypes.ENUM('active', 'inactive'),
+        defaultValue: 'active'
+    }
+}, {
+    tableName: 'plan_offers',
+    indexes: [
+        { fields: ['plan_id', 'type'] }
+    ]
+});
+
+module.exports = PlanOffer;
@@ -0,0 +1,36 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Segment = sequelize.define('Segment', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    user_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        comment: 'Criador (ou admin) dono do segmento'
+    },
+    name: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+    },
+    criteria: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {},
+        comment: 'Critérios do público (ver AudienceService.validateCriteria)'
+    }
+}, {
+    tableName: 'segments',
+    indexes: [
+        { fields: ['user_id'] }
+    ]
+});
+
+module.exports = Segment;
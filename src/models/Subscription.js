@@ -33,8 +33,9 @@ const Subscription = sequelize.define('Subscription', {
         allowNull: true
     },
     gateway: {
-        type: DataTypes.ENUM('asaas', 'mercadopago', 'stripe', 'pushinpay', 'syncpay', 'paradisepag'),
-        allowNull: false
+        type: DataTypes.ENUM('asaas', 'mercadopago', 'stripe', 'pushinpay', 'syncpay', 'paradisepag', 'stars', 'manual'),
+        allowNull: false,
+        comment: 'manual = acesso liberado pelo criador, sem pagamento'
     },
     gateway_subscription_id: {
         type: DataTypes.STRING(255),
@@ -46,9 +47,21 @@ const Subscription = sequelize.define('Subscription', {
         allowNull: true,
         comment: 'ID do cliente no Gateway'
     },
+    external_reference: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        comment: 'Referência enviada ao gateway no checkout'
+    },
+    renewal_mode: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+        validate: { isIn: [['native', 'scheduled']] },
+        comment: 'native = assinatura no gateway, scheduled = cobrança PIX emitida antes de cada ciclo, null = sem renovação automática'
+    },
     status: {
-        type: DataTypes.ENUM('pending', 'active', 'expired', 'cancelled', 'failed'),
-        defaultValue: 'pending'
+        type: DataTypes.ENUM('pending', 'active', 'past_due', 'expired', 'cancelled', 'failed', 'renewed'),
+        defaultValue: 'pending',
+        comment: 'past_due = vencida, em carência (membro ainda no canal); renewed = substituída por renovação/troca de plano'
     },
     starts_at: {
         type: DataTypes.DATE,
@@ -61,12 +74,24 @@ const Subscription = sequelize.define('Subscription', {
     cancelled_at: {
         type: DataTypes.DATE,
         allowNull: true
+    },
+    grace_ends_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Fim da carência (remoção do canal após esta data)'
+    },
+    dunning_step: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+        comment: 'Cobranças enviadas durante a carência atual'
     }
 }, {
     tableName: 'subscriptions',
     indexes: [
         { fields: ['user_telegram_id'] },
         { fields: ['plan_id'] },
+        { fields: ['external_reference'] },
+        { fields: ['gateway_subscription_id'] },
         { fields: ['status'] }
     ]
 });
@@ -0,0 +1,65 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const SubscriptionHistory = sequelize.define('SubscriptionHistory', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    subscription_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        comment: 'Assinatura ativada/estendida'
+    },
+    previous_subscription_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Assinatura substituída pela renovação ou troca de plano'
+    },
+    transaction_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Pagamento que gerou a extensão'
+    },
+    user_telegram_id: {
+        type: DataTypes.BIGINT,
+        allowNull: false
+    },
+    action: {
+        type: DataTypes.ENUM('activation', 'renewal', 'upgrade', 'downgrade', 'extension', 'revocation', 'reduction'),
+        allowNull: false,
+        comment: 'extension/revocation = ações manuais do criador; reduction = período encurtado por estorno'
+    },
+    plan_id: {
+        type: DataTypes.UUID,
+        allowNull: true
+    },
+    previous_plan_id: {
+        type: DataTypes.UUID,
+        allowNull: true
+    },
+    previous_expires_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Vencimento antes da extensão'
+    },
+    expires_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Vencimento após a extensão (null = vitalício)'
+    },
+    credited_days: {
+        type: DataTypes.DECIMAL(8, 2),
+        defaultValue: 0,
+        comment: 'Dias creditados pelo tempo restante do plano anterior (pro-rata)'
+    }
+}, {
+    tableName: 'subscription_history',
+    indexes: [
+        { fields: ['subscription_id'] },
+        { fields: ['user_telegram_id'] }
+    ]
+});
+
+module.exports = SubscriptionHistory;
@@ -0,0 +1,35 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const SubscriptionReminder = sequelize.define('SubscriptionReminder', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    subscription_id: {
+        type: DataTypes.UUID,
+        allowNull: false
+    },
+    days_before: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'Etapa do lembrete (dias antes do vencimento, 0 = no dia)'
+    },
+    expires_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        comment: 'Vencimento lembrado (após renovar, o novo período recebe os lembretes de novo)'
+    },
+    sent_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+    }
+}, {
+    tableName: 'subscription_reminders',
+    indexes: [
+        { unique: true, fields: ['subscription_id', 'days_before', 'expires_at'] }
+    ]
+});
+
+module.exports = SubscriptionReminder;
@@ -16,7 +16,7 @@ const Transaction = sequelize.define('Transaction', {
         }
     },
     gateway: {
-        type: DataTypes.ENUM('asaas', 'mercadopago', 'stripe'),
+        type: DataTypes.ENUM('asaas', 'mercadopago', 'stripe', 'pushinpay', 'syncpay', 'paradisepag', 'stars'),
         allowNull: false
     },
     gateway_payment_id: {
@@ -44,6 +44,16 @@ const Transaction = sequelize.define('Transaction', {
         allowNull: false,
         comment: 'Taxa da plataforma'
     },
+    coupon_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Cupom aplicado na transação'
+    },
+    amount_discount: {
+        type: DataTypes.DECIMAL(10, 2),
+        defaultValue: 0,
+        comment: 'Desconto aplicado (já descontado do valor bruto)'
+    },
     payment_method: {
         type: DataTypes.ENUM('pix', 'credit_card', 'boleto', 'undefined'),
         defaultValue: 'undefined'
@@ -54,7 +64,7 @@ const Transaction = sequelize.define('Transaction', {
         comment: 'Status retornado pelo gateway'
     },
     status: {
-        type: DataTypes.ENUM('pending', 'confirmed', 'failed', 'refunded'),
+        type: DataTypes.ENUM('pending', 'confirmed', 'failed', 'refunded', 'chargeback'),
         defaultValue: 'pending'
     },
     paid_at: {
@@ -65,6 +75,16 @@ const Transaction = sequelize.define('Transaction', {
         type: DataTypes.DATE,
         allowNull: true
     },
+    amount_refunded: {
+        type: DataTypes.DECIMAL(10, 2),
+        defaultValue: 0,
+        comment: 'Valor estornado (parcial ou total)'
+    },
+    platform_fee_reversed: {
+        type: DataTypes.DECIMAL(10, 2),
+        defaultValue: 0,
+        comment: 'Parte da taxa da plataforma devolvida no estorno/chargeback'
+    },
     metadata: {
         type: DataTypes.JSONB,
         defaultValue: {},
@@ -75,6 +95,7 @@ const Transaction = sequelize.define('Transaction', {
     indexes: [
         { fields: ['subscription_id'] },
         { fields: ['gateway_payment_id'] },
+        { fields: ['coupon_id'] },
         { fields: ['status'] }
     ]
 });
@@ -1,6 +1,7 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
 const bcrypt = require('bcryptjs');
+const VaultService = require('../services/VaultService');
 
 const User = sequelize.define('User', {
     id: {
@@ -107,13 +108,23 @@ const User = sequelize.define('User', {
     gateway_api_token: {
         type: DataTypes.TEXT,
         allowNull: true,
-        comment: 'Token de API do gateway escolhido pelo criador'
+        comment: 'Token de API do gateway principal do criador (criptografado)'
+    },
+    telegram_id: {
+        type: DataTypes.BIGINT,
+        allowNull: true,
+        comment: 'ID do Telegram do criador - recebe alertas pelos seus bots'
     },
     webhook_url: {
         type: DataTypes.STRING(500),
         allowNull: true,
         comment: 'URL exclusiva de webhook do criador'
     },
+    webhook_secret: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+        comment: 'Token secreto nas URLs de webhook dos gateways sem assinatura'
+    },
     status: {
         type: DataTypes.ENUM('active', 'paused', 'banned'),
         defaultValue: 'active'
@@ -125,11 +136,15 @@ const User = sequelize.define('User', {
             if (user.password_hash) {
                 user.password_hash = await bcrypt.hash(user.password_hash, 10);
             }
+            user.gateway_api_token = VaultService.encrypt(user.gateway_api_token);
         },
         beforeUpdate: async (user) => {
             if (user.changed('password_hash')) {
                 user.password_hash = await bcrypt.hash(user.password_hash, 10);
             }
+            if (user.changed('gateway_api_token')) {
+                user.gateway_api_token = VaultService.encrypt(user.gateway_api_token);
+            }
         }
     }
 });
@@ -142,7 +157,11 @@ User.prototype.validatePassword = async function (password) {
 User.prototype.toJSON = function () {
     const values = { ...this.get() };
     delete values.password_hash;
-    // Keep gateway_api_token visible for the user to edit their settings
+    delete values.webhook_secret;
+    // Only the end of the token, to identify which one is configured
+    if ('gateway_api_token' in values) {
+        values.gateway_api_token = VaultService.mask(values.gateway_api_token);
+    }
     return values;
 };
 
@@ -0,0 +1,62 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const WebhookEvent = sequelize.define('WebhookEvent', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    gateway: {
+        type: DataTypes.STRING(30),
+        allowNull: false
+    },
+    dedupe_key: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        comment: 'ID do evento no gateway (ou hash do payload) para descartar reenvios'
+    },
+    event_type: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+    },
+    payload: {
+        type: DataTypes.JSONB,
+        allowNull: false
+    },
+    user_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Criador autenticado pelo token da URL do webhook'
+    },
+    status: {
+        type: DataTypes.ENUM('pending', 'processing', 'processed', 'failed'),
+        defaultValue: 'pending'
+    },
+    attempts: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0
+    },
+    last_error: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    next_retry_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Próxima tentativa (null = sem novas tentativas)'
+    },
+    processed_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'webhook_events',
+    indexes: [
+        { unique: true, fields: ['gateway', 'dedupe_key'] },
+        { fields: ['status', 'next_retry_at'] },
+        { fields: ['created_at'] }
+    ]
+});
+
+module.exports = WebhookEvent;
@@ -7,6 +7,22 @@ const Transaction = require('./Transaction');
 const Setting = require('./Setting');
 const Broadcast = require('./Broadcast');
 const BroadcastItem = require('./BroadcastItem');
+const PlanOffer = require('./PlanOffer');
+const OfferResponse = require('./OfferResponse');
+const Coupon = require('./Coupon');
+const CheckoutRecovery = require('./CheckoutRecovery');
+const SubscriptionReminder = require('./SubscriptionReminder');
+const SubscriptionHistory = require('./SubscriptionHistory');
+const BotChat = require('./BotChat');
+const PlanChat = require('./PlanChat');
+const ChatJoinRequest = require('./ChatJoinRequest');
+const ChatMember = require('./ChatMember');
+const MembershipReport = require('./MembershipReport');
+const Notification = require('./Notification');
+const WebhookEvent = require('./WebhookEvent');
+const CreatorGateway = require('./CreatorGateway');
+const BotContact = require('./BotContact');
+const Segment = require('./Segment');
 
 // Define Associations
 
@@ -14,10 +30,33 @@ const BroadcastItem = require('./BroadcastItem');
 User.hasMany(Bot, { foreignKey: 'user_id', as: 'bots' });
 Bot.belongsTo(User, { foreignKey: 'user_id', as: 'owner' });
 
+// User -> Payment gateways with priority and method routing (1:N)
+User.hasMany(CreatorGateway, { foreignKey: 'user_id', as: 'gateways' });
+CreatorGateway.belongsTo(User, { foreignKey: 'user_id', as: 'owner' });
+
 // Bot -> Plans (1:N)
 Bot.hasMany(Plan, { foreignKey: 'bot_id', as: 'plans' });
 Plan.belongsTo(Bot, { foreignKey: 'bot_id', as: 'bot' });
 
+// Bot -> Gated chats (channels, groups, discussion groups)
+Bot.hasMany(BotChat, { foreignKey: 'bot_id', as: 'chats' });
+BotChat.belongsTo(Bot, { foreignKey: 'bot_id', as: 'bot' });
+
+// Plan <-> Chats it grants access to (N:N)
+Plan.belongsToMany(BotChat, { through: PlanChat, foreignKey: 'plan_id', otherKey: 'bot_chat_id', as: 'chats' });
+BotChat.belongsToMany(Plan, { through: PlanChat, foreignKey: 'bot_chat_id', otherKey: 'plan_id', as: 'plans' });
+
+// Bot -> Join requests approved/declined (1:N)
+Bot.hasMany(ChatJoinRequest, { foreignKey: 'bot_id', as: 'joinRequests' });
+ChatJoinRequest.belongsTo(Bot, { foreignKey: 'bot_id', as: 'bot' });
+ChatJoinRequest.belongsTo(Subscription, { foreignKey: 'subscription_id', as: 'subscription' });
+
+// Bot -> Members seen in its chats and reconciliation reports (1:N)
+Bot.hasMany(ChatMember, { foreignKey: 'bot_id', as: 'members' });
+ChatMember.belongsTo(Bot, { foreignKey: 'bot_id', as: 'bot' });
+Bot.hasMany(MembershipReport, { foreignKey: 'bot_id', as: 'membershipReports' });
+MembershipReport.belongsTo(Bot, { foreignKey: 'bot_id', as: 'bot' });
+
 // Plan -> Subscriptions (1:N)
 Plan.hasMany(Subscription, { foreignKey: 'plan_id', as: 'subscriptions' });
 Subscription.belongsTo(Plan, { foreignKey: 'plan_id', as: 'plan' });
@@ -26,22 +65,152 @@ Subscription.belongsTo(Plan, { foreignKey: 'plan_id', as: 'plan' });
 Subscription.hasMany(Transaction, { foreignKey: 'subscription_id', as: 'transactions' });
 Transaction.belongsTo(Subscription, { foreignKey: 'subscription_id', as: 'subscription' });
 
+// Plan -> Offers (1:N) - order bump, upsell, downsell
+Plan.hasMany(PlanOffer, { foreignKey: 'plan_id', as: 'offers' });
+PlanOffer.belongsTo(Plan, { foreignKey: 'plan_id', as: 'plan' });
+PlanOffer.belongsTo(Plan, { foreignKey: 'offer_plan_id', as: 'offerPlan' });
+
+// Offer -> Responses (1:N)
+PlanOffer.hasMany(OfferResponse, { foreignKey: 'offer_id', as: 'responses' });
+OfferResponse.belongsTo(PlanOffer, { foreignKey: 'offer_id', as: 'offer' });
+
+// User -> Coupons (1:N)
+User.hasMany(Coupon, { foreignKey: 'user_id', as: 'coupons' });
+Coupon.belongsTo(User, { foreignKey: 'user_id', as: 'owner' });
+Coupon.belongsTo(Bot, { foreignKey: 'bot_id', as: 'bot' });
+Coupon.belongsTo(Plan, { foreignKey: 'plan_id', as: 'plan' });
+
+// Coupon -> Transactions (1:N)
+Coupon.hasMany(Transaction, { foreignKey: 'coupon_id', as: 'transactions' });
+Transaction.belongsTo(Coupon, { foreignKey: 'coupon_id', as: 'coupon' });
+
+// Abandoned checkout recovery
+CheckoutRecovery.belongsTo(Subscription, { foreignKey: 'subscription_id', as: 'subscription' });
+CheckoutRecovery.belongsTo(Bot, { foreignKey: 'bot_id', as: 'bot' });
+CheckoutRecovery.belongsTo(Plan, { foreignKey: 'plan_id', as: 'plan' });
+
+// Subscription -> Renewal reminders sent (1:N)
+Subscription.hasMany(SubscriptionReminder, { foreignKey: 'subscription_id', as: 'reminders' });
+SubscriptionReminder.belongsTo(Subscription, { foreignKey: 'subscription_id', as: 'subscription' });
+
+// Subscription -> Extensions history (1:N)
+Subscription.hasMany(SubscriptionHistory, { foreignKey: 'subscription_id', as: 'history' });
+SubscriptionHistory.belongsTo(Subscription, { foreignKey: 'subscription_id', as: 'subscription' });
+SubscriptionHistory.belongsTo(Subscription, { foreignKey: 'previous_subscription_id', as: 'previousSubscription' });
+SubscriptionHistory.belongsTo(Transaction, { foreignKey: 'transaction_id', as: 'transaction' });
+
+// User -> In-app notifications (1:N)
+User.hasMany(Notification, { foreignKey: 'user_id', as: 'notifications' });
+Notification.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
 // Sync all models
 // Broadcast -> BroadcastItems (1:N)
 Broadcast.hasMany(BroadcastItem, { foreignKey: 'broadcast_id', as: 'items' });
 BroadcastItem.belongsTo(Broadcast, { foreignKey: 'broadcast_id', as: 'broadcast' });
 
+// Bot -> People who talked to the bot (broadcast audiences)
+Bot.hasMany(BotContact, { foreignKey: 'bot_id', as: 'contacts' });
+BotContact.belongsTo(Bot, { foreignKey: 'bot_id', as: 'bot' });
+
+// User -> Saved broadcast segments (1:N)
+User.hasMany(Segment, { foreignKey: 'user_id', as: 'segments' });
+Segment.belongsTo(User, { foreignKey: 'user_id', as: 'owner' });
+Broadcast.belongsTo(Segment, { foreignKey: 'segment_id', as: 'segment' });
+
 async function syncDatabase(force = false) {
     try {
         await sequelize.sync({ force });
 
         // Manual schema updates (migrations)
-        try {
-            await sequelize.query('ALTER TABLE bots ADD COLUMN IF NOT EXISTS anti_cloning BOOLEAN DEFAULT true;');
-            console.log('✅ Schema updated: anti_cloning column verified.');
-        } catch (e) {
-            console.log('ℹ️ Schema update note:', e.message);
+        // sync() does not alter existing tables, so new columns are added here
+        const migrations = [
+            'ALTER TABLE bots ADD COLUMN IF NOT EXISTS anti_cloning BOOLEAN DEFAULT true;',
+            'ALTER TABLE transactions ADD COLUMN IF NOT EXISTS coupon_id UUID;',
+            'ALTER TABLE transactions ADD COLUMN IF NOT EXISTS amount_discount DECIMAL(10,2) DEFAULT 0;',
+            'ALTER TABLE bots ADD COLUMN IF NOT EXISTS recovery_enabled BOOLEAN DEFAULT false;',
+            'ALTER TABLE bots ADD COLUMN IF NOT EXISTS recovery_steps JSONB;',
+            'ALTER TABLE coupons ADD COLUMN IF NOT EXISTS user_telegram_id BIGINT;',
+            'ALTER TABLE bots ADD COLUMN IF NOT EXISTS reminders_enabled BOOLEAN DEFAULT true;',
+            'ALTER TABLE bots ADD COLUMN IF NOT EXISTS reminder_steps JSONB;',
+            'ALTER TABLE bots ADD COLUMN IF NOT EXISTS grace_period_days INTEGER DEFAULT 0;',
+            "ALTER TYPE enum_subscriptions_status ADD VALUE IF NOT EXISTS 'past_due';",
+            'ALTER TABLE subscriptions ADD COLUMN IF NOT EXISTS grace_ends_at TIMESTAMP WITH TIME ZONE;',
+            'ALTER TABLE subscriptions ADD COLUMN IF NOT EXISTS dunning_step INTEGER DEFAULT 0;',
+            "ALTER TYPE enum_subscriptions_status ADD VALUE IF NOT EXISTS 'renewed';",
+            'ALTER TABLE subscriptions ADD COLUMN IF NOT EXISTS external_reference VARCHAR(255);',
+            'ALTER TABLE subscriptions ADD COLUMN IF NOT EXISTS renewal_mode VARCHAR(20);',
+            'CREATE INDEX IF NOT EXISTS subscriptions_external_reference ON subscriptions (external_reference);',
+            'CREATE INDEX IF NOT EXISTS subscriptions_gateway_subscription_id ON subscriptions (gateway_subscription_id);',
+            "ALTER TABLE bots ADD COLUMN IF NOT EXISTS access_mode VARCHAR(20) DEFAULT 'invite_link';",
+            "ALTER TABLE bots ADD COLUMN IF NOT EXISTS reconciliation_mode VARCHAR(20) DEFAULT 'flag';",
+            "ALTER TYPE enum_subscriptions_gateway ADD VALUE IF NOT EXISTS 'manual';",
+            "ALTER TYPE enum_transactions_gateway ADD VALUE IF NOT EXISTS 'pushinpay';",
+            "ALTER TYPE enum_transactions_gateway ADD VALUE IF NOT EXISTS 'syncpay';",
+            "ALTER TYPE enum_transactions_gateway ADD VALUE IF NOT EXISTS 'paradisepag';",
+            "ALTER TYPE enum_subscription_history_action ADD VALUE IF NOT EXISTS 'extension';",
+            "ALTER TYPE enum_subscription_history_action ADD VALUE IF NOT EXISTS 'revocation';",
+            "ALTER TYPE enum_subscription_history_action ADD VALUE IF NOT EXISTS 'reduction';",
+            "ALTER TYPE enum_transactions_status ADD VALUE IF NOT EXISTS 'chargeback';",
+            'ALTER TABLE transactions ADD COLUMN IF NOT EXISTS amount_refunded DECIMAL(10,2) DEFAULT 0;',
+            'ALTER TABLE transactions ADD COLUMN IF NOT EXISTS platform_fee_reversed DECIMAL(10,2) DEFAULT 0;',
+            'ALTER TABLE users ADD COLUMN IF NOT EXISTS webhook_secret VARCHAR(64);',
+            'ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS user_id UUID;',
+            'ALTER TABLE plans ADD COLUMN IF NOT EXISTS price_stars INTEGER;',
+            "ALTER TYPE enum_subscriptions_gateway ADD VALUE IF NOT EXISTS 'stars';",
+            "ALTER TYPE enum_transactions_gateway ADD VALUE IF NOT EXISTS 'stars';",
+            'ALTER TABLE bots ADD COLUMN IF NOT EXISTS token_hash VARCHAR(64);',
+            'ALTER TABLE users ADD COLUMN IF NOT EXISTS telegram_id BIGINT;',
+            'ALTER TABLE creator_gateways ADD COLUMN IF NOT EXISTS health_status VARCHAR(20);',
+            'ALTER TABLE creator_gateways ADD COLUMN IF NOT EXISTS health_error TEXT;',
+            'ALTER TABLE creator_gateways ADD COLUMN IF NOT EXISTS last_checked_at TIMESTAMP WITH TIME ZONE;',
+            'ALTER TABLE broadcasts ADD COLUMN IF NOT EXISTS user_id UUID;',
+            "ALTER TABLE broadcasts ADD COLUMN IF NOT EXISTS scope VARCHAR(20) DEFAULT 'creator';",
+            'ALTER TABLE broadcasts ADD COLUMN IF NOT EXISTS bot_id UUID;',
+            'ALTER TABLE broadcasts ADD COLUMN IF NOT EXISTS buttons JSONB;',
+            'ALTER TABLE broadcast_items ADD COLUMN IF NOT EXISTS bot_id UUID;',
+            'ALTER TABLE broadcast_items ADD COLUMN IF NOT EXISTS attempts INTEGER DEFAULT 0;',
+            'ALTER TABLE broadcast_items ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMP WITH TIME ZONE;',
+            'ALTER TABLE broadcast_items ADD COLUMN IF NOT EXISTS sent_at TIMESTAMP WITH TIME ZONE;',
+            'CREATE INDEX IF NOT EXISTS broadcast_items_status_next_attempt_at ON broadcast_items (status, next_attempt_at);',
+            'ALTER TABLE broadcasts ADD COLUMN IF NOT EXISTS timezone VARCHAR(50);',
+            'ALTER TABLE broadcasts ADD COLUMN IF NOT EXISTS recurrence JSONB;',
+            'ALTER TABLE broadcasts ADD COLUMN IF NOT EXISTS parent_id INTEGER;',
+            "ALTER TABLE bots ADD COLUMN IF NOT EXISTS timezone VARCHAR(50) DEFAULT 'America/Sao_Paulo';",
+            'ALTER TABLE broadcasts ADD COLUMN IF NOT EXISTS segment_id UUID;',
+            'ALTER TABLE broadcasts ADD COLUMN IF NOT EXISTS criteria JSONB;',
+            'ALTER TABLE broadcasts ADD COLUMN IF NOT EXISTS blocked_count INTEGER DEFAULT 0;',
+            'ALTER TABLE broadcasts ADD COLUMN IF NOT EXISTS click_count INTEGER DEFAULT 0;',
+            // Old admin broadcasts counted in total_sent / total_failed (columns no longer used, absent on new databases)
+            `DO $$ BEGIN
+                IF (SELECT COUNT(*) FROM information_schema.columns
+                    WHERE table_name = 'broadcasts' AND column_name IN ('total_sent', 'total_failed')) = 2 THEN
+                    UPDATE broadcasts SET sent_count = total_sent, failed_count = total_failed
+                    WHERE sent_count = 0 AND failed_count = 0 AND (total_sent > 0 OR total_failed > 0);
+                END IF;
+            END $$;`,
+            'ALTER TABLE broadcast_items ADD COLUMN IF NOT EXISTS clicked_at TIMESTAMP WITH TIME ZONE;',
+            'ALTER TABLE broadcast_items ADD COLUMN IF NOT EXISTS click_count INTEGER DEFAULT 0;',
+            'ALTER TABLE broadcasts ADD COLUMN IF NOT EXISTS variants JSONB;',
+            'ALTER TABLE broadcasts ADD COLUMN IF NOT EXISTS ab_test JSONB;',
+            'ALTER TABLE broadcasts ADD COLUMN IF NOT EXISTS winner_at TIMESTAMP WITH TIME ZONE;',
+            'ALTER TABLE broadcasts ADD COLUMN IF NOT EXISTS winner_variant VARCHAR(5);',
+            'ALTER TABLE broadcast_items ADD COLUMN IF NOT EXISTS variant VARCHAR(5);',
+            'ALTER TABLE bots ADD COLUMN IF NOT EXISTS welcome_variants JSONB;',
+            'ALTER TABLE bots ADD COLUMN IF NOT EXISTS welcome_test_started_at TIMESTAMP WITH TIME ZONE;',
+            'ALTER TABLE bot_contacts ADD COLUMN IF NOT EXISTS welcome_variant VARCHAR(5);',
+            'ALTER TABLE bot_contacts ADD COLUMN IF NOT EXISTS coupon_code VARCHAR(50);',
+            'ALTER TABLE bot_contacts ADD COLUMN IF NOT EXISTS broadcast_ref VARCHAR(30);',
+            'ALTER TABLE bot_contacts ADD COLUMN IF NOT EXISTS broadcast_ref_at TIMESTAMP WITH TIME ZONE;'
+        ];
+
+        for (const statement of migrations) {
+            try {
+                await sequelize.query(statement);
+            } catch (e) {
+                console.log('ℹ️ Schema update note:', e.message);
+            }
         }
+        console.log('✅ Schema updated: manual migrations verified.');
 
         console.log('✅ Database synchronized successfully.');
     } catch (error) {
@@ -60,6 +229,22 @@ module.exports = {
     Setting,
     Broadcast,
     BroadcastItem,
+    PlanOffer,
+    OfferResponse,
+    Coupon,
+    CheckoutRecovery,
+    SubscriptionReminder,
+    SubscriptionHistory,
+    BotChat,
+    PlanChat,
+    ChatJoinRequest,
+    ChatMember,
+    MembershipReport,
+    Notification,
+    WebhookEvent,
+    CreatorGateway,
+    BotContact,
+    Segment,
     syncDatabase
 };
 
@@ -11,6 +11,10 @@ const CheckoutController = require('../controllers/CheckoutController');
 const WebhookController = require('../controllers/WebhookController');
 const StatsController = require('../controllers/StatsController');
 const BroadcastController = require('../controllers/BroadcastController');
+const CouponController = require('../controllers/CouponController');
+const SegmentController = require('../controllers/SegmentController');
+const SubscriberController = require('../controllers/SubscriberController');
+const NotificationController = require('../controllers/NotificationController');
 
 // ============================================
 // PUBLIC ROUTES
@@ -24,6 +28,10 @@ router.post('/auth/login', AuthController.login);
 router.post('/checkout/link', CheckoutController.generateLink);
 router.post('/checkout/create', CheckoutController.generateLink); // Alias for frontend compatibility
 router.get('/checkout/status/:subscriptionId', CheckoutController.checkStatus);
+router.post('/checkout/coupon', CheckoutController.validateCoupon);
+
+// Broadcast link buttons (public - counts the click and redirects)
+router.get('/r/:token/:button', BroadcastController.redirect);
 
 // Plans (public - for viewing on creator profile)
 router.get('/plans/:id', PlanController.get);
@@ -159,11 +167,15 @@ router.get('/bots/public/:botUsername', async (req, res) => {
 // ============================================
 
 router.post('/webhooks/asaas', WebhookController.handleAsaas);
-router.post('/webhooks/mercadopago', WebhookController.handleMercadoPago);
-router.post('/webhooks/pushinpay', WebhookController.handlePushinPay);
-router.post('/webhooks/syncpay', WebhookController.handleSyncPay);
-router.post('/webhooks/paradisepag', WebhookController.handleParadisePag);
-router.post('/webhooks/telegram/:token', WebhookController.handleTelegram);
+router.post('/webhooks/mercadopago', WebhookController.handleMercadoPago); // Platform account (signed)
+router.post('/webhooks/mercadopago/:token', WebhookController.handleMercadoPago); // Creator accounts
+router.post('/webhooks/pushinpay', WebhookController.handlePushinPay); // Legacy URL (no token) - rejected
+router.post('/webhooks/pushinpay/:token', WebhookController.handlePushinPay);
+router.post('/webhooks/syncpay', WebhookController.handleSyncPay); // Legacy URL (no token) - rejected
+router.post('/webhooks/syncpay/:token', WebhookController.handleSyncPay);
+router.post('/webhooks/paradisepag', WebhookController.handleParadisePag); // Legacy URL (no token) - rejected
+router.post('/webhooks/paradisepag/:token', WebhookController.handleParadisePag);
+router.post('/webhooks/telegram/:botId', WebhookController.handleTelegram);
 
 // Stripe needs raw body, handled separately in app.js
 
@@ -174,6 +186,9 @@ router.post('/webhooks/telegram/:token', WebhookController.handleTelegram);
 // Auth protected
 router.get('/auth/me', authMiddleware, AuthController.me);
 router.put('/auth/gateway', authMiddleware, AuthController.updateGateway);
+router.get('/auth/gateways', authMiddleware, AuthController.listGateways);
+router.put('/auth/gateways/:gateway', authMiddleware, AuthController.saveGateway);
+router.delete('/auth/gateways/:gateway', authMiddleware, AuthController.removeGateway);
 
 // Onboarding & Promotion
 router.post('/auth/complete-onboarding', authMiddleware, AuthController.completeOnboarding);
@@ -189,6 +204,7 @@ router.put('/auth/password', authMiddleware, AuthController.changePassword);
 // Stats
 router.get('/stats', authMiddleware, StatsController.getCreatorStats);
 router.get('/stats/ranking', authMiddleware, StatsController.getRanking);
+router.get('/stats/recovery', authMiddleware, StatsController.getRecoveryStats);
 
 // Bots
 router.get('/bots', authMiddleware, BotController.list);
@@ -196,12 +212,43 @@ router.get('/bots/:id', authMiddleware, BotController.get);
 router.post('/bots/connect', authMiddleware, BotController.connect);
 router.put('/bots/:id', authMiddleware, BotController.update);
 router.delete('/bots/:id', authMiddleware, BotController.delete);
+router.get('/bots/:id/chats', authMiddleware, BotController.listChats);
+router.post('/bots/:id/chats', authMiddleware, BotController.addChat);
+router.delete('/bots/:id/chats/:chatId', authMiddleware, BotController.removeChat);
+router.get('/bots/:id/join-requests', authMiddleware, BotController.listJoinRequests);
+router.get('/bots/:id/reconciliation', authMiddleware, BotController.getReconciliation);
+router.get('/bots/:id/welcome-stats', authMiddleware, BotController.getWelcomeStats);
+router.post('/bots/:id/reconciliation', authMiddleware, BotController.runReconciliation);
 
 // Plans
 router.get('/plans', authMiddleware, PlanController.list);
 router.post('/plans', authMiddleware, PlanController.create);
 router.put('/plans/:id', authMiddleware, PlanController.update);
 router.delete('/plans/:id', authMiddleware, PlanController.delete);
+router.put('/plans/:id/chats', authMiddleware, PlanController.setChats);
+
+// Plan offers (order bump, upsell, downsell)
+router.get('/plans/:id/offers', authMiddleware, PlanController.listOffers);
+router.put('/plans/:id/offers/:type', authMiddleware, PlanController.saveOffer);
+router.delete('/plans/:id/offers/:type', authMiddleware, PlanController.deleteOffer);
+
+// Coupons
+router.get('/coupons', authMiddleware, CouponController.list);
+router.post('/coupons', authMiddleware, CouponController.create);
+router.put('/coupons/:id', authMiddleware, CouponController.update);
+router.delete('/coupons/:id', authMiddleware, CouponController.delete);
+
+// Subscribers (manual grant, extension, revocation and refund)
+router.get('/subscribers', authMiddleware, SubscriberController.list);
+router.get('/subscribers/:id', authMiddleware, SubscriberController.get);
+router.post('/subscribers', authMiddleware, SubscriberController.grant);
+router.post('/subscribers/:id/extend', authMiddleware, SubscriberController.extend);
+router.post('/subscribers/:id/revoke', authMiddleware, SubscriberController.revoke);
+router.post('/subscribers/:id/refund', authMiddleware, SubscriberController.refund);
+
+// Notifications
+router.get('/notifications', authMiddleware, NotificationController.list);
+router.post('/notifications/read', authMiddleware, NotificationController.markRead);
 
 // ============================================
 // ADMIN ROUTES
@@ -351,6 +398,7 @@ router.get('/admin/settings', authMiddleware, adminMiddleware, async (req, res)
             // Mercado Pago
             mp_access_token: settingsObj.mp_access_token || '',
             mp_public_key: settingsObj.mp_public_key || '',
+            mp_webhook_secret: settingsObj.mp_webhook_secret || '',
             // SyncPay
             syncpay_api_key: settingsObj.syncpay_api_key || '',
             syncpay_platform_recipient_id: settingsObj.syncpay_platform_recipient_id || '',
@@ -378,7 +426,7 @@ router.put('/admin/settings', authMiddleware, adminMiddleware, async (req, res)
         promotionContactLink, supportTelegramLink, enableRegistration,
         requireEmailVerification, maintenanceMode, fixed_fee_amount, gateway, walletId,
         pushinpay_api_token, asaas_api_key, asaas_webhook_token,
-        mp_access_token, mp_public_key,
+        mp_access_token, mp_public_key, mp_webhook_secret,
         syncpay_api_key, syncpay_platform_recipient_id, syncpay_default_recipient_id,
         paradisepag_public_key, paradisepag_secret_key
     } = req.body;
@@ -408,6 +456,7 @@ router.put('/admin/settings', authMiddleware, adminMiddleware, async (req, res)
         // Mercado Pago
         if (mp_access_token !== undefined) await Setting.upsert({ key: 'mp_access_token', value: mp_access_token });
         if (mp_public_key !== undefined) await Setting.upsert({ key: 'mp_public_key', value: mp_public_key });
+        if (mp_webhook_secret !== undefined) await Setting.upsert({ key: 'mp_webhook_secret', value: mp_webhook_secret });
 
         // SyncPay
         if (syncpay_api_key !== undefined) await Setting.upsert({ key: 'syncpay_api_key', value: syncpay_api_key });
@@ -462,6 +511,11 @@ router.put('/admin/legal', authMiddleware, adminMiddleware, async (req, res) =>
     }
 });
 
+// Admin: Webhook events (inspect / replay)
+router.get('/admin/webhooks', authMiddleware, adminMiddleware, WebhookController.listEvents);
+router.get('/admin/webhooks/:id', authMiddleware, adminMiddleware, WebhookController.getEvent);
+router.post('/admin/webhooks/:id/replay', authMiddleware, adminMiddleware, WebhookController.replayEvent);
+
 // Admin: Broadcasts (Mailing)
 router.post('/admin/broadcasts', authMiddleware, adminMiddleware, BroadcastController.createAdminBroadcast);
 router.get('/admin/broadcasts', authMiddleware, adminMiddleware, BroadcastController.list);
@@ -469,6 +523,20 @@ router.delete('/admin/broadcasts/:id', authMiddleware, adminMiddleware, Broadcas
 
 // Creator: Broadcasts (Mailing para criadores)
 router.post('/creator/broadcasts', authMiddleware, BroadcastController.createCreatorBroadcast);
+router.get('/creator/broadcasts', authMiddleware, BroadcastController.listOwn);
+router.get('/broadcasts/:id', authMiddleware, BroadcastController.getStatus);
+router.get('/broadcasts/:id/stats', authMiddleware, BroadcastController.getStats);
+router.put('/broadcasts/:id', authMiddleware, BroadcastController.update);
+router.post('/broadcasts/:id/pause', authMiddleware, BroadcastController.pause);
+router.post('/broadcasts/:id/resume', authMiddleware, BroadcastController.resume);
+router.post('/broadcasts/:id/cancel', authMiddleware, BroadcastController.cancel);
+
+// Broadcast segments (saved audiences and preview)
+router.post('/segments/preview', authMiddleware, SegmentController.preview);
+router.get('/segments', authMiddleware, SegmentController.list);
+router.post('/segments', authMiddleware, SegmentController.create);
+router.put('/segments/:id', authMiddleware, SegmentController.update);
+router.delete('/segments/:id', authMiddleware, SegmentController.delete);
 
 module.exports = router;
 
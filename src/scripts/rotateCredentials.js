@@ -0,0 +1,58 @@
+const { sequelize, User, Bot, CreatorGateway } = require('../models');
+const VaultService = require('../services/VaultService');
+
+/**
+ * Re-encrypt stored credentials with the current CREDENTIALS_KEY
+ * Plaintext rows (stored before encryption) and rows encrypted with a key
+ * from CREDENTIALS_PREVIOUS_KEYS are rewritten; the others are left untouched
+ *
+ * Run with: npm run credentials:rotate
+ */
+async function rotateCredentials() {
+    try {
+        console.log('🔐 Rotating credentials...');
+        await sequelize.authenticate();
+
+        // Model -> encrypted field (the model hooks encrypt the plaintext on save)
+        const targets = [
+            { model: User, field: 'gateway_api_token' },
+            { model: CreatorGateway, field: 'api_token' },
+            { model: Bot, field: 'token' }
+        ];
+
+        let failed = 0;
+
+        for (const { model, field } of targets) {
+            const rows = await model.findAll({ attributes: ['id', field] });
+            let rotated = 0;
+
+            for (const row of rows) {
+                if (!VaultService.needsRotation(row[field])) continue;
+
+                try {
+                    row.set(field, VaultService.decrypt(row[field]));
+                    await row.save();
+                    rotated++;
+                } catch (error) {
+                    console.error(`❌ ${model.name} ${row.id}: ${error.message}`);
+                    failed++;
+                }
+            }
+
+            console.log(`✅ ${model.name}.${field}: ${rotated} of ${rows.length} rows re-encrypted`);
+        }
+
+        if (failed > 0) {
+            console.log(`\n⚠️  ${failed} rows could not be rotated (is the key that encrypted them in CREDENTIALS_PREVIOUS_KEYS?)\n`);
+            process.exit(1);
+        }
+
+        console.log('\n🎉 Rotation completed. Previous keys can be removed from CREDENTIALS_PREVIOUS_KEYS.\n');
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Rotation error:', error);
+        process.exit(1);
+    }
+}
+
+rotateCredentials();
@@ -0,0 +1,302 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { sequelize, Broadcast, BroadcastItem, BotContact, Transaction } = require('../models');
+const BroadcastAnalyticsService = require('./BroadcastAnalyticsService');
+
+const VARIANT_KEYS = ['A', 'B', 'C', 'D', 'E'];
+const METRICS = ['conversion', 'click'];
+
+/**
+ * A/B Test Service
+ * Variants of a broadcast or of the bot's welcome message, split across the audience by percentage
+ *
+ * - Broadcasts: recipients are shuffled and cut by the percentages of the variants. In winner mode only
+ *   test_percent of them gets the test; after_hours later the best variant goes to the remainder
+ * - Welcome message: each user always sees the same variant (hash of bot + user), saved on the contact
+ *
+ * Conversions use the checkout attribution: broadcast ref (variant of the recipient) or the
+ * welcome variant of the contact (transaction metadata.welcome_variant)
+ */
+class AbTestService {
+    /**
+     * Validate the variants of a test
+     * @param {Array} variants - [{ percent, ...content }] (2 to 5, percents adding up to 100)
+     * @param {Function} parseContent - Validates the content of a variant, returns { error?, content? }
+     * @returns {object} { valid, error?, variants? } - variants: [{ key, percent, ...content }]
+     */
+    validateVariants(variants, parseContent) {
+        if (!Array.isArray(variants) || variants.length < 2 || variants.length > VARIANT_KEYS.length) {
+            return { valid: false, error: `Informe de 2 a ${VARIANT_KEYS.length} variantes` };
+        }
+
+        const parsed = [];
+        for (const [index, variant] of variants.entries()) {
+            const key = VARIANT_KEYS[index];
+
+            const percent = Number(variant?.percent);
+            if (!Number.isInteger(percent) || percent < 1 || percent > 99) {
+                return { valid: false, error: `Variante ${key}: percentual deve ser de 1 a 99` };
+            }
+
+            const { error, content } = parseContent(variant);
+            if (error) {
+                return { valid: false, error: `Variante ${key}: ${error}` };
+            }
+
+            parsed.push({ key, percent, ...content });
+        }
+
+        if (parsed.reduce((sum, variant) => sum + variant.percent, 0) !== 100) {
+            return { valid: false, error: 'Os percentuais das variantes devem somar 100' };
+        }
+
+        return { valid: true, variants: parsed };
+    }
+
+    /**
+     * Validate the "send the winner to the remainder" mode of a broadcast test
+     * @param {object} abTest - { test_percent: 10-90, after_hours: 1-72, metric: 'conversion' | 'click' }
+     * @returns {object} { valid, error?, abTest? }
+     */
+    validateWinnerMode(abTest) {
+        const testPercent = Number(abTest?.test_percent);
+        if (!Number.isInteger(testPercent) || testPercent < 10 || testPercent > 90) {
+            return { valid: false, error: 'Percentual do teste deve ser de 10 a 90' };
+        }
+
+        const afterHours = Number(abTest.after_hours);
+        if (!Number.isInteger(afterHours) || afterHours < 1 || afterHours > 72) {
+            return { valid: false, error: 'O vencedor deve ser enviado de 1 a 72 horas após o teste' };
+        }
+
+        const metric = abTest.metric || 'conversion';
+        if (!METRICS.includes(metric)) {
+            return { valid: false, error: 'Métrica do vencedor deve ser conversion ou click' };
+        }
+
+        return { valid: true, abTest: { test_percent: testPercent, after_hours: afterHours, metric } };
+    }
+
+    /**
+     * Split the queue items of a broadcast between its variants (items are changed in place)
+     * Winner mode: items out of the test get status 'held' until the winner is chosen
+     */
+    assignVariants(items, variants, abTest) {
+        // Fisher-Yates: the split must not follow the order of bots or contacts
+        for (let i = items.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [items[i], items[j]] = [items[j], items[i]];
+        }
+
+        const testSize = abTest
+            ? Math.min(items.length, Math.max(variants.length, Math.round(items.length * abTest.test_percent / 100)))
+            : items.length;
+
+        let start = 0;
+        let cumulative = 0;
+        for (const variant of variants) {
+            cumulative += variant.percent;
+            const end = Math.round(testSize * cumulative / 100);
+            for (let i = start; i < end; i++) items[i].variant = variant.key;
+            start = end;
+        }
+
+        for (let i = testSize; i < items.length; i++) items[i].status = 'held';
+
+        return items;
+    }
+
+    /**
+     * Content sent to a recipient: its variant, or the broadcast itself
+     * @returns {object} { type, message_text, media_url, buttons }
+     */
+    getBroadcastContent(broadcast, variantKey) {
+        const variant = variantKey && (broadcast.variants || []).find(v => v.key === variantKey);
+        const source = variant || broadcast;
+
+        const legacyButton = !variant && broadcast.button_text && broadcast.button_url
+            ? [{ text: broadcast.button_text, url: broadcast.button_url }]
+            : [];
+
+        return {
+            type: source.type,
+            message_text: source.message_text,
+            media_url: source.media_url,
+            buttons: source.buttons?.length > 0 ? source.buttons : legacyButton
+        };
+    }
+
+    /**
+     * Variant of a user, always the same for the same seed (e.g. botId:telegramId)
+     */
+    pickForUser(variants, seed) {
+        const bucket = parseInt(crypto.createHash('sha256').update(String(seed)).digest('hex').slice(0, 8), 16) % 100;
+
+        let cumulative = 0;
+        for (const variant of variants) {
+            cumulative += variant.percent;
+            if (bucket < cumulative) return variant;
+        }
+
+        return variants[variants.length - 1];
+    }
+
+    /**
+     * Best variant by the metric of the test (ties: the other rate, then the first variant)
+     * @param {Array} variants - Variant stats from BroadcastAnalyticsService.getStats
+     */
+    pickWinner(variants, metric) {
+        const other = metric === 'click' ? 'conversion' : 'click';
+
+        return variants.reduce((best, variant) => {
+            if (variant.rates[metric] !== best.rates[metric]) {
+                return variant.rates[metric] > best.rates[metric] ? variant : best;
+            }
+            return variant.rates[other] > best.rates[other] ? variant : best;
+        });
+    }
+
+    /**
+     * Send the winner of the broadcast tests whose window is over to the held recipients
+     */
+    async processWinners() {
+        const due = await Broadcast.findAll({
+            where: {
+                status: 'sending',
+                winner_variant: null,
+                winner_at: { [Op.lte]: new Date() }
+            }
+        });
+
+        for (const broadcast of due) {
+            try {
+                await this.sendWinner(broadcast);
+            } catch (error) {
+                console.error(`[AbTestService] Error choosing winner of broadcast ${broadcast.id}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Choose the winner of a broadcast and release the held recipients with it
+     */
+    async sendWinner(broadcast) {
+        const { variants } = await BroadcastAnalyticsService.getStats(broadcast);
+        const winner = this.pickWinner(variants, broadcast.ab_test.metric);
+
+        await sequelize.transaction(async (transaction) => {
+            const [updated] = await Broadcast.update(
+                { winner_variant: winner.key },
+                { where: { id: broadcast.id, winner_variant: null }, transaction }
+            );
+            if (updated === 0) return;
+
+            const [released] = await BroadcastItem.update(
+                { status: 'pending', variant: winner.key },
+                { where: { broadcast_id: broadcast.id, status: 'held' }, transaction }
+            );
+
+            console.log(`[AbTestService] Broadcast #${broadcast.id}: variant ${winner.key} won, sending to ${released} recipients`);
+        });
+    }
+
+    /**
+     * Save the welcome variant shown to a contact (counts as a view of the variant)
+     * Never throws - stats must not break the bot
+     */
+    recordWelcomeView(botId, from, variantKey) {
+        BotContact.findOrCreate({
+            where: { bot_id: botId, user_telegram_id: from.id },
+            defaults: {
+                user_name: [from.first_name, from.last_name].filter(Boolean).join(' ') || null,
+                user_telegram_username: from.username || null,
+                first_seen_at: new Date(),
+                last_interaction_at: new Date(),
+                welcome_variant: variantKey
+            }
+        })
+            .then(([contact]) => contact.welcome_variant !== variantKey && contact.update({ welcome_variant: variantKey }))
+            .catch(error => console.error(`[AbTestService] Error saving welcome variant of ${from.id}:`, error.message));
+    }
+
+    /**
+     * Welcome variant seen by a buyer (checkout attribution), null without a running test
+     */
+    async getWelcomeVariant(bot, telegramId) {
+        const variants = bot?.welcome_variants || [];
+        if (variants.length === 0 || !telegramId) return null;
+
+        const contact = await BotContact.findOne({
+            where: { bot_id: bot.id, user_telegram_id: telegramId },
+            attributes: ['id', 'welcome_variant']
+        });
+
+        return variants.some(variant => variant.key === contact?.welcome_variant) ? contact.welcome_variant : null;
+    }
+
+    /**
+     * Start a new welcome test: views of the previous variants are discarded
+     * (their purchases are left out by the bot's welcome_test_started_at)
+     */
+    async resetWelcomeViews(botId) {
+        await BotContact.update(
+            { welcome_variant: null },
+            { where: { bot_id: botId, welcome_variant: { [Op.ne]: null } } }
+        );
+    }
+
+    /**
+     * Views, purchases and conversion of each welcome variant of a bot
+     * Only purchases since the current test started count: keys A-E repeat from one test to the next
+     */
+    async getWelcomeStats(bot) {
+        const variants = bot.welcome_variants || [];
+        const keys = variants.map(variant => variant.key);
+        if (keys.length === 0) return { variants: [] };
+
+        const views = await BotContact.findAll({
+            where: { bot_id: bot.id, welcome_variant: { [Op.in]: keys } },
+            attributes: ['welcome_variant', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+            group: ['welcome_variant'],
+            raw: true
+        });
+        const viewsByKey = Object.fromEntries(views.map(row => [row.welcome_variant, parseInt(row.count)]));
+
+        const transactions = await Transaction.findAll({
+            where: {
+                status: 'confirmed',
+                'metadata.welcome_variant': { [Op.in]: keys },
+                ...(bot.welcome_test_started_at && { created_at: { [Op.gte]: bot.welcome_test_started_at } })
+            },
+            attributes: ['id', 'amount_gross', 'amount_refunded', 'metadata'],
+            include: [{
+                association: 'subscription',
+                required: true,
+                attributes: [],
+                include: [{ association: 'plan', required: true, attributes: [], where: { bot_id: bot.id } }]
+            }]
+        });
+
+        return {
+            started_at: bot.welcome_test_started_at,
+            variants: variants.map(variant => {
+                const sales = transactions.filter(transaction => transaction.metadata.welcome_variant === variant.key);
+                const viewCount = viewsByKey[variant.key] || 0;
+                const revenue = sales.reduce((sum, transaction) =>
+                    sum + parseFloat(transaction.amount_gross) - parseFloat(transaction.amount_refunded || 0), 0);
+
+                return {
+                    key: variant.key,
+                    percent: variant.percent,
+                    message: variant.message,
+                    views: viewCount,
+                    purchases: sales.length,
+                    revenue: Math.round(revenue * 100) / 100,
+                    conversion: viewCount > 0 ? Math.round(sales.length / viewCount * 10000) / 100 : 0
+                };
+            })
+        };
+    }
+}
+
+module.exports = new AbTestService();
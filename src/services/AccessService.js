@@ -0,0 +1,300 @@
+const { Op } = require('sequelize');
+const { Subscription, BotChat, ChatJoinRequest, ChatMember } = require('../models');
+
+/**
+ * Access Service
+ * Telegram chats (channels, groups, discussion groups) granted by each plan
+ */
+class AccessService {
+    /**
+     * Get the chats a plan grants access to
+     * Plans without chats fall back to the bot's single channel_id (legacy setup)
+     * @returns {Array} [{ chat_id, title, type }]
+     */
+    async getPlanChats(planId, bot) {
+        const chats = planId ? await BotChat.findAll({
+            where: { bot_id: bot.id, status: 'active' },
+            include: [{
+                association: 'plans',
+                where: { id: planId },
+                attributes: [],
+                required: true
+            }],
+            order: [['created_at', 'ASC']]
+        }) : [];
+
+        if (chats.length > 0) {
+            return chats.map(c => ({ chat_id: c.chat_id, title: c.title, type: c.type }));
+        }
+
+        return bot.channel_id ? [{ chat_id: bot.channel_id, title: 'Grupo VIP', type: 'channel' }] : [];
+    }
+
+    /**
+     * Chats still granted to a user by other running subscriptions on the bot
+     * (e.g. cancelling "Basic" must not remove the channel also granted by "Premium")
+     */
+    async getChatsStillGranted(telegramId, bot, excludeSubscriptionId) {
+        const subscriptions = await Subscription.findAll({
+            where: {
+                user_telegram_id: telegramId.toString(),
+                status: { [Op.in]: ['active', 'past_due'] },
+                id: { [Op.ne]: excludeSubscriptionId }
+            },
+            include: [{
+                association: 'plan',
+                where: { bot_id: bot.id },
+                required: true
+            }]
+        });
+
+        const granted = new Set();
+        for (const subscription of subscriptions) {
+            const chats = await this.getPlanChats(subscription.plan_id, bot);
+            chats.forEach(c => granted.add(c.chat_id));
+        }
+
+        return granted;
+    }
+
+    /**
+     * Unban the member where needed and create invite links for every chat of the plan
+     * - invite_link mode: single-use link valid for 1 hour
+     * - join_request mode: link that only sends a join request (approved by handleJoinRequest)
+     * @param {object} telegram - Telegraf telegram client of the bot
+     * @returns {Array} [{ title, type, link }]
+     */
+    async grantAccess(telegram, subscription, bot) {
+        const chats = await this.getPlanChats(subscription.plan_id, bot);
+        const links = [];
+
+        const linkOptions = bot.access_mode === 'join_request'
+            ? {
+                creates_join_request: true,
+                name: `Assinante ${subscription.user_telegram_id}`.slice(0, 32),
+                expire_date: Math.floor(Date.now() / 1000) + 86400 // 24 hours
+            }
+            : {
+                member_limit: 1,
+                expire_date: Math.floor(Date.now() / 1000) + 3600 // 1 hour
+            };
+
+        for (const chat of chats) {
+            try {
+                await telegram.unbanChatMember(chat.chat_id, subscription.user_telegram_id, { only_if_banned: true });
+
+                const invite = await telegram.createChatInviteLink(chat.chat_id, linkOptions);
+
+                links.push({ title: chat.title || 'Grupo VIP', type: chat.type, link: invite.invite_link });
+            } catch (error) {
+                console.error(`[AccessService] Error creating invite link for chat ${chat.chat_id}:`, error.message);
+            }
+        }
+
+        return links;
+    }
+
+    /**
+     * Find the running subscription that grants a user access to a chat
+     * @returns {object} { subscription, reason? } - reason is set when access is denied
+     */
+    async findGrantingSubscription(telegramId, bot, chatId) {
+        const subscriptions = await Subscription.findAll({
+            where: {
+                user_telegram_id: telegramId.toString(),
+                status: { [Op.in]: ['active', 'past_due'] }
+            },
+            include: [{
+                association: 'plan',
+                where: { bot_id: bot.id },
+                required: true
+            }],
+            order: [['expires_at', 'DESC']]
+        });
+
+        if (subscriptions.length === 0) {
+            return { subscription: null, reason: 'no_subscription' };
+        }
+
+        for (const subscription of subscriptions) {
+            const chats = await this.getPlanChats(subscription.plan_id, bot);
+            if (chats.some(c => c.chat_id.toString() === chatId.toString())) {
+                return { subscription };
+            }
+        }
+
+        return { subscription: null, reason: 'chat_not_granted' };
+    }
+
+    /**
+     * Approve a chat join request of a subscriber, decline everyone else
+     * Every decision is logged (declines show leaked links)
+     * @param {object} request - Telegram ChatJoinRequest update
+     * @returns {object} ChatJoinRequest log entry
+     */
+    async handleJoinRequest(telegram, bot, request) {
+        const chatId = request.chat.id.toString();
+        const userId = request.from.id;
+
+        let { subscription, reason } = await this.findGrantingSubscription(userId, bot, chatId);
+        let decision = subscription ? 'approved' : 'declined';
+
+        try {
+            if (decision === 'approved') {
+                await telegram.approveChatJoinRequest(chatId, userId);
+            } else {
+                await telegram.declineChatJoinRequest(chatId, userId);
+            }
+        } catch (error) {
+            console.error(`[AccessService] Error answering join request of ${userId} in ${chatId}:`, error.message);
+            decision = 'declined';
+            reason = 'error';
+        }
+
+        const log = await ChatJoinRequest.create({
+            bot_id: bot.id,
+            chat_id: chatId,
+            chat_title: request.chat.title || null,
+            user_telegram_id: userId,
+            user_name: [request.from.first_name, request.from.last_name].filter(Boolean).join(' ') || null,
+            user_telegram_username: request.from.username || null,
+            invite_link: request.invite_link?.name || request.invite_link?.invite_link || null,
+            subscription_id: subscription?.id || null,
+            decision,
+            reason: decision === 'declined' ? reason : null
+        });
+
+        console.log(`[AccessService] Join request of ${userId} in ${chatId} ${decision}${reason ? ` (${reason})` : ''}`);
+        return log;
+    }
+
+    /**
+     * Remove the member from every chat of the subscription's plan
+     * Chats granted by another running subscription are kept
+     * @returns {number} Chats the member was removed from
+     */
+    async revokeAccess(telegram, subscription, bot) {
+        const chats = await this.getPlanChats(subscription.plan_id, bot);
+        const stillGranted = await this.getChatsStillGranted(subscription.user_telegram_id, bot, subscription.id);
+
+        let removed = 0;
+        for (const chat of chats) {
+            if (stillGranted.has(chat.chat_id)) continue;
+
+            const result = await this.removeMember(telegram, bot, chat.chat_id, subscription.user_telegram_id);
+            if (result.removed) removed++;
+        }
+
+        return removed;
+    }
+
+    /**
+     * Ban + unban a member (removes without blocking a future rejoin)
+     * The outcome is recorded on the tracked member so failed removals are retried by the reconciliation
+     * @returns {object} { removed, error? }
+     */
+    async removeMember(telegram, bot, chatId, telegramId) {
+        const where = { bot_id: bot.id, chat_id: chatId.toString(), user_telegram_id: telegramId.toString() };
+
+        try {
+            await telegram.banChatMember(chatId, telegramId);
+            // Unban immediately to allow rejoining if they renew
+            await telegram.unbanChatMember(chatId, telegramId);
+
+            await ChatMember.update({
+                status: 'left',
+                left_at: new Date(),
+                removal_status: 'removed',
+                last_error: null
+            }, { where });
+
+            return { removed: true };
+        } catch (error) {
+            console.error(`[AccessService] Error removing ${telegramId} from chat ${chatId}:`, error.message);
+
+            const [member] = await ChatMember.findOrCreate({
+                where,
+                defaults: { status: 'member' }
+            });
+            await member.update({
+                removal_status: 'failed',
+                removal_attempts: (member.removal_attempts || 0) + 1,
+                last_error: error.message
+            });
+
+            return { removed: false, error: error.message };
+        }
+    }
+
+    /**
+     * Track a member from a Telegram chat_member update
+     * (Telegram doesn't list channel members, so this is the only source for the reconciliation)
+     */
+    async trackMember(bot, update) {
+        const user = update.new_chat_member.user;
+        if (user.is_bot) return null;
+
+        const status = update.new_chat_member.status;
+        const isMember = ['creator', 'administrator', 'member'].includes(status) ||
+            (status === 'restricted' && update.new_chat_member.is_member);
+        const when = new Date(update.date * 1000);
+
+        const [member, created] = await ChatMember.findOrCreate({
+            where: {
+                bot_id: bot.id,
+                chat_id: update.chat.id.toString(),
+                user_telegram_id: user.id.toString()
+            },
+            defaults: { status }
+        });
+
+        const rejoined = isMember && (created || member.left_at || !member.joined_at);
+
+        await member.update({
+            status,
+            user_name: [user.first_name, user.last_name].filter(Boolean).join(' ') || member.user_name,
+            user_telegram_username: user.username || member.user_telegram_username,
+            // (Re)joined: reconciled again from scratch
+            ...(rejoined && { joined_at: when, left_at: null, removal_status: null, removal_attempts: 0, last_error: null }),
+            // Left on their own: nothing left to reconcile
+            ...(!isMember && { left_at: when, removal_status: member.removal_status === 'removed' ? 'removed' : null })
+        });
+
+        return member;
+    }
+
+    /**
+     * Every chat gated by a bot (connected chats + legacy channel_id)
+     */
+    async getBotChats(bot) {
+        const chats = await BotChat.findAll({
+            where: { bot_id: bot.id, status: 'active' }
+        });
+
+        const ids = chats.map(c => c.chat_id.toString());
+        if (bot.channel_id && !ids.includes(bot.channel_id.toString())) {
+            ids.push(bot.channel_id.toString());
+        }
+
+        return ids;
+    }
+
+    /**
+     * Replace the chats a plan grants access to
+     * @param {Array} botChatIds - BotChat IDs (must belong to the plan's bot)
+     */
+    async setPlanChats(plan, botChatIds) {
+        const chats = await BotChat.findAll({
+            where: { id: { [Op.in]: botChatIds }, bot_id: plan.bot_id }
+        });
+
+        if (chats.length !== botChatIds.length) {
+            return { valid: false, error: 'Chat não encontrado neste bot' };
+        }
+
+        await plan.setChats(chats);
+        return { valid: true, chats };
+    }
+}
+
+module.exports = new AccessService();
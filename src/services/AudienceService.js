@@ -0,0 +1,399 @@
+const { Op } = require('sequelize');
+const { Bot, BotContact, Coupon, Segment, Subscription, Transaction } = require('../models');
+const OfferService = require('./OfferService');
+const CouponService = require('./CouponService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Contacts are written at most once per interval per bot and user
+const TRACK_INTERVAL_MS = 10 * 60 * 1000;
+const TRACK_CACHE_LIMIT = 50000;
+
+// Subscription statuses of the criteria ('none' = talked to the bot, never subscribed)
+const STATUSES = ['active', 'past_due', 'expired', 'pending', 'cancelled', 'none'];
+
+// Numeric ranges of the criteria: { min, max }
+const RANGES = ['expires_in_days', 'purchases', 'spend', 'first_seen_days', 'last_interaction_days'];
+
+// Segment ids are UUIDs (anything else would make Postgres reject the query)
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Audience Service
+ * Broadcast audiences (segments): who receives a mailing, per bot
+ *
+ * Criteria (all optional, combined with AND):
+ *   bot_ids, plan_ids          - bots and plans (subscribed to one of the plans)
+ *   statuses                   - subscription status on the bot (see STATUSES)
+ *   expires_in_days            - { min, max } days until the subscription expires (negative = expired)
+ *   purchases, spend           - { min, max } confirmed payments on the bot and their total (R$, minus refunds)
+ *   first_seen_days            - { min, max } days since the first contact with the bot
+ *   last_interaction_days      - { min, max } days since the last message or click
+ *   coupon                     - 'used' | 'not_used' (any coupon, or one of coupon_codes)
+ *   behavior                   - 'upsellers' | 'downsellers' | 'order_bump'
+ */
+class AudienceService {
+    constructor() {
+        this.trackedAt = new Map(); // botId:telegramId -> last write
+    }
+
+    /**
+     * Check if a value can be a segment id (request params and bodies)
+     */
+    isSegmentId(id) {
+        return typeof id === 'string' && UUID_PATTERN.test(id);
+    }
+
+    /**
+     * Validate and normalize audience criteria
+     * @returns {object} { valid, error?, criteria? }
+     */
+    validateCriteria(criteria) {
+        if (criteria === null || criteria === undefined) {
+            return { valid: true, criteria: {} };
+        }
+        if (typeof criteria !== 'object' || Array.isArray(criteria)) {
+            return { valid: false, error: 'Critérios inválidos' };
+        }
+
+        const normalized = {};
+
+        for (const field of ['bot_ids', 'plan_ids', 'statuses', 'coupon_codes']) {
+            const value = criteria[field];
+            if (value === undefined || value === null) continue;
+
+            if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item)) {
+                return { valid: false, error: `${field} deve ser uma lista` };
+            }
+            if (value.length > 0) normalized[field] = [...new Set(value)];
+        }
+
+        if (normalized.statuses?.some(status => !STATUSES.includes(status))) {
+            return { valid: false, error: `Status inválido (use: ${STATUSES.join(', ')})` };
+        }
+
+        if (normalized.coupon_codes) {
+            normalized.coupon_codes = normalized.coupon_codes.map(code => CouponService.normalizeCode(code));
+        }
+
+        for (const field of RANGES) {
+            const range = criteria[field];
+            if (range === undefined || range === null) continue;
+
+            if (typeof range !== 'object') {
+                return { valid: false, error: `${field} deve ter min e/ou max` };
+            }
+
+            const min = range.min !== undefined && range.min !== null && range.min !== '' ? Number(range.min) : null;
+            const max = range.max !== undefined && range.max !== null && range.max !== '' ? Number(range.max) : null;
+
+            if ((min !== null && isNaN(min)) || (max !== null && isNaN(max)) || (min !== null && max !== null && min > max)) {
+                return { valid: false, error: `Intervalo inválido em ${field}` };
+            }
+            if (min !== null || max !== null) normalized[field] = { min, max };
+        }
+
+        if (criteria.coupon !== undefined && criteria.coupon !== null) {
+            if (!['used', 'not_used'].includes(criteria.coupon)) {
+                return { valid: false, error: 'Cupom deve ser used ou not_used' };
+            }
+            normalized.coupon = criteria.coupon;
+        }
+
+        // Coupon codes alone mean "used one of them"
+        if (normalized.coupon_codes && !normalized.coupon) {
+            normalized.coupon = 'used';
+        }
+
+        if (criteria.behavior && criteria.behavior !== 'all') {
+            if (!OfferService.behaviorTypes[criteria.behavior]) {
+                return { valid: false, error: 'Comportamento inválido' };
+            }
+            normalized.behavior = criteria.behavior;
+        }
+
+        return { valid: true, criteria: normalized };
+    }
+
+    /**
+     * Criteria of the legacy broadcast filters (filter_status / filter_behavior)
+     */
+    fromLegacyFilters(filterStatus, filterBehavior) {
+        const criteria = {};
+
+        if (filterStatus === 'active' || filterStatus === 'vips') {
+            criteria.statuses = ['active'];
+        } else if (filterStatus === 'expired' || filterStatus === 'pending') {
+            criteria.statuses = [filterStatus];
+        } else if (filterStatus === 'new') {
+            criteria.first_seen_days = { min: null, max: 7 };
+        }
+
+        if (filterBehavior && filterBehavior !== 'all') {
+            criteria.behavior = filterBehavior;
+        }
+
+        return criteria;
+    }
+
+    /**
+     * Criteria of a broadcast: its saved segment (current version), its own criteria or legacy filters
+     */
+    async getBroadcastCriteria(broadcast) {
+        if (broadcast.segment_id) {
+            const segment = await Segment.findByPk(broadcast.segment_id);
+            if (segment) return segment.criteria || {};
+        }
+
+        return broadcast.criteria || this.fromLegacyFilters(broadcast.filter_status, broadcast.filter_behavior);
+    }
+
+    /**
+     * Bots that send to an audience: every active bot (platform) or the owner's active bots
+     * @param {object} options - { scope, userId, botId, criteria }
+     */
+    async getBots({ scope, userId, botId = null, criteria = {} }) {
+        const where = { status: 'active' };
+
+        if (scope !== 'platform') {
+            where.user_id = userId;
+        }
+
+        // A broadcast for one bot only reaches the segment's bots if that bot is among them
+        let ids = criteria.bot_ids || null;
+        if (botId) {
+            ids = ids ? ids.filter(id => id === botId) : [botId];
+        }
+
+        if (ids) {
+            if (ids.length === 0) return [];
+            where.id = { [Op.in]: ids };
+        }
+
+        return await Bot.findAll({ where });
+    }
+
+    /**
+     * Audience size per bot (preview before sending)
+     * @returns {object} { total, bots: [{ bot_id, name, count }] }
+     */
+    async preview(options) {
+        const bots = await this.getBots(options);
+        const result = { total: 0, bots: [] };
+
+        for (const bot of bots) {
+            const count = (await this.getBotAudience(bot, options.criteria)).length;
+            result.total += count;
+            result.bots.push({ bot_id: bot.id, name: bot.name, count });
+        }
+
+        return result;
+    }
+
+    /**
+     * Telegram IDs of a bot matching the criteria
+     * @param {object} bot - Bot record
+     * @returns {Array} Telegram IDs (strings)
+     */
+    async getBotAudience(bot, criteria = {}) {
+        const profiles = await this.getProfiles(bot, criteria);
+        const now = Date.now();
+
+        const behaviorIds = criteria.behavior
+            ? new Set((await OfferService.getTelegramIdsByBehavior(criteria.behavior, bot.id)).map(String))
+            : null;
+
+        const audience = [];
+        for (const [telegramId, profile] of profiles) {
+            if (behaviorIds && !behaviorIds.has(telegramId)) continue;
+            if (this.matches(profile, criteria, now)) audience.push(telegramId);
+        }
+
+        return audience;
+    }
+
+    /**
+     * Everyone known by a bot (contacts and subscribers) with the data the criteria use
+     * @returns {Map} telegramId -> { subscriptions, purchases, spend, couponIds, firstSeenAt, lastInteractionAt }
+     */
+    async getProfiles(bot, criteria) {
+        const profiles = new Map();
+        const profile = (telegramId) => {
+            const key = telegramId.toString();
+            if (!profiles.has(key)) {
+                profiles.set(key, {
+                    subscriptions: [],
+                    purchases: 0,
+                    spend: 0,
+                    couponIds: new Set(),
+                    firstSeenAt: null,
+                    lastInteractionAt: null
+                });
+            }
+            return profiles.get(key);
+        };
+
+        const subscriptions = await Subscription.findAll({
+            attributes: ['id', 'user_telegram_id', 'plan_id', 'status', 'expires_at', 'createdAt'],
+            include: [{
+                association: 'plan',
+                where: { bot_id: bot.id },
+                required: true,
+                attributes: []
+            }]
+        });
+
+        const subscriptionUsers = new Map();
+        for (const subscription of subscriptions) {
+            const entry = profile(subscription.user_telegram_id);
+            entry.subscriptions.push(subscription);
+            subscriptionUsers.set(subscription.id, entry);
+
+            // Subscribers from before contacts were tracked
+            if (!entry.firstSeenAt || subscription.createdAt < entry.firstSeenAt) {
+                entry.firstSeenAt = subscription.createdAt;
+            }
+            if (!entry.lastInteractionAt || subscription.createdAt > entry.lastInteractionAt) {
+                entry.lastInteractionAt = subscription.createdAt;
+            }
+        }
+
+        const contacts = await BotContact.findAll({
+            where: { bot_id: bot.id },
+            attributes: ['user_telegram_id', 'first_seen_at', 'last_interaction_at']
+        });
+
+        for (const contact of contacts) {
+            const entry = profile(contact.user_telegram_id);
+            if (!entry.firstSeenAt || contact.first_seen_at < entry.firstSeenAt) {
+                entry.firstSeenAt = contact.first_seen_at;
+            }
+            if (!entry.lastInteractionAt || contact.last_interaction_at > entry.lastInteractionAt) {
+                entry.lastInteractionAt = contact.last_interaction_at;
+            }
+        }
+
+        // Payments are only loaded when a criterion needs them
+        const needsPayments = criteria.purchases || criteria.spend || criteria.coupon;
+        if (needsPayments && subscriptions.length > 0) {
+            const transactions = await Transaction.findAll({
+                where: {
+                    subscription_id: { [Op.in]: subscriptions.map(subscription => subscription.id) },
+                    status: 'confirmed'
+                },
+                attributes: ['subscription_id', 'amount_gross', 'amount_refunded', 'coupon_id']
+            });
+
+            for (const transaction of transactions) {
+                const entry = subscriptionUsers.get(transaction.subscription_id);
+                entry.purchases++;
+                entry.spend += parseFloat(transaction.amount_gross) - parseFloat(transaction.amount_refunded || 0);
+                if (transaction.coupon_id) entry.couponIds.add(transaction.coupon_id);
+            }
+        }
+
+        if (criteria.coupon_codes) {
+            const coupons = await Coupon.findAll({
+                where: {
+                    user_id: bot.user_id,
+                    code: { [Op.in]: criteria.coupon_codes },
+                    [Op.or]: [{ bot_id: bot.id }, { bot_id: null }]
+                },
+                attributes: ['id']
+            });
+            const couponIds = new Set(coupons.map(coupon => coupon.id));
+
+            // Only the listed coupons count as used
+            for (const entry of profiles.values()) {
+                entry.couponIds = new Set([...entry.couponIds].filter(id => couponIds.has(id)));
+            }
+        }
+
+        return profiles;
+    }
+
+    /**
+     * Check a profile against the criteria
+     */
+    matches(profile, criteria, now = Date.now()) {
+        // Subscriptions that satisfy the plan and status criteria
+        let subscriptions = profile.subscriptions;
+        if (criteria.plan_ids) {
+            subscriptions = subscriptions.filter(subscription => criteria.plan_ids.includes(subscription.plan_id));
+        }
+        if (criteria.statuses) {
+            subscriptions = subscriptions.filter(subscription => criteria.statuses.includes(this.getStatus(subscription, now)));
+        }
+
+        if (criteria.plan_ids || criteria.statuses) {
+            const lead = criteria.statuses?.includes('none') && !criteria.plan_ids && profile.subscriptions.length === 0;
+            if (!lead && subscriptions.length === 0) return false;
+        }
+
+        if (criteria.expires_in_days) {
+            const expiries = subscriptions.filter(subscription => subscription.expires_at).map(subscription => subscription.expires_at.getTime());
+            if (expiries.length === 0) return false;
+            if (!this.inRange((Math.max(...expiries) - now) / DAY_MS, criteria.expires_in_days)) return false;
+        }
+
+        if (criteria.purchases && !this.inRange(profile.purchases, criteria.purchases)) return false;
+        if (criteria.spend && !this.inRange(profile.spend, criteria.spend)) return false;
+
+        if (criteria.first_seen_days) {
+            if (!profile.firstSeenAt) return false;
+            if (!this.inRange((now - profile.firstSeenAt.getTime()) / DAY_MS, criteria.first_seen_days)) return false;
+        }
+
+        if (criteria.last_interaction_days) {
+            if (!profile.lastInteractionAt) return false;
+            if (!this.inRange((now - profile.lastInteractionAt.getTime()) / DAY_MS, criteria.last_interaction_days)) return false;
+        }
+
+        if (criteria.coupon === 'used' && profile.couponIds.size === 0) return false;
+        if (criteria.coupon === 'not_used' && profile.couponIds.size > 0) return false;
+
+        return true;
+    }
+
+    /**
+     * Status of a subscription for the criteria (active ones past their expiry count as expired)
+     */
+    getStatus(subscription, now) {
+        if (subscription.status === 'active' && subscription.expires_at && subscription.expires_at.getTime() <= now) {
+            return 'expired';
+        }
+        return subscription.status;
+    }
+
+    inRange(value, { min, max }) {
+        return (min === null || value >= min) && (max === null || value <= max);
+    }
+
+    /**
+     * Record an interaction of a user with a bot (first seen / last interaction)
+     * Fire and forget: never throws and writes at most every few minutes per user
+     */
+    trackContact(botId, from) {
+        const key = `${botId}:${from.id}`;
+        const now = Date.now();
+        if (now - (this.trackedAt.get(key) || 0) < TRACK_INTERVAL_MS) return;
+
+        if (this.trackedAt.size >= TRACK_CACHE_LIMIT) this.trackedAt.clear();
+        this.trackedAt.set(key, now);
+
+        const values = {
+            user_name: [from.first_name, from.last_name].filter(Boolean).join(' ') || null,
+            user_telegram_username: from.username || null,
+            last_interaction_at: new Date(now)
+        };
+
+        BotContact.findOrCreate({
+            where: { bot_id: botId, user_telegram_id: from.id },
+            defaults: { ...values, first_seen_at: new Date(now) }
+        })
+            .then(([contact, created]) => created ? contact : contact.update(values))
+            .catch(error => console.error(`[AudienceService] Error tracking contact ${from.id}:`, error.message));
+    }
+}
+
+module.exports = new AudienceService();
@@ -0,0 +1,297 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { sequelize, Broadcast, BroadcastItem, BotContact, Transaction } = require('../models');
+const config = require('../config');
+
+// Purchases up to this long after the message was delivered count for the broadcast
+const ATTRIBUTION_DAYS = 7;
+
+// Ref of a recipient in deep links: bc<itemId>, appended to other payloads as <payload>__bc<itemId>
+const REF_PATTERN = /^bc(\d+)$/;
+const REF_SEPARATOR = '__';
+
+/**
+ * Broadcast Analytics Service
+ * Funnel of a broadcast: delivered -> clicked -> purchased (blocked and failed apart), per A/B variant too
+ *
+ * Every recipient (BroadcastItem) gets its own ref:
+ * - buttons to the bot open it with /start <payload>__bc<itemId> (click + attribution of the checkout)
+ * - external links go through a signed redirect (/api/r/:token/:button) that records the click
+ */
+class BroadcastAnalyticsService {
+    /**
+     * Ref of a recipient (deep links and checkout)
+     */
+    getRef(itemId) {
+        return `bc${itemId}`;
+    }
+
+    /**
+     * Split a /start payload into the original payload and the broadcast ref
+     * plan_<id>__bc12 -> { payload: 'plan_<id>', ref: 'bc12' }, bc12 -> { payload: undefined, ref: 'bc12' }
+     */
+    splitStartPayload(startPayload) {
+        if (!startPayload) return { payload: undefined, ref: null };
+
+        if (REF_PATTERN.test(startPayload)) {
+            return { payload: undefined, ref: startPayload };
+        }
+
+        const index = startPayload.lastIndexOf(REF_SEPARATOR);
+        const ref = index >= 0 ? startPayload.slice(index + REF_SEPARATOR.length) : null;
+        if (!ref || !REF_PATTERN.test(ref)) {
+            return { payload: startPayload, ref: null };
+        }
+
+        return { payload: startPayload.slice(0, index) || undefined, ref };
+    }
+
+    /**
+     * Recipient of a ref, if it was sent by this bot to this user (refs can't be reused by others)
+     */
+    async resolveRef(ref, botId, telegramId) {
+        const match = REF_PATTERN.exec(ref || '');
+        if (!match) return null;
+
+        const item = await BroadcastItem.findByPk(match[1]);
+        if (!item || item.bot_id !== botId || item.user_telegram_id !== telegramId?.toString()) {
+            return null;
+        }
+
+        return item;
+    }
+
+    /**
+     * Ref of the last broadcast button that opened the bot for a user, used by the user's next checkouts
+     * Saved on the contact, so it survives restarts; older than the attribution window = no ref
+     */
+    async getChatRef(botId, telegramId) {
+        const contact = await BotContact.findOne({
+            where: { bot_id: botId, user_telegram_id: telegramId },
+            attributes: ['id', 'broadcast_ref', 'broadcast_ref_at']
+        });
+
+        const windowMs = ATTRIBUTION_DAYS * 24 * 60 * 60 * 1000;
+        if (!contact?.broadcast_ref || Date.now() - new Date(contact.broadcast_ref_at) > windowMs) {
+            return null;
+        }
+
+        return contact.broadcast_ref;
+    }
+
+    async setChatRef(botId, from, ref) {
+        const now = new Date();
+        const [contact, created] = await BotContact.findOrCreate({
+            where: { bot_id: botId, user_telegram_id: from.id },
+            defaults: {
+                user_name: [from.first_name, from.last_name].filter(Boolean).join(' ') || null,
+                user_telegram_username: from.username || null,
+                first_seen_at: now,
+                last_interaction_at: now,
+                broadcast_ref: ref,
+                broadcast_ref_at: now
+            }
+        });
+
+        if (!created) await contact.update({ broadcast_ref: ref, broadcast_ref_at: now });
+    }
+
+    /**
+     * Inline buttons of a recipient with click tracking
+     * @param {Array} buttons - [{ text, url }] or [{ text, plan_id }] (buy button, opens the plan in the bot)
+     */
+    buildButtons(buttons, item, bot) {
+        const ref = this.getRef(item.id);
+
+        return buttons.map((button, index) => {
+            if (button.plan_id) {
+                return { text: button.text, url: this.getBotLink(bot, `plan_${button.plan_id}${REF_SEPARATOR}${ref}`) };
+            }
+
+            // Links to the bot itself keep their start payload and get the ref
+            const botLink = bot.username && button.url.match(new RegExp(`^https?://t\\.me/${bot.username}/?(?:\\?start=([\\w-]*))?$`, 'i'));
+            if (botLink) {
+                const payload = botLink[1] ? `${botLink[1]}${REF_SEPARATOR}${ref}` : ref;
+                return { text: button.text, url: this.getBotLink(bot, payload) };
+            }
+
+            return { text: button.text, url: `${config.urls.api}/api/r/${this.signClick(item.id)}/${index}` };
+        });
+    }
+
+    getBotLink(bot, startPayload) {
+        return `https://t.me/${bot.username}?start=${startPayload}`;
+    }
+
+    /**
+     * Token of the click redirect of a recipient (<itemId>.<signature>)
+     */
+    signClick(itemId) {
+        const signature = crypto.createHmac('sha256', config.jwt.secret)
+            .update(`broadcast-click:${itemId}`)
+            .digest('hex')
+            .slice(0, 16);
+
+        return `${itemId}.${signature}`;
+    }
+
+    /**
+     * Recipient of a click token, null when the signature doesn't match
+     */
+    async verifyClick(token) {
+        const [itemId] = (token || '').split('.');
+        if (!/^\d+$/.test(itemId || '')) return null;
+
+        const expected = this.signClick(itemId);
+        if (token.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expected))) {
+            return null;
+        }
+
+        return await BroadcastItem.findByPk(itemId, { include: ['broadcast'] });
+    }
+
+    /**
+     * Record a button click of a recipient (every click counts; clicked_at keeps the first one)
+     * Never throws - a failed count must not break the redirect or the bot
+     */
+    async recordClick(item) {
+        try {
+            await BroadcastItem.update(
+                { clicked_at: new Date() },
+                { where: { id: item.id, clicked_at: null } }
+            );
+            await BroadcastItem.increment('click_count', { where: { id: item.id } });
+            await Broadcast.increment('click_count', { where: { id: item.broadcast_id } });
+        } catch (error) {
+            console.error(`[BroadcastAnalyticsService] Error recording click of item ${item.id}:`, error.message);
+        }
+    }
+
+    /**
+     * Transaction metadata of a checkout opened from a broadcast
+     */
+    getAttribution(item) {
+        return { broadcast_id: item.broadcast_id, broadcast_item_id: item.id };
+    }
+
+    /**
+     * Funnel of a broadcast (recurring campaigns: all their runs), and of each variant of an A/B test
+     */
+    async getStats(broadcast) {
+        const broadcastIds = [broadcast.id];
+        if (broadcast.recurrence) {
+            const runs = await Broadcast.findAll({ where: { parent_id: broadcast.id }, attributes: ['id'] });
+            broadcastIds.push(...runs.map(run => run.id));
+        }
+
+        const counts = await BroadcastItem.findAll({
+            where: { broadcast_id: { [Op.in]: broadcastIds } },
+            attributes: [
+                'variant',
+                'status',
+                [sequelize.fn('COUNT', sequelize.col('id')), 'count'],
+                [sequelize.fn('COUNT', sequelize.col('clicked_at')), 'clicked'],
+                [sequelize.fn('SUM', sequelize.col('click_count')), 'clicks']
+            ],
+            group: ['variant', 'status'],
+            raw: true
+        });
+
+        const funnel = this.createFunnel();
+        const variantFunnels = new Map((broadcast.variants || []).map(variant => [variant.key, this.createFunnel()]));
+
+        for (const row of counts) {
+            for (const target of [funnel, variantFunnels.get(row.variant)].filter(Boolean)) {
+                const count = parseInt(row.count);
+                const key = row.status === 'sent' ? 'delivered' : row.status;
+                if (target[key] !== undefined) target[key] += count;
+
+                target.recipients += count;
+                target.unique_clicks += parseInt(row.clicked) || 0;
+                target.clicks += parseInt(row.clicks) || 0;
+            }
+        }
+
+        for (const conversion of await this.getConversions(broadcastIds)) {
+            for (const target of [funnel, variantFunnels.get(conversion.variant)].filter(Boolean)) {
+                target.purchases += 1;
+                target.revenue = Math.round((target.revenue + conversion.revenue) * 100) / 100;
+            }
+        }
+
+        return {
+            funnel,
+            rates: this.getRates(funnel),
+            variants: (broadcast.variants || []).map(variant => ({
+                key: variant.key,
+                percent: variant.percent,
+                funnel: variantFunnels.get(variant.key),
+                rates: this.getRates(variantFunnels.get(variant.key))
+            })),
+            winner_variant: broadcast.winner_variant || null,
+            attribution_days: ATTRIBUTION_DAYS
+        };
+    }
+
+    createFunnel() {
+        return {
+            recipients: 0,
+            held: 0, // A/B test: waiting for the winner
+            pending: 0,
+            delivered: 0,
+            blocked: 0,
+            failed: 0,
+            clicks: 0,
+            unique_clicks: 0,
+            purchases: 0,
+            revenue: 0
+        };
+    }
+
+    getRates(funnel) {
+        const rate = (part, total) => total > 0 ? Math.round(part / total * 10000) / 100 : 0;
+
+        return {
+            delivery: rate(funnel.delivered, funnel.recipients - funnel.pending - funnel.held),
+            click: rate(funnel.unique_clicks, funnel.delivered),
+            conversion: rate(funnel.purchases, funnel.delivered)
+        };
+    }
+
+    /**
+     * Confirmed purchases attributed to broadcasts (ref in the checkout, paid within the window)
+     * @returns {Array} [{ transactionId, variant, revenue }]
+     */
+    async getConversions(broadcastIds) {
+        const transactions = await Transaction.findAll({
+            where: {
+                status: 'confirmed',
+                'metadata.broadcast_id': { [Op.in]: broadcastIds.map(String) }
+            },
+            attributes: ['id', 'amount_gross', 'amount_refunded', 'paid_at', 'metadata']
+        });
+
+        if (transactions.length === 0) return [];
+
+        const items = await BroadcastItem.findAll({
+            where: { id: { [Op.in]: transactions.map(transaction => transaction.metadata.broadcast_item_id) } },
+            attributes: ['id', 'sent_at', 'variant']
+        });
+        const itemsById = new Map(items.map(item => [item.id, item]));
+        const windowMs = ATTRIBUTION_DAYS * 24 * 60 * 60 * 1000;
+
+        return transactions
+            .filter(transaction => {
+                const sent = itemsById.get(transaction.metadata.broadcast_item_id)?.sent_at;
+                const paid = transaction.paid_at;
+                return sent && paid && paid >= sent && paid - sent <= windowMs;
+            })
+            .map(transaction => ({
+                transactionId: transaction.id,
+                variant: itemsById.get(transaction.metadata.broadcast_item_id).variant,
+                revenue: parseFloat(transaction.amount_gross) - parseFloat(transaction.amount_refunded || 0)
+            }));
+    }
+}
+
+module.exports = new BroadcastAnalyticsService();
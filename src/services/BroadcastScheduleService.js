@@ -0,0 +1,239 @@
+const { Op } = require('sequelize');
+const { sequelize, Broadcast, Bot } = require('../models');
+
+const DEFAULT_TIMEZONE = 'America/Sao_Paulo';
+const WEEKDAYS = [0, 1, 2, 3, 4, 5, 6]; // Sunday = 0
+
+// Fields copied from a recurring campaign to each of its runs
+const RUN_FIELDS = [
+    'type', 'scope', 'user_id', 'bot_id', 'filter_status', 'filter_behavior', 'filter_origin',
+    'segment_id', 'criteria', 'message_text', 'media_url', 'button_text', 'button_url', 'buttons',
+    'variants', 'ab_test', 'timezone'
+];
+
+/**
+ * Broadcast Schedule Service
+ * Broadcasts scheduled for a date (status 'scheduled') and recurring campaigns
+ * (weekdays + time, e.g. every Friday at 20:00), in the timezone of the bot
+ *
+ * Schedules live in the database and are picked up by the mailing queue every minute:
+ * a one-time broadcast is queued itself, a campaign queues a copy (run) and moves to its next date
+ */
+class BroadcastScheduleService {
+    /**
+     * Check if a timezone is a valid IANA name (America/Sao_Paulo, Europe/Lisbon...)
+     */
+    isValidTimezone(timezone) {
+        if (!timezone || typeof timezone !== 'string') return false;
+
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Timezone of a broadcast: explicit, of its bot, or the platform default
+     */
+    async resolveTimezone(timezone, botId) {
+        if (timezone) return timezone;
+
+        if (botId) {
+            const bot = await Bot.findByPk(botId, { attributes: ['id', 'timezone'] });
+            if (bot?.timezone) return bot.timezone;
+        }
+
+        return DEFAULT_TIMEZONE;
+    }
+
+    /**
+     * Validate the schedule fields of a broadcast
+     * @param {string} data.scheduledAt - Local date/time in the timezone (2025-06-20T20:00) or ISO with offset;
+     *                                    for campaigns, the first run is on or after it
+     * @param {object} data.recurrence - { days: [0-6], time: 'HH:MM' } or null (one-time)
+     * @returns {object} { valid, error?, values? } - values: { scheduled_at, recurrence, timezone }
+     */
+    validateSchedule({ scheduledAt, recurrence, timezone }) {
+        if (!this.isValidTimezone(timezone)) {
+            return { valid: false, error: 'Fuso horário inválido' };
+        }
+
+        let startAt = null;
+        if (scheduledAt) {
+            startAt = this.parseDateTime(scheduledAt, timezone);
+            if (!startAt) {
+                return { valid: false, error: 'Data de agendamento inválida (use AAAA-MM-DDTHH:MM)' };
+            }
+        }
+
+        if (recurrence) {
+            const days = recurrence.days;
+            if (!Array.isArray(days) || days.length === 0 || days.some(day => !WEEKDAYS.includes(day))) {
+                return { valid: false, error: 'Dias da recorrência devem ser de 0 (domingo) a 6 (sábado)' };
+            }
+
+            if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(recurrence.time || '')) {
+                return { valid: false, error: 'Horário da recorrência inválido (use HH:MM)' };
+            }
+
+            const normalized = { days: [...new Set(days)].sort(), time: recurrence.time };
+            const now = new Date();
+
+            return {
+                valid: true,
+                values: {
+                    scheduled_at: this.getNextRun(normalized, timezone, startAt && startAt > now ? new Date(startAt - 1) : now),
+                    recurrence: normalized,
+                    timezone
+                }
+            };
+        }
+
+        if (!startAt) {
+            return { valid: false, error: 'Informe a data de agendamento ou a recorrência' };
+        }
+
+        if (startAt <= new Date()) {
+            return { valid: false, error: 'A data de agendamento deve ser no futuro' };
+        }
+
+        return { valid: true, values: { scheduled_at: startAt, recurrence: null, timezone } };
+    }
+
+    /**
+     * Parse a date/time: ISO with offset (absolute) or local time in the timezone
+     * @returns {Date|null}
+     */
+    parseDateTime(value, timezone) {
+        if (value instanceof Date) return isNaN(value) ? null : value;
+        if (typeof value !== 'string') return null;
+
+        if (/(Z|[+-]\d{2}:?\d{2})$/.test(value)) {
+            const date = new Date(value);
+            return isNaN(date) ? null : date;
+        }
+
+        const match = value.match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::\d{2})?$/);
+        if (!match) return null;
+
+        const [, year, month, day, hour, minute] = match.map(Number);
+        return this.toUtc(year, month, day, hour, minute, timezone);
+    }
+
+    /**
+     * Next run of a recurrence after a date
+     */
+    getNextRun(recurrence, timezone, after = new Date()) {
+        const [hour, minute] = recurrence.time.split(':').map(Number);
+        const local = this.getLocalParts(after, timezone);
+
+        for (let offset = 0; offset <= 7; offset++) {
+            const day = new Date(Date.UTC(local.year, local.month - 1, local.day + offset));
+            if (!recurrence.days.includes(day.getUTCDay())) continue;
+
+            const run = this.toUtc(day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate(), hour, minute, timezone);
+            if (run > after) return run;
+        }
+
+        return null;
+    }
+
+    /**
+     * Date/time fields of an instant in a timezone
+     */
+    getLocalParts(date, timezone) {
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }).formatToParts(date);
+
+        return Object.fromEntries(parts
+            .filter(part => part.type !== 'literal')
+            .map(part => [part.type, parseInt(part.value)]));
+    }
+
+    /**
+     * Offset of a timezone at an instant (ms to add to UTC to get the local time)
+     */
+    getOffset(date, timezone) {
+        const local = this.getLocalParts(date, timezone);
+        const asUtc = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second);
+
+        return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+    }
+
+    /**
+     * Instant of a local date/time in a timezone (DST aware)
+     */
+    toUtc(year, month, day, hour, minute, timezone) {
+        const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+        const guess = asUtc - this.getOffset(new Date(asUtc), timezone);
+
+        // The offset may change between the guess and the real instant (DST transitions)
+        return new Date(asUtc - this.getOffset(new Date(guess), timezone));
+    }
+
+    /**
+     * Queue the broadcasts whose time has come
+     * The status change is conditional, so a broadcast paused or cancelled meanwhile is not sent
+     */
+    async processDue() {
+        const due = await Broadcast.findAll({
+            where: { status: 'scheduled', scheduled_at: { [Op.lte]: new Date() } },
+            order: [['scheduled_at', 'ASC']]
+        });
+
+        for (const broadcast of due) {
+            try {
+                if (!broadcast.recurrence) {
+                    const [updated] = await Broadcast.update(
+                        { status: 'queued' },
+                        { where: { id: broadcast.id, status: 'scheduled' } }
+                    );
+                    if (updated > 0) {
+                        console.log(`[BroadcastScheduleService] Broadcast #${broadcast.id} queued`);
+                    }
+                    continue;
+                }
+
+                await this.startRun(broadcast);
+            } catch (error) {
+                console.error(`[BroadcastScheduleService] Error starting broadcast ${broadcast.id}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Queue a run of a recurring campaign and move the campaign to its next date
+     * Runs missed while the server was down are sent once, not once per missed date
+     */
+    async startRun(campaign) {
+        await sequelize.transaction(async (transaction) => {
+            const [updated] = await Broadcast.update(
+                { scheduled_at: this.getNextRun(campaign.recurrence, campaign.timezone, new Date()) },
+                { where: { id: campaign.id, status: 'scheduled', scheduled_at: campaign.scheduled_at }, transaction }
+            );
+            if (updated === 0) return;
+
+            const values = Object.fromEntries(RUN_FIELDS.map(field => [field, campaign[field]]));
+            const run = await Broadcast.create({
+                ...values,
+                parent_id: campaign.id,
+                scheduled_at: campaign.scheduled_at,
+                status: 'queued'
+            }, { transaction });
+
+            console.log(`[BroadcastScheduleService] Campaign #${campaign.id}: run #${run.id} queued`);
+        });
+    }
+}
+
+module.exports = new BroadcastScheduleService();
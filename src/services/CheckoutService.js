@@ -0,0 +1,347 @@
+const { Op } = require('sequelize');
+const { Plan, Bot, Subscription, Transaction, PlanOffer } = require('../models');
+const config = require('../config');
+const PaymentService = require('./payment');
+const OfferService = require('./OfferService');
+const CouponService = require('./CouponService');
+const RecoveryService = require('./RecoveryService');
+const WebhookService = require('./WebhookService');
+const GatewayRoutingService = require('./GatewayRoutingService');
+const BroadcastAnalyticsService = require('./BroadcastAnalyticsService');
+const AbTestService = require('./AbTestService');
+
+/**
+ * Next day (YYYY-MM-DD) used as gateway due date
+ */
+function getNextDueDate() {
+    const date = new Date();
+    date.setDate(date.getDate() + 1);
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Checkout Service
+ * Creates the gateway charge (CREATOR's credentials - BYOK) with its pending
+ * subscription and transaction - used by the web checkout and the in-bot PIX checkout
+ * The charge goes to the creator's gateways routed to the payment method, falling back in priority order
+ */
+class CheckoutService {
+    /**
+     * Create a checkout for a plan, an upsell/downsell offer or a custom amount of a bot
+     * @param {boolean} inChatPix - Only gateways that return the PIX code (in-bot checkout)
+     * @param {string} broadcastRef - Ref of the broadcast button that opened the checkout (bc<itemId>)
+     * @returns {object} { valid, error?, code?, notFound?, details?, checkout? }
+     */
+    async create({ planId, telegramId, telegramUsername, email, name, botId, amount, description, paymentMethod, orderBumpId, offerId, couponCode, recoveryId, broadcastRef, inChatPix = false }) {
+        let plan, creator, offer = null, orderBump = null;
+
+        // SCENARIO 0: UPSELL / DOWNSELL OFFER (charges the offer price for the offer's plan)
+        if (offerId) {
+            offer = await PlanOffer.findOne({
+                where: { id: offerId, type: { [Op.in]: ['upsell', 'downsell'] }, status: 'active' }
+            });
+
+            if (!offer || !offer.offer_plan_id) {
+                return { valid: false, notFound: true, error: 'Oferta não encontrada' };
+            }
+
+            planId = offer.offer_plan_id;
+        }
+
+        // SCENARIO 1: PLAN BASED
+        if (planId) {
+            plan = await Plan.findByPk(planId, {
+                include: [{
+                    association: 'bot',
+                    include: [{
+                        association: 'owner',
+                        attributes: ['id', 'name', 'email', 'gateway_preference', 'gateway_api_token', 'asaas_wallet_id']
+                    }]
+                }]
+            });
+
+            if (!plan) return { valid: false, notFound: true, error: 'Plano não encontrado' };
+            creator = plan.bot?.owner;
+
+            // Optional order bump added before payment
+            if (orderBumpId && !offer) {
+                orderBump = await PlanOffer.findOne({
+                    where: { id: orderBumpId, plan_id: plan.id, type: 'order_bump', status: 'active' }
+                });
+
+                if (!orderBump) {
+                    return { valid: false, notFound: true, error: 'Order bump não encontrado' };
+                }
+            }
+        }
+        // SCENARIO 2: CUSTOM PROMOTIONAL OFFER (No Plan)
+        else if (botId && amount) {
+            const bot = await Bot.findByPk(botId, {
+                include: [{
+                    association: 'owner',
+                    attributes: ['id', 'name', 'email', 'gateway_preference', 'gateway_api_token', 'asaas_wallet_id']
+                }]
+            });
+
+            if (!bot) return { valid: false, notFound: true, error: 'Bot não encontrado' };
+            creator = bot.owner;
+
+            // Create a "Virtual" plan object for data consistency
+            plan = {
+                id: null,
+                name: description || 'Oferta Especial',
+                description: 'Pagamento de oferta promocional',
+                price: parseFloat(amount),
+                is_recurring: false, // Offers are usually one-time
+                duration_days: 0,
+                bot: bot
+            };
+        } else {
+            return { valid: false, error: 'planId ou (botId + amount) são obrigatórios' };
+        }
+
+        if (!creator) {
+            return { valid: false, error: 'Criador não encontrado' };
+        }
+
+        // Determine gateways (Telegram Stars are paid in the bot, regardless of the creator's gateways)
+        let routes;
+        if (paymentMethod === 'stars') {
+            if (!(plan.id && plan.price_stars > 0)) {
+                return { valid: false, error: 'Este plano não aceita pagamento com Stars', code: 'STARS_NOT_AVAILABLE' };
+            }
+            routes = [{ gateway: 'stars', apiToken: null, credentials: null }];
+        } else {
+            routes = await GatewayRoutingService.getRoute(creator, paymentMethod);
+            if (inChatPix) {
+                routes = routes.filter(route => PaymentService.supportsInChatPix(route.gateway));
+            }
+        }
+
+        // ⚠️ CRITICAL: Validate creator has configured payment gateway
+        if (routes.length === 0) {
+            return {
+                valid: false,
+                error: 'O criador ainda não configurou o gateway de pagamento',
+                code: 'CREATOR_GATEWAY_NOT_CONFIGURED'
+            };
+        }
+
+        // Amount to charge: offer price replaces the plan price, order bump is added on top
+        let chargeAmount = offer ? parseFloat(offer.price) : parseFloat(plan.price);
+        let chargeTitle = offer ? offer.name : plan.name;
+        if (orderBump) {
+            chargeAmount += parseFloat(orderBump.price);
+            chargeTitle = `${plan.name} + ${orderBump.name}`;
+        }
+
+        // Coupon discount is applied over the final amount (plan + order bump)
+        let coupon = null;
+        let discountAmount = 0;
+        if (couponCode) {
+            const couponResult = await CouponService.validate(couponCode, {
+                creatorId: creator.id,
+                botId: plan.bot?.id || botId,
+                planId: plan.id,
+                telegramId,
+                amount: chargeAmount
+            });
+
+            if (!couponResult.valid) {
+                return { valid: false, error: couponResult.error, code: 'INVALID_COUPON' };
+            }
+
+            coupon = couponResult.coupon;
+            discountAmount = couponResult.discount;
+            chargeAmount = couponResult.finalAmount;
+        }
+
+        // Calculate Split
+        // Uses fixed fee from PaymentService (over the discounted amount)
+        const splitAmounts = await PaymentService.calculateSplit(chargeAmount);
+        const grossAmount = splitAmounts.gross;
+
+        // Create external reference for tracking
+        const externalReference = `${planId || 'offer'}_${telegramId || 'web'}_${Date.now()}`;
+
+        // Map paymentMethod (frontend) to billingType (Asaas/Gateway)
+        // Frontend: 'pix' | 'credit_card' | 'boleto'
+        // Asaas: 'PIX' | 'CREDIT_CARD' | 'BOLETO'
+        let billingType = 'PIX';
+        if (paymentMethod === 'credit_card') {
+            billingType = 'CREDIT_CARD';
+        } else if (paymentMethod === 'boleto') {
+            billingType = 'BOLETO';
+        }
+
+        // Prepare payment data
+        const paymentData = {
+            planId: plan.id, // Can be null
+            title: chargeTitle,
+            description: plan.description || `Pagamento ${chargeTitle}`,
+            amount: grossAmount,
+            value: grossAmount,
+            email: email || `telegram_${telegramId}@boyzclub.temp`,
+            name: name || 'Assinante',
+            telegramId,
+            telegramUsername,
+            externalReference,
+            successUrl: `${config.urls.frontend}/success?ref=${externalReference}`,
+            failureUrl: `${config.urls.frontend}/failure`,
+            cancelUrl: `${config.urls.frontend}/cancel`,
+            dueDate: getNextDueDate(),
+            nextDueDate: getNextDueDate(),
+            cycle: undefined, // One-time default for offers
+            durationDays: plan.duration_days,
+            billingType // Add billingType
+        };
+
+        // Recurring plans: native gateway subscription when the gateway supports it.
+        // Order bumps, coupons and offers only change the first charge, so those
+        // checkouts are charged once and renewed by scheduled charges instead.
+        const isRecurring = !!(plan.id && plan.is_recurring && plan.duration_days > 0);
+        const supportsNative = (gatewayName) => isRecurring &&
+            PaymentService.supportsNativeRecurring(gatewayName, plan.duration_days) &&
+            !orderBump && !coupon && !offer;
+
+        // Create payment using creator's credentials (next gateway of the route on errors)
+        let charged;
+
+        try {
+            charged = await GatewayRoutingService.charge(routes, async (route) => {
+                const gatewayData = {
+                    ...paymentData,
+                    // Webhook URL (with the creator's secret token on gateways without signing)
+                    webhookUrl: await WebhookService.getWebhookUrl(route.gateway, creator.id),
+                    // Pass credentials to PaymentService (token extracted if JSON, e.g. PushinPay)
+                    creatorApiToken: route.apiToken,
+                    gatewayCredentials: route.credentials
+                };
+
+                // Gateway Factory Logic
+                return supportsNative(route.gateway)
+                    ? await PaymentService.createSubscription(route.gateway, gatewayData, creator.asaas_wallet_id)
+                    : await PaymentService.createPaymentLink(route.gateway, gatewayData, creator.asaas_wallet_id);
+            });
+        } catch (gatewayError) {
+            console.error('[Checkout] Every gateway failed:', gatewayError.message);
+            return {
+                valid: false,
+                error: 'Erro ao criar pagamento no gateway',
+                details: gatewayError.message,
+                code: 'GATEWAY_ERROR'
+            };
+        }
+
+        const { result, failures } = charged;
+        const gateway = charged.route.gateway;
+        const useNativeRecurring = supportsNative(gateway);
+        const renewalMode = isRecurring ? (useNativeRecurring ? 'native' : 'scheduled') : null;
+
+        // PIX data: PushinPay returns qrCode (copy-paste) + qrCodeBase64, SyncPay qr_code + copy_paste
+        const pixCopyPaste = result.copy_paste || result.qrCode || result.pixCopyPaste || null;
+
+        // Create pending subscription/transaction record
+        let subscription;
+        if (plan.id) {
+            subscription = await Subscription.create({
+                plan_id: plan.id,
+                user_telegram_id: telegramId || 0,
+                user_telegram_username: telegramUsername,
+                user_name: name,
+                user_email: email,
+                gateway,
+                gateway_subscription_id: useNativeRecurring
+                    ? result.subscriptionId // Stripe: filled on checkout.session.completed
+                    : result.id || result.sessionId, // Unified ID access
+                external_reference: externalReference,
+                renewal_mode: renewalMode,
+                status: 'pending'
+            });
+        } else {
+            // Custom offer: subscription without plan (plan_id is nullable), the offer is kept on the transaction
+            subscription = await Subscription.create({
+                plan_id: null,
+                user_telegram_id: telegramId || 0,
+                user_telegram_username: telegramUsername,
+                user_name: name,
+                user_email: email,
+                gateway,
+                gateway_subscription_id: result.id || result.sessionId,
+                external_reference: externalReference,
+                status: 'pending'
+            });
+        }
+
+        // Checkout opened from a broadcast button -> purchase attributed to the broadcast
+        const broadcastItem = broadcastRef && telegramId
+            ? await BroadcastAnalyticsService.resolveRef(broadcastRef, plan.bot?.id || botId, telegramId)
+            : null;
+
+        // Welcome message A/B test: variant the buyer saw
+        const welcomeVariant = await AbTestService.getWelcomeVariant(plan.bot, telegramId);
+
+        // Create pending transaction
+        const transaction = await Transaction.create({
+            subscription_id: subscription.id,
+            gateway,
+            gateway_payment_id: result.id || null,
+            gateway_invoice_url: result.invoiceUrl || result.url || result.initPoint || pixCopyPaste,
+            amount_gross: splitAmounts.gross,
+            amount_net_creator: splitAmounts.creatorNet,
+            amount_platform_fee: splitAmounts.platformFee,
+            coupon_id: coupon?.id || null,
+            amount_discount: discountAmount,
+            status: 'pending',
+            metadata: {
+                ...(coupon && { coupon: { code: coupon.code, discount: discountAmount } }),
+                ...(orderBump && { order_bump: { id: orderBump.id, name: orderBump.name, price: parseFloat(orderBump.price) } }),
+                ...(offer && { offer: { id: offer.id, type: offer.type, name: offer.name, price: parseFloat(offer.price) } }),
+                ...(!plan.id && { custom_offer: { bot_id: botId, description: plan.name } }),
+                ...(recoveryId && { recovery_id: recoveryId }),
+                ...(broadcastItem && BroadcastAnalyticsService.getAttribution(broadcastItem)),
+                ...(welcomeVariant && { welcome_variant: welcomeVariant }),
+                // Gateways that failed before this one
+                ...(failures.length > 0 && { gateway_failover: failures }),
+                // Price checked on the pre-checkout query
+                ...(result.amountStars && { amount_stars: result.amountStars })
+            }
+        });
+
+        // Checkout opened from a recovery message -> keep following the new checkout
+        if (recoveryId) {
+            await RecoveryService.attachCheckout(recoveryId, subscription.id, telegramId);
+        }
+
+        // Track accepted offers so behavior filters (upsellers, order_bump...) can find the buyer
+        const offerBotId = plan.bot?.id || botId;
+        if (orderBump) {
+            await OfferService.attachToSubscription(orderBump, offerBotId, telegramId, subscription.id);
+        }
+        if (offer) {
+            await OfferService.attachToSubscription(offer, offerBotId, telegramId, subscription.id);
+        }
+
+        return {
+            valid: true,
+            checkout: {
+                subscription,
+                transaction,
+                paymentUrl: result.invoiceUrl || result.url || result.initPoint || result.sandboxInitPoint,
+                qrCode: result.qr_code || result.qrCodeBase64 || null,
+                pixCopyPaste,
+                pixExpiresAt: result.expiresAt || null, // Set by gateways that report when the PIX code expires
+                invoice: result.invoice || null, // Telegram Stars: sendInvoice parameters
+                externalReference,
+                split: splitAmounts,
+                discount: discountAmount,
+                couponCode: coupon?.code || null,
+                recurring: renewalMode,
+                gateway,
+                creatorName: creator.name
+            }
+        };
+    }
+}
+
+module.exports = new CheckoutService();
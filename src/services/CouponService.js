@@ -0,0 +1,238 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { Coupon, Bot, BotContact, Transaction } = require('../models');
+
+// A pending checkout holds a use of a capped coupon for this long (abandoned checkouts release it)
+const RESERVATION_MINUTES = 30;
+
+/**
+ * Coupon Service
+ * Validates discount codes and calculates discounted amounts
+ */
+class CouponService {
+    /**
+     * Normalize a code typed by the user (/cupom abc10 -> ABC10)
+     */
+    normalizeCode(code) {
+        return (code || '').toString().trim().toUpperCase();
+    }
+
+    /**
+     * Validate a coupon for a purchase
+     *
+     * @param {string} code - Coupon code
+     * @param {object} context
+     * @param {string} context.creatorId - Creator (owner of the bot)
+     * @param {string} context.botId - Bot where the purchase happens
+     * @param {string} context.planId - Plan being bought (omit to skip plan scope check)
+     * @param {number|string} context.telegramId - Buyer Telegram ID
+     * @param {number} context.amount - Amount before discount (omit to skip price calculation)
+     * @returns {object} { valid, error?, coupon?, discount?, finalAmount? }
+     */
+    async validate(code, { creatorId, botId, planId, telegramId, amount } = {}) {
+        const normalized = this.normalizeCode(code);
+        if (!normalized || !creatorId) {
+            return { valid: false, error: 'Cupom inválido' };
+        }
+
+        const coupon = await Coupon.findOne({
+            where: { user_id: creatorId, code: normalized, status: 'active' }
+        });
+
+        if (!coupon) {
+            return { valid: false, error: 'Cupom inválido' };
+        }
+
+        // Personal coupons (e.g. checkout recovery) only work for their owner
+        if (coupon.user_telegram_id && (!telegramId || coupon.user_telegram_id.toString() !== telegramId.toString())) {
+            return { valid: false, error: 'Cupom inválido' };
+        }
+
+        if (coupon.expires_at && new Date(coupon.expires_at) < new Date()) {
+            return { valid: false, error: 'Cupom expirado' };
+        }
+
+        if (coupon.bot_id && botId && coupon.bot_id !== botId) {
+            return { valid: false, error: 'Cupom não é válido neste bot' };
+        }
+
+        if (coupon.plan_id && planId !== undefined && coupon.plan_id !== planId) {
+            return { valid: false, error: 'Cupom não é válido para este plano' };
+        }
+
+        // Total usage cap: confirmed payments plus recent pending checkouts of other buyers
+        if (coupon.max_uses) {
+            const uses = await this.countUses(coupon.id) + await this.countReserved(coupon.id, telegramId);
+            if (uses >= coupon.max_uses) {
+                return { valid: false, error: 'Cupom esgotado' };
+            }
+        }
+
+        // Per-user rules need to know who is buying
+        if (coupon.max_uses_per_user || coupon.first_purchase_only) {
+            if (!telegramId || telegramId.toString() === '0') {
+                return { valid: false, error: 'Este cupom só pode ser usado pelo bot do Telegram' };
+            }
+
+            if (coupon.max_uses_per_user) {
+                const userUses = await this.countUses(coupon.id, telegramId);
+                if (userUses >= coupon.max_uses_per_user) {
+                    return { valid: false, error: 'Você já utilizou este cupom' };
+                }
+            }
+
+            if (coupon.first_purchase_only && await this.hasPurchased(creatorId, telegramId)) {
+                return { valid: false, error: 'Cupom válido apenas para a primeira compra' };
+            }
+        }
+
+        if (amount === undefined || amount === null) {
+            return { valid: true, coupon };
+        }
+
+        const discount = this.calculateDiscount(coupon, amount);
+        const finalAmount = parseFloat((amount - discount).toFixed(2));
+
+        if (finalAmount <= 0) {
+            return { valid: false, error: 'O valor com desconto deve ser maior que zero' };
+        }
+
+        return { valid: true, coupon, discount, finalAmount };
+    }
+
+    /**
+     * Create a single-use percentage coupon for one Telegram user
+     * Used by automated flows (checkout recovery)
+     */
+    async createPersonalCoupon({ creatorId, botId, planId, telegramId, percent, prefix = 'VOLTA', expiresInHours = 48, description = null }) {
+        const code = `${prefix}${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+
+        return await Coupon.create({
+            user_id: creatorId,
+            bot_id: botId,
+            plan_id: planId || null,
+            code,
+            description,
+            discount_type: 'percentage',
+            discount_value: percent,
+            user_telegram_id: telegramId,
+            max_uses: 1,
+            max_uses_per_user: 1,
+            expires_at: new Date(Date.now() + expiresInHours * 60 * 60 * 1000),
+            status: 'active'
+        });
+    }
+
+    /**
+     * Calculate discount in Reais for an amount
+     */
+    calculateDiscount(coupon, amount) {
+        const value = parseFloat(coupon.discount_value);
+
+        const discount = coupon.discount_type === 'percentage'
+            ? amount * (value / 100)
+            : value;
+
+        return parseFloat(Math.min(discount, amount).toFixed(2));
+    }
+
+    /**
+     * Human readable discount (10% OFF / R$ 5,00 OFF)
+     */
+    formatDiscount(coupon) {
+        const value = parseFloat(coupon.discount_value);
+        return coupon.discount_type === 'percentage'
+            ? `${value}% OFF`
+            : `R$ ${value.toFixed(2).replace('.', ',')} OFF`;
+    }
+
+    /**
+     * Count confirmed uses of a coupon (optionally for one Telegram user)
+     */
+    async countUses(couponId, telegramId = null) {
+        return await Transaction.count({
+            where: { coupon_id: couponId, status: 'confirmed' },
+            include: telegramId ? [{
+                association: 'subscription',
+                where: { user_telegram_id: telegramId.toString() },
+                required: true
+            }] : []
+        });
+    }
+
+    /**
+     * Count recent pending checkouts with a coupon, except the buyer's own (retrying a checkout
+     * must not use up the coupon for them)
+     */
+    async countReserved(couponId, telegramId = null) {
+        const buyer = telegramId && telegramId.toString() !== '0' ? telegramId.toString() : null;
+
+        return await Transaction.count({
+            where: {
+                coupon_id: couponId,
+                status: 'pending',
+                created_at: { [Op.gte]: new Date(Date.now() - RESERVATION_MINUTES * 60 * 1000) }
+            },
+            include: buyer ? [{
+                association: 'subscription',
+                where: { user_telegram_id: { [Op.ne]: buyer } },
+                required: true
+            }] : []
+        });
+    }
+
+    /**
+     * Coupon applied in the chat of a bot (/cupom or /start coupon_CODE), used by the user's next checkouts
+     * Saved on the contact, so it survives restarts
+     */
+    async getChatCoupon(botId, telegramId) {
+        const contact = await BotContact.findOne({
+            where: { bot_id: botId, user_telegram_id: telegramId },
+            attributes: ['id', 'coupon_code']
+        });
+
+        return contact?.coupon_code || null;
+    }
+
+    async setChatCoupon(botId, from, code) {
+        const [contact, created] = await BotContact.findOrCreate({
+            where: { bot_id: botId, user_telegram_id: from.id },
+            defaults: {
+                user_name: [from.first_name, from.last_name].filter(Boolean).join(' ') || null,
+                user_telegram_username: from.username || null,
+                first_seen_at: new Date(),
+                last_interaction_at: new Date(),
+                coupon_code: code
+            }
+        });
+
+        if (!created) await contact.update({ coupon_code: code });
+    }
+
+    /**
+     * Check if the Telegram user already paid for anything in the creator's bots
+     */
+    async hasPurchased(creatorId, telegramId) {
+        const bots = await Bot.findAll({ where: { user_id: creatorId }, attributes: ['id'] });
+        const botIds = bots.map(b => b.id);
+        if (botIds.length === 0) return false;
+
+        const count = await Transaction.count({
+            where: { status: { [Op.in]: ['confirmed', 'refunded'] } },
+            include: [{
+                association: 'subscription',
+                where: { user_telegram_id: telegramId.toString() },
+                required: true,
+                include: [{
+                    association: 'plan',
+                    where: { bot_id: { [Op.in]: botIds } },
+                    required: true
+                }]
+            }]
+        });
+
+        return count > 0;
+    }
+}
+
+module.exports = new CouponService();
@@ -2,6 +2,14 @@ const cron = require('node-cron');
 const { Op } = require('sequelize');
 const { Subscription, Plan } = require('../models');
 const TelegramEngine = require('./TelegramEngine');
+const RecoveryService = require('./RecoveryService');
+const ReminderService = require('./ReminderService');
+const SubscriptionService = require('./SubscriptionService');
+const RecurringService = require('./RecurringService');
+const ReconciliationService = require('./ReconciliationService');
+const WebhookService = require('./WebhookService');
+const PaymentPollingService = require('./PaymentPollingService');
+const GatewayHealthService = require('./GatewayHealthService');
 
 /**
  * Cron Service
@@ -48,18 +56,88 @@ class CronService {
 
         this.jobs.push(monthlyResetJob);
 
+        // Abandoned checkout recovery sequence every 5 minutes
+        const recoveryJob = cron.schedule('*/5 * * * *', async () => {
+            await RecoveryService.processAbandonedCheckouts();
+        }, {
+            scheduled: true,
+            timezone: 'America/Sao_Paulo'
+        });
+
+        this.jobs.push(recoveryJob);
+
+        // Renewal reminders (daily at 10:00)
+        this.initExpirationReminders();
+
+        // Scheduled PIX renewal charges (gateways without native recurrence)
+        const renewalChargeJob = cron.schedule('0 9 * * *', async () => {
+            await RecurringService.processScheduledRenewals();
+        }, {
+            scheduled: true,
+            timezone: 'America/Sao_Paulo'
+        });
+
+        this.jobs.push(renewalChargeJob);
+
+        // Chat members vs active subscriptions (every 6 hours)
+        const reconciliationJob = cron.schedule('30 */6 * * *', async () => {
+            await ReconciliationService.processAll();
+        }, {
+            scheduled: true,
+            timezone: 'America/Sao_Paulo'
+        });
+
+        this.jobs.push(reconciliationJob);
+
+        // Failed/interrupted webhook events (every minute)
+        const webhookRetryJob = cron.schedule('* * * * *', async () => {
+            await WebhookService.retryPending();
+        }, {
+            scheduled: true,
+            timezone: 'America/Sao_Paulo'
+        });
+
+        this.jobs.push(webhookRetryJob);
+
+        // Pending payments checked on the gateways (lost webhooks, every 5 minutes)
+        const paymentPollingJob = cron.schedule('*/5 * * * *', async () => {
+            await PaymentPollingService.pollPending();
+        }, {
+            scheduled: true,
+            timezone: 'America/Sao_Paulo'
+        });
+
+        this.jobs.push(paymentPollingJob);
+
+        // Stored gateway credentials re-checked (revoked/expired tokens, every 6 hours)
+        const gatewayHealthJob = cron.schedule('0 */6 * * *', async () => {
+            await GatewayHealthService.checkAll();
+        }, {
+            scheduled: true,
+            timezone: 'America/Sao_Paulo'
+        });
+
+        this.jobs.push(gatewayHealthJob);
+
         // Also run immediately on startup
         this.processExpiredSubscriptions();
 
         console.log('[CronService] ✅ Expiration check scheduled (every hour)');
         console.log('[CronService] ✅ Daily promo scheduled (12:00 noon)');
         console.log('[CronService] ✅ Monthly promotion reset scheduled (1st of month)');
+        console.log('[CronService] ✅ Checkout recovery scheduled (every 5 minutes)');
+        console.log('[CronService] ✅ Scheduled renewal charges (daily at 09:00)');
+        console.log('[CronService] ✅ Member reconciliation scheduled (every 6 hours)');
+        console.log('[CronService] ✅ Webhook retries scheduled (every minute)');
+        console.log('[CronService] ✅ Pending payment polling scheduled (every 5 minutes)');
+        console.log('[CronService] ✅ Gateway credential checks scheduled (every 6 hours)');
     }
 
     /**
      * Process expired subscriptions
      * - Find active subscriptions with expires_at in the past
-     * - Update status to 'expired'
+     * - Bots with grace period: move to 'past_due' (removed later by processGracePeriods)
+     * - Otherwise update status to 'expired'
      * - Ban user from Telegram channel
      * - Notify user via Telegram
      */
@@ -86,15 +164,17 @@ class CronService {
                 }]
             });
 
-            if (expiredSubscriptions.length === 0) {
-                console.log('[CronService] No expired subscriptions found.');
-                return;
-            }
-
             console.log(`[CronService] Found ${expiredSubscriptions.length} expired subscriptions`);
 
             for (const subscription of expiredSubscriptions) {
                 try {
+                    // Bot with grace period -> past_due, member keeps access while nudged to pay
+                    if (await SubscriptionService.startGracePeriod(subscription, subscription.plan?.bot)) {
+                        await this.sendDunningNudge(subscription, now);
+                        console.log(`[CronService] Subscription ${subscription.id} is past due (grace until ${subscription.grace_ends_at.toISOString()})`);
+                        continue;
+                    }
+
                     // Update status to expired
                     await subscription.update({ status: 'expired' });
 
@@ -108,18 +188,71 @@ class CronService {
             }
 
             console.log(`[CronService] Processed ${expiredSubscriptions.length} expired subscriptions`);
+
+            await this.processGracePeriods(now);
         } catch (error) {
             console.error('[CronService] Error in processExpiredSubscriptions:', error);
         }
     }
 
     /**
-     * Check subscriptions expiring soon (for reminder notifications)
-     * Run daily at 10:00 AM
+     * Process subscriptions in grace period (past_due)
+     * - Send the due payment nudge (escalating)
+     * - Expire and remove from channel once the grace window closes
+     */
+    async processGracePeriods(now = new Date()) {
+        const pastDueSubscriptions = await Subscription.findAll({
+            where: { status: 'past_due' },
+            include: [{
+                association: 'plan',
+                include: [{
+                    association: 'bot'
+                }]
+            }]
+        });
+
+        for (const subscription of pastDueSubscriptions) {
+            try {
+                if (subscription.grace_ends_at && new Date(subscription.grace_ends_at) <= now) {
+                    await subscription.update({ status: 'expired' });
+                    await TelegramEngine.notifySubscriptionExpired(subscription);
+
+                    console.log(`[CronService] Grace period ended for subscription ${subscription.id}, user removed`);
+                    continue;
+                }
+
+                await this.sendDunningNudge(subscription, now);
+            } catch (error) {
+                console.error(`[CronService] Error processing past due subscription ${subscription.id}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Send the payment nudge due for a past_due subscription (once per step)
+     */
+    async sendDunningNudge(subscription, now = new Date()) {
+        const graceDays = parseInt(subscription.plan?.bot?.grace_period_days) || 0;
+        const nudge = SubscriptionService.getDueNudge(subscription, graceDays, now);
+        if (!nudge) return;
+
+        // Mark before sending so a failure doesn't repeat the nudge every hour
+        await subscription.update({ dunning_step: nudge.step + 1 });
+
+        await TelegramEngine.sendPaymentNudge(subscription, {
+            level: nudge.level,
+            daysLeft: nudge.daysLeft,
+            checkoutUrl: ReminderService.buildRenewalUrl(subscription)
+        });
+    }
+
+    /**
+     * Renewal reminders for subscriptions expiring soon
+     * Run daily at 10:00 AM (offsets configured per bot)
      */
     initExpirationReminders() {
         const reminderJob = cron.schedule('0 10 * * *', async () => {
-            await this.sendExpirationReminders();
+            await ReminderService.processReminders();
         }, {
             scheduled: true,
             timezone: 'America/Sao_Paulo'
@@ -129,51 +262,6 @@ class CronService {
         console.log('[CronService] ✅ Expiration reminders scheduled (daily at 10:00)');
     }
 
-    /**
-     * Send reminders 3 days before expiration
-     */
-    async sendExpirationReminders() {
-        console.log('[CronService] Sending expiration reminders...');
-
-        try {
-            const threeDaysFromNow = new Date();
-            threeDaysFromNow.setDate(threeDaysFromNow.getDate() + 3);
-
-            const today = new Date();
-            today.setHours(0, 0, 0, 0);
-
-            const tomorrow = new Date(today);
-            tomorrow.setDate(tomorrow.getDate() + 1);
-
-            // Find subscriptions expiring in exactly 3 days
-            const expiringSubscriptions = await Subscription.findAll({
-                where: {
-                    status: 'active',
-                    expires_at: {
-                        [Op.gte]: today,
-                        [Op.lt]: threeDaysFromNow
-                    }
-                },
-                include: [{
-                    association: 'plan',
-                    include: ['bot']
-                }]
-            });
-
-            for (const subscription of expiringSubscriptions) {
-                try {
-                    await TelegramEngine.sendExpirationReminder(subscription);
-                } catch (error) {
-                    console.error(`[CronService] Error sending reminder for ${subscription.id}:`, error);
-                }
-            }
-
-            console.log(`[CronService] Sent ${expiringSubscriptions.length} expiration reminders`);
-        } catch (error) {
-            console.error('[CronService] Error in sendExpirationReminders:', error);
-        }
-    }
-
     /**
      * Reset monthly promotion counters for all users
      * Run at midnight on 1st of each month
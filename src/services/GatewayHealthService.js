@@ -0,0 +1,114 @@
+const { Op } = require('sequelize');
+const { User, CreatorGateway } = require('../models');
+const PaymentService = require('./payment');
+const GatewayRoutingService = require('./GatewayRoutingService');
+const NotificationService = require('./NotificationService');
+
+/**
+ * Gateway Health Service
+ * Re-checks the stored credentials of the creators' gateways, so a revoked or
+ * expired token is reported to the creator before buyers fail at checkout
+ */
+class GatewayHealthService {
+    /**
+     * Check the credentials of every active creator gateway
+     * Creators are alerted when a gateway that worked starts refusing its credentials
+     * Gateways that don't answer are left as they were (checked again on the next run)
+     */
+    async checkAll() {
+        try {
+            await this.importLegacyGateways();
+
+            const configs = await CreatorGateway.findAll({
+                where: { status: 'active' },
+                order: [['last_checked_at', 'ASC NULLS FIRST']]
+            });
+
+            if (configs.length === 0) return;
+
+            console.log(`[GatewayHealthService] Checking ${configs.length} gateway credentials...`);
+
+            let invalid = 0;
+            for (const config of configs) {
+                if (await this.check(config) === 'invalid') invalid++;
+            }
+
+            console.log(`[GatewayHealthService] Done: ${invalid} invalid`);
+        } catch (error) {
+            console.error('[GatewayHealthService] Error checking gateways:', error);
+        }
+    }
+
+    /**
+     * Check one gateway and store the result
+     * @returns {string|null} ok | invalid, null when the gateway couldn't be reached or the result not saved
+     */
+    async check(config) {
+        let result;
+        try {
+            result = await PaymentService.validateCredentials(config.gateway, config.api_token);
+        } catch (error) {
+            console.error(`[GatewayHealthService] Error checking ${config.gateway} of user ${config.user_id}:`, error.message);
+            return null;
+        }
+
+        if (result.unreachable) return null;
+
+        const previous = config.health_status;
+        const healthStatus = result.valid ? 'ok' : 'invalid';
+
+        try {
+            await config.update({
+                health_status: healthStatus,
+                health_error: result.valid ? null : result.error,
+                last_checked_at: new Date()
+            });
+
+            if (healthStatus === 'invalid' && previous !== 'invalid') {
+                await this.alertCreator(config, result.error);
+            }
+        } catch (error) {
+            console.error(`[GatewayHealthService] Error saving ${config.gateway} check of user ${config.user_id}:`, error.message);
+            return null;
+        }
+
+        return healthStatus;
+    }
+
+    /**
+     * Alert the creator that a gateway stopped accepting its credentials
+     */
+    async alertCreator(config, reason) {
+        const gatewayName = PaymentService.getSupportedGateways()
+            .find(gateway => gateway.id === config.gateway)?.name || config.gateway;
+
+        console.warn(`[GatewayHealthService] ${config.gateway} credentials of user ${config.user_id} refused: ${reason}`);
+
+        await NotificationService.notify(config.user_id, {
+            type: 'gateway_credentials',
+            title: `Credenciais do ${gatewayName} recusadas`,
+            message: `O ${gatewayName} recusou o token salvo (${reason}). ` +
+                'Os pagamentos por este gateway vão falhar até você atualizar as credenciais no painel.',
+            data: { gateway: config.gateway, creator_gateway_id: config.id, error: reason }
+        }, { alert: true });
+    }
+
+    /**
+     * Creators that only have the profile gateway get it as a configured gateway (checked like the others)
+     */
+    async importLegacyGateways() {
+        const users = await User.findAll({
+            where: { gateway_api_token: { [Op.ne]: null } }
+        });
+
+        for (const user of users) {
+            try {
+                await GatewayRoutingService.importLegacy(user);
+            } catch (error) {
+                console.error(`[GatewayHealthService] Error importing gateway of user ${user.id}:`, error.message);
+            }
+        }
+    }
+}
+
+module.exports = new GatewayHealthService();
@@ -0,0 +1,247 @@
+const { Op } = require('sequelize');
+const { CreatorGateway } = require('../models');
+const PaymentService = require('./payment');
+const VaultService = require('./VaultService');
+
+/**
+ * Gateway Routing Service
+ * Creators can configure several gateways: each payment method is routed to the
+ * gateways that charge it, in priority order, falling back to the next one on errors
+ */
+class GatewayRoutingService {
+    /**
+     * Active gateways of a creator, in checkout order
+     * Creators without configured gateways use the single gateway of their profile (legacy)
+     * @param {object} creator - User with gateway_preference and gateway_api_token
+     * @returns {Array} [{ gateway, apiToken, credentials, paymentMethods }]
+     */
+    async getGateways(creator) {
+        const configs = await CreatorGateway.findAll({
+            where: { user_id: creator.id, status: 'active' },
+            order: [['priority', 'ASC'], ['updated_at', 'DESC']]
+        });
+
+        if (configs.length > 0) {
+            return configs.map(config => this.toRoute(config.gateway, config.api_token, config.payment_methods));
+        }
+
+        if (!creator.gateway_api_token) return [];
+        return [this.toRoute(creator.gateway_preference || 'asaas', creator.gateway_api_token, null)];
+    }
+
+    /**
+     * Gateways that charge a payment method, in fallback order
+     * When none is routed to the method, every gateway is tried (the buyer pays with what it offers)
+     * @param {string} paymentMethod - pix | credit_card | boleto (default pix)
+     */
+    async getRoute(creator, paymentMethod = 'pix') {
+        const gateways = await this.getGateways(creator);
+        const method = paymentMethod || 'pix';
+
+        const routed = gateways.filter(route => route.paymentMethods
+            ? route.paymentMethods.includes(method)
+            : PaymentService.supportsPaymentMethod(route.gateway, method));
+
+        return routed.length > 0 ? routed : gateways;
+    }
+
+    /**
+     * Check if a creator can receive payments
+     */
+    async hasGateway(creator) {
+        return (await this.getGateways(creator)).length > 0;
+    }
+
+    /**
+     * Credentials of a specific gateway of a creator (refunds, polling, renewals, cancellations)
+     * Inactive gateways keep answering for the payments they already created
+     * @returns {object|null} { apiToken, credentials }
+     */
+    async getCredentials(creator, gateway) {
+        const config = await CreatorGateway.findOne({
+            where: { user_id: creator.id, gateway }
+        });
+
+        if (config) return PaymentService.parseCredentials(config.api_token);
+
+        if (creator.gateway_preference === gateway && creator.gateway_api_token) {
+            return PaymentService.parseCredentials(creator.gateway_api_token);
+        }
+
+        return null;
+    }
+
+    /**
+     * Create a charge on the first gateway of the route that accepts it
+     * @param {Array} routes - From getRoute
+     * @param {function} createCharge - async (route) => gateway result, throws on gateway errors
+     * @returns {object} { route, result, failures } - failures of the gateways tried before
+     * @throws {Error} When every gateway failed (error.failures lists them)
+     */
+    async charge(routes, createCharge) {
+        const failures = [];
+
+        for (const route of routes) {
+            try {
+                const result = await createCharge(route);
+                return { route, result, failures };
+            } catch (error) {
+                console.error(`[GatewayRoutingService] ${route.gateway} failed:`, error.message);
+                failures.push({ gateway: route.gateway, error: error.message });
+            }
+        }
+
+        const error = new Error(failures.length > 0
+            ? failures.map(failure => `${failure.gateway}: ${failure.error}`).join(' | ')
+            : 'No gateway configured');
+        error.failures = failures;
+        throw error;
+    }
+
+    /**
+     * Gateways configured by a creator (settings page)
+     */
+    async list(userId) {
+        return await CreatorGateway.findAll({
+            where: { user_id: userId },
+            order: [['priority', 'ASC'], ['updated_at', 'DESC']]
+        });
+    }
+
+    /**
+     * Add or update a gateway of a creator
+     * A new API token is only saved after the gateway accepts it
+     * @param {object} data - { apiToken, priority, paymentMethods, status }
+     * @param {boolean} options.primary - Move it to the top of the fallback order
+     * @returns {object} { valid, error?, config? }
+     */
+    async save(user, gateway, data, { primary = false } = {}) {
+        if (!PaymentService.paymentMethods[gateway]) {
+            return { valid: false, error: 'Gateway não suportado' };
+        }
+
+        const { apiToken, priority, paymentMethods, status } = data;
+
+        if (paymentMethods !== undefined && paymentMethods !== null) {
+            if (!Array.isArray(paymentMethods) || paymentMethods.length === 0) {
+                return { valid: false, error: 'paymentMethods deve ser uma lista de meios de pagamento' };
+            }
+
+            const unsupported = paymentMethods.filter(method => !PaymentService.supportsPaymentMethod(gateway, method));
+            if (unsupported.length > 0) {
+                return { valid: false, error: `Meio de pagamento não aceito pelo gateway: ${unsupported.join(', ')}` };
+            }
+        }
+
+        if (status !== undefined && !['active', 'inactive'].includes(status)) {
+            return { valid: false, error: 'Status inválido' };
+        }
+
+        // The masked token shown by the API means "unchanged"
+        const token = VaultService.isMasked(apiToken)
+            ? undefined
+            : apiToken && typeof apiToken === 'object' ? JSON.stringify(apiToken) : apiToken;
+
+        await this.importLegacy(user);
+
+        let config = await CreatorGateway.findOne({ where: { user_id: user.id, gateway } });
+        if (!config && !token) {
+            return { valid: false, error: 'Token de API é obrigatório' };
+        }
+
+        // New credentials are checked on the gateway before buyers hit them
+        let health = {};
+        if (token) {
+            const check = await PaymentService.validateCredentials(gateway, token);
+            if (!check.valid) {
+                return {
+                    valid: false,
+                    error: check.unreachable
+                        ? `Não foi possível validar as credenciais agora (${check.error}). Tente novamente.`
+                        : `Credenciais recusadas pelo gateway: ${check.error}`
+                };
+            }
+
+            health = { health_status: 'ok', health_error: null, last_checked_at: new Date() };
+        }
+
+        if (primary) {
+            await CreatorGateway.increment('priority', {
+                where: { user_id: user.id, gateway: { [Op.ne]: gateway } }
+            });
+        }
+
+        const values = {
+            ...(token && { api_token: token }),
+            ...(primary ? { priority: 0 } : priority !== undefined && { priority: parseInt(priority) || 0 }),
+            ...(paymentMethods !== undefined && { payment_methods: paymentMethods }),
+            ...(status !== undefined && { status }),
+            ...health
+        };
+
+        if (config) {
+            await config.update(values);
+        } else {
+            // New gateways go to the end of the fallback order
+            const count = await CreatorGateway.count({ where: { user_id: user.id } });
+            config = await CreatorGateway.create({ user_id: user.id, gateway, priority: count, ...values });
+        }
+
+        await this.syncPrimary(user);
+        return { valid: true, config };
+    }
+
+    /**
+     * Remove a gateway of a creator
+     * @returns {boolean} Whether it existed
+     */
+    async remove(user, gateway) {
+        await this.importLegacy(user);
+
+        const removed = await CreatorGateway.destroy({ where: { user_id: user.id, gateway } });
+        await this.syncPrimary(user);
+        return removed > 0;
+    }
+
+    /**
+     * Creators that only had the single profile gateway get it as their first configured gateway
+     */
+    async importLegacy(user) {
+        if (!user.gateway_api_token) return;
+
+        const count = await CreatorGateway.count({ where: { user_id: user.id } });
+        if (count > 0) return;
+
+        await CreatorGateway.create({
+            user_id: user.id,
+            gateway: user.gateway_preference || 'asaas',
+            api_token: user.gateway_api_token,
+            priority: 0
+        });
+    }
+
+    /**
+     * Keep the profile gateway (gateway_preference / gateway_api_token) as the first active gateway
+     */
+    async syncPrimary(user) {
+        const [primary] = await CreatorGateway.findAll({
+            where: { user_id: user.id, status: 'active' },
+            order: [['priority', 'ASC'], ['updated_at', 'DESC']],
+            limit: 1
+        });
+
+        await user.update(primary
+            ? { gateway_preference: primary.gateway, gateway_api_token: primary.api_token }
+            : { gateway_api_token: null });
+    }
+
+    /**
+     * Route entry of a gateway
+     */
+    toRoute(gateway, apiToken, paymentMethods) {
+        const { apiToken: token, credentials } = PaymentService.parseCredentials(apiToken);
+        return { gateway, apiToken: token, credentials, paymentMethods: paymentMethods || null };
+    }
+}
+
+module.exports = new GatewayRoutingService();
@@ -0,0 +1,73 @@
+const { Notification, User, Bot } = require('../models');
+
+/**
+ * Notification Service
+ * In-app notifications for creators (refunds, chargebacks, alerts)
+ */
+class NotificationService {
+    /**
+     * Create a notification for a creator
+     * Never throws - a failed notification must not break the flow that triggered it
+     * @param {boolean} options.alert - Also send it to the creator's Telegram (urgent problems)
+     */
+    async notify(userId, { type, title, message = null, data = {} }, { alert = false } = {}) {
+        if (!userId) return null;
+
+        try {
+            const notification = await Notification.create({ user_id: userId, type, title, message, data });
+
+            if (alert) {
+                await this.sendTelegramAlert(userId, title, message);
+            }
+
+            return notification;
+        } catch (error) {
+            console.error(`[NotificationService] Error notifying user ${userId}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Send an alert to the creator's Telegram (telegram_id of the profile) through one of their bots
+     * There is no e-mail delivery yet: creators without telegram_id only get the in-app notification
+     * The creator must have started the bot, so each active bot is tried until one delivers
+     * @returns {boolean} Whether it was delivered
+     */
+    async sendTelegramAlert(userId, title, message) {
+        try {
+            const user = await User.findByPk(userId, { attributes: ['id', 'telegram_id'] });
+            if (!user?.telegram_id) return false;
+
+            // Lazy require - TelegramEngine depends on services that notify creators
+            const TelegramEngine = require('./TelegramEngine');
+
+            const bots = await Bot.findAll({
+                where: { user_id: userId, status: 'active' },
+                attributes: ['id']
+            });
+
+            // Plain text: gateway errors may contain Markdown characters
+            const text = message ? `⚠️ ${title}\n\n${message}` : `⚠️ ${title}`;
+
+            for (const bot of bots) {
+                const telegrafBot = TelegramEngine.bots.get(bot.id);
+                if (!telegrafBot) continue;
+
+                try {
+                    await telegrafBot.telegram.sendMessage(user.telegram_id.toString(), text);
+                    return true;
+                } catch (error) {
+                    // Creator never started this bot (or blocked it): try the next one
+                }
+            }
+
+            console.warn(`[NotificationService] Telegram alert not delivered to user ${userId}`);
+            return false;
+        } catch (error) {
+            console.error(`[NotificationService] Error sending Telegram alert to user ${userId}:`, error.message);
+            return false;
+        }
+    }
+}
+
+module.exports = new NotificationService();
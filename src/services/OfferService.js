@@ -0,0 +1,143 @@
+const { Op } = require('sequelize');
+const { PlanOffer, OfferResponse } = require('../models');
+
+/**
+ * Offer Service
+ * Order bump, upsell and downsell offers attached to plans
+ */
+class OfferService {
+    constructor() {
+        // Broadcast filter_behavior -> offer type
+        this.behaviorTypes = {
+            upsellers: 'upsell',
+            downsellers: 'downsell',
+            order_bump: 'order_bump'
+        };
+    }
+
+    /**
+     * Get the active offer of a given type for a plan
+     * @param {string} planId - Plan ID
+     * @param {string} type - 'order_bump', 'upsell' or 'downsell'
+     */
+    async getActiveOffer(planId, type) {
+        if (!planId) return null;
+
+        return await PlanOffer.findOne({
+            where: { plan_id: planId, type, status: 'active' },
+            include: ['offerPlan']
+        });
+    }
+
+    /**
+     * Record a user's answer to an offer shown in the bot
+     * @param {object} offer - PlanOffer instance
+     * @param {string} botId - Bot where the offer was shown
+     * @param {number|string} telegramId - User's Telegram ID
+     * @param {string} response - 'accepted' or 'declined'
+     */
+    async recordResponse(offer, botId, telegramId, response) {
+        return await OfferResponse.create({
+            offer_id: offer.id,
+            bot_id: botId,
+            type: offer.type,
+            user_telegram_id: telegramId,
+            response
+        });
+    }
+
+    /**
+     * Check if the user already answered an offer (avoid showing it twice)
+     */
+    async hasResponded(offerId, telegramId) {
+        const count = await OfferResponse.count({
+            where: { offer_id: offerId, user_telegram_id: telegramId.toString() }
+        });
+        return count > 0;
+    }
+
+    /**
+     * Link an accepted offer to the subscription created at checkout
+     * Reuses the response recorded by the bot, or creates one for web checkouts
+     */
+    async attachToSubscription(offer, botId, telegramId, subscriptionId) {
+        const existing = telegramId ? await OfferResponse.findOne({
+            where: {
+                offer_id: offer.id,
+                user_telegram_id: telegramId.toString(),
+                response: 'accepted',
+                subscription_id: null
+            },
+            order: [['created_at', 'DESC']]
+        }) : null;
+
+        if (existing) {
+            return await existing.update({ subscription_id: subscriptionId });
+        }
+
+        return await OfferResponse.create({
+            offer_id: offer.id,
+            bot_id: botId,
+            type: offer.type,
+            user_telegram_id: telegramId || 0,
+            response: 'accepted',
+            subscription_id: subscriptionId
+        });
+    }
+
+    /**
+     * Mark offers bought with a subscription as paid
+     * Called when the payment is confirmed
+     */
+    async markPaid(subscriptionId, paidAt = new Date()) {
+        await OfferResponse.update(
+            { paid_at: paidAt },
+            { where: { subscription_id: subscriptionId, response: 'accepted', paid_at: null } }
+        );
+    }
+
+    /**
+     * Get paid order bumps for a subscription (to deliver their content)
+     */
+    async getPaidOrderBumps(subscriptionId) {
+        return await OfferResponse.findAll({
+            where: {
+                subscription_id: subscriptionId,
+                type: 'order_bump',
+                response: 'accepted',
+                paid_at: { [Op.not]: null }
+            },
+            include: ['offer']
+        });
+    }
+
+    /**
+     * Get Telegram IDs matching a broadcast behavior filter
+     * @param {string} behavior - 'upsellers', 'downsellers', 'order_bump'
+     * @param {string|Array} botIds - Optional bot scope
+     * @returns {Array|null} IDs, or null when the filter does not apply
+     */
+    async getTelegramIdsByBehavior(behavior, botIds = null) {
+        const type = this.behaviorTypes[behavior];
+        if (!type) return null;
+
+        const where = {
+            type,
+            response: 'accepted',
+            paid_at: { [Op.not]: null }
+        };
+
+        if (botIds) {
+            where.bot_id = Array.isArray(botIds) ? { [Op.in]: botIds } : botIds;
+        }
+
+        const responses = await OfferResponse.findAll({
+            where,
+            attributes: ['user_telegram_id']
+        });
+
+        return [...new Set(responses.map(r => r.user_telegram_id))];
+    }
+}
+
+module.exports = new OfferService();
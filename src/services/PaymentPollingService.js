@@ -0,0 +1,179 @@
+const { Op } = require('sequelize');
+const { Transaction } = require('../models');
+const AsaasService = require('./payment/AsaasService');
+const MercadoPagoService = require('./payment/MercadoPagoService');
+const PushinPayService = require('./payment/PushinPayService');
+const WebhookService = require('./WebhookService');
+const GatewayRoutingService = require('./GatewayRoutingService');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Payment Polling Service
+ * Fallback for lost webhooks: asks the gateway for the status of pending
+ * transactions and applies changes through the webhook processors
+ */
+class PaymentPollingService {
+    constructor() {
+        this.gateways = ['pushinpay', 'asaas', 'mercadopago'];
+
+        // Pending transactions younger than this are polled (PIX charges expire in a day)
+        this.maxAgeMs = 48 * 60 * MINUTE_MS;
+        // Give the webhook a chance to arrive first
+        this.minAgeMs = 2 * MINUTE_MS;
+        // Minimum interval between two lookups of the same transaction (buyer page polls checkStatus)
+        this.throttleMs = 15 * 1000;
+
+        this.lastPolled = new Map(); // transactionId -> timestamp
+        this.running = false;
+    }
+
+    /**
+     * Poll recent pending transactions
+     * Called by CronService
+     */
+    async pollPending() {
+        if (this.running) return;
+        this.running = true;
+
+        try {
+            const now = Date.now();
+
+            const transactions = await Transaction.findAll({
+                where: {
+                    status: 'pending',
+                    gateway: { [Op.in]: this.gateways },
+                    created_at: {
+                        [Op.gt]: new Date(now - this.maxAgeMs),
+                        [Op.lt]: new Date(now - this.minAgeMs)
+                    }
+                },
+                include: ['subscription'],
+                order: [['created_at', 'DESC']],
+                limit: 200
+            });
+
+            let changed = 0;
+            for (const transaction of transactions) {
+                if (await this.pollTransaction(transaction)) changed++;
+            }
+
+            if (changed > 0) {
+                console.log(`[PaymentPollingService] ${changed} of ${transactions.length} pending transactions updated from the gateways`);
+            }
+        } catch (error) {
+            console.error('[PaymentPollingService] Error polling pending transactions:', error);
+        } finally {
+            this.running = false;
+            this.pruneThrottle();
+        }
+    }
+
+    /**
+     * Poll the pending transaction of a subscription (buyer waiting on the success page)
+     * @returns {boolean} Whether the transaction changed
+     */
+    async pollSubscription(subscription) {
+        const transaction = await Transaction.findOne({
+            where: {
+                subscription_id: subscription.id,
+                status: 'pending',
+                gateway: { [Op.in]: this.gateways }
+            },
+            order: [['created_at', 'DESC']]
+        });
+
+        if (!transaction) return false;
+
+        transaction.subscription = subscription;
+        return await this.pollTransaction(transaction);
+    }
+
+    /**
+     * Fetch the gateway status of a transaction with the creator's credentials
+     * and hand it to the gateway's webhook processor (same activation path)
+     * A poll racing the payment's webhook is safe: the confirmation is a conditional update
+     * (WebhookController.processPaymentStatus), only the first one to change the row activates
+     * @returns {boolean} Whether the transaction changed
+     */
+    async pollTransaction(transaction) {
+        const last = this.lastPolled.get(transaction.id);
+        if (last && Date.now() - last < this.throttleMs) return false;
+        this.lastPolled.set(transaction.id, Date.now());
+
+        try {
+            const subscription = transaction.subscription || await transaction.getSubscription();
+            const plan = await subscription?.getPlan({ include: [{ association: 'bot', include: ['owner'] }] });
+            const owner = plan?.bot?.owner;
+
+            // Gateway removed by the creator: no credentials to ask it
+            const credentials = owner && await GatewayRoutingService.getCredentials(owner, transaction.gateway);
+            if (!credentials?.apiToken) return false;
+
+            const payload = await this.fetchStatus(transaction, subscription, credentials.apiToken);
+            if (!payload) return false;
+
+            // Processors look the payment up on the owner's account
+            const previousStatus = transaction.status;
+            await WebhookService.apply(transaction.gateway, payload, { user_id: owner.id });
+            await transaction.reload();
+
+            if (transaction.status !== previousStatus) {
+                console.log(`[PaymentPollingService] Transaction ${transaction.id} ${previousStatus} -> ${transaction.status} (polled)`);
+                return true;
+            }
+
+            return false;
+        } catch (error) {
+            console.error(`[PaymentPollingService] Error polling transaction ${transaction.id}:`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Gateway lookup, returned in the shape of the gateway's webhook payload
+     * @returns {object|null} Payload for the webhook processor (null = nothing to apply yet)
+     */
+    async fetchStatus(transaction, subscription, apiToken) {
+        switch (transaction.gateway) {
+            case 'pushinpay': {
+                if (!transaction.gateway_payment_id) return null;
+
+                const status = await PushinPayService.getTransactionStatus(apiToken, transaction.gateway_payment_id);
+                return { id: status.id, status: status.status, value: status.value };
+            }
+
+            case 'asaas': {
+                if (!transaction.gateway_payment_id) return null;
+
+                const payment = await AsaasService.getPayment(apiToken, transaction.gateway_payment_id);
+                return { event: 'PAYMENT_POLLED', payment };
+            }
+
+            case 'mercadopago': {
+                // Preferences have no payment until the buyer pays
+                const reference = transaction.metadata?.external_reference || subscription.external_reference;
+                const payment = transaction.gateway_payment_id
+                    ? { id: transaction.gateway_payment_id }
+                    : reference && await MercadoPagoService.findPaymentByReference(apiToken, reference);
+
+                return payment ? { type: 'payment', action: 'payment.polled', data: { id: payment.id } } : null;
+            }
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Forget throttle entries of transactions no longer polled
+     */
+    pruneThrottle() {
+        const cutoff = Date.now() - this.throttleMs;
+        for (const [id, timestamp] of this.lastPolled) {
+            if (timestamp < cutoff) this.lastPolled.delete(id);
+        }
+    }
+}
+
+module.exports = new PaymentPollingService();
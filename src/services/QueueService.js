@@ -1,31 +1,80 @@
 const cron = require('node-cron');
 const { Op } = require('sequelize');
-const { Broadcast, BroadcastItem, Subscription, Plan, Bot, User } = require('../models');
+const { sequelize, Broadcast, BroadcastItem, Bot } = require('../models');
+const config = require('../config');
 const TelegramEngine = require('./TelegramEngine');
+const BroadcastScheduleService = require('./BroadcastScheduleService');
+const AudienceService = require('./AudienceService');
+const BroadcastAnalyticsService = require('./BroadcastAnalyticsService');
+const AbTestService = require('./AbTestService');
+
+// Each run sends for at most this long (the next run starts a minute later)
+const RUN_TIME_MS = 50 * 1000;
+const BATCH_SIZE = 100;
+const INSERT_CHUNK = 1000;
+
+// Transient failures (network, Telegram 5xx) are retried with backoff
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 30 * 1000;
 
 /**
  * Queue Service
  * Handles background jobs like mailing
+ *
+ * Broadcasts (admin and creator) are queued as one BroadcastItem per recipient and bot,
+ * so a mailing survives restarts and is sent within Telegram's limits:
+ * each bot and the whole platform are throttled, 429 responses pause the bot for retry_after
  */
 class QueueService {
     constructor() {
         this.isProcessing = false;
-        // Run every minute
-        cron.schedule('* * * * *', () => this.processQueue());
+        this.job = null;
+        this.nextSendAt = 0; // Platform throttle
+        this.botNextSendAt = new Map(); // botId -> timestamp (throttle and retry_after)
+    }
+
+    /**
+     * Start the mailing queue (every minute)
+     */
+    init() {
+        this.job = cron.schedule('* * * * *', () => this.processQueue(), {
+            scheduled: true,
+            timezone: 'America/Sao_Paulo'
+        });
         console.log('[QueueService] Mailing queue started');
     }
 
+    stop() {
+        if (this.job) this.job.stop();
+    }
+
+    /**
+     * Queue a broadcast for sending (recipients are resolved by the next run)
+     * @param {object} data - Broadcast fields (scope, user_id, bot_id, filters and content)
+     */
+    async enqueue(data) {
+        return await Broadcast.create({ ...data, status: 'queued' });
+    }
+
     async processQueue() {
         if (this.isProcessing) return;
         this.isProcessing = true;
 
         try {
-            // 1. Process draft broadcasts (create items)
+            // 0. Queue scheduled broadcasts whose time has come
+            await BroadcastScheduleService.processDue();
+
+            // 1. Process queued broadcasts (create items)
             await this.processDrafts();
 
+            // 1b. Release held recipients of A/B tests whose window is over
+            await AbTestService.processWinners();
+
             // 2. Process pending items (send messages)
             await this.processPendingItems();
 
+            // 3. Close broadcasts without pending items
+            await this.completeBroadcasts();
         } catch (error) {
             console.error('[QueueService] Error processing queue:', error);
         } finally {
@@ -34,62 +83,60 @@ class QueueService {
     }
 
     /**
-     * Convert 'processing' broadcasts into queue items
+     * Convert queued broadcasts into queue items (one per recipient and bot)
+     * Items and the 'sending' status are saved together: an interrupted run leaves the broadcast queued
      */
     async processDrafts() {
-        // Find broadcasts that are ready to be queued
         const broadcasts = await Broadcast.findAll({
-            where: { status: 'queued' }
+            where: { status: 'queued' },
+            order: [['created_at', 'ASC']]
         });
 
         for (const broadcast of broadcasts) {
             try {
-                await broadcast.update({ status: 'processing' });
-
-                // Build query based on filters
-                const query = { status: 'active' }; // Default to active subs
-
-                // Filter Status
-                if (broadcast.filter_status && broadcast.filter_status !== 'all') {
-                    if (broadcast.filter_status === 'new') {
-                        // Created in last 7 days
-                        const lastWeek = new Date();
-                        lastWeek.setDate(lastWeek.getDate() - 7);
-                        query.created_at = { [Op.gte]: lastWeek };
-                    } else if (broadcast.filter_status === 'expired') {
-                        query.status = 'expired';
-                    } else if (broadcast.filter_status === 'pending') {
-                        query.status = 'pending'; // usually payment pending, might not have telegram_id so be careful
+                const criteria = await AudienceService.getBroadcastCriteria(broadcast);
+                const bots = await AudienceService.getBots({
+                    scope: broadcast.scope,
+                    userId: broadcast.user_id,
+                    botId: broadcast.bot_id,
+                    criteria
+                });
+                const items = [];
+
+                for (const bot of bots) {
+                    const audience = await AudienceService.getBotAudience(bot, criteria);
+
+                    for (const telegramId of audience) {
+                        items.push({
+                            broadcast_id: broadcast.id,
+                            bot_id: bot.id,
+                            user_telegram_id: telegramId.toString(),
+                            status: 'pending'
+                        });
                     }
                 }
 
-                // Filter Origin (Plan type/name)
-                // This would require more complex filtering on Plan or Bot level if data structure supports it
-                // For now, simplify to fetching all subscriptions that match general criteria
-                // And filter in memory if necessary or refine query
-
-                const subscriptions = await Subscription.findAll({
-                    where: query,
-                    attributes: ['user_telegram_id'],
-                    group: ['user_telegram_id'] // Unique users
-                });
-
-                const items = subscriptions.map(sub => ({
-                    broadcast_id: broadcast.id,
-                    user_telegram_id: sub.user_telegram_id,
-                    status: 'pending'
-                }));
+                if (broadcast.variants?.length > 0) {
+                    AbTestService.assignVariants(items, broadcast.variants, broadcast.ab_test);
+                }
 
-                // Bulk create items
-                await BroadcastItem.bulkCreate(items);
+                await sequelize.transaction(async (transaction) => {
+                    for (let i = 0; i < items.length; i += INSERT_CHUNK) {
+                        await BroadcastItem.bulkCreate(items.slice(i, i + INSERT_CHUNK), { transaction });
+                    }
 
-                await broadcast.update({
-                    total_recipients: items.length,
-                    status: 'sending'
+                    await broadcast.update({
+                        total_recipients: items.length,
+                        status: items.length > 0 ? 'sending' : 'completed',
+                        sent_at: new Date(),
+                        ...(items.length === 0 && { completed_at: new Date() }),
+                        ...(broadcast.variants?.length > 0 && broadcast.ab_test && {
+                            winner_at: new Date(Date.now() + broadcast.ab_test.after_hours * 60 * 60 * 1000)
+                        })
+                    }, { transaction });
                 });
 
                 console.log(`[QueueService] Queueing ${items.length} msgs for Broadcast #${broadcast.id}`);
-
             } catch (error) {
                 console.error(`[QueueService] Error queueing broadcast ${broadcast.id}:`, error);
                 await broadcast.update({ status: 'failed', error_log: error.message });
@@ -98,102 +145,210 @@ class QueueService {
     }
 
     /**
-     * Process pending items
+     * Send pending items until the run time is over
      */
     async processPendingItems() {
-        // Fetch 50 pending items
-        const items = await BroadcastItem.findAll({
-            where: { status: 'pending' },
-            limit: 50,
-            include: ['broadcast']
-        });
+        const deadline = Date.now() + RUN_TIME_MS;
+        const bots = new Map(); // Bot records used in this run
+
+        while (Date.now() < deadline) {
+            const items = await BroadcastItem.findAll({
+                where: {
+                    status: 'pending',
+                    [Op.or]: [
+                        { next_attempt_at: null },
+                        { next_attempt_at: { [Op.lte]: new Date() } }
+                    ]
+                },
+                include: [{ association: 'broadcast', where: { status: 'sending' } }],
+                order: [['id', 'ASC']],
+                limit: BATCH_SIZE
+            });
+
+            if (items.length === 0) return;
+
+            console.log(`[QueueService] Processing ${items.length} items...`);
+
+            for (const item of items) {
+                if (Date.now() >= deadline) return;
+                await this.processItem(item, bots);
+            }
+        }
+    }
 
-        if (items.length === 0) return;
+    /**
+     * Send one item, or schedule its retry
+     * @param {Map} bots - Bot records cache (botId -> Bot | null)
+     */
+    async processItem(item, bots) {
+        const broadcast = item.broadcast;
 
-        console.log(`[QueueService] Processing ${items.length} items...`);
+        if (!bots.has(item.bot_id)) {
+            bots.set(item.bot_id, await Bot.findByPk(item.bot_id));
+        }
+        const bot = bots.get(item.bot_id);
 
-        for (const item of items) {
-            try {
-                if (!item.broadcast) {
-                    await item.update({ status: 'failed', error_message: 'No broadcast parent' });
-                    continue;
-                }
+        if (!bot || bot.status !== 'active') {
+            return await this.failItem(item, 'Bot inactive or removed');
+        }
 
-                const broadcast = item.broadcast;
-
-                // Construct message options
-                const options = {
-                    parse_mode: 'Markdown',
-                    protect_content: true // Item 3 requirement
-                };
-
-                // Add button if exists
-                if (broadcast.button_text && broadcast.button_url) {
-                    options.reply_markup = {
-                        inline_keyboard: [[
-                            { text: broadcast.button_text, url: broadcast.button_url }
-                        ]]
-                    };
-                }
+        // Bot paused by a 429: wait for its retry_after without holding the run
+        const pausedUntil = this.botNextSendAt.get(bot.id) || 0;
+        if (pausedUntil - Date.now() > 1000) {
+            return await item.update({ next_attempt_at: new Date(pausedUntil) });
+        }
 
-                // Send content based on type
-                // Note: TelegramEngine needs methods exposed or use raw bot access
-                // Since user wants to use TelegramEngine, we need to access the correct bot.
-                // PROBLEM: Subscription relates to a specific Bot. But user_telegram_id might be same for multiple bots.
-                // Broadcast essentially should be "From System" or "From Specific Bot"?
-                // Usually Mailing is per Bot. But the filter didn't specify "Bot".
-                // Assuming this is a "Super Admin" broadcast to ALL users across ALL bots?
-                // OR assuming there's a default bot?
-                // SAFEST: Send via one of the bots the user is subscribed to.
-
-                // Let's find which bot the user is subscribed to active
-                const sub = await Subscription.findOne({
-                    where: {
-                        user_telegram_id: item.user_telegram_id,
-                        status: 'active'
-                    },
-                    include: [{ association: 'plan', include: ['bot'] }]
-                });
+        let telegrafBot = TelegramEngine.bots.get(bot.id);
+        if (!telegrafBot) {
+            await TelegramEngine.registerBot(bot);
+            telegrafBot = TelegramEngine.bots.get(bot.id);
+        }
+        if (!telegrafBot) {
+            return await this.retryItem(item, 'Bot instance not found');
+        }
 
-                if (!sub || !sub.plan?.bot) {
-                    await item.update({ status: 'failed', error_message: 'User has no active bot' });
-                    continue;
-                }
+        await this.throttle(bot.id);
 
-                const botId = sub.plan.bot.id;
-                const telegrafBot = TelegramEngine.bots.get(botId);
+        try {
+            await this.send(telegrafBot.telegram, bot, broadcast, item);
 
-                if (!telegrafBot) {
-                    // Try to re-register?
-                    await TelegramEngine.registerBot(sub.plan.bot);
-                    // Retry next time or fail?
-                    // Let's assume re-register might be needed async, so fail this time
-                    await item.update({ status: 'failed', error_message: 'Bot instance not found' });
-                    continue;
-                }
+            await item.update({ status: 'sent', sent_at: new Date(), error_message: null });
+            await Broadcast.increment('sent_count', { where: { id: broadcast.id } });
+        } catch (error) {
+            const errorCode = error.response?.error_code;
 
-                if (broadcast.type === 'text') {
-                    await telegrafBot.telegram.sendMessage(item.user_telegram_id, broadcast.message_text, options);
-                } else if (broadcast.type === 'photo') {
-                    await telegrafBot.telegram.sendPhoto(item.user_telegram_id, broadcast.media_url, { ...options, caption: broadcast.message_text });
-                } else if (broadcast.type === 'video') {
-                    await telegrafBot.telegram.sendVideo(item.user_telegram_id, broadcast.media_url, { ...options, caption: broadcast.message_text });
-                } else if (broadcast.type === 'audio') {
-                    await telegrafBot.telegram.sendVoice(item.user_telegram_id, broadcast.media_url, { ...options, caption: broadcast.message_text });
-                }
+            if (errorCode === 429) {
+                const retryAfter = (error.response.parameters?.retry_after || 5) * 1000;
+                this.botNextSendAt.set(bot.id, Date.now() + retryAfter);
+                console.warn(`[QueueService] Bot ${bot.id} rate limited for ${retryAfter / 1000}s`);
+                return await item.update({ next_attempt_at: new Date(Date.now() + retryAfter) });
+            }
 
-                await item.update({ status: 'sent' });
-                await broadcast.increment('sent_count');
+            // Network errors and Telegram 5xx are transient; 4xx (blocked, chat not found) are final
+            if (!errorCode || errorCode >= 500) {
+                return await this.retryItem(item, error.message);
+            }
 
-            } catch (error) {
-                console.error(`[QueueService] Error sending item ${item.id}:`, error.message);
-                await item.update({ status: 'failed', error_message: error.message });
-                await item.broadcast.increment('failed_count');
+            if (errorCode === 403 && /blocked|deactivated/i.test(error.response.description || '')) {
+                await item.update({ status: 'blocked', error_message: error.message });
+                return await Broadcast.increment('blocked_count', { where: { id: broadcast.id } });
+            }
+
+            console.error(`[QueueService] Error sending item ${item.id}:`, error.message);
+            await this.failItem(item, error.message);
+        }
+    }
+
+    /**
+     * Wait for the bot and platform send rates
+     */
+    async throttle(botId) {
+        const now = Date.now();
+        const sendAt = Math.max(now, this.nextSendAt, this.botNextSendAt.get(botId) || 0);
+
+        this.nextSendAt = sendAt + 1000 / config.telegram.broadcastGlobalRate;
+        this.botNextSendAt.set(botId, sendAt + 1000 / config.telegram.broadcastBotRate);
+
+        if (sendAt > now) {
+            await new Promise(resolve => setTimeout(resolve, sendAt - now));
+        }
+    }
+
+    /**
+     * Send the broadcast content (A/B test: the recipient's variant) to a recipient
+     * Buttons carry the recipient's ref
+     */
+    async send(telegram, bot, broadcast, item) {
+        const telegramId = item.user_telegram_id;
+        const content = AbTestService.getBroadcastContent(broadcast, item.variant);
+        const options = {
+            parse_mode: 'Markdown',
+            protect_content: bot.anti_cloning ?? true
+        };
+
+        if (content.buttons.length > 0) {
+            options.reply_markup = {
+                inline_keyboard: BroadcastAnalyticsService.buildButtons(content.buttons, item, bot).map(btn => [btn])
+            };
+        }
+
+        const caption = content.message_text || undefined;
+
+        if (content.type === 'photo') {
+            await telegram.sendPhoto(telegramId, content.media_url, { ...options, caption });
+        } else if (content.type === 'video') {
+            await telegram.sendVideo(telegramId, content.media_url, { ...options, caption });
+        } else if (content.type === 'audio') {
+            await telegram.sendVoice(telegramId, content.media_url, { ...options, caption });
+        } else {
+            await telegram.sendMessage(telegramId, content.message_text, options);
+        }
+    }
+
+    /**
+     * Schedule a new attempt of a transient failure (exponential backoff), or fail it
+     */
+    async retryItem(item, errorMessage) {
+        const attempts = item.attempts + 1;
+
+        if (attempts >= MAX_ATTEMPTS) {
+            return await this.failItem(item, errorMessage, { attempts });
+        }
+
+        await item.update({
+            attempts,
+            error_message: errorMessage,
+            next_attempt_at: new Date(Date.now() + RETRY_BASE_MS * 2 ** (attempts - 1))
+        });
+    }
+
+    async failItem(item, errorMessage, values = {}) {
+        await item.update({ ...values, status: 'failed', error_message: errorMessage });
+        await Broadcast.increment('failed_count', { where: { id: item.broadcast_id } });
+    }
+
+    /**
+     * Mark broadcasts as completed when no item is pending (or held for an A/B winner)
+     */
+    async completeBroadcasts() {
+        const broadcasts = await Broadcast.findAll({ where: { status: 'sending' } });
+
+        for (const broadcast of broadcasts) {
+            const pending = await BroadcastItem.count({
+                where: { broadcast_id: broadcast.id, status: { [Op.in]: ['pending', 'held'] } }
+            });
+
+            if (pending === 0) {
+                await broadcast.update({ status: 'completed', completed_at: new Date() });
+                console.log(`[QueueService] Broadcast #${broadcast.id} completed`);
             }
         }
+    }
+
+    /**
+     * Progress of a broadcast (status endpoint)
+     */
+    async getProgress(broadcast) {
+        const counts = await BroadcastItem.findAll({
+            where: { broadcast_id: broadcast.id },
+            attributes: ['status', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+            group: ['status'],
+            raw: true
+        });
 
-        // Check if broadcasts are done
-        // Optimization: Do this less frequently
+        const byStatus = Object.fromEntries(counts.map(row => [row.status, parseInt(row.count)]));
+        const total = broadcast.total_recipients || 0;
+        const done = (byStatus.sent || 0) + (byStatus.blocked || 0) + (byStatus.failed || 0);
+
+        return {
+            total,
+            held: byStatus.held || 0,
+            sent: byStatus.sent || 0,
+            blocked: byStatus.blocked || 0,
+            failed: byStatus.failed || 0,
+            pending: byStatus.pending || 0,
+            percent: total > 0 ? Math.round(done / total * 100) : (broadcast.status === 'completed' ? 100 : 0)
+        };
     }
 }
 
@@ -0,0 +1,176 @@
+const { Op } = require('sequelize');
+const { Bot, Subscription, ChatMember, MembershipReport } = require('../models');
+const TelegramEngine = require('./TelegramEngine');
+const AccessService = require('./AccessService');
+
+/**
+ * Reconciliation Service
+ * Compares the members seen in each gated chat (tracked from chat_member updates)
+ * with the active subscriptions, flagging or removing whoever has no access
+ */
+class ReconciliationService {
+    constructor() {
+        // Failed removals are retried on every run up to this many attempts
+        this.maxRemovalAttempts = 5;
+        this.running = new Set(); // botIds being reconciled
+    }
+
+    /**
+     * Reconcile every active bot
+     * Called by CronService
+     */
+    async processAll() {
+        console.log('[ReconciliationService] Reconciling chat members...');
+
+        try {
+            const bots = await Bot.findAll({ where: { status: 'active' } });
+
+            for (const bot of bots) {
+                try {
+                    await this.reconcileBot(bot);
+                } catch (error) {
+                    console.error(`[ReconciliationService] Error reconciling bot ${bot.id}:`, error);
+                }
+            }
+        } catch (error) {
+            console.error('[ReconciliationService] Error processing reconciliation:', error);
+        }
+    }
+
+    /**
+     * Reconcile the members of a bot's chats and store the report
+     * - Member with access: flag cleared
+     * - Member without access: flagged, or removed when the bot is in 'remove' mode
+     * - Failed removals (expired members still inside): always retried
+     * @returns {object|null} MembershipReport (null if the bot is offline or already running)
+     */
+    async reconcileBot(bot) {
+        const telegrafBot = TelegramEngine.bots.get(bot.id);
+        if (!telegrafBot || this.running.has(bot.id)) return null;
+
+        this.running.add(bot.id);
+        try {
+            const startedAt = new Date();
+            const mode = bot.reconciliation_mode === 'remove' ? 'remove' : 'flag';
+            const chatIds = await AccessService.getBotChats(bot);
+
+            const members = chatIds.length > 0 ? await ChatMember.findAll({
+                where: {
+                    bot_id: bot.id,
+                    chat_id: { [Op.in]: chatIds },
+                    status: { [Op.in]: ['member', 'restricted'] }
+                }
+            }) : [];
+
+            const granted = await this.getGrantedChats(bot);
+            const report = { members_checked: members.length, unauthorized: 0, flagged: 0, removed: 0, failed: 0, details: [] };
+
+            for (const member of members) {
+                const uid = member.user_telegram_id.toString();
+
+                if (granted.get(uid)?.has(member.chat_id)) {
+                    if (member.removal_status) {
+                        await member.update({ removal_status: null, flagged_at: null, last_error: null });
+                    }
+                    continue;
+                }
+
+                // Tracked data can be stale - confirm with Telegram before acting
+                const current = await this.getTelegramStatus(telegrafBot.telegram, member);
+                if (current && !['member', 'restricted'].includes(current)) {
+                    await member.update({
+                        status: current,
+                        ...(['left', 'kicked'].includes(current) && { left_at: new Date(), removal_status: null })
+                    });
+                    continue;
+                }
+
+                report.unauthorized++;
+                const detail = { chat_id: member.chat_id, user_telegram_id: uid, user_name: member.user_name };
+
+                const retry = member.removal_status === 'failed' && member.removal_attempts < this.maxRemovalAttempts;
+                if (mode === 'remove' || retry) {
+                    const result = await AccessService.removeMember(telegrafBot.telegram, bot, member.chat_id, uid);
+                    if (result.removed) {
+                        report.removed++;
+                        detail.action = 'removed';
+                    } else {
+                        report.failed++;
+                        detail.action = 'failed';
+                        detail.error = result.error;
+                    }
+                } else {
+                    if (member.removal_status !== 'flagged' && member.removal_status !== 'failed') {
+                        await member.update({ removal_status: 'flagged', flagged_at: new Date() });
+                    }
+                    report.flagged++;
+                    detail.action = member.removal_status === 'failed' ? 'failed' : 'flagged';
+                }
+
+                report.details.push(detail);
+            }
+
+            const saved = await MembershipReport.create({
+                bot_id: bot.id,
+                mode,
+                ...report,
+                started_at: startedAt,
+                finished_at: new Date()
+            });
+
+            console.log(`[ReconciliationService] Bot ${bot.id}: ${report.members_checked} checked, ${report.unauthorized} without access, ${report.removed} removed, ${report.failed} failed`);
+            return saved;
+        } finally {
+            this.running.delete(bot.id);
+        }
+    }
+
+    /**
+     * Chats each subscriber currently has access to
+     * @returns {Map} telegramId -> Set of chat IDs
+     */
+    async getGrantedChats(bot) {
+        const subscriptions = await Subscription.findAll({
+            where: { status: { [Op.in]: ['active', 'past_due'] } },
+            include: [{
+                association: 'plan',
+                where: { bot_id: bot.id },
+                attributes: ['id'],
+                required: true
+            }],
+            attributes: ['id', 'plan_id', 'user_telegram_id']
+        });
+
+        const planChats = new Map();
+        const granted = new Map();
+
+        for (const subscription of subscriptions) {
+            if (!planChats.has(subscription.plan_id)) {
+                const chats = await AccessService.getPlanChats(subscription.plan_id, bot);
+                planChats.set(subscription.plan_id, chats.map(c => c.chat_id.toString()));
+            }
+
+            const uid = subscription.user_telegram_id.toString();
+            if (!granted.has(uid)) granted.set(uid, new Set());
+            planChats.get(subscription.plan_id).forEach(id => granted.get(uid).add(id));
+        }
+
+        return granted;
+    }
+
+    /**
+     * Current status of a member in Telegram (null when it can't be checked)
+     */
+    async getTelegramStatus(telegram, member) {
+        try {
+            const result = await telegram.getChatMember(member.chat_id, member.user_telegram_id);
+            if (result.status === 'restricted' && !result.is_member) return 'left';
+            return result.status;
+        } catch (error) {
+            console.error(`[ReconciliationService] Error checking ${member.user_telegram_id} in ${member.chat_id}:`, error.message);
+            return null;
+        }
+    }
+}
+
+module.exports = new ReconciliationService();
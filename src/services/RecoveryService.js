@@ -0,0 +1,281 @@
+const { Op } = require('sequelize');
+const { Subscription, Transaction, CheckoutRecovery } = require('../models');
+const TelegramEngine = require('./TelegramEngine');
+const CouponService = require('./CouponService');
+const config = require('../config');
+
+/**
+ * Recovery Service
+ * Abandoned checkout recovery sequence (pending subscriptions that were never paid)
+ */
+class RecoveryService {
+    constructor() {
+        // Default sequence: 15 min, 2 h and 24 h (with escalating discount)
+        this.defaultSteps = [
+            { delay_minutes: 15, discount_percent: 0 },
+            { delay_minutes: 120, discount_percent: 5 },
+            { delay_minutes: 1440, discount_percent: 10 }
+        ];
+    }
+
+    /**
+     * Get the recovery steps configured for a bot (sorted by delay)
+     */
+    getSteps(bot) {
+        const steps = Array.isArray(bot?.recovery_steps) && bot.recovery_steps.length > 0
+            ? bot.recovery_steps
+            : this.defaultSteps;
+
+        return [...steps].sort((a, b) => a.delay_minutes - b.delay_minutes);
+    }
+
+    /**
+     * Validate steps sent by the creator
+     * @returns {object} { valid, error?, steps? }
+     */
+    validateSteps(steps) {
+        if (steps === null) return { valid: true, steps: null };
+
+        if (!Array.isArray(steps) || steps.length === 0 || steps.length > 5) {
+            return { valid: false, error: 'Informe de 1 a 5 etapas de recuperação' };
+        }
+
+        const parsed = [];
+        for (const step of steps) {
+            const delay = parseInt(step.delay_minutes ?? step.delayMinutes);
+            const discount = parseFloat(step.discount_percent ?? step.discountPercent ?? 0);
+
+            if (isNaN(delay) || delay < 5) {
+                return { valid: false, error: 'O atraso mínimo de cada etapa é de 5 minutos' };
+            }
+            if (isNaN(discount) || discount < 0 || discount >= 100) {
+                return { valid: false, error: 'Desconto da etapa deve estar entre 0 e 99%' };
+            }
+
+            parsed.push({
+                delay_minutes: delay,
+                discount_percent: discount,
+                ...(step.message && { message: step.message })
+            });
+        }
+
+        return { valid: true, steps: parsed };
+    }
+
+    /**
+     * Find abandoned checkouts and send the due step of each sequence
+     * Called by CronService
+     */
+    async processAbandonedCheckouts() {
+        try {
+            const now = new Date();
+
+            // Only the last 7 days of pending checkouts are considered
+            const windowStart = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+
+            const pendingSubscriptions = await Subscription.findAll({
+                where: {
+                    status: 'pending',
+                    user_telegram_id: { [Op.ne]: 0 },
+                    created_at: { [Op.gte]: windowStart }
+                },
+                include: [{
+                    association: 'plan',
+                    required: true,
+                    include: [{
+                        association: 'bot',
+                        where: { recovery_enabled: true, status: 'active' },
+                        required: true
+                    }]
+                }],
+                order: [['created_at', 'DESC']]
+            });
+
+            // Only the most recent checkout of each user per bot is recovered
+            const seen = new Set();
+            let sent = 0;
+
+            for (const subscription of pendingSubscriptions) {
+                const bot = subscription.plan.bot;
+                const key = `${bot.id}:${subscription.user_telegram_id}`;
+                if (seen.has(key)) continue;
+                seen.add(key);
+
+                try {
+                    if (await this.processCheckout(subscription, bot, now)) {
+                        sent++;
+                    }
+                } catch (error) {
+                    console.error(`[RecoveryService] Error recovering subscription ${subscription.id}:`, error);
+                }
+            }
+
+            if (sent > 0) {
+                console.log(`[RecoveryService] Sent ${sent} recovery messages`);
+            }
+        } catch (error) {
+            console.error('[RecoveryService] Error processing abandoned checkouts:', error);
+        }
+    }
+
+    /**
+     * Advance the recovery sequence of a single pending checkout
+     * @returns {boolean} Whether a message was sent
+     */
+    async processCheckout(subscription, bot, now) {
+        const steps = this.getSteps(bot);
+
+        let recovery = await CheckoutRecovery.findOne({
+            where: { subscription_id: subscription.id }
+        });
+
+        if (recovery && recovery.status !== 'active') return false;
+
+        const abandonedAt = recovery ? new Date(recovery.abandoned_at) : new Date(subscription.created_at);
+        const elapsedMinutes = (now - abandonedAt) / (60 * 1000);
+        const nextStep = recovery ? recovery.step : 0;
+
+        // Highest step already due (if the job was down, skip straight to it instead of sending all)
+        let dueStep = -1;
+        for (let i = nextStep; i < steps.length; i++) {
+            if (elapsedMinutes >= steps[i].delay_minutes) dueStep = i;
+        }
+
+        if (dueStep === -1) {
+            if (recovery && nextStep >= steps.length) {
+                await recovery.update({ status: 'exhausted' });
+            }
+            return false;
+        }
+
+        // User paid something on this bot after abandoning -> stop the sequence
+        if (await this.hasPaidSince(bot.id, subscription.user_telegram_id, abandonedAt)) {
+            if (recovery) await recovery.update({ status: 'cancelled' });
+            return false;
+        }
+
+        if (!recovery) {
+            recovery = await CheckoutRecovery.create({
+                bot_id: bot.id,
+                plan_id: subscription.plan_id,
+                subscription_id: subscription.id,
+                user_telegram_id: subscription.user_telegram_id,
+                abandoned_at: abandonedAt
+            });
+        }
+
+        const step = steps[dueStep];
+        let coupon = null;
+
+        if (step.discount_percent > 0) {
+            coupon = await CouponService.createPersonalCoupon({
+                creatorId: bot.user_id,
+                botId: bot.id,
+                planId: subscription.plan_id,
+                telegramId: subscription.user_telegram_id,
+                percent: step.discount_percent,
+                description: 'Recuperação de checkout'
+            });
+        }
+
+        const sentOk = await TelegramEngine.sendRecoveryMessage(bot, subscription, {
+            checkoutUrl: this.buildCheckoutUrl(subscription, recovery.id, coupon),
+            message: step.message,
+            coupon,
+            discountPercent: step.discount_percent
+        });
+
+        // The code only exists in the message: a coupon nobody received is dropped
+        if (!sentOk && coupon) {
+            await coupon.destroy();
+            coupon = null;
+        }
+
+        await recovery.update({
+            step: dueStep + 1,
+            last_step_at: now,
+            coupon_id: coupon?.id || recovery.coupon_id,
+            status: sentOk ? (dueStep + 1 >= steps.length ? 'exhausted' : 'active') : 'cancelled'
+        });
+
+        return sentOk;
+    }
+
+    /**
+     * Check if a Telegram user paid anything on a bot after a date
+     */
+    async hasPaidSince(botId, telegramId, since) {
+        const count = await Transaction.count({
+            where: {
+                status: 'confirmed',
+                paid_at: { [Op.gte]: since }
+            },
+            include: [{
+                association: 'subscription',
+                where: { user_telegram_id: telegramId.toString() },
+                required: true,
+                include: [{
+                    association: 'plan',
+                    where: { bot_id: botId },
+                    required: true
+                }]
+            }]
+        });
+
+        return count > 0;
+    }
+
+    /**
+     * Move a recovery to the new checkout created from its link
+     * (keeps the sequence going instead of restarting it)
+     */
+    async attachCheckout(recoveryId, subscriptionId, telegramId) {
+        const recovery = await CheckoutRecovery.findByPk(recoveryId);
+        if (!recovery || recovery.status === 'recovered') return null;
+        if (telegramId && recovery.user_telegram_id.toString() !== telegramId.toString()) return null;
+
+        return await recovery.update({ subscription_id: subscriptionId });
+    }
+
+    /**
+     * Mark the recovery of a paid subscription as recovered
+     * Called when a payment is confirmed
+     */
+    async markRecovered(subscription, transaction) {
+        const recovery = await CheckoutRecovery.findOne({
+            where: {
+                subscription_id: subscription.id,
+                status: { [Op.in]: ['active', 'exhausted'] },
+                step: { [Op.gt]: 0 }
+            }
+        });
+
+        if (!recovery) return null;
+
+        await recovery.update({
+            status: 'recovered',
+            recovered_at: new Date(),
+            recovered_amount: transaction.amount_gross
+        });
+
+        console.log(`[RecoveryService] Checkout ${subscription.id} recovered at step ${recovery.step}`);
+        return recovery;
+    }
+
+    /**
+     * Build the checkout URL sent in recovery messages
+     */
+    buildCheckoutUrl(subscription, recoveryId, coupon = null) {
+        let url = `${config.urls.frontend}/checkout?plan=${subscription.plan_id}&tg_id=${subscription.user_telegram_id}` +
+            `&tg_name=${encodeURIComponent(subscription.user_name || '')}&tg_user=${subscription.user_telegram_username || ''}` +
+            `&recovery=${recoveryId}`;
+
+        if (coupon) {
+            url += `&coupon=${encodeURIComponent(coupon.code)}`;
+        }
+
+        return url;
+    }
+}
+
+module.exports = new RecoveryService();
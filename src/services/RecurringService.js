@@ -0,0 +1,246 @@
+const { Op } = require('sequelize');
+const { Subscription, Transaction } = require('../models');
+const PaymentService = require('./payment');
+const TelegramEngine = require('./TelegramEngine');
+const WebhookService = require('./WebhookService');
+const GatewayRoutingService = require('./GatewayRoutingService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Recurring Service
+ * Recurring billing: charges of native gateway subscriptions and
+ * scheduled PIX charges for gateways without native recurrence
+ */
+class RecurringService {
+    constructor() {
+        // Scheduled PIX charges are issued this many days before expiration
+        this.leadDays = 3;
+    }
+
+    /**
+     * Get (or create) the transaction of a recurring cycle charge
+     * - Same gateway payment ID -> existing transaction
+     * - First charge of a native subscription -> pending checkout transaction
+     * - Otherwise a new transaction for this cycle
+     */
+    async findOrCreateCycleTransaction(subscription, { paymentId, amount }) {
+        if (paymentId) {
+            const existing = await Transaction.findOne({
+                where: { gateway_payment_id: paymentId },
+                include: ['subscription']
+            });
+            if (existing) return existing;
+        }
+
+        const firstCharge = await Transaction.findOne({
+            where: {
+                subscription_id: subscription.id,
+                status: 'pending',
+                gateway_payment_id: null
+            },
+            include: ['subscription'],
+            order: [['created_at', 'DESC']]
+        });
+
+        if (firstCharge) {
+            return await firstCharge.update({ gateway_payment_id: paymentId || null });
+        }
+
+        const split = await PaymentService.calculateSplit(parseFloat(amount));
+        const cycle = await Transaction.count({ where: { subscription_id: subscription.id } });
+
+        const transaction = await Transaction.create({
+            subscription_id: subscription.id,
+            gateway: subscription.gateway,
+            gateway_payment_id: paymentId || null,
+            amount_gross: split.gross,
+            amount_net_creator: split.creatorNet,
+            amount_platform_fee: split.platformFee,
+            status: 'pending',
+            metadata: { recurring: true, cycle: cycle + 1 }
+        });
+
+        transaction.subscription = subscription;
+        return transaction;
+    }
+
+    /**
+     * Find the subscription of a native gateway subscription
+     */
+    async findByGatewaySubscription(gatewaySubscriptionId) {
+        if (!gatewaySubscriptionId) return null;
+
+        return await Subscription.findOne({
+            where: { gateway_subscription_id: gatewaySubscriptionId },
+            order: [['created_at', 'DESC']]
+        });
+    }
+
+    /**
+     * Issue PIX charges for scheduled renewals close to expiration
+     * and send them to the member through the bot
+     * Called by CronService
+     */
+    async processScheduledRenewals() {
+        console.log('[RecurringService] Issuing scheduled renewal charges...');
+
+        try {
+            const now = new Date();
+
+            const subscriptions = await Subscription.findAll({
+                where: {
+                    renewal_mode: 'scheduled',
+                    status: { [Op.in]: ['active', 'past_due'] },
+                    user_telegram_id: { [Op.ne]: 0 },
+                    expires_at: {
+                        [Op.not]: null,
+                        [Op.lt]: new Date(now.getTime() + this.leadDays * DAY_MS)
+                    }
+                },
+                include: [{
+                    association: 'plan',
+                    required: true,
+                    where: { status: 'active' },
+                    include: [{
+                        association: 'bot',
+                        required: true,
+                        include: [{
+                            association: 'owner',
+                            attributes: ['id', 'gateway_preference', 'gateway_api_token', 'asaas_wallet_id']
+                        }]
+                    }]
+                }]
+            });
+
+            let issued = 0;
+            for (const subscription of subscriptions) {
+                try {
+                    if (await this.issueRenewalCharge(subscription)) {
+                        issued++;
+                    }
+                } catch (error) {
+                    console.error(`[RecurringService] Error issuing charge for ${subscription.id}:`, error.message);
+                }
+            }
+
+            console.log(`[RecurringService] Issued ${issued} renewal charges`);
+        } catch (error) {
+            console.error('[RecurringService] Error processing scheduled renewals:', error);
+        }
+    }
+
+    /**
+     * Issue the PIX charge of the next cycle (once per period)
+     * @returns {boolean} Whether a new charge was issued
+     */
+    async issueRenewalCharge(subscription) {
+        const plan = subscription.plan;
+        const creator = plan.bot.owner;
+        const renewalFor = new Date(subscription.expires_at).toISOString();
+
+        // One charge per period (the expiry being renewed)
+        const existing = await Transaction.count({
+            where: {
+                subscription_id: subscription.id,
+                status: { [Op.in]: ['pending', 'confirmed'] },
+                metadata: { renewal_for: renewalFor }
+            }
+        });
+        if (existing > 0) return false;
+
+        const routes = await this.getRenewalRoute(subscription, creator);
+        if (routes.length === 0) {
+            console.log(`[RecurringService] Creator of subscription ${subscription.id} has no gateway configured`);
+            return false;
+        }
+
+        const split = await PaymentService.calculateSplit(parseFloat(plan.price));
+        const externalReference = `${plan.id}_${subscription.user_telegram_id}_${Date.now()}`;
+
+        const { route, result } = await GatewayRoutingService.charge(routes, async (route) => PaymentService.createPaymentLink(route.gateway, {
+            planId: plan.id,
+            title: `Renovação ${plan.name}`,
+            description: `Renovação ${plan.name}`,
+            amount: split.gross,
+            value: split.gross,
+            email: subscription.user_email || `telegram_${subscription.user_telegram_id}@boyzclub.temp`,
+            name: subscription.user_name || 'Assinante',
+            telegramId: subscription.user_telegram_id,
+            externalReference,
+            webhookUrl: await WebhookService.getWebhookUrl(route.gateway, creator.id),
+            billingType: 'PIX',
+            creatorApiToken: route.apiToken,
+            gatewayCredentials: route.credentials
+        }, creator.asaas_wallet_id));
+
+        await Transaction.create({
+            subscription_id: subscription.id,
+            gateway: route.gateway,
+            gateway_payment_id: result.id || null,
+            gateway_invoice_url: result.invoiceUrl || result.url || result.initPoint || result.qrCode,
+            amount_gross: split.gross,
+            amount_net_creator: split.creatorNet,
+            amount_platform_fee: split.platformFee,
+            status: 'pending',
+            metadata: {
+                recurring: true,
+                renewal_for: renewalFor,
+                external_reference: externalReference,
+                ...(result.amountStars && { amount_stars: result.amountStars })
+            }
+        });
+
+        await TelegramEngine.sendRenewalCharge(subscription, {
+            amount: split.gross,
+            pixCopyPaste: result.qrCode || result.pixCopyPaste,
+            paymentUrl: result.invoiceUrl || result.url || result.initPoint || null
+        });
+
+        console.log(`[RecurringService] Renewal charge issued for subscription ${subscription.id}`);
+        return true;
+    }
+
+    /**
+     * Gateways for a renewal charge: the subscription's gateway first, then the creator's other PIX gateways
+     * (Telegram Stars renewals stay on Stars)
+     */
+    async getRenewalRoute(subscription, creator) {
+        const gateway = subscription.gateway;
+        if (!PaymentService.requiresApiToken(gateway)) {
+            return [{ gateway, apiToken: null, credentials: null }];
+        }
+
+        if (!creator) return [];
+
+        const routes = await GatewayRoutingService.getRoute(creator, 'pix');
+        return [
+            ...routes.filter(route => route.gateway === gateway),
+            ...routes.filter(route => route.gateway !== gateway)
+        ];
+    }
+
+    /**
+     * Stop automatic renewal of a subscription
+     * Native subscriptions are cancelled on the gateway
+     */
+    async cancel(subscription) {
+        if (subscription.renewal_mode === 'native' && subscription.gateway_subscription_id) {
+            try {
+                const plan = subscription.plan?.bot?.owner
+                    ? subscription.plan
+                    : await subscription.getPlan({ include: [{ association: 'bot', include: ['owner'] }] });
+
+                const owner = plan?.bot?.owner;
+                const credentials = owner && await GatewayRoutingService.getCredentials(owner, subscription.gateway);
+                await PaymentService.cancelSubscription(subscription.gateway, subscription.gateway_subscription_id, credentials?.apiToken);
+            } catch (error) {
+                console.error(`[RecurringService] Error cancelling gateway subscription ${subscription.gateway_subscription_id}:`, error.message);
+            }
+        }
+
+        await subscription.update({ renewal_mode: null });
+    }
+}
+
+module.exports = new RecurringService();
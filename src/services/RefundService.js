@@ -0,0 +1,215 @@
+const { Transaction, SubscriptionHistory, Plan } = require('../models');
+const PaymentService = require('./payment');
+const SubscriptionService = require('./SubscriptionService');
+const RecurringService = require('./RecurringService');
+const GatewayRoutingService = require('./GatewayRoutingService');
+const NotificationService = require('./NotificationService');
+const TelegramEngine = require('./TelegramEngine');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Refund Service
+ * Refunds and chargebacks (issued by the creator or reported by the gateways)
+ * and their effect on subscriptions and fee accounting
+ */
+class RefundService {
+    /**
+     * Refund a confirmed transaction on its gateway and apply it
+     * @param {object} options.manual - Already refunded on the gateway dashboard (only mark it)
+     * @returns {object} { valid, error?, transaction }
+     */
+    async refund(transaction, { revoke = true, manual = false } = {}) {
+        if (transaction.status !== 'confirmed') {
+            return { valid: false, error: 'Somente pagamentos confirmados podem ser estornados' };
+        }
+
+        const subscription = transaction.subscription || await transaction.getSubscription();
+
+        if (!manual) {
+            if (!PaymentService.supportsRefund(transaction.gateway)) {
+                return { valid: false, error: 'Este gateway não permite estorno automático. Estorne pelo painel do gateway e marque como estornado.' };
+            }
+            if (!transaction.gateway_payment_id) {
+                return { valid: false, error: 'Pagamento sem identificador no gateway' };
+            }
+
+            const plan = await subscription.getPlan({ include: [{ association: 'bot', include: ['owner'] }] });
+            const owner = plan?.bot?.owner;
+            const credentials = owner && await GatewayRoutingService.getCredentials(owner, transaction.gateway);
+
+            try {
+                await PaymentService.refundPayment(transaction.gateway, transaction.gateway_payment_id, credentials?.apiToken);
+            } catch (error) {
+                console.error(`[RefundService] Gateway refund failed for transaction ${transaction.id}:`, error.message);
+                return { valid: false, error: 'O gateway recusou o estorno' };
+            }
+        }
+
+        transaction.subscription = subscription;
+        await this.applyReversal(transaction, { source: manual ? 'manual' : 'creator', revoke });
+        return { valid: true, transaction };
+    }
+
+    /**
+     * Apply a refund or chargeback to a transaction (idempotent - gateways resend events)
+     * - Full refund / chargeback: transaction leaves the revenue totals, paid period removed
+     * - Partial refund: amounts reduced, paid period shortened proportionally
+     * @param {string} options.type - refund | chargeback
+     * @param {number} options.amount - Total refunded so far (null = full amount)
+     * @param {string} options.source - creator | manual | gateway name
+     * @param {boolean} options.revoke - Remove the paid period (false = only accounting)
+     * @returns {boolean} Whether anything changed
+     */
+    async applyReversal(transaction, { type = 'refund', amount = null, source, revoke = true }) {
+        const gross = parseFloat(transaction.amount_gross);
+        const alreadyRefunded = parseFloat(transaction.amount_refunded || 0);
+        const total = amount ? Math.min(parseFloat(amount), gross) : gross;
+
+        if (['refunded', 'chargeback'].includes(transaction.status) || total <= alreadyRefunded) {
+            console.log(`[RefundService] Transaction ${transaction.id} already reversed, skipping`);
+            return false;
+        }
+
+        if (transaction.status !== 'confirmed') {
+            // Never paid (pending/failed): nothing to reverse
+            await transaction.update({ status: 'failed', gateway_status: type.toUpperCase() });
+            return false;
+        }
+
+        const full = type === 'chargeback' || total >= gross;
+        const delta = total - alreadyRefunded;
+
+        // Platform fee is returned proportionally to the refunded amount
+        const reversedFee = parseFloat(transaction.platform_fee_reversed || 0);
+        const originalFee = parseFloat(transaction.amount_platform_fee) + reversedFee;
+        const feeShare = full
+            ? parseFloat(transaction.amount_platform_fee)
+            : parseFloat((originalFee * delta / gross).toFixed(2));
+
+        await transaction.update({
+            ...(full
+                // Refunded/chargeback transactions are left out of the confirmed totals
+                ? { status: type === 'chargeback' ? 'chargeback' : 'refunded' }
+                : {
+                    amount_platform_fee: parseFloat(transaction.amount_platform_fee) - feeShare,
+                    amount_net_creator: Math.max(0, parseFloat(transaction.amount_net_creator) - (delta - feeShare))
+                }),
+            refunded_at: new Date(),
+            amount_refunded: total,
+            platform_fee_reversed: reversedFee + feeShare,
+            gateway_status: type === 'chargeback' ? 'CHARGEBACK' : (full ? 'REFUNDED' : 'PARTIALLY_REFUNDED'),
+            metadata: { ...transaction.metadata, refund_source: source, reversal_type: type }
+        });
+
+        const subscription = transaction.subscription || await transaction.getSubscription();
+        const effect = revoke && subscription
+            ? await this.applyToSubscription(subscription, transaction, { type, ratio: full ? 1 : delta / gross })
+            : 'none';
+
+        // Refunds issued by the creator don't need a notification
+        if (!['creator', 'manual'].includes(source)) {
+            await this.notifyCreator(subscription, transaction, { type, amount: full ? gross : delta, effect });
+        }
+
+        console.log(`[RefundService] Transaction ${transaction.id} ${type} of R$ ${delta.toFixed(2)} (${source}) - subscription ${effect}`);
+        return true;
+    }
+
+    /**
+     * Remove the period paid by a reversed transaction
+     * Stacked renewals are shortened; the subscription is revoked when nothing paid is left
+     * @param {number} ratio - Share of the payment reversed (1 = full)
+     * @returns {string} revoked | shortened | none
+     */
+    async applyToSubscription(subscription, transaction, { type, ratio }) {
+        if (!['active', 'past_due'].includes(subscription.status)) return 'none';
+
+        const now = new Date();
+        const paidDays = await this.getPaidDays(subscription, transaction);
+        const removeDays = paidDays * ratio;
+        const stillPaid = subscription.expires_at &&
+            new Date(subscription.expires_at).getTime() - removeDays * DAY_MS > now.getTime();
+
+        // Partial refund or refunded renewal with earlier paid time left -> shorten
+        if (stillPaid && removeDays > 0 && type !== 'chargeback') {
+            await SubscriptionService.shorten(subscription, parseFloat(removeDays.toFixed(2)), { transaction });
+            await TelegramEngine.notifySubscriptionShortened(subscription);
+            return 'shortened';
+        }
+
+        // Partial refund of a lifetime plan keeps the access
+        if (ratio < 1 && !subscription.expires_at) return 'none';
+
+        await RecurringService.cancel(subscription);
+        await SubscriptionService.revoke(subscription, { transaction });
+        await TelegramEngine.notifySubscriptionRevoked(subscription, { refunded: true });
+        return 'revoked';
+    }
+
+    /**
+     * Days of access a transaction paid for (from the activation history)
+     */
+    async getPaidDays(subscription, transaction) {
+        const history = await SubscriptionHistory.findOne({
+            where: { transaction_id: transaction.id },
+            order: [['created_at', 'DESC']]
+        });
+
+        if (history?.expires_at) {
+            const activatedAt = new Date(history.created_at);
+            const previous = history.previous_expires_at ? new Date(history.previous_expires_at) : null;
+            const base = history.action === 'renewal' && previous && previous > activatedAt ? previous : activatedAt;
+
+            const days = (new Date(history.expires_at) - base) / DAY_MS - parseFloat(history.credited_days || 0);
+            return Math.max(0, days);
+        }
+
+        const plan = subscription.plan || await Plan.findByPk(subscription.plan_id);
+        return plan?.duration_days || 0;
+    }
+
+    /**
+     * Let the creator know about a refund/chargeback reported by the gateway
+     */
+    async notifyCreator(subscription, transaction, { type, amount, effect }) {
+        const plan = await Plan.findByPk(subscription?.plan_id, { include: ['bot'] });
+        if (!plan?.bot) return;
+
+        const value = `R$ ${amount.toFixed(2).replace('.', ',')}`;
+        const customer = subscription.user_name || subscription.user_telegram_username || subscription.user_telegram_id;
+        const effectText = {
+            revoked: 'O acesso do assinante foi removido.',
+            shortened: 'O período pago foi descontado da assinatura.',
+            none: 'A assinatura não foi alterada.'
+        };
+
+        await NotificationService.notify(plan.bot.user_id, {
+            type,
+            title: type === 'chargeback'
+                ? `Chargeback de ${value} no plano ${plan.name}`
+                : `Estorno de ${value} no plano ${plan.name}`,
+            message: `Pagamento de ${customer} (${transaction.gateway}). ${effectText[effect]}`,
+            data: {
+                bot_id: plan.bot.id,
+                subscription_id: subscription.id,
+                transaction_id: transaction.id
+            }
+        });
+    }
+
+    /**
+     * Find a transaction of a subscription (latest confirmed when no ID is given)
+     */
+    async findRefundable(subscription, transactionId = null) {
+        return await Transaction.findOne({
+            where: {
+                subscription_id: subscription.id,
+                ...(transactionId ? { id: transactionId } : { status: 'confirmed' })
+            },
+            order: [['paid_at', 'DESC']]
+        });
+    }
+}
+
+module.exports = new RefundService();
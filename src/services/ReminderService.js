@@ -0,0 +1,178 @@
+const { Op } = require('sequelize');
+const { Subscription, SubscriptionReminder } = require('../models');
+const TelegramEngine = require('./TelegramEngine');
+const BroadcastScheduleService = require('./BroadcastScheduleService');
+const config = require('../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days before expiration are calendar days in the timezone of the reminder job
+const TIMEZONE = 'America/Sao_Paulo';
+
+/**
+ * Reminder Service
+ * Renewal reminders sent before a subscription expires
+ */
+class ReminderService {
+    constructor() {
+        // Default schedule: 7, 3 and 1 day(s) before and on the expiration day
+        this.defaultSteps = [
+            { days_before: 7 },
+            { days_before: 3 },
+            { days_before: 1 },
+            { days_before: 0 }
+        ];
+    }
+
+    /**
+     * Get the reminder steps configured for a bot (closest to expiration first)
+     */
+    getSteps(bot) {
+        const steps = Array.isArray(bot?.reminder_steps) && bot.reminder_steps.length > 0
+            ? bot.reminder_steps
+            : this.defaultSteps;
+
+        return [...steps].sort((a, b) => a.days_before - b.days_before);
+    }
+
+    /**
+     * Validate steps sent by the creator
+     * @returns {object} { valid, error?, steps? }
+     */
+    validateSteps(steps) {
+        if (steps === null) return { valid: true, steps: null };
+
+        if (!Array.isArray(steps) || steps.length === 0 || steps.length > 10) {
+            return { valid: false, error: 'Informe de 1 a 10 lembretes de renovação' };
+        }
+
+        const parsed = [];
+        for (const step of steps) {
+            const days = parseInt(step.days_before ?? step.daysBefore);
+
+            if (isNaN(days) || days < 0 || days > 60) {
+                return { valid: false, error: 'Os lembretes devem ser de 0 a 60 dias antes do vencimento' };
+            }
+            if (parsed.some(p => p.days_before === days)) {
+                return { valid: false, error: 'Há lembretes repetidos para o mesmo dia' };
+            }
+
+            parsed.push({
+                days_before: days,
+                ...(step.message && { message: step.message })
+            });
+        }
+
+        return { valid: true, steps: parsed };
+    }
+
+    /**
+     * Send the due reminder of every subscription close to expiration
+     * Called by CronService
+     */
+    async processReminders() {
+        console.log('[ReminderService] Sending renewal reminders...');
+
+        try {
+            const now = new Date();
+            const today = BroadcastScheduleService.getLocalParts(now, TIMEZONE);
+            const startOfToday = BroadcastScheduleService.toUtc(today.year, today.month, today.day, 0, 0, TIMEZONE);
+
+            // From the start of the day: subscriptions expiring before the job runs still get the day-0 reminder
+            const subscriptions = await Subscription.findAll({
+                where: {
+                    status: { [Op.in]: ['active', 'past_due', 'expired'] },
+                    user_telegram_id: { [Op.ne]: 0 },
+                    expires_at: {
+                        [Op.not]: null,
+                        [Op.gte]: startOfToday,
+                        [Op.lt]: new Date(now.getTime() + 61 * DAY_MS)
+                    }
+                },
+                include: [{
+                    association: 'plan',
+                    required: true,
+                    include: [{
+                        association: 'bot',
+                        where: { reminders_enabled: true, status: 'active' },
+                        required: true
+                    }]
+                }]
+            });
+
+            let sent = 0;
+            for (const subscription of subscriptions) {
+                try {
+                    if (await this.processSubscription(subscription, now)) {
+                        sent++;
+                    }
+                } catch (error) {
+                    console.error(`[ReminderService] Error sending reminder for ${subscription.id}:`, error);
+                }
+            }
+
+            console.log(`[ReminderService] Sent ${sent} renewal reminders`);
+        } catch (error) {
+            console.error('[ReminderService] Error processing reminders:', error);
+        }
+    }
+
+    /**
+     * Send the reminder due for a single subscription (at most one per run)
+     * @returns {boolean} Whether a reminder was sent
+     */
+    async processSubscription(subscription, now) {
+        const bot = subscription.plan.bot;
+        const expiresAt = new Date(subscription.expires_at);
+        const daysLeft = this.getDaysLeft(expiresAt, now);
+
+        // Closest step not yet passed; earlier steps missed while offline are skipped
+        const step = this.getSteps(bot).find(s => s.days_before >= daysLeft);
+        if (!step) return false;
+
+        // Dedup by subscription + step + expiration (a renewed period gets its own reminders)
+        const [reminder, created] = await SubscriptionReminder.findOrCreate({
+            where: {
+                subscription_id: subscription.id,
+                days_before: step.days_before,
+                expires_at: expiresAt
+            },
+            defaults: { sent_at: now }
+        });
+
+        if (!created) return false;
+
+        const sentOk = await TelegramEngine.sendRenewalReminder(subscription, daysLeft, {
+            message: step.message,
+            checkoutUrl: this.buildRenewalUrl(subscription)
+        });
+
+        // Not delivered (blocked bot, etc.) - keep it marked so it isn't retried every run
+        if (!sentOk) {
+            console.log(`[ReminderService] Reminder ${reminder.id} not delivered to ${subscription.user_telegram_id}`);
+        }
+
+        return sentOk;
+    }
+
+    /**
+     * Calendar days from today to the expiration day (0 = expires today, even if earlier today)
+     */
+    getDaysLeft(expiresAt, now) {
+        const today = BroadcastScheduleService.getLocalParts(now, TIMEZONE);
+        const expiration = BroadcastScheduleService.getLocalParts(expiresAt, TIMEZONE);
+
+        return Math.round((Date.UTC(expiration.year, expiration.month - 1, expiration.day) -
+            Date.UTC(today.year, today.month - 1, today.day)) / DAY_MS);
+    }
+
+    /**
+     * Build the one-tap renewal checkout URL (same plan)
+     */
+    buildRenewalUrl(subscription) {
+        return `${config.urls.frontend}/checkout?plan=${subscription.plan_id}&tg_id=${subscription.user_telegram_id}` +
+            `&tg_name=${encodeURIComponent(subscription.user_name || '')}&tg_user=${subscription.user_telegram_username || ''}`;
+    }
+}
+
+module.exports = new ReminderService();
@@ -0,0 +1,277 @@
+const { Op } = require('sequelize');
+const { Subscription, Plan, SubscriptionHistory } = require('../models');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Subscription Service
+ * Subscription lifecycle: activation, renewals, grace period (past_due) and dunning
+ */
+class SubscriptionService {
+    /**
+     * Activate a subscription after a confirmed payment (renewal aware)
+     * - Same plan: stacks on top of the current expires_at
+     * - Different plan: upgrade/downgrade, remaining time credited pro-rata
+     * - Renewal during grace period continues from the original expiry date
+     * @param {number} durationDays - Overrides the plan duration (manual grants)
+     * @returns {object} SubscriptionHistory entry of this activation
+     */
+    async activate(subscription, { transaction = null, paidAt = new Date(), durationDays = null } = {}) {
+        const now = new Date(paidAt);
+        const plan = await Plan.findByPk(subscription.plan_id);
+
+        // Subscription being replaced (or itself, when a recurring charge renews it)
+        const current = ['active', 'past_due'].includes(subscription.status) && subscription.expires_at
+            ? subscription
+            : await this.findCurrent(subscription.user_telegram_id, plan?.bot_id, subscription.id);
+
+        let action = 'activation';
+        let base = now;
+        let creditedDays = 0;
+
+        if (current) {
+            const currentExpiry = new Date(current.expires_at);
+            const inGrace = current.status === 'past_due';
+
+            if (current.plan_id === subscription.plan_id) {
+                action = 'renewal';
+                base = inGrace || currentExpiry > now ? currentExpiry : now;
+            } else {
+                const currentPlan = current.plan || await Plan.findByPk(current.plan_id);
+                action = parseFloat(plan?.price || 0) >= parseFloat(currentPlan?.price || 0) ? 'upgrade' : 'downgrade';
+                base = inGrace ? currentExpiry : now;
+                creditedDays = this.calculateCredit(currentPlan, plan, currentExpiry - now);
+            }
+        }
+
+        const days = durationDays ?? plan?.duration_days;
+
+        let expiresAt = null;
+        if (days > 0) {
+            expiresAt = new Date(base.getTime() + (days + creditedDays) * DAY_MS);
+        }
+
+        // Replaced by the new checkout (member stays in the channel)
+        if (current && current.id !== subscription.id) {
+            await current.update({ status: 'renewed', grace_ends_at: null });
+        }
+
+        const previousExpiresAt = current ? current.expires_at : null;
+
+        await subscription.update({
+            status: 'active',
+            starts_at: current?.id === subscription.id ? subscription.starts_at : now,
+            expires_at: expiresAt,
+            grace_ends_at: null,
+            dunning_step: 0
+        });
+
+        const history = await SubscriptionHistory.create({
+            subscription_id: subscription.id,
+            previous_subscription_id: current && current.id !== subscription.id ? current.id : null,
+            transaction_id: transaction?.id || null,
+            user_telegram_id: subscription.user_telegram_id,
+            action,
+            plan_id: subscription.plan_id,
+            previous_plan_id: current?.plan_id || null,
+            previous_expires_at: previousExpiresAt,
+            expires_at: expiresAt,
+            credited_days: creditedDays
+        });
+
+        console.log(`[SubscriptionService] Subscription ${subscription.id} ${action} until ${expiresAt ? expiresAt.toISOString() : 'lifetime'}`);
+        return history;
+    }
+
+    /**
+     * Add days to a subscription (manual extension by the creator)
+     * Expired/cancelled subscriptions are reactivated counting from today
+     * @returns {object} { history, reactivated }
+     */
+    async extend(subscription, days) {
+        const now = new Date();
+        const previousExpiresAt = subscription.expires_at;
+        const reactivated = !['active', 'past_due'].includes(subscription.status);
+
+        const current = previousExpiresAt ? new Date(previousExpiresAt) : now;
+        const base = current > now ? current : now;
+        const expiresAt = new Date(base.getTime() + days * DAY_MS);
+
+        await subscription.update({
+            status: 'active',
+            starts_at: subscription.starts_at || now,
+            expires_at: expiresAt,
+            cancelled_at: null,
+            grace_ends_at: null,
+            dunning_step: 0
+        });
+
+        const history = await SubscriptionHistory.create({
+            subscription_id: subscription.id,
+            user_telegram_id: subscription.user_telegram_id,
+            action: 'extension',
+            plan_id: subscription.plan_id,
+            previous_plan_id: subscription.plan_id,
+            previous_expires_at: previousExpiresAt,
+            expires_at: expiresAt,
+            credited_days: days
+        });
+
+        console.log(`[SubscriptionService] Subscription ${subscription.id} extended by ${days} days until ${expiresAt.toISOString()}`);
+        return { history, reactivated };
+    }
+
+    /**
+     * Revoke a subscription right away (manual revocation or refund)
+     * @returns {object} SubscriptionHistory entry
+     */
+    async revoke(subscription, { transaction = null } = {}) {
+        const now = new Date();
+        const previousExpiresAt = subscription.expires_at;
+
+        await subscription.update({
+            status: 'cancelled',
+            cancelled_at: now,
+            expires_at: now,
+            grace_ends_at: null,
+            renewal_mode: null
+        });
+
+        const history = await SubscriptionHistory.create({
+            subscription_id: subscription.id,
+            transaction_id: transaction?.id || null,
+            user_telegram_id: subscription.user_telegram_id,
+            action: 'revocation',
+            plan_id: subscription.plan_id,
+            previous_plan_id: subscription.plan_id,
+            previous_expires_at: previousExpiresAt,
+            expires_at: now
+        });
+
+        console.log(`[SubscriptionService] Subscription ${subscription.id} revoked`);
+        return history;
+    }
+
+    /**
+     * Remove days from a subscription (payment of a stacked period refunded)
+     * @returns {object} SubscriptionHistory entry
+     */
+    async shorten(subscription, days, { transaction = null } = {}) {
+        const previousExpiresAt = subscription.expires_at;
+        const expiresAt = new Date(new Date(previousExpiresAt).getTime() - days * DAY_MS);
+
+        await subscription.update({ expires_at: expiresAt });
+
+        const history = await SubscriptionHistory.create({
+            subscription_id: subscription.id,
+            transaction_id: transaction?.id || null,
+            user_telegram_id: subscription.user_telegram_id,
+            action: 'reduction',
+            plan_id: subscription.plan_id,
+            previous_plan_id: subscription.plan_id,
+            previous_expires_at: previousExpiresAt,
+            expires_at: expiresAt,
+            credited_days: -days
+        });
+
+        console.log(`[SubscriptionService] Subscription ${subscription.id} shortened by ${days} days until ${expiresAt.toISOString()}`);
+        return history;
+    }
+
+    /**
+     * Days of the new plan worth the unused time of the current one
+     * (remaining days x daily price of the old plan / daily price of the new plan)
+     */
+    calculateCredit(currentPlan, newPlan, remainingMs) {
+        if (remainingMs <= 0 || !currentPlan || !newPlan) return 0;
+        if (!(currentPlan.duration_days > 0) || !(newPlan.duration_days > 0)) return 0;
+
+        const currentDaily = parseFloat(currentPlan.price) / currentPlan.duration_days;
+        const newDaily = parseFloat(newPlan.price) / newPlan.duration_days;
+        if (!(newDaily > 0)) return 0;
+
+        const remainingValue = (remainingMs / DAY_MS) * currentDaily;
+        return parseFloat((remainingValue / newDaily).toFixed(2));
+    }
+
+    /**
+     * Find the time-limited subscription a Telegram user currently holds on a bot
+     * (active or in grace period), ignoring the one being activated
+     */
+    async findCurrent(telegramId, botId, excludeId = null) {
+        if (!botId || !telegramId || telegramId.toString() === '0') return null;
+
+        return await Subscription.findOne({
+            where: {
+                user_telegram_id: telegramId.toString(),
+                status: { [Op.in]: ['active', 'past_due'] },
+                expires_at: { [Op.not]: null },
+                ...(excludeId && { id: { [Op.ne]: excludeId } })
+            },
+            include: [{
+                association: 'plan',
+                where: { bot_id: botId },
+                required: true
+            }],
+            order: [['expires_at', 'DESC']]
+        });
+    }
+
+    /**
+     * Move an expired subscription into the bot's grace period
+     * @returns {boolean} false when the bot has no grace period or it already ended (remove right away)
+     */
+    async startGracePeriod(subscription, bot) {
+        const graceDays = parseInt(bot?.grace_period_days) || 0;
+        if (graceDays <= 0) return false;
+
+        const graceEndsAt = new Date(new Date(subscription.expires_at).getTime() + graceDays * DAY_MS);
+        if (graceEndsAt <= new Date()) return false;
+
+        await subscription.update({
+            status: 'past_due',
+            grace_ends_at: graceEndsAt,
+            dunning_step: 0
+        });
+
+        return true;
+    }
+
+    /**
+     * Days (after expiry) when payment nudges are sent during the grace period
+     * First day, middle of the window and last day - e.g. 7 days -> [0, 3, 6]
+     */
+    getDunningSchedule(graceDays) {
+        if (graceDays <= 0) return [];
+
+        const days = [0, Math.floor(graceDays / 2), graceDays - 1];
+        return [...new Set(days)].sort((a, b) => a - b);
+    }
+
+    /**
+     * Get the nudge due for a past_due subscription (null if already sent)
+     * @returns {object|null} { step, level, daysLeft }
+     */
+    getDueNudge(subscription, graceDays, now = new Date()) {
+        const schedule = this.getDunningSchedule(graceDays);
+        const daysPast = Math.floor((now - new Date(subscription.expires_at)) / DAY_MS);
+
+        // Highest nudge already due (skip the ones missed while offline)
+        let dueStep = -1;
+        for (let i = 0; i < schedule.length; i++) {
+            if (daysPast >= schedule[i]) dueStep = i;
+        }
+
+        if (dueStep === -1 || dueStep < (subscription.dunning_step || 0)) return null;
+
+        const level = dueStep === schedule.length - 1 && schedule.length > 1
+            ? 'final'
+            : dueStep === 0 ? 'gentle' : 'warning';
+
+        const daysLeft = Math.max(0, Math.ceil((new Date(subscription.grace_ends_at) - now) / DAY_MS));
+
+        return { step: dueStep, level, daysLeft };
+    }
+}
+
+module.exports = new SubscriptionService();
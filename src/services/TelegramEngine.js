@@ -1,8 +1,20 @@
 const { Telegraf, Markup } = require('telegraf');
 const axios = require('axios');
-const { Bot, Plan, Subscription, Transaction, User } = require('../models');
+const QRCode = require('qrcode');
+const { Bot, Plan, Subscription, Transaction, User, PlanOffer } = require('../models');
 const { Op } = require('sequelize');
 const config = require('../config');
+const OfferService = require('./OfferService');
+const CouponService = require('./CouponService');
+const AccessService = require('./AccessService');
+const PaymentService = require('./payment');
+const TelegramStarsService = require('./payment/TelegramStarsService');
+const WebhookService = require('./WebhookService');
+const GatewayRoutingService = require('./GatewayRoutingService');
+const VaultService = require('./VaultService');
+const AudienceService = require('./AudienceService');
+const BroadcastAnalyticsService = require('./BroadcastAnalyticsService');
+const AbTestService = require('./AbTestService');
 
 /**
  * Telegram Multi-Tenant VIP Bot Engine
@@ -11,7 +23,9 @@ const config = require('../config');
 class TelegramEngine {
     constructor() {
         this.bots = new Map(); // botId -> Telegraf instance
-        this.tokenToBot = new Map(); // token -> botId
+        this.webhookSecrets = new Map(); // botId -> secret_token expected on its webhook updates
+        // chat_member and pre_checkout_query are not delivered unless explicitly requested
+        this.allowedUpdates = ['message', 'callback_query', 'chat_member', 'my_chat_member', 'chat_join_request', 'pre_checkout_query'];
     }
 
     /**
@@ -50,29 +64,64 @@ class TelegramEngine {
         }
     }
 
+    /**
+     * Inspect a chat the bot was added to (title, type and admin rights)
+     * @returns {object|null} null when the bot is offline or can't see the chat
+     */
+    async getChatAccess(botId, chatId) {
+        const telegrafBot = this.bots.get(botId);
+        if (!telegrafBot) return null;
+
+        try {
+            const chat = await telegrafBot.telegram.getChat(chatId);
+            const me = await telegrafBot.telegram.getMe();
+            const member = await telegrafBot.telegram.getChatMember(chatId, me.id);
+            const isAdmin = ['administrator', 'creator'].includes(member.status);
+
+            return {
+                chatId: chat.id.toString(),
+                title: chat.title || null,
+                type: chat.type === 'channel' ? 'channel' : 'group',
+                isAdmin,
+                canInvite: isAdmin && member.can_invite_users !== false,
+                canRestrict: isAdmin && member.can_restrict_members !== false
+            };
+        } catch (error) {
+            console.error(`[TelegramEngine] Error inspecting chat ${chatId}:`, error.message);
+            return null;
+        }
+    }
+
     /**
      * Register and start a bot
      */
     async registerBot(botRecord) {
         try {
+            const token = VaultService.decrypt(botRecord.token);
+
             // Validate token first
-            const botInfo = await this.validateToken(botRecord.token);
+            const botInfo = await this.validateToken(token);
             if (!botInfo) {
                 await botRecord.update({ status: 'error', last_error: 'Invalid token' });
                 return null;
             }
 
             // Create Telegraf instance
-            const telegrafBot = new Telegraf(botRecord.token);
+            const telegrafBot = new Telegraf(token);
 
             // Setup handlers
             this.setupHandlers(telegrafBot, botRecord);
 
-            // Set webhook
-            const webhookUrl = `${config.telegram.webhookBaseUrl}/${botRecord.token}`;
+            // Set webhook (bot ID in the URL, the token never leaves the server;
+            // Telegram sends the secret back in X-Telegram-Bot-Api-Secret-Token)
+            const webhookUrl = `${config.telegram.webhookBaseUrl}/${botRecord.id}`;
+            const webhookSecret = VaultService.hash(`webhook:${token}`);
 
             try {
-                await telegrafBot.telegram.setWebhook(webhookUrl);
+                await telegrafBot.telegram.setWebhook(webhookUrl, {
+                    allowed_updates: this.allowedUpdates,
+                    secret_token: webhookSecret
+                });
                 await botRecord.update({
                     username: botInfo.username,
                     name: botRecord.name || botInfo.first_name,
@@ -84,13 +133,13 @@ class TelegramEngine {
                 // Fallback to polling in development
                 if (config.env === 'development') {
                     console.log(`[TelegramEngine] Using polling for bot ${botInfo.username}`);
-                    telegrafBot.launch({ dropPendingUpdates: true });
+                    telegrafBot.launch({ dropPendingUpdates: true, allowedUpdates: this.allowedUpdates });
                 }
             }
 
             // Store instance
             this.bots.set(botRecord.id, telegrafBot);
-            this.tokenToBot.set(botRecord.token, botRecord.id);
+            this.webhookSecrets.set(botRecord.id, webhookSecret);
 
             console.log(`[TelegramEngine] Bot @${botInfo.username} registered`);
             return botInfo;
@@ -107,13 +156,25 @@ class TelegramEngine {
     setupHandlers(telegrafBot, botRecord) {
         const self = this;
 
+        // Contacts of the bot: first seen / last interaction (broadcast segments)
+        telegrafBot.use((ctx, next) => {
+            if (ctx.from && !ctx.from.is_bot && ctx.chat?.type === 'private') {
+                AudienceService.trackContact(botRecord.id, ctx.from);
+            }
+            return next();
+        });
+
         // ===================================================================
         // /start - Main entry point & deeplink handler
         // ===================================================================
         telegrafBot.command('start', async (ctx) => {
             const telegramUser = ctx.from;
             const firstName = telegramUser.first_name || 'Usuário';
-            const startPayload = ctx.message.text.split(' ')[1];
+            // Broadcast buttons append the recipient's ref (/start plan_<id>__bc<itemId>)
+            const { payload: startPayload, ref } = BroadcastAnalyticsService.splitStartPayload(ctx.message.text.split(' ')[1]);
+            if (ref) {
+                await self.trackBroadcastRef(botRecord, telegramUser, ref);
+            }
 
             // Get plans for this bot
             const plans = await Plan.findAll({
@@ -121,6 +182,11 @@ class TelegramEngine {
                 order: [['price', 'ASC']]
             });
 
+            // Check for deeplink with coupon code (/start coupon_CODE)
+            if (startPayload && startPayload.startsWith('coupon_')) {
+                await self.applyCoupon(ctx, botRecord, startPayload.replace('coupon_', ''));
+            }
+
             // Check for deeplink with plan ID
             if (startPayload && startPayload.startsWith('plan_')) {
                 const planId = startPayload.replace('plan_', '');
@@ -171,6 +237,32 @@ class TelegramEngine {
             );
         });
 
+        // ===================================================================
+        // /cupom - Apply discount coupon
+        // ===================================================================
+        telegrafBot.command('cupom', async (ctx) => {
+            const code = ctx.message.text.split(' ')[1];
+
+            if (!code) {
+                return ctx.reply(
+                    '🎟 *Cupom de Desconto*\n\n' +
+                    'Envie o código junto com o comando, por exemplo:\n' +
+                    '/cupom PROMO10',
+                    { parse_mode: 'Markdown', protect_content: botRecord.anti_cloning }
+                );
+            }
+
+            const applied = await self.applyCoupon(ctx, botRecord, code);
+            if (!applied) return;
+
+            const plans = await Plan.findAll({
+                where: { bot_id: botRecord.id, status: 'active' },
+                order: [['price', 'ASC']]
+            });
+
+            return self.showWelcomeWithPlans(ctx, plans, botRecord, ctx.from.first_name || 'Usuário');
+        });
+
         // ===================================================================
         // /status - Check subscription status
         // ===================================================================
@@ -183,7 +275,6 @@ class TelegramEngine {
                     '❌ *Sem Assinatura Ativa*\n\n' +
                     'Você não possui uma assinatura ativa neste bot.\n\n' +
                     'Use /planos para ver os planos disponíveis.',
-                    'Use /planos para ver os planos disponíveis.',
                     { parse_mode: 'Markdown', protect_content: botRecord.anti_cloning }
                 );
             }
@@ -280,27 +371,27 @@ class TelegramEngine {
                 );
             }
 
-            if (!botRecord.channel_id) {
-                return ctx.reply('⚠️ O grupo VIP ainda não foi configurado. Entre em contato com o administrador.');
-            }
-
             try {
-                // Generate invite link
-                const inviteLink = await ctx.telegram.createChatInviteLink(
-                    botRecord.channel_id,
-                    {
-                        member_limit: 1,
-                        expire_date: Math.floor(Date.now() / 1000) + 3600 // 1 hour
-                    }
-                );
+                // Invite links for every chat of the plan
+                const chats = await AccessService.getPlanChats(subscription.plan_id, botRecord);
+                if (chats.length === 0) {
+                    return ctx.reply('⚠️ O grupo VIP ainda não foi configurado. Entre em contato com o administrador.');
+                }
+
+                const links = await AccessService.grantAccess(ctx.telegram, subscription, botRecord);
+                if (links.length === 0) {
+                    throw new Error('No invite link created');
+                }
 
                 await ctx.reply(
                     `🎉 *Acesso VIP Liberado!*\n\n` +
-                    `Clique no link abaixo para entrar no grupo:\n\n` +
-                    `🔗 ${inviteLink.invite_link}\n\n` +
-                    `⚠️ Este link expira em 1 hora e é de uso único.`,
-                    `⚠️ Este link expira em 1 hora e é de uso único.`,
-                    { parse_mode: 'Markdown', protect_content: botRecord.anti_cloning }
+                    `Toque nos botões abaixo para entrar:\n\n` +
+                    self.getAccessNotice(botRecord),
+                    {
+                        parse_mode: 'Markdown',
+                        protect_content: botRecord.anti_cloning,
+                        ...self.buildAccessKeyboard(links)
+                    }
                 );
             } catch (error) {
                 console.error('[TelegramEngine] Error creating invite link:', error);
@@ -319,6 +410,7 @@ class TelegramEngine {
                 `✅ /status - Ver status da assinatura\n` +
                 `🔗 /grupo - Acessar grupo VIP\n` +
                 `🔄 /renovar - Renovar assinatura\n` +
+                `🎟 /cupom - Aplicar cupom de desconto\n` +
                 `❌ /cancelar - Cancelar assinatura\n` +
                 `📖 /ajuda - Esta mensagem\n` +
                 `💬 /suporte - Falar com suporte\n\n` +
@@ -363,6 +455,178 @@ class TelegramEngine {
             await self.showPaymentOptions(ctx, plan, botRecord, ctx.from, true);
         });
 
+        // ===================================================================
+        // Order bump answer callback
+        // ===================================================================
+        telegrafBot.action(/^bump_(yes|no)_(.+)$/, async (ctx) => {
+            const accepted = ctx.match[1] === 'yes';
+            const planId = ctx.match[2];
+
+            const plan = await Plan.findOne({ where: { id: planId, bot_id: botRecord.id } });
+            if (!plan) {
+                return ctx.answerCbQuery('Plano não encontrado');
+            }
+
+            const orderBump = await OfferService.getActiveOffer(plan.id, 'order_bump');
+            if (orderBump) {
+                await OfferService.recordResponse(orderBump, botRecord.id, ctx.from.id, accepted ? 'accepted' : 'declined');
+            }
+
+            await ctx.answerCbQuery(accepted ? 'Oferta adicionada!' : undefined);
+            await self.showPaymentOptions(ctx, plan, botRecord, ctx.from, true, accepted);
+        });
+
+        // ===================================================================
+        // In-bot PIX checkout callbacks
+        // ===================================================================
+        telegrafBot.action(/^pix_([0-9a-f-]{36})_([01])$/, async (ctx) => {
+            const plan = await Plan.findOne({ where: { id: ctx.match[1], bot_id: botRecord.id, status: 'active' } });
+            if (!plan) {
+                return ctx.answerCbQuery('Plano não encontrado');
+            }
+
+            const orderBump = ctx.match[2] === '1' ? await OfferService.getActiveOffer(plan.id, 'order_bump') : null;
+
+            await ctx.answerCbQuery('Gerando PIX...');
+            await self.sendPixCheckout(ctx, botRecord, plan, { orderBumpId: orderBump?.id });
+        });
+
+        // "Já paguei"
+        telegrafBot.action(/^pixpaid_(.+)$/, async (ctx) => {
+            const subscription = await Subscription.findOne({
+                where: { id: ctx.match[1], user_telegram_id: ctx.from.id.toString() }
+            });
+
+            if (!subscription) {
+                return ctx.answerCbQuery('Pagamento não encontrado');
+            }
+
+            await self.checkPixPayment(ctx, subscription);
+        });
+
+        // Expired charge -> new PIX for the same order
+        telegrafBot.action(/^pixnew_(.+)$/, async (ctx) => {
+            const subscription = await Subscription.findOne({
+                where: { id: ctx.match[1], user_telegram_id: ctx.from.id.toString() },
+                include: [{ association: 'plan', where: { bot_id: botRecord.id } }]
+            });
+
+            if (!subscription) {
+                return ctx.answerCbQuery('Pagamento não encontrado');
+            }
+
+            if (subscription.status !== 'pending' && subscription.status !== 'failed') {
+                return ctx.answerCbQuery('✅ Pagamento já confirmado!');
+            }
+
+            const transaction = await Transaction.findOne({
+                where: { subscription_id: subscription.id },
+                order: [['created_at', 'DESC']]
+            });
+
+            // The old charge is abandoned (recovery follows the new checkout)
+            if (subscription.status === 'pending') {
+                await subscription.update({ status: 'failed' });
+                if (transaction?.status === 'pending') {
+                    await transaction.update({ status: 'failed', gateway_status: 'EXPIRED' });
+                }
+            }
+
+            await ctx.answerCbQuery('Gerando novo PIX...');
+            await self.sendPixCheckout(ctx, botRecord, subscription.plan, {
+                orderBumpId: transaction?.metadata?.order_bump?.id
+            });
+        });
+
+        // ===================================================================
+        // Telegram Stars checkout
+        // ===================================================================
+        telegrafBot.action(/^stars_([0-9a-f-]{36})_([01])$/, async (ctx) => {
+            const plan = await Plan.findOne({ where: { id: ctx.match[1], bot_id: botRecord.id, status: 'active' } });
+            if (!plan || !(plan.price_stars > 0)) {
+                return ctx.answerCbQuery('Plano não encontrado');
+            }
+
+            const orderBump = ctx.match[2] === '1' ? await OfferService.getActiveOffer(plan.id, 'order_bump') : null;
+
+            await ctx.answerCbQuery();
+            await self.sendStarsCheckout(ctx, botRecord, plan, { orderBumpId: orderBump?.id });
+        });
+
+        // Telegram asks before charging: the invoice must still match the plan and price
+        telegrafBot.on('pre_checkout_query', async (ctx) => {
+            try {
+                const result = await TelegramStarsService.validatePreCheckout(ctx.preCheckoutQuery, botRecord);
+                await ctx.answerPreCheckoutQuery(result.valid, result.error);
+            } catch (error) {
+                console.error('[TelegramEngine] Pre-checkout error:', error);
+                await ctx.answerPreCheckoutQuery(false, 'Não foi possível confirmar o pedido. Tente novamente.');
+            }
+        });
+
+        // Paid (first payment or subscription renewal): persisted and processed like a gateway webhook
+        telegrafBot.on('successful_payment', async (ctx) => {
+            const payment = ctx.message.successful_payment;
+            if (payment.currency !== 'XTR') return;
+
+            try {
+                const { event, duplicate } = await WebhookService.record('stars', {
+                    ...payment,
+                    from_id: ctx.from.id,
+                    bot_id: botRecord.id
+                }, { creatorId: botRecord.user_id });
+
+                if (!duplicate) await WebhookService.process(event);
+            } catch (error) {
+                // Update is not redelivered: the charge ID is logged for a manual check
+                console.error(`[TelegramEngine] Error recording Stars payment ${payment.telegram_payment_charge_id}:`, error);
+            }
+        });
+
+        // ===================================================================
+        // Upsell / downsell answer callback
+        // ===================================================================
+        telegrafBot.action(/^offer_(yes|no)_(.+)$/, async (ctx) => {
+            const accepted = ctx.match[1] === 'yes';
+            const offerId = ctx.match[2];
+
+            const offer = await PlanOffer.findByPk(offerId, {
+                include: [{ association: 'plan', where: { bot_id: botRecord.id } }, 'offerPlan']
+            });
+
+            if (!offer || offer.status !== 'active' || !offer.offerPlan) {
+                return ctx.answerCbQuery('Oferta indisponível');
+            }
+
+            await OfferService.recordResponse(offer, botRecord.id, ctx.from.id, accepted ? 'accepted' : 'declined');
+            await ctx.answerCbQuery();
+
+            if (accepted) {
+                const firstName = ctx.from.first_name || 'Usuário';
+                const externalRef = `${offer.offer_plan_id}_${ctx.from.id}_${Date.now()}`;
+                const paymentUrl = `${config.urls.frontend}/checkout?plan=${offer.offer_plan_id}&offer=${offer.id}&ref=${externalRef}&tg_id=${ctx.from.id}&tg_name=${encodeURIComponent(firstName)}&tg_user=${ctx.from.username || ''}`;
+
+                return ctx.editMessageText(
+                    `📦 *${offer.name}*\n\n` +
+                    `💰 Valor: R$ ${parseFloat(offer.price).toFixed(2).replace('.', ',')}\n\n` +
+                    `Clique em "Pagar" para finalizar:`,
+                    {
+                        parse_mode: 'Markdown',
+                        protect_content: botRecord.anti_cloning,
+                        ...Markup.inlineKeyboard([[Markup.button.url('💳 Pagar Agora', paymentUrl)]])
+                    }
+                );
+            }
+
+            await ctx.editMessageText('Tudo bem! Obrigado pela sua compra. 😉');
+
+            // Declined upsell -> offer the downsell of the same plan
+            if (offer.type === 'upsell') {
+                const downsell = await OfferService.getActiveOffer(offer.plan_id, 'downsell');
+                await self.sendPostPurchaseOffer(ctx, botRecord, ctx.from.id, downsell);
+            }
+        });
+
         // ===================================================================
         // Cancel subscription callbacks
         // ===================================================================
@@ -378,24 +642,17 @@ class TelegramEngine {
                     return ctx.answerCbQuery('Assinatura não encontrada');
                 }
 
-                // Cancel subscription
-                await subscription.update({ status: 'cancelled' });
+                // Cancel subscription (and its automatic renewal on the gateway)
+                await require('./RecurringService').cancel(subscription);
+                await subscription.update({ status: 'cancelled', cancelled_at: new Date() });
 
-                // Remove from group if configured
-                if (botRecord.channel_id) {
-                    try {
-                        await ctx.telegram.banChatMember(botRecord.channel_id, ctx.from.id);
-                        await ctx.telegram.unbanChatMember(botRecord.channel_id, ctx.from.id);
-                    } catch (e) {
-                        console.error('[TelegramEngine] Error removing from group:', e);
-                    }
-                }
+                // Remove from every chat of the plan
+                await AccessService.revokeAccess(ctx.telegram, subscription, botRecord);
 
                 await ctx.answerCbQuery('Assinatura cancelada');
                 await ctx.editMessageText(
                     '✅ Sua assinatura foi cancelada com sucesso.\n\n' +
                     'Se mudar de ideia, use /planos para assinar novamente.',
-                    'Se mudar de ideia, use /planos para assinar novamente.',
                     { parse_mode: 'Markdown', protect_content: botRecord.anti_cloning }
                 );
             } catch (error) {
@@ -454,6 +711,39 @@ class TelegramEngine {
             }
         });
 
+        // ===================================================================
+        // Join requests - approve subscribers only (join_request access mode)
+        // ===================================================================
+        telegrafBot.on('chat_join_request', async (ctx) => {
+            const request = ctx.chatJoinRequest;
+
+            try {
+                const log = await AccessService.handleJoinRequest(ctx.telegram, botRecord, request);
+                if (log.decision !== 'declined' || log.reason === 'error') return;
+
+                await ctx.telegram.sendMessage(
+                    request.user_chat_id || request.from.id,
+                    `🔒 *Pedido recusado*\n\n` +
+                    `O acesso a *${request.chat.title || 'este grupo'}* é exclusivo para assinantes.\n\n` +
+                    `Use /planos para ver os planos disponíveis.`,
+                    { parse_mode: 'Markdown', protect_content: botRecord.anti_cloning }
+                );
+            } catch (error) {
+                console.error('[TelegramEngine] Error handling join request:', error.message);
+            }
+        });
+
+        // ===================================================================
+        // Member joined/left a gated chat - tracked for the reconciliation
+        // ===================================================================
+        telegrafBot.on('chat_member', async (ctx) => {
+            try {
+                await AccessService.trackMember(botRecord, ctx.chatMember);
+            } catch (error) {
+                console.error('[TelegramEngine] Error tracking chat member:', error.message);
+            }
+        });
+
         // Error handler
         telegrafBot.catch((err, ctx) => {
             console.error(`[TelegramEngine] Error for bot ${botRecord.id}:`, err);
@@ -494,6 +784,32 @@ class TelegramEngine {
         return null;
     }
 
+    /**
+     * Validate a coupon for this bot and keep it for the user's next checkout
+     * @returns {boolean} Whether the coupon was applied
+     */
+    async applyCoupon(ctx, botRecord, code) {
+        const result = await CouponService.validate(code, {
+            creatorId: botRecord.user_id,
+            botId: botRecord.id,
+            telegramId: ctx.from.id
+        });
+
+        if (!result.valid) {
+            await ctx.reply(`❌ ${result.error}`);
+            return false;
+        }
+
+        await CouponService.setChatCoupon(botRecord.id, ctx.from, result.coupon.code);
+
+        await ctx.reply(
+            `🎟 Cupom *${result.coupon.code}* aplicado! (${CouponService.formatDiscount(result.coupon)})\n\n` +
+            `O desconto será aplicado no pagamento.`,
+            { parse_mode: 'Markdown', protect_content: botRecord.anti_cloning }
+        );
+        return true;
+    }
+
     /**
      * Show welcome message with plans for new users
      */
@@ -504,6 +820,14 @@ class TelegramEngine {
         }
 
         let welcomeMsg = botRecord.welcome_message || `👋 Olá, {nome}! Bem-vindo!`;
+
+        // A/B test: the user always gets the same variant; seeing it counts as a view
+        if (botRecord.welcome_variants?.length > 0) {
+            const variant = AbTestService.pickForUser(botRecord.welcome_variants, `${botRecord.id}:${ctx.from.id}`);
+            welcomeMsg = variant.message;
+            AbTestService.recordWelcomeView(botRecord.id, ctx.from, variant.key);
+        }
+
         welcomeMsg = welcomeMsg.replace('{nome}', firstName);
 
         const buttons = plans.map(plan => {
@@ -553,24 +877,78 @@ class TelegramEngine {
 
     /**
      * Show payment options for a plan
+     * If the plan has an active order bump, the user is asked about it first
+     * @param {boolean|null} withOrderBump - null = not asked yet, true/false = user's answer
      */
-    async showPaymentOptions(ctx, plan, botRecord, telegramUser, isEdit = false) {
+    async showPaymentOptions(ctx, plan, botRecord, telegramUser, isEdit = false, withOrderBump = null) {
         const firstName = telegramUser.first_name || 'Usuário';
         const externalRef = `${plan.id}_${telegramUser.id}_${Date.now()}`;
 
+        const orderBump = await OfferService.getActiveOffer(plan.id, 'order_bump');
+
+        if (orderBump && withOrderBump === null) {
+            return this.showOrderBump(ctx, plan, orderBump, botRecord, isEdit);
+        }
+
+        const includeBump = orderBump && withOrderBump === true;
+        let total = parseFloat(plan.price) + (includeBump ? parseFloat(orderBump.price) : 0);
+
         // Generate payment link
-        const paymentUrl = `${config.urls.frontend}/checkout?plan=${plan.id}&ref=${externalRef}&tg_id=${telegramUser.id}&tg_name=${encodeURIComponent(firstName)}&tg_user=${telegramUser.username || ''}`;
+        let paymentUrl = `${config.urls.frontend}/checkout?plan=${plan.id}&ref=${externalRef}&tg_id=${telegramUser.id}&tg_name=${encodeURIComponent(firstName)}&tg_user=${telegramUser.username || ''}`;
+        if (includeBump) {
+            paymentUrl += `&bump=${orderBump.id}`;
+        }
+
+        const broadcastRef = await BroadcastAnalyticsService.getChatRef(botRecord.id, telegramUser.id);
+        if (broadcastRef) {
+            paymentUrl += `&bc=${broadcastRef}`;
+        }
+
+        // Coupon applied via /cupom or /start coupon_CODE
+        let couponText = '';
+        const couponCode = await CouponService.getChatCoupon(botRecord.id, telegramUser.id);
+        if (couponCode) {
+            const couponResult = await CouponService.validate(couponCode, {
+                creatorId: botRecord.user_id,
+                botId: botRecord.id,
+                planId: plan.id,
+                telegramId: telegramUser.id,
+                amount: total
+            });
+
+            if (couponResult.valid) {
+                couponText = `🎟 Cupom ${couponCode}: -R$ ${couponResult.discount.toFixed(2).replace('.', ',')}\n`;
+                total = couponResult.finalAmount;
+                paymentUrl += `&coupon=${encodeURIComponent(couponCode)}`;
+            } else {
+                couponText = `⚠️ Cupom ${couponCode}: ${couponResult.error}\n`;
+            }
+        }
 
         const messageText =
             `📦 *${plan.name}*\n\n` +
             `💰 Valor: R$ ${parseFloat(plan.price).toFixed(2).replace('.', ',')}\n` +
+            (includeBump ? `🎁 ${orderBump.name}: R$ ${parseFloat(orderBump.price).toFixed(2).replace('.', ',')}\n` : '') +
+            couponText +
+            (includeBump || couponText ? `💵 Total: R$ ${total.toFixed(2).replace('.', ',')}\n` : '') +
             `⏱ Duração: ${plan.duration_days === 0 ? 'Vitalício' : `${plan.duration_days} dias`}\n` +
             `${plan.description ? `📝 ${plan.description}\n` : ''}\n` +
             `Olá, ${firstName}! Para finalizar a compra, clique em "Pagar":\n\n` +
             `✅ Após o pagamento, você receberá o link do grupo VIP automaticamente!`;
 
+        // PIX gateways are paid without leaving Telegram
+        const creator = await User.findByPk(botRecord.user_id, { attributes: ['id', 'gateway_preference', 'gateway_api_token'] });
+        const pixRoute = creator ? await GatewayRoutingService.getRoute(creator, 'pix') : [];
+        const inChatPix = pixRoute.some(route => PaymentService.supportsInChatPix(route.gateway));
+
+        // Plans priced in Stars can also be paid with Telegram Stars
+        const amountStars = TelegramStarsService.getAmountStars(plan, total);
+
         const keyboard = Markup.inlineKeyboard([
-            [Markup.button.url('💳 Pagar Agora', paymentUrl)],
+            [inChatPix
+                ? Markup.button.callback('💠 Pagar com PIX', `pix_${plan.id}_${includeBump ? 1 : 0}`)
+                : Markup.button.url('💳 Pagar Agora', paymentUrl)],
+            ...(amountStars > 0 ? [[Markup.button.callback(`⭐ Pagar com ${amountStars} Stars`, `stars_${plan.id}_${includeBump ? 1 : 0}`)]] : []),
             [Markup.button.callback('« Voltar aos Planos', 'back_to_plans')]
         ]);
 
@@ -581,29 +959,299 @@ class TelegramEngine {
         }
     }
 
+    /**
+     * Offer the plan's order bump before payment
+     */
+    async showOrderBump(ctx, plan, orderBump, botRecord, isEdit = false) {
+        const bumpPrice = `R$ ${parseFloat(orderBump.price).toFixed(2).replace('.', ',')}`;
+
+        const messageText =
+            `📦 *${plan.name}* - R$ ${parseFloat(plan.price).toFixed(2).replace('.', ',')}\n\n` +
+            `🔥 *Oferta Especial*\n\n` +
+            `Adicione *${orderBump.name}* ao seu pedido por apenas ${bumpPrice}!\n` +
+            `${orderBump.description ? `\n📝 ${orderBump.description}\n` : ''}`;
+
+        const keyboard = Markup.inlineKeyboard([
+            [Markup.button.callback(`✅ Adicionar (+${bumpPrice})`, `bump_yes_${plan.id}`)],
+            [Markup.button.callback('Não, quero só o plano', `bump_no_${plan.id}`)],
+            [Markup.button.callback('« Voltar aos Planos', 'back_to_plans')]
+        ]);
+
+        const options = { parse_mode: 'Markdown', protect_content: botRecord.anti_cloning, ...keyboard };
+        return isEdit ? ctx.editMessageText(messageText, options) : ctx.reply(messageText, options);
+    }
+
+    /**
+     * Create a PIX charge and send it in the chat: QR code photo + copy-paste code
+     * Replaces the message the buyer tapped (plan details or expired charge)
+     * @param {string} options.orderBumpId - Order bump accepted for this purchase
+     */
+    async sendPixCheckout(ctx, botRecord, plan, { orderBumpId = null } = {}) {
+        const result = await this.createChatCheckout(ctx, botRecord, plan, { orderBumpId, paymentMethod: 'pix' });
+
+        if (!result.valid || !result.checkout.pixCopyPaste) {
+            console.error(`[TelegramEngine] In-bot PIX checkout failed for plan ${plan.id}:`, result.details || result.error || 'no PIX code returned');
+            return ctx.reply(
+                '❌ Não foi possível gerar o PIX agora. Tente novamente em instantes.',
+                Markup.inlineKeyboard([[Markup.button.callback('« Voltar aos Planos', 'back_to_plans')]])
+            );
+        }
+
+        const { subscription, transaction, pixCopyPaste, pixExpiresAt } = result.checkout;
+        const qrImage = await QRCode.toBuffer(pixCopyPaste, { width: 512, margin: 2 });
+
+        // Validity only when the gateway reports when the QR code expires
+        const validUntil = pixExpiresAt && new Date(pixExpiresAt).toLocaleTimeString('pt-BR', {
+            timeZone: botRecord.timezone || 'America/Sao_Paulo',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+
+        const message = await ctx.replyWithPhoto({ source: qrImage }, {
+            caption:
+                `💠 *PIX - ${plan.name}*\n\n` +
+                `💰 Valor: *R$ ${parseFloat(transaction.amount_gross).toFixed(2).replace('.', ',')}*\n` +
+                (validUntil ? `⏱ Válido até ${validUntil}\n\n` : '\n') +
+                `Escaneie o QR Code ou copie o código abaixo:\n\n` +
+                `\`${pixCopyPaste}\`\n\n` +
+                `Depois de pagar, toque em "Já paguei". O acesso é liberado automaticamente.`,
+            parse_mode: 'Markdown',
+            protect_content: false, // Buyer needs to copy the PIX code
+            ...Markup.inlineKeyboard([[Markup.button.callback('✅ Já paguei', `pixpaid_${subscription.id}`)]])
+        });
+
+        // Edited to a confirmation when the payment lands (notifySubscriptionActivated)
+        await transaction.update({
+            metadata: {
+                ...transaction.metadata,
+                pix_message: { chat_id: message.chat.id, message_id: message.message_id },
+                pix_expires_at: pixExpiresAt || null
+            }
+        });
+
+        try {
+            await ctx.deleteMessage();
+        } catch (error) {
+            // Too old to delete - the previous message just stays
+        }
+    }
+
+    /**
+     * Create a Telegram Stars checkout and send its invoice in the chat
+     * Stars subscriptions (30-day recurring plans) can only be paid through an invoice link
+     * @param {string} options.orderBumpId - Order bump accepted for this purchase
+     */
+    async sendStarsCheckout(ctx, botRecord, plan, { orderBumpId = null } = {}) {
+        const result = await this.createChatCheckout(ctx, botRecord, plan, { orderBumpId, paymentMethod: 'stars' });
+
+        if (!result.valid || !result.checkout.invoice) {
+            console.error(`[TelegramEngine] Stars checkout failed for plan ${plan.id}:`, result.details || result.error || 'no invoice returned');
+            return ctx.reply(
+                '❌ Não foi possível gerar o pagamento com Stars agora. Tente novamente em instantes.',
+                Markup.inlineKeyboard([[Markup.button.callback('« Voltar aos Planos', 'back_to_plans')]])
+            );
+        }
+
+        const { invoice, paymentUrl, recurring } = result.checkout;
+
+        if (recurring === 'native') {
+            return ctx.reply(
+                `⭐ *Assinatura ${plan.name}*\n\n` +
+                `Toque no botão abaixo para assinar com Stars. A renovação é cobrada automaticamente a cada 30 dias ` +
+                `e pode ser cancelada a qualquer momento com /cancelar.`,
+                {
+                    parse_mode: 'Markdown',
+                    ...Markup.inlineKeyboard([[Markup.button.url(`⭐ Assinar por ${invoice.prices[0].amount} Stars`, paymentUrl)]])
+                }
+            );
+        }
+
+        await ctx.replyWithInvoice(invoice);
+    }
+
+    /**
+     * Count the click of a broadcast button that opened the bot and keep the ref
+     * for the checkouts of this user (purchase attribution)
+     */
+    async trackBroadcastRef(botRecord, telegramUser, ref) {
+        try {
+            const item = await BroadcastAnalyticsService.resolveRef(ref, botRecord.id, telegramUser.id);
+            if (!item) return;
+
+            await BroadcastAnalyticsService.recordClick(item);
+            await BroadcastAnalyticsService.setChatRef(botRecord.id, telegramUser, ref);
+        } catch (error) {
+            console.error(`[TelegramEngine] Error tracking broadcast ref ${ref}:`, error.message);
+        }
+    }
+
+    /**
+     * Create the checkout of an in-bot payment for the buyer of the context
+     * The coupon applied in the chat is dropped if it is no longer valid (already warned on the plan message)
+     */
+    async createChatCheckout(ctx, botRecord, plan, { orderBumpId = null, paymentMethod }) {
+        // Lazy: CheckoutService requires services that require TelegramEngine
+        const CheckoutService = require('./CheckoutService');
+
+        const from = ctx.from;
+        const data = {
+            planId: plan.id,
+            telegramId: from.id,
+            telegramUsername: from.username,
+            name: [from.first_name, from.last_name].filter(Boolean).join(' ') || undefined,
+            orderBumpId,
+            couponCode: await CouponService.getChatCoupon(botRecord.id, from.id),
+            broadcastRef: await BroadcastAnalyticsService.getChatRef(botRecord.id, from.id),
+            paymentMethod,
+            inChatPix: paymentMethod === 'pix'
+        };
+
+        const result = await CheckoutService.create(data);
+
+        if (!result.valid && result.code === 'INVALID_COUPON') {
+            return await CheckoutService.create({ ...data, couponCode: undefined });
+        }
+
+        return result;
+    }
+
+    /**
+     * "Já paguei": ask the gateway for the payment status
+     * Expired charges (past the gateway's expiry, or failed on the gateway) get a button to generate a new one
+     */
+    async checkPixPayment(ctx, subscription) {
+        // Lazy: PaymentPollingService runs the webhook processors, which notify through TelegramEngine
+        const PaymentPollingService = require('./PaymentPollingService');
+
+        if (subscription.status === 'pending') {
+            await PaymentPollingService.pollSubscription(subscription);
+            await subscription.reload();
+        }
+
+        // Confirmed: this message was already edited by notifySubscriptionActivated
+        if (!['pending', 'failed'].includes(subscription.status)) {
+            return ctx.answerCbQuery('✅ Pagamento confirmado!');
+        }
+
+        const transaction = await Transaction.findOne({
+            where: { subscription_id: subscription.id },
+            order: [['created_at', 'DESC']]
+        });
+
+        const expiresAt = transaction?.metadata?.pix_expires_at;
+        const expired = subscription.status === 'failed' || (expiresAt && new Date(expiresAt) < new Date());
+
+        if (!expired) {
+            return ctx.answerCbQuery(
+                '⏳ Pagamento ainda não identificado. Se você já pagou, aguarde alguns instantes e toque novamente.',
+                { show_alert: true }
+            );
+        }
+
+        await ctx.answerCbQuery();
+        await ctx.editMessageCaption(
+            `⌛ *Este PIX expirou.*\n\nGere um novo código para concluir a compra.`,
+            {
+                parse_mode: 'Markdown',
+                ...Markup.inlineKeyboard([[Markup.button.callback('🔄 Gerar novo PIX', `pixnew_${subscription.id}`)]])
+            }
+        );
+    }
+
+    /**
+     * Turn the in-bot PIX message of a paid checkout into a confirmation
+     */
+    async closePixCheckout(telegrafBot, subscription, plan) {
+        const transaction = await Transaction.findOne({
+            where: { subscription_id: subscription.id, status: 'confirmed' },
+            order: [['paid_at', 'DESC']]
+        });
+
+        const pixMessage = transaction?.metadata?.pix_message;
+        if (!pixMessage) return;
+
+        try {
+            // No reply_markup -> the "Já paguei" button is removed
+            await telegrafBot.telegram.editMessageCaption(
+                pixMessage.chat_id,
+                pixMessage.message_id,
+                undefined,
+                `✅ *Pagamento confirmado!*\n\nPlano *${plan.name}* liberado. Seu acesso foi enviado abaixo.`,
+                { parse_mode: 'Markdown' }
+            );
+        } catch (error) {
+            console.error('[TelegramEngine] Error editing PIX message:', error.message);
+        }
+    }
+
+    /**
+     * Send a post-purchase upsell or downsell offer
+     * Skipped if the user already answered this offer before
+     * @param {object} telegrafBot - Telegraf instance (or context) used to send
+     */
+    async sendPostPurchaseOffer(telegrafBot, botRecord, telegramId, offer) {
+        if (!offer || !offer.offer_plan_id) return;
+        if (await OfferService.hasResponded(offer.id, telegramId)) return;
+
+        const offerPrice = `R$ ${parseFloat(offer.price).toFixed(2).replace('.', ',')}`;
+        const title = offer.type === 'downsell' ? '💡 *Que tal esta opção?*' : '🚀 *Oferta Exclusiva!*';
+
+        await telegrafBot.telegram.sendMessage(
+            telegramId,
+            `${title}\n\n` +
+            `📦 *${offer.name}*\n` +
+            `${offer.description ? `📝 ${offer.description}\n` : ''}\n` +
+            `💰 Por apenas ${offerPrice}`,
+            {
+                parse_mode: 'Markdown',
+                protect_content: botRecord.anti_cloning ?? true,
+                ...Markup.inlineKeyboard([
+                    [Markup.button.callback('✅ Quero!', `offer_yes_${offer.id}`)],
+                    [Markup.button.callback('Não, obrigado', `offer_no_${offer.id}`)]
+                ])
+            }
+        );
+    }
+
     /**
      * Handle incoming webhook update
+     * @param {string} botId - Bot ID in the webhook URL (older webhooks have the bot token instead)
+     * @param {string} secretToken - X-Telegram-Bot-Api-Secret-Token header
      */
-    async handleWebhook(token, update) {
-        const botId = this.tokenToBot.get(token);
-        if (!botId) {
-            const bot = await Bot.findOne({ where: { token } });
-            if (bot) {
+    async handleWebhook(botId, update, secretToken) {
+        // Webhook set before tokens were encrypted: register the bot again to move it to the new URL
+        if (!/^[0-9a-f-]{36}$/i.test(botId)) {
+            const bot = await Bot.findOne({
+                where: { [Op.or]: [{ token_hash: VaultService.hash(botId) }, { token: botId }] }
+            });
+            if (bot && !this.bots.has(bot.id)) {
                 await this.registerBot(bot);
             }
             return;
         }
 
         const telegrafBot = this.bots.get(botId);
-        if (telegrafBot) {
-            await telegrafBot.handleUpdate(update);
+        if (!telegrafBot) {
+            const bot = await Bot.findByPk(botId);
+            if (bot?.status === 'active') {
+                await this.registerBot(bot);
+            }
+            return;
+        }
+
+        const expected = this.webhookSecrets.get(botId);
+        if (!secretToken || !WebhookService.safeEqual(secretToken, expected)) {
+            console.warn(`[TelegramEngine] Rejected update for bot ${botId}: invalid secret token`);
+            return;
         }
+
+        await telegrafBot.handleUpdate(update);
     }
 
     /**
      * Notify user about subscription activation
      */
-    async notifySubscriptionActivated(subscription) {
+    async notifySubscriptionActivated(subscription, action = 'activation') {
         try {
             const plan = await Plan.findByPk(subscription.plan_id, {
                 include: ['bot']
@@ -618,44 +1266,149 @@ class TelegramEngine {
                 ? new Date(subscription.expires_at).toLocaleDateString('pt-BR')
                 : 'Nunca (Vitalício)';
 
+            const actionText = {
+                activation: 'foi ativada',
+                renewal: 'foi renovada',
+                upgrade: 'foi alterada (o tempo restante do plano anterior foi creditado)',
+                downgrade: 'foi alterada (o tempo restante do plano anterior foi creditado)'
+            };
+
             await telegrafBot.telegram.sendMessage(
                 subscription.user_telegram_id,
                 `🎉 *Pagamento Confirmado!*\n\n` +
-                `Sua assinatura do plano *${plan.name}* foi ativada.\n\n` +
+                `Sua assinatura do plano *${plan.name}* ${actionText[action] || actionText.activation}.\n\n` +
                 `📅 Válido até: ${expiresAt}\n\n` +
                 `Use /grupo para acessar o grupo VIP! 🚀`,
                 { parse_mode: 'Markdown', protect_content: true }
             );
 
-            // Add user to VIP channel if configured
-            if (plan.bot.channel_id) {
-                try {
-                    await telegrafBot.telegram.unbanChatMember(
-                        plan.bot.channel_id,
-                        subscription.user_telegram_id,
-                        { only_if_banned: true }
-                    );
+            // Paid through the in-bot PIX checkout
+            await this.closePixCheckout(telegrafBot, subscription, plan);
 
-                    // Create invite link
-                    const inviteLink = await telegrafBot.telegram.createChatInviteLink(
-                        plan.bot.channel_id,
-                        { member_limit: 1, expire_date: Math.floor(Date.now() / 1000) + 3600 }
-                    );
+            // Invite links for every chat of the plan (renewals are already members)
+            if (action !== 'renewal') {
+                await this.sendAccessLinks(telegrafBot, subscription, plan.bot);
+            }
 
-                    await telegrafBot.telegram.sendMessage(
-                        subscription.user_telegram_id,
-                        `🔗 *Acesse o grupo VIP:*\n\n${inviteLink.invite_link}`,
-                        { parse_mode: 'Markdown', protect_content: true }
-                    );
-                } catch (channelError) {
-                    console.error('[TelegramEngine] Error adding to channel:', channelError);
-                }
+            // Deliver order bumps bought together with the plan
+            const orderBumps = await OfferService.getPaidOrderBumps(subscription.id);
+            for (const response of orderBumps) {
+                if (!response.offer?.delivery_message) continue;
+
+                await telegrafBot.telegram.sendMessage(
+                    subscription.user_telegram_id,
+                    `🎁 *${response.offer.name}*\n\n${response.offer.delivery_message}`,
+                    { parse_mode: 'Markdown', protect_content: true }
+                );
             }
+
+            // Post-purchase upsell
+            const upsell = await OfferService.getActiveOffer(plan.id, 'upsell');
+            await this.sendPostPurchaseOffer(telegrafBot, plan.bot, subscription.user_telegram_id, upsell);
         } catch (error) {
             console.error('[TelegramEngine] Error notifying user:', error);
         }
     }
 
+    /**
+     * Send invite links for every chat of the subscription's plan
+     */
+    async sendAccessLinks(telegrafBot, subscription, bot) {
+        const links = await AccessService.grantAccess(telegrafBot.telegram, subscription, bot);
+        if (links.length === 0) return;
+
+        await telegrafBot.telegram.sendMessage(
+            subscription.user_telegram_id,
+            `🔗 *Acesse seus grupos VIP:*\n\n${this.getAccessNotice(bot)}`,
+            {
+                parse_mode: 'Markdown',
+                protect_content: true,
+                ...this.buildAccessKeyboard(links)
+            }
+        );
+    }
+
+    /**
+     * Notify user about access granted or extended by the creator
+     * Invite links are sent when the member isn't in the chats (new or reactivated)
+     */
+    async notifyAccessGranted(subscription, { days, extended = false, reactivated = false } = {}) {
+        try {
+            const plan = await Plan.findByPk(subscription.plan_id, { include: ['bot'] });
+            if (!plan?.bot) return;
+
+            const telegrafBot = this.bots.get(plan.bot.id);
+            if (!telegrafBot) return;
+
+            const expiresAt = subscription.expires_at
+                ? new Date(subscription.expires_at).toLocaleDateString('pt-BR')
+                : 'Nunca (Vitalício)';
+
+            await telegrafBot.telegram.sendMessage(
+                subscription.user_telegram_id,
+                (extended
+                    ? `🎁 *Você ganhou mais ${days} dia(s)!*\n\nSua assinatura do plano *${plan.name}* foi estendida.\n\n`
+                    : `🎁 *Acesso Liberado!*\n\nVocê recebeu acesso ao plano *${plan.name}*.\n\n`) +
+                `📅 Válido até: ${expiresAt}`,
+                { parse_mode: 'Markdown', protect_content: true }
+            );
+
+            if (!extended || reactivated) {
+                await this.sendAccessLinks(telegrafBot, subscription, plan.bot);
+            }
+        } catch (error) {
+            console.error('[TelegramEngine] Error notifying granted access:', error);
+        }
+    }
+
+    /**
+     * Notify user about a subscription revoked by the creator (or refunded) and remove from the chats
+     */
+    async notifySubscriptionRevoked(subscription, { refunded = false } = {}) {
+        try {
+            const plan = await Plan.findByPk(subscription.plan_id, { include: ['bot'] });
+            if (!plan?.bot) return;
+
+            const telegrafBot = this.bots.get(plan.bot.id);
+            if (!telegrafBot) return;
+
+            await AccessService.revokeAccess(telegrafBot.telegram, subscription, plan.bot);
+
+            await telegrafBot.telegram.sendMessage(
+                subscription.user_telegram_id,
+                refunded
+                    ? `💸 *Pagamento Estornado*\n\nO pagamento do plano *${plan.name}* foi estornado e seu acesso foi encerrado.`
+                    : `🚫 *Assinatura Encerrada*\n\nSeu acesso ao plano *${plan.name}* foi encerrado.\n\nUse /planos para assinar novamente.`,
+                { parse_mode: 'Markdown', protect_content: true }
+            );
+        } catch (error) {
+            console.error('[TelegramEngine] Error notifying revocation:', error);
+        }
+    }
+
+    /**
+     * Notify user about a subscription shortened by a refunded payment
+     */
+    async notifySubscriptionShortened(subscription) {
+        try {
+            const plan = await Plan.findByPk(subscription.plan_id, { include: ['bot'] });
+            if (!plan?.bot) return;
+
+            const telegrafBot = this.bots.get(plan.bot.id);
+            if (!telegrafBot) return;
+
+            await telegrafBot.telegram.sendMessage(
+                subscription.user_telegram_id,
+                `💸 *Pagamento Estornado*\n\n` +
+                `Um pagamento do plano *${plan.name}* foi estornado e o período correspondente foi descontado.\n\n` +
+                `📅 Novo vencimento: ${new Date(subscription.expires_at).toLocaleDateString('pt-BR')}`,
+                { parse_mode: 'Markdown', protect_content: true }
+            );
+        } catch (error) {
+            console.error('[TelegramEngine] Error notifying shortened subscription:', error);
+        }
+    }
+
     /**
      * Notify user about subscription expiration
      */
@@ -675,56 +1428,218 @@ class TelegramEngine {
                 `⚠️ *Assinatura Expirada*\n\n` +
                 `Sua assinatura do plano *${plan.name}* expirou.\n\n` +
                 `Para continuar tendo acesso ao grupo VIP, use /renovar`,
-                `Para continuar tendo acesso ao grupo VIP, use /renovar`,
                 { parse_mode: 'Markdown', protect_content: true }
             );
 
-            // Remove from VIP channel
-            if (plan.bot.channel_id) {
-                try {
-                    await telegrafBot.telegram.banChatMember(
-                        plan.bot.channel_id,
-                        subscription.user_telegram_id
-                    );
-                    // Unban immediately to allow rejoining if they renew
-                    await telegrafBot.telegram.unbanChatMember(
-                        plan.bot.channel_id,
-                        subscription.user_telegram_id
-                    );
-                } catch (error) {
-                    console.error('[TelegramEngine] Error removing from channel:', error);
-                }
-            }
+            // Remove from every chat of the plan
+            await AccessService.revokeAccess(telegrafBot.telegram, subscription, plan.bot);
         } catch (error) {
             console.error('[TelegramEngine] Error notifying expiration:', error);
         }
     }
 
     /**
-     * Send renewal reminder
+     * Remove a member from the chats of a subscription (e.g. replaced by a plan change)
+     * Chats also granted by another running subscription are kept
      */
-    async sendRenewalReminder(subscription, daysLeft) {
+    async revokeSubscriptionAccess(subscription) {
         try {
-            const plan = await Plan.findByPk(subscription.plan_id, {
-                include: ['bot']
-            });
-
+            const plan = await Plan.findByPk(subscription.plan_id, { include: ['bot'] });
             if (!plan?.bot) return;
 
             const telegrafBot = this.bots.get(plan.bot.id);
             if (!telegrafBot) return;
 
-            await telegrafBot.telegram.sendMessage(
-                subscription.user_telegram_id,
+            await AccessService.revokeAccess(telegrafBot.telegram, subscription, plan.bot);
+        } catch (error) {
+            console.error('[TelegramEngine] Error revoking access:', error);
+        }
+    }
+
+    /**
+     * Note shown below the invite buttons (depends on the bot's access mode)
+     */
+    getAccessNotice(bot) {
+        return bot?.access_mode === 'join_request'
+            ? '🔐 Toque para pedir entrada: a aprovação é automática para assinantes. Os links valem por 24 horas.'
+            : '⚠️ Os links expiram em 1 hora e são de uso único.';
+    }
+
+    /**
+     * Inline keyboard with one invite button per chat
+     */
+    buildAccessKeyboard(links) {
+        const icons = { channel: '📢', group: '👥', discussion: '💬' };
+
+        return Markup.inlineKeyboard(
+            links.map(l => [Markup.button.url(`${icons[l.type] || '🔗'} ${l.title}`, l.link)])
+        );
+    }
+
+    /**
+     * Send the PIX charge of a scheduled renewal (gateways without native recurrence)
+     */
+    async sendRenewalCharge(subscription, { amount, pixCopyPaste, paymentUrl }) {
+        try {
+            const plan = subscription.plan?.bot
+                ? subscription.plan
+                : await Plan.findByPk(subscription.plan_id, { include: ['bot'] });
+
+            if (!plan?.bot) return false;
+
+            const telegrafBot = this.bots.get(plan.bot.id);
+            if (!telegrafBot) return false;
+
+            const expiresAt = new Date(subscription.expires_at).toLocaleDateString('pt-BR');
+
+            let text = `🔄 *Renovação da Assinatura*\n\n` +
+                `Sua assinatura do plano *${plan.name}* vence em ${expiresAt}.\n\n` +
+                `💰 Valor: *R$ ${parseFloat(amount).toFixed(2).replace('.', ',')}*\n\n`;
+
+            if (pixCopyPaste) {
+                text += `Pague com o PIX copia e cola abaixo. O novo período começa no fim do atual, você não perde nenhum dia:\n\n` +
+                    `\`${pixCopyPaste}\``;
+            } else {
+                text += `Toque no botão abaixo para pagar. O novo período começa no fim do atual, você não perde nenhum dia.`;
+            }
+
+            await telegrafBot.telegram.sendMessage(subscription.user_telegram_id, text, {
+                parse_mode: 'Markdown',
+                protect_content: false, // Member needs to copy the PIX code
+                ...(paymentUrl && Markup.inlineKeyboard([[Markup.button.url('💳 Pagar Renovação', paymentUrl)]]))
+            });
+
+            return true;
+        } catch (error) {
+            console.error('[TelegramEngine] Error sending renewal charge:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Send payment nudge during the grace period (past_due)
+     * @param {string} level - 'gentle', 'warning' or 'final'
+     * @returns {boolean} Whether the message was delivered
+     */
+    async sendPaymentNudge(subscription, { level, daysLeft, checkoutUrl }) {
+        try {
+            const plan = subscription.plan?.bot
+                ? subscription.plan
+                : await Plan.findByPk(subscription.plan_id, { include: ['bot'] });
+
+            if (!plan?.bot) return false;
+
+            const telegrafBot = this.bots.get(plan.bot.id);
+            if (!telegrafBot) return false;
+
+            const daysText = daysLeft <= 1 ? 'até amanhã' : `por mais ${daysLeft} dias`;
+            const messages = {
+                gentle: `💳 *Sua assinatura venceu*\n\n` +
+                    `O plano *${plan.name}* venceu, mas seu acesso ao grupo VIP continua ${daysText}.\n\n` +
+                    `Renove para continuar sem interrupções.`,
+                warning: `⚠️ *Pagamento pendente*\n\n` +
+                    `Ainda não identificamos a renovação do plano *${plan.name}*.\n\n` +
+                    `Seu acesso ao grupo VIP será removido em ${daysLeft} dia(s).`,
+                final: `🚨 *Último aviso*\n\n` +
+                    `Seu acesso ao grupo VIP do plano *${plan.name}* será removido ${daysLeft <= 1 ? 'nas próximas horas' : `em ${daysLeft} dias`}.\n\n` +
+                    `Renove agora para não perder o acesso!`
+            };
+
+            await telegrafBot.telegram.sendMessage(subscription.user_telegram_id, messages[level] || messages.gentle, {
+                parse_mode: 'Markdown',
+                protect_content: plan.bot.anti_cloning ?? true,
+                ...Markup.inlineKeyboard([[Markup.button.url('🔄 Renovar Agora', checkoutUrl)]])
+            });
+
+            return true;
+        } catch (error) {
+            console.error('[TelegramEngine] Error sending payment nudge:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Send renewal reminder with a one-tap renewal button
+     * Template placeholders: {nome}, {plano}, {dias}, {data}
+     * @returns {boolean} Whether the message was delivered
+     */
+    async sendRenewalReminder(subscription, daysLeft, { message, checkoutUrl } = {}) {
+        try {
+            const plan = subscription.plan?.bot
+                ? subscription.plan
+                : await Plan.findByPk(subscription.plan_id, { include: ['bot'] });
+
+            if (!plan?.bot) return false;
+
+            const telegrafBot = this.bots.get(plan.bot.id);
+            if (!telegrafBot) return false;
+
+            const firstName = subscription.user_name?.split(' ')[0] || 'Ei';
+            const expiresAt = new Date(subscription.expires_at).toLocaleDateString('pt-BR');
+            const daysText = daysLeft <= 0 ? 'hoje' : daysLeft === 1 ? 'amanhã' : `em ${daysLeft} dias`;
+
+            let text = message ||
                 `⏰ *Lembrete de Renovação*\n\n` +
-                `Sua assinatura do plano *${plan.name}* expira em ${daysLeft} dia(s).\n\n` +
-                `Renove agora para não perder acesso ao grupo VIP!\n\n` +
-                `Use /renovar para renovar sua assinatura.`,
-                `Use /renovar para renovar sua assinatura.`,
-                { parse_mode: 'Markdown', protect_content: true }
-            );
+                `{nome}, sua assinatura do plano *{plano}* expira *{dias}* ({data}).\n\n` +
+                `Renove agora para não perder acesso ao grupo VIP!`;
+
+            text = text
+                .replace(/{nome}/g, firstName)
+                .replace(/{plano}/g, plan.name)
+                .replace(/{dias}/g, daysText)
+                .replace(/{data}/g, expiresAt);
+
+            await telegrafBot.telegram.sendMessage(subscription.user_telegram_id, text, {
+                parse_mode: 'Markdown',
+                protect_content: plan.bot.anti_cloning ?? true,
+                ...Markup.inlineKeyboard([[Markup.button.url('🔄 Renovar Agora', checkoutUrl)]])
+            });
+
+            return true;
+        } catch (error) {
+            console.error('[TelegramEngine] Error sending reminder:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Send an abandoned checkout recovery message
+     * Template placeholders: {nome}, {plano}, {desconto}
+     * @returns {boolean} Whether the message was delivered
+     */
+    async sendRecoveryMessage(botRecord, subscription, { checkoutUrl, message, coupon, discountPercent }) {
+        try {
+            const telegrafBot = this.bots.get(botRecord.id);
+            if (!telegrafBot) return false;
+
+            const firstName = subscription.user_name?.split(' ')[0] || 'Ei';
+            const planName = subscription.plan?.name || 'VIP';
+            const discountText = discountPercent > 0 ? `${discountPercent}% OFF` : '';
+
+            let text = message ||
+                `👋 *${firstName}, você esqueceu algo!*\n\n` +
+                `Você iniciou a assinatura do plano *{plano}* mas não finalizou o pagamento.` +
+                (discountPercent > 0 ? `\n\n🎁 Liberamos *{desconto}* para você finalizar agora!` : '');
+
+            text = text
+                .replace(/{nome}/g, firstName)
+                .replace(/{plano}/g, planName)
+                .replace(/{desconto}/g, discountText);
+
+            if (coupon) {
+                text += `\n\n🎟 Cupom: *${coupon.code}* (válido por 48h)`;
+            }
+
+            await telegrafBot.telegram.sendMessage(subscription.user_telegram_id, text, {
+                parse_mode: 'Markdown',
+                protect_content: botRecord.anti_cloning ?? true,
+                ...Markup.inlineKeyboard([[Markup.button.url('💳 Finalizar Compra', checkoutUrl)]])
+            });
+
+            return true;
         } catch (error) {
-            console.error('[TelegramEngine] Error sending reminder:', error);
+            console.error('[TelegramEngine] Error sending recovery message:', error.message);
+            return false;
         }
     }
 
@@ -841,11 +1756,18 @@ class TelegramEngine {
      * Get all subscribers for a bot (for mailing)
      * @param {number} botId - Bot ID
      * @param {string} filter - Filter: 'all', 'active', 'expired', 'pending'
+     * @param {string} behavior - Behavior filter: 'all', 'upsellers', 'downsellers', 'order_bump'
      */
-    async getBotSubscribers(botId, filter = 'all') {
+    async getBotSubscribers(botId, filter = 'all', behavior = 'all') {
         try {
             const whereClause = {};
 
+            // Filter by offers bought (order bump, upsell, downsell)
+            const behaviorIds = await OfferService.getTelegramIdsByBehavior(behavior, botId);
+            if (behaviorIds) {
+                whereClause.user_telegram_id = { [Op.in]: behaviorIds };
+            }
+
             // Filter by subscription status
             if (filter === 'active') {
                 whereClause.status = 'active';
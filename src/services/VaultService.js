@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const config = require('../config');
+
+const PREFIX = 'vault:v1';
+
+/**
+ * Vault Service
+ * Encryption at rest of credentials (creator gateway tokens, bot tokens)
+ * AES-256-GCM with the key from config; values keep the ID of the key that encrypted them,
+ * so rows written with a previous key can still be read until they are rotated
+ *
+ * Stored format: vault:v1:<keyId>:<iv>:<authTag>:<ciphertext> (base64)
+ */
+class VaultService {
+    constructor() {
+        this.keys = null; // keyId -> Buffer (current key first)
+    }
+
+    /**
+     * Keys from config: the current one and previous ones (still readable)
+     */
+    loadKeys() {
+        if (this.keys) return this.keys;
+
+        this.keys = new Map();
+        for (const secret of [config.vault.key, ...config.vault.previousKeys]) {
+            if (!secret) continue;
+
+            // Any secret string becomes a 256-bit key
+            const key = crypto.createHash('sha256').update(secret).digest();
+            const keyId = crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+            if (!this.keys.has(keyId)) this.keys.set(keyId, key);
+        }
+
+        return this.keys;
+    }
+
+    /**
+     * ID and key used to encrypt
+     */
+    getCurrentKey() {
+        if (!config.vault.key) {
+            throw new Error('CREDENTIALS_KEY not configured');
+        }
+
+        const [keyId, key] = this.loadKeys().entries().next().value;
+        return { keyId, key };
+    }
+
+    /**
+     * Check if a stored value is encrypted
+     */
+    isEncrypted(value) {
+        return typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+    }
+
+    /**
+     * Encrypt a credential (values already encrypted are kept)
+     */
+    encrypt(plaintext) {
+        if (plaintext === null || plaintext === undefined || plaintext === '' || this.isEncrypted(plaintext)) {
+            return plaintext;
+        }
+
+        const { keyId, key } = this.getCurrentKey();
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+        return [PREFIX, keyId, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+    }
+
+    /**
+     * Decrypt a stored credential
+     * Plaintext values (rows not rotated yet) are returned as they are
+     */
+    decrypt(value) {
+        if (!this.isEncrypted(value)) return value;
+
+        const [, , keyId, iv, authTag, ciphertext] = value.split(':');
+        const key = this.loadKeys().get(keyId);
+        if (!key) {
+            throw new Error(`Credential encrypted with unknown key ${keyId}`);
+        }
+
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+
+        return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+    }
+
+    /**
+     * Check if a stored value must be re-encrypted (plaintext or previous key)
+     */
+    needsRotation(value) {
+        if (value === null || value === undefined || value === '') return false;
+        if (!this.isEncrypted(value)) return true;
+
+        return value.split(':')[2] !== this.getCurrentKey().keyId;
+    }
+
+    /**
+     * Lookup hash of a credential (encrypted values can't be searched)
+     */
+    hash(plaintext) {
+        return crypto.createHash('sha256').update(String(plaintext)).digest('hex');
+    }
+
+    /**
+     * Masked credential for API output: only the last characters
+     * JSON credentials (PushinPay) show the end of their api_token
+     */
+    mask(value) {
+        if (value === null || value === undefined || value === '') return null;
+
+        let plaintext;
+        try {
+            plaintext = this.decrypt(value);
+        } catch (error) {
+            return '••••';
+        }
+
+        if (plaintext.startsWith('{')) {
+            try {
+                plaintext = JSON.parse(plaintext).api_token || '';
+            } catch (error) {
+                return '••••';
+            }
+        }
+
+        return plaintext.length > 8 ? `••••${plaintext.slice(-4)}` : '••••';
+    }
+
+    /**
+     * Check if a value sent by the client is a masked credential (unchanged field)
+     */
+    isMasked(value) {
+        return typeof value === 'string' && value.startsWith('••••');
+    }
+}
+
+module.exports = new VaultService();
@@ -0,0 +1,360 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { WebhookEvent, User, Setting } = require('../models');
+const config = require('../config');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Webhook Service
+ * Persisted gateway webhooks: deduplication of redeliveries,
+ * retries with backoff and manual replay
+ */
+class WebhookService {
+    constructor() {
+        // Gateway -> async function(payload, event), registered by WebhookController
+        this.processors = {};
+
+        // Minutes before each retry of a failed event (left failed after the last one)
+        this.retryDelays = [1, 5, 15, 60, 360];
+
+        // Events stuck in processing/pending this long were interrupted (crash, restart)
+        this.stuckAfterMs = 10 * MINUTE_MS;
+
+        // Authenticated by a secret token of the creator in the URL: gateways without signed webhooks, and
+        // Mercado Pago (creator-account charges are signed with the creator app's secret, unknown to the platform)
+        this.pathTokenGateways = ['pushinpay', 'syncpay', 'paradisepag', 'mercadopago'];
+    }
+
+    /**
+     * Check that a webhook request really comes from the gateway
+     * (Stripe is verified by StripeService.verifyWebhookSignature, it needs the raw body)
+     * @returns {object} { valid, error?, creatorId? } - creatorId when authenticated by the URL token
+     */
+    async verify(gateway, req) {
+        if (gateway === 'asaas') {
+            return await this.verifyAsaas(req);
+        }
+
+        if (gateway === 'mercadopago' && !req.params.token) {
+            return await this.verifyMercadoPago(req);
+        }
+
+        if (this.pathTokenGateways.includes(gateway)) {
+            return await this.verifyPathToken(req);
+        }
+
+        return { valid: false, error: 'unsupported gateway' };
+    }
+
+    /**
+     * Asaas sends the token set on the webhook configuration in the asaas-access-token header
+     */
+    async verifyAsaas(req) {
+        const setting = await Setting.findOne({ where: { key: 'asaas_webhook_token' } });
+        if (!setting?.value) {
+            return { valid: false, error: 'asaas_webhook_token not configured' };
+        }
+
+        const token = req.headers['asaas-access-token'];
+        if (!token || !this.safeEqual(token, setting.value)) {
+            return { valid: false, error: 'invalid access token' };
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Mercado Pago signs webhooks with the application secret
+     * x-signature: ts=<timestamp>,v1=<HMAC-SHA256 of "id:<data.id>;request-id:<x-request-id>;ts:<ts>;">
+     *
+     * Only the platform application (URL without token) is checked here. Charges on creator accounts
+     * notify /webhooks/mercadopago/:token: the token identifies the creator and the processor trusts
+     * nothing from the body - the payment is re-fetched with the creator's access token
+     */
+    async verifyMercadoPago(req) {
+        const setting = await Setting.findOne({ where: { key: 'mp_webhook_secret' } });
+        const secret = setting?.value || config.mercadoPago.webhookSecret;
+        if (!secret) {
+            return { valid: false, error: 'mp_webhook_secret not configured' };
+        }
+
+        const parts = {};
+        for (const part of (req.headers['x-signature'] || '').split(',')) {
+            const [key, value] = part.split('=').map(v => v?.trim());
+            if (key && value) parts[key] = value;
+        }
+
+        if (!parts.ts || !parts.v1) {
+            return { valid: false, error: 'missing x-signature' };
+        }
+
+        // data.id comes from the query string (lowercased when alphanumeric)
+        let dataId = req.query['data.id'] ?? req.query.data?.id ?? req.body?.data?.id;
+        if (dataId !== undefined && /^[a-z0-9]+$/i.test(dataId)) {
+            dataId = dataId.toString().toLowerCase();
+        }
+        const requestId = req.headers['x-request-id'];
+
+        const manifest = [
+            dataId !== undefined ? `id:${dataId};` : '',
+            requestId ? `request-id:${requestId};` : '',
+            `ts:${parts.ts};`
+        ].join('');
+
+        const expected = crypto.createHmac('sha256', secret).update(manifest).digest('hex');
+        if (!this.safeEqual(parts.v1, expected)) {
+            return { valid: false, error: 'invalid signature' };
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Secret token of the creator at the end of the webhook URL (/webhooks/:gateway/:token)
+     */
+    async verifyPathToken(req) {
+        const token = req.params.token;
+        if (!token) {
+            return { valid: false, error: 'missing URL token' };
+        }
+
+        const creator = await User.findOne({
+            where: { webhook_secret: token },
+            attributes: ['id']
+        });
+
+        if (!creator) {
+            return { valid: false, error: 'invalid URL token' };
+        }
+
+        return { valid: true, creatorId: creator.id };
+    }
+
+    /**
+     * Webhook URL passed to the gateway when creating a charge
+     * Gateways without signing get the creator's secret token in the path
+     */
+    async getWebhookUrl(gateway, creatorId) {
+        const url = `${config.urls.api}/api/webhooks/${gateway}`;
+        if (!this.pathTokenGateways.includes(gateway)) return url;
+
+        return `${url}/${await this.getCreatorSecret(creatorId)}`;
+    }
+
+    /**
+     * Webhook secret of a creator (generated on first use)
+     */
+    async getCreatorSecret(creatorId) {
+        const creator = await User.findByPk(creatorId, { attributes: ['id', 'webhook_secret'] });
+        if (creator.webhook_secret) return creator.webhook_secret;
+
+        // Only set when still empty (concurrent checkouts must end up with the same secret)
+        await User.update(
+            { webhook_secret: crypto.randomBytes(24).toString('hex') },
+            { where: { id: creatorId, webhook_secret: null } }
+        );
+
+        await creator.reload();
+        return creator.webhook_secret;
+    }
+
+    /**
+     * Constant-time string comparison
+     */
+    safeEqual(a, b) {
+        const bufA = Buffer.from(String(a));
+        const bufB = Buffer.from(String(b));
+        return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+    }
+
+    /**
+     * Register the function that applies a gateway's webhook payload
+     * Called with (payload, event); it must throw when the event should be retried
+     */
+    registerProcessor(gateway, processor) {
+        this.processors[gateway] = processor;
+    }
+
+    /**
+     * Run the processor of a gateway for a payload (throws on failure)
+     * Also used by PaymentPollingService for statuses fetched from the gateway
+     */
+    async apply(gateway, payload, event = {}) {
+        const processor = this.processors[gateway];
+        if (!processor) {
+            throw new Error(`No processor registered for gateway ${gateway}`);
+        }
+
+        await processor(payload, event);
+    }
+
+    /**
+     * Key identifying the same event across redeliveries
+     * Gateway event IDs when available, otherwise payment ID + status or a hash of the payload
+     */
+    getDedupeKey(gateway, payload) {
+        let key = null;
+
+        switch (gateway) {
+            case 'asaas':
+                key = payload.id || (payload.payment?.id && `${payload.event}:${payload.payment.id}:${payload.payment.status}`);
+                break;
+            case 'mercadopago':
+                key = payload.id || (payload.data?.id && `${payload.type || payload.topic}:${payload.data.id}:${payload.action}`);
+                break;
+            case 'stripe':
+                key = payload.id;
+                break;
+            case 'stars':
+                key = payload.telegram_payment_charge_id;
+                break;
+            default:
+                key = payload.id && payload.status && `${payload.id}:${payload.status}`;
+        }
+
+        if (key) return key.toString().slice(0, 255);
+
+        return crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+    }
+
+    /**
+     * Event type for listing/filtering
+     */
+    getEventType(gateway, payload) {
+        const type = {
+            asaas: payload.event,
+            mercadopago: payload.action || payload.type || payload.topic,
+            stripe: payload.type,
+            stars: payload.is_recurring ? 'successful_payment.recurring' : 'successful_payment'
+        }[gateway] || payload.status || payload.event;
+
+        return type ? type.toString().slice(0, 100) : null;
+    }
+
+    /**
+     * Persist an incoming webhook (Telegram Stars payments come as bot updates)
+     * Redeliveries of an event already processed (or being processed) are duplicates;
+     * redeliveries of a pending/failed event are processed again
+     * @returns {object} { event, duplicate }
+     */
+    async record(gateway, payload, { creatorId = null } = {}) {
+        const [event, created] = await WebhookEvent.findOrCreate({
+            where: { gateway, dedupe_key: this.getDedupeKey(gateway, payload) },
+            defaults: {
+                event_type: this.getEventType(gateway, payload),
+                payload,
+                user_id: creatorId
+            }
+        });
+
+        const duplicate = !created && ['processed', 'processing'].includes(event.status);
+        return { event, duplicate };
+    }
+
+    /**
+     * Run the gateway processor for an event
+     * The event is claimed first, so concurrent deliveries/retries never process it twice
+     * @param {boolean} options.force - Also process events already processed (manual replay)
+     * @returns {boolean} Whether the event was processed successfully
+     */
+    async process(event, { force = false } = {}) {
+        const claimable = force ? ['pending', 'failed', 'processed'] : ['pending', 'failed'];
+
+        const [claimed] = await WebhookEvent.update({
+            status: 'processing',
+            attempts: (event.attempts || 0) + 1
+        }, {
+            where: { id: event.id, status: { [Op.in]: claimable } }
+        });
+
+        if (!claimed) return false;
+        await event.reload();
+
+        try {
+            await this.apply(event.gateway, event.payload, event);
+
+            await event.update({
+                status: 'processed',
+                processed_at: new Date(),
+                last_error: null,
+                next_retry_at: null
+            });
+
+            return true;
+        } catch (error) {
+            const delay = this.retryDelays[event.attempts - 1];
+            console.error(`[WebhookService] Error processing ${event.gateway} event ${event.id} (attempt ${event.attempts}):`, error.message);
+
+            await event.update({
+                status: 'failed',
+                last_error: error.stack || error.message,
+                next_retry_at: delay ? new Date(Date.now() + delay * MINUTE_MS) : null
+            });
+
+            return false;
+        }
+    }
+
+    /**
+     * Retry failed events that are due and recover interrupted ones
+     * Called by CronService
+     */
+    async retryPending() {
+        try {
+            const now = new Date();
+            const stuckBefore = new Date(now.getTime() - this.stuckAfterMs);
+
+            // Interrupted while processing -> failed, retried right away
+            await WebhookEvent.update({
+                status: 'failed',
+                last_error: 'Processing interrupted',
+                next_retry_at: now
+            }, {
+                where: { status: 'processing', updated_at: { [Op.lt]: stuckBefore } }
+            });
+
+            const events = await WebhookEvent.findAll({
+                where: {
+                    [Op.or]: [
+                        { status: 'failed', next_retry_at: { [Op.lte]: now } },
+                        // Recorded but never processed (crash right after the ack)
+                        { status: 'pending', created_at: { [Op.lt]: new Date(now.getTime() - 2 * MINUTE_MS) } }
+                    ]
+                },
+                order: [['created_at', 'ASC']],
+                limit: 50
+            });
+
+            if (events.length === 0) return;
+
+            let processed = 0;
+            for (const event of events) {
+                if (await this.process(event)) processed++;
+            }
+
+            console.log(`[WebhookService] Retried ${events.length} webhook events, ${processed} processed`);
+        } catch (error) {
+            console.error('[WebhookService] Error retrying webhook events:', error);
+        }
+    }
+
+    /**
+     * Process an event again on admin request (even if it was processed)
+     * @returns {object} { valid, error?, event }
+     */
+    async replay(event) {
+        if (event.status === 'processing') {
+            return { valid: false, error: 'Evento em processamento' };
+        }
+
+        const processed = await this.process(event, { force: true });
+        await event.reload();
+
+        return processed
+            ? { valid: true, event }
+            : { valid: false, error: 'Falha ao processar o evento', event };
+    }
+}
+
+module.exports = new WebhookService();
@@ -109,9 +109,16 @@ class AsaasService {
      */
     async createPaymentWithSplit(creatorApiKey, paymentData) {
         const client = this.createClient(creatorApiKey);
-        const splitAmounts = this.calculateSplit(paymentData.value);
+        const splitAmounts = await this.calculateSplit(paymentData.value);
 
         try {
+            // Payments require a customer in the creator's account
+            const customerId = paymentData.customerId || (await this.createCustomer(creatorApiKey, {
+                name: paymentData.name,
+                email: paymentData.email,
+                externalReference: paymentData.telegramId?.toString()
+            })).id;
+
             // O Split envia a comissão para a carteira da PLATAFORMA
             const platformWalletId = config.asaas.platformWalletId;
 
@@ -126,7 +133,7 @@ class AsaasService {
             }
 
             const payload = {
-                customer: paymentData.customerId,
+                customer: customerId,
                 billingType: paymentData.billingType || 'PIX', // PIX, BOLETO, CREDIT_CARD
                 value: splitAmounts.gross,
                 dueDate: paymentData.dueDate || this.getNextDueDate(),
@@ -151,6 +158,7 @@ class AsaasService {
             const response = await client.post('/payments', payload);
 
             return {
+                id: response.data.id,
                 payment: response.data,
                 split: splitAmounts,
                 invoiceUrl: response.data.invoiceUrl,
@@ -169,9 +177,16 @@ class AsaasService {
      */
     async createSubscriptionWithSplit(creatorApiKey, subscriptionData) {
         const client = this.createClient(creatorApiKey);
-        const splitAmounts = this.calculateSplit(subscriptionData.value);
+        const splitAmounts = await this.calculateSplit(subscriptionData.value);
 
         try {
+            // Subscriptions require a customer in the creator's account
+            const customerId = subscriptionData.customerId || (await this.createCustomer(creatorApiKey, {
+                name: subscriptionData.name,
+                email: subscriptionData.email,
+                externalReference: subscriptionData.telegramId?.toString()
+            })).id;
+
             const platformWalletId = config.asaas.platformWalletId;
 
             const split = [];
@@ -183,11 +198,11 @@ class AsaasService {
             }
 
             const payload = {
-                customer: subscriptionData.customerId,
+                customer: customerId,
                 billingType: subscriptionData.billingType || 'UNDEFINED',
                 value: splitAmounts.gross,
                 nextDueDate: subscriptionData.nextDueDate || this.getNextDueDate(),
-                cycle: subscriptionData.cycle || 'MONTHLY',
+                cycle: subscriptionData.cycle || this.getCycle(subscriptionData.durationDays),
                 description: subscriptionData.description,
                 externalReference: subscriptionData.externalReference,
                 split: split.length > 0 ? split : undefined
@@ -247,6 +262,22 @@ class AsaasService {
         }
     }
 
+    /**
+     * Refund payment (estorno total)
+     */
+    async refundPayment(creatorApiKey, paymentId) {
+        const client = this.createClient(creatorApiKey);
+
+        try {
+            const response = await client.post(`/payments/${paymentId}/refund`);
+            console.log('[AsaasService] Refund successful:', paymentId);
+            return response.data;
+        } catch (error) {
+            console.error('[AsaasService] Error refunding payment:', error.response?.data || error);
+            throw error;
+        }
+    }
+
     /**
      * Cancel subscription
      */
@@ -262,6 +293,24 @@ class AsaasService {
         }
     }
 
+    /**
+     * Validate the creator's API key (account lookup)
+     * @returns {object} { valid, error?, unreachable? } - unreachable = gateway didn't answer (key not judged)
+     */
+    async validateCredentials(creatorApiKey) {
+        try {
+            await this.createClient(creatorApiKey).get('/myAccount');
+            return { valid: true };
+        } catch (error) {
+            if ([401, 403].includes(error.response?.status)) {
+                return { valid: false, error: 'Chave de API inválida' };
+            }
+
+            console.error('[AsaasService] Error validating credentials:', error.response?.data || error.message);
+            return { valid: false, unreachable: true, error: 'Erro ao validar chave de API' };
+        }
+    }
+
     /**
      * Parse webhook event
      */
@@ -276,11 +325,50 @@ class AsaasService {
             status: payment?.status,
             value: payment?.value,
             paidAt: payment?.confirmedDate || payment?.paymentDate,
-            billingType: payment?.billingType
+            billingType: payment?.billingType,
+            reversal: this.getReversal(event, payment)
         };
     }
 
+    /**
+     * Refund/chargeback carried by a webhook event (null for other events)
+     * @returns {object|null} { type: refund|chargeback, amount } - amount null = full value
+     */
+    getReversal(event, payment) {
+        if (['PAYMENT_CHARGEBACK_REQUESTED', 'PAYMENT_CHARGEBACK_DISPUTE', 'PAYMENT_AWAITING_CHARGEBACK_REVERSAL'].includes(event)) {
+            return { type: 'chargeback', amount: null };
+        }
+
+        if (event === 'PAYMENT_REFUNDED') {
+            return { type: 'refund', amount: null };
+        }
+
+        if (event === 'PAYMENT_PARTIALLY_REFUNDED') {
+            const refunded = (payment?.refunds || []).reduce((sum, r) => sum + parseFloat(r.value || 0), 0);
+            return { type: 'refund', amount: refunded > 0 ? refunded : null };
+        }
+
+        return null;
+    }
+
     // Helpers
+
+    /**
+     * Map plan duration to Asaas subscription cycle
+     */
+    getCycle(durationDays) {
+        const cycles = {
+            7: 'WEEKLY',
+            14: 'BIWEEKLY',
+            30: 'MONTHLY',
+            60: 'BIMONTHLY',
+            90: 'QUARTERLY',
+            180: 'SEMIANNUALLY',
+            365: 'YEARLY'
+        };
+        return cycles[durationDays] || 'MONTHLY';
+    }
+
     getNextDueDate() {
         const date = new Date();
         date.setDate(date.getDate() + 1);
@@ -1,3 +1,4 @@
+const axios = require('axios');
 const mercadopago = require('mercadopago');
 const config = require('../../config');
 const { Setting } = require('../../models');
@@ -83,7 +84,7 @@ class MercadoPagoService {
                 },
                 auto_return: 'approved',
                 external_reference: paymentData.externalReference,
-                notification_url: `${config.urls.api}/api/webhooks/mercadopago`,
+                notification_url: paymentData.webhookUrl || `${config.urls.api}/api/webhooks/mercadopago`,
 
                 // Marketplace fee - comissão que vai para a PLATAFORMA
                 marketplace_fee: splitAmounts.platformFee,
@@ -116,21 +117,25 @@ class MercadoPagoService {
 
         const splitAmounts = await this.calculateSplit(subscriptionData.amount);
 
+        // Multiples of 30 days bill monthly, anything else every N days
+        const durationDays = subscriptionData.durationDays || 30;
+        const monthly = durationDays % 30 === 0;
+
         try {
             const preapproval = {
                 reason: subscriptionData.title,
                 external_reference: subscriptionData.externalReference,
                 payer_email: subscriptionData.email,
                 auto_recurring: {
-                    frequency: 1,
-                    frequency_type: 'months',
+                    frequency: monthly ? durationDays / 30 : durationDays,
+                    frequency_type: monthly ? 'months' : 'days',
                     transaction_amount: splitAmounts.gross,
                     currency_id: 'BRL',
                     start_date: new Date().toISOString(),
                     end_date: subscriptionData.endDate || null
                 },
                 back_url: subscriptionData.backUrl || `${config.urls.frontend}/success`,
-                notification_url: `${config.urls.api}/api/webhooks/mercadopago`,
+                notification_url: subscriptionData.webhookUrl || `${config.urls.api}/api/webhooks/mercadopago`,
                 metadata: {
                     telegram_id: subscriptionData.telegramId,
                     plan_id: subscriptionData.planId
@@ -153,11 +158,13 @@ class MercadoPagoService {
 
     /**
      * Get payment details
-     * Note: Uses platform token for webhook verification
+     * @param {string} creatorAccessToken - Token of the account that received the payment
+     *                                      (without it: platform token, for platform-account payments)
      */
-    async getPayment(paymentId) {
-        // Webhook verification can use platform token
-        if (config.mercadoPago.accessToken) {
+    async getPayment(paymentId, creatorAccessToken = null) {
+        if (creatorAccessToken) {
+            this.configureWithToken(creatorAccessToken);
+        } else if (config.mercadoPago.accessToken) {
             mercadopago.configure({ access_token: config.mercadoPago.accessToken });
         }
 
@@ -170,6 +177,28 @@ class MercadoPagoService {
         }
     }
 
+    /**
+     * Latest payment of a checkout, searched by external reference on the creator's account
+     * (preferences have no payment ID until the buyer pays)
+     */
+    async findPaymentByReference(creatorAccessToken, externalReference) {
+        this.configureWithToken(creatorAccessToken);
+
+        try {
+            const result = await mercadopago.payment.search({
+                qs: {
+                    external_reference: externalReference,
+                    sort: 'date_created',
+                    criteria: 'desc'
+                }
+            });
+            return result.body.results?.[0] || null;
+        } catch (error) {
+            console.error('[MercadoPagoService] Error searching payment:', error);
+            throw error;
+        }
+    }
+
     /**
      * Get subscription details
      */
@@ -185,6 +214,22 @@ class MercadoPagoService {
         }
     }
 
+    /**
+     * Refund payment (estorno total)
+     */
+    async refundPayment(creatorAccessToken, paymentId) {
+        this.configureWithToken(creatorAccessToken);
+
+        try {
+            const result = await mercadopago.refund.create({ payment_id: paymentId });
+            console.log('[MercadoPagoService] Refund successful:', paymentId);
+            return result.body;
+        } catch (error) {
+            console.error('[MercadoPagoService] Error refunding payment:', error);
+            throw error;
+        }
+    }
+
     /**
      * Cancel subscription
      */
@@ -203,6 +248,26 @@ class MercadoPagoService {
         }
     }
 
+    /**
+     * Validate the creator's access token (account lookup)
+     * @returns {object} { valid, error?, unreachable? } - unreachable = gateway didn't answer (token not judged)
+     */
+    async validateCredentials(creatorAccessToken) {
+        try {
+            await axios.get('https://api.mercadopago.com/users/me', {
+                headers: { Authorization: `Bearer ${creatorAccessToken}` }
+            });
+            return { valid: true };
+        } catch (error) {
+            if ([401, 403].includes(error.response?.status)) {
+                return { valid: false, error: 'Access token inválido' };
+            }
+
+            console.error('[MercadoPagoService] Error validating credentials:', error.response?.data || error.message);
+            return { valid: false, unreachable: true, error: 'Erro ao validar access token' };
+        }
+    }
+
     /**
      * Parse webhook event
      */
@@ -218,6 +283,23 @@ class MercadoPagoService {
         };
     }
 
+    /**
+     * Refund/chargeback of a payment (null when nothing was reversed)
+     * @returns {object|null} { type: refund|chargeback, amount } - amount null = full value
+     */
+    getReversal(payment) {
+        if (payment.status === 'charged_back') {
+            return { type: 'chargeback', amount: null };
+        }
+
+        const refunded = parseFloat(payment.transaction_amount_refunded || 0);
+        if (payment.status === 'refunded' || refunded > 0) {
+            return { type: 'refund', amount: refunded > 0 ? refunded : null };
+        }
+
+        return null;
+    }
+
     /**
      * Map MP status to our status
      */
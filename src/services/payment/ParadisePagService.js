@@ -1,7 +1,9 @@
 const axios = require('axios');
-const { Subscription, Plan, Bot, Transaction, Setting } = require('../../models');
+const { Setting } = require('../../models');
 const config = require('../../config');
-const TelegramEngine = require('../TelegramEngine');
+
+// Shape of a creator token: letters, digits, dots, dashes and underscores
+const API_TOKEN_PATTERN = /^[A-Za-z0-9._-]{8,256}$/;
 
 /**
  * ParadisePag Service
@@ -52,7 +54,7 @@ class ParadisePagService {
             description: paymentData.description,
             customer_name: paymentData.customer.name,
             customer_email: paymentData.customer.email,
-            ipn_url: `${config.urls.api}/webhooks/paradisepag`,
+            ipn_url: paymentData.webhookUrl || `${config.urls.api}/api/webhooks/paradisepag`,
             success_url: config.urls.frontend, // or specific success page
             cancel_url: config.urls.frontend,
             site_logo: 'https://boyzclub.com/logo.png', // valid logo URL
@@ -101,29 +103,35 @@ class ParadisePagService {
     }
 
     /**
-     * Webhook Handler
+     * Validate credentials
+     * ParadisePag charges with the platform keys
+     * The creator's token can't be tested against the API: only its format and the platform configuration are checked
+     * @param {string} apiToken - Creator's token
+     * @returns {object} { valid, error?, unreachable? }
      */
-    async handleWebhook(req) {
-        // ParadisePag sends success status
-        const { transaction_id, status } = req.body;
-
-        if (status === 'success' || status === 'paid') {
-            const transaction = await Transaction.findOne({ where: { gateway_id: transaction_id } });
-            if (transaction && transaction.status === 'pending') {
-                await transaction.update({
-                    status: 'confirmed',
-                    paid_at: new Date()
-                });
-
-                // Activate Subscription
-                const subscription = await Subscription.findByPk(transaction.subscription_id);
-                if (subscription) {
-                    await subscription.activate();
-                    await TelegramEngine.notifySubscriptionActivated(subscription);
-                }
-            }
+    async validateCredentials(apiToken) {
+        if (typeof apiToken !== 'string' || !API_TOKEN_PATTERN.test(apiToken.trim())) {
+            return { valid: false, error: 'Token de API inválido' };
         }
-        return { received: true };
+
+        if (!await this.getCredentials()) {
+            return { valid: false, unreachable: true, error: 'ParadisePag não configurado na plataforma' };
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Parse a webhook payload (confirmed by WebhookController, checking the creator of the transaction)
+     * @returns {object} { transactionId, isPaid }
+     */
+    parseWebhookEvent(body) {
+        const { transaction_id, status } = body || {};
+
+        return {
+            transactionId: transaction_id || null,
+            isPaid: status === 'success' || status === 'paid'
+        };
     }
 }
 
@@ -105,6 +105,8 @@ class PushinPayService {
                 split,
                 // URL de pagamento (usar QR code)
                 paymentUrl: null,
+                // Expiração do QR code: não vem na resposta do cashIn
+                expiresAt: null,
                 paymentMethod: 'pix'
             };
 
@@ -184,12 +186,14 @@ class PushinPayService {
             value: typeof payload.value === 'number' ? payload.value / 100 : parseFloat(payload.value), // Normalizar para reais
             description: payload.description,
             isPaid: payload.status === 'paid',
+            isRefunded: payload.status === 'refunded',
             rawPayload: payload
         };
     }
 
     /**
      * Validate if credentials are valid
+     * @returns {object} { valid, error?, unreachable? } - unreachable = gateway didn't answer (token not judged)
      */
     async validateCredentials(apiToken) {
         try {
@@ -202,10 +206,11 @@ class PushinPayService {
 
             return { valid: true };
         } catch (error) {
-            return {
-                valid: false,
-                error: error.response?.status === 401 ? 'Token inválido' : 'Erro ao validar token'
-            };
+            if ([401, 403].includes(error.response?.status)) {
+                return { valid: false, error: 'Token inválido' };
+            }
+
+            return { valid: false, unreachable: true, error: 'Erro ao validar token' };
         }
     }
 
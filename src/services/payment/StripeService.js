@@ -111,10 +111,7 @@ class StripeService {
                         },
                         unit_amount: splitAmounts.grossCents,
                         ...(sessionData.isSubscription && {
-                            recurring: {
-                                interval: 'month',
-                                interval_count: 1
-                            }
+                            recurring: this.getRecurringInterval(sessionData.durationDays)
                         })
                     },
                     quantity: 1
@@ -129,12 +126,27 @@ class StripeService {
                 },
 
                 // Destination Charges - pagamento vai para criador
-                payment_intent_data: {
-                    application_fee_amount: splitAmounts.platformFeeCents, // Plataforma recebe isso
-                    transfer_data: {
-                        destination: creatorStripeAccountId // Criador recebe o resto
+                ...(sessionData.isSubscription ? {
+                    // Subscriptions only accept a percentage fee (applied to every invoice)
+                    subscription_data: {
+                        application_fee_percent: parseFloat(((splitAmounts.platformFeeCents / splitAmounts.grossCents) * 100).toFixed(2)),
+                        transfer_data: {
+                            destination: creatorStripeAccountId
+                        },
+                        metadata: {
+                            telegram_id: sessionData.telegramId?.toString(),
+                            plan_id: sessionData.planId,
+                            external_reference: sessionData.externalReference
+                        }
                     }
-                }
+                } : {
+                    payment_intent_data: {
+                        application_fee_amount: splitAmounts.platformFeeCents, // Plataforma recebe isso
+                        transfer_data: {
+                            destination: creatorStripeAccountId // Criador recebe o resto
+                        }
+                    }
+                })
             };
 
             const session = await this.stripe.checkout.sessions.create(sessionParams);
@@ -150,6 +162,16 @@ class StripeService {
         }
     }
 
+    /**
+     * Map plan duration to Stripe recurring interval
+     */
+    getRecurringInterval(durationDays) {
+        if (durationDays % 365 === 0) return { interval: 'year', interval_count: durationDays / 365 };
+        if (durationDays % 30 === 0) return { interval: 'month', interval_count: durationDays / 30 };
+        if (durationDays % 7 === 0) return { interval: 'week', interval_count: durationDays / 7 };
+        return { interval: 'day', interval_count: durationDays || 1 };
+    }
+
     /**
      * Cancel subscription
      */
@@ -164,6 +186,43 @@ class StripeService {
         }
     }
 
+    /**
+     * Refund payment (checkout session or invoice ID)
+     * Reverses the transfer to the creator and the platform fee
+     */
+    async refundPayment(paymentId) {
+        if (!this.stripe) throw new Error('Stripe not configured');
+
+        try {
+            let paymentIntent = paymentId;
+
+            if (paymentId.startsWith('cs_')) {
+                const session = await this.stripe.checkout.sessions.retrieve(paymentId);
+                paymentIntent = session.payment_intent;
+
+                // Subscription mode: paid through the first invoice
+                if (!paymentIntent && session.invoice) {
+                    const invoice = await this.stripe.invoices.retrieve(session.invoice);
+                    paymentIntent = invoice.payment_intent;
+                }
+            } else if (paymentId.startsWith('in_')) {
+                const invoice = await this.stripe.invoices.retrieve(paymentId);
+                paymentIntent = invoice.payment_intent;
+            }
+
+            if (!paymentIntent) throw new Error(`No payment intent for ${paymentId}`);
+
+            return await this.stripe.refunds.create({
+                payment_intent: paymentIntent,
+                reverse_transfer: true,
+                refund_application_fee: true
+            });
+        } catch (error) {
+            console.error('[StripeService] Error refunding payment:', error);
+            throw error;
+        }
+    }
+
     /**
      * Verify webhook signature
      */
@@ -197,10 +256,80 @@ class StripeService {
             telegramId: obj.metadata?.telegram_id,
             planId: obj.metadata?.plan_id,
             status: obj.status,
-            amountTotal: obj.amount_total ? obj.amount_total / 100 : null
+            amountTotal: obj.amount_total ? obj.amount_total / 100 : null,
+            // Invoice events (recurring cycles)
+            billingReason: obj.billing_reason,
+            amountPaid: obj.amount_paid ? obj.amount_paid / 100 : null,
+            // Charge/dispute events (refunds and chargebacks)
+            paymentIntent: obj.payment_intent,
+            invoiceId: obj.invoice,
+            reversal: this.getReversal(event)
         };
     }
 
+    /**
+     * Refund/chargeback carried by an event (null for other events)
+     * @returns {object|null} { type: refund|chargeback, amount } - amount null = full value
+     */
+    getReversal(event) {
+        const obj = event.data.object;
+
+        if (event.type === 'charge.dispute.created') {
+            return { type: 'chargeback', amount: null };
+        }
+
+        if (event.type === 'charge.refunded') {
+            return { type: 'refund', amount: obj.amount_refunded ? obj.amount_refunded / 100 : null };
+        }
+
+        return null;
+    }
+
+    /**
+     * Find the checkout session of a payment intent (one-time payments)
+     */
+    async findSessionByPaymentIntent(paymentIntent) {
+        if (!this.stripe || !paymentIntent) return null;
+
+        try {
+            const sessions = await this.stripe.checkout.sessions.list({ payment_intent: paymentIntent, limit: 1 });
+            return sessions.data[0]?.id || null;
+        } catch (error) {
+            console.error('[StripeService] Error finding checkout session:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Validate the creator's connected account (acct_xxx) and that it can receive payments
+     * @returns {object} { valid, error?, unreachable? } - unreachable = gateway didn't answer (account not judged)
+     */
+    async validateCredentials(creatorStripeAccountId) {
+        if (!this.stripe) {
+            return { valid: false, unreachable: true, error: 'Stripe não configurado na plataforma' };
+        }
+
+        if (!creatorStripeAccountId?.startsWith('acct_')) {
+            return { valid: false, error: 'ID da conta Stripe inválido (acct_...)' };
+        }
+
+        try {
+            const account = await this.stripe.accounts.retrieve(creatorStripeAccountId);
+            if (!account.charges_enabled) {
+                return { valid: false, error: 'Conta Stripe ainda não pode receber pagamentos' };
+            }
+
+            return { valid: true };
+        } catch (error) {
+            if (['StripeInvalidRequestError', 'StripePermissionError', 'StripeAuthenticationError'].includes(error.type)) {
+                return { valid: false, error: 'Conta Stripe não encontrada ou sem permissão' };
+            }
+
+            console.error('[StripeService] Error validating account:', error.message);
+            return { valid: false, unreachable: true, error: 'Erro ao validar conta Stripe' };
+        }
+    }
+
     /**
      * Map Stripe status to our status
      */
@@ -1,7 +1,9 @@
 const axios = require('axios');
-const { Subscription, Plan, Bot, Transaction, Setting } = require('../../models');
+const { Setting } = require('../../models');
 const config = require('../../config');
-const TelegramEngine = require('../TelegramEngine');
+
+// Shape of a creator token: letters, digits, dots, dashes and underscores
+const API_TOKEN_PATTERN = /^[A-Za-z0-9._-]{8,256}$/;
 
 /**
  * Sync Pay Service
@@ -73,7 +75,7 @@ class SyncPayService {
                     fee_payer: false
                 }
             ],
-            callback_url: `${config.urls.api}/webhooks/syncpay`
+            callback_url: paymentData.webhookUrl || `${config.urls.api}/api/webhooks/syncpay`
         };
 
         try {
@@ -109,29 +111,35 @@ class SyncPayService {
     }
 
     /**
-     * Webhook Handler
+     * Validate credentials
+     * SyncPay charges with the platform key
+     * The creator's token can't be tested against the API: only its format and the platform configuration are checked
+     * @param {string} apiToken - Creator's token
+     * @returns {object} { valid, error?, unreachable? }
      */
-    async handleWebhook(req) {
-        const { id, status } = req.body;
-        // Verify signature if possible
-
-        if (status === 'paid' || status === 'approved') {
-            const transaction = await Transaction.findOne({ where: { gateway_id: id } });
-            if (transaction && transaction.status === 'pending') {
-                await transaction.update({
-                    status: 'confirmed',
-                    paid_at: new Date()
-                });
-
-                // Activate Subscription
-                const subscription = await Subscription.findByPk(transaction.subscription_id);
-                if (subscription) {
-                    await subscription.activate();
-                    await TelegramEngine.notifySubscriptionActivated(subscription);
-                }
-            }
+    async validateCredentials(apiToken) {
+        if (typeof apiToken !== 'string' || !API_TOKEN_PATTERN.test(apiToken.trim())) {
+            return { valid: false, error: 'Token de API inválido' };
+        }
+
+        if (!await this.getCredentials()) {
+            return { valid: false, unreachable: true, error: 'SyncPay não configurado na plataforma' };
         }
-        return { received: true };
+
+        return { valid: true };
+    }
+
+    /**
+     * Parse a webhook payload (confirmed by WebhookController, checking the creator of the transaction)
+     * @returns {object} { transactionId, isPaid }
+     */
+    parseWebhookEvent(body) {
+        const { id, status } = body || {};
+
+        return {
+            transactionId: id || null,
+            isPaid: status === 'paid' || status === 'approved'
+        };
     }
 }
 
@@ -0,0 +1,222 @@
+const { Telegram } = require('telegraf');
+const { Plan, Subscription, Transaction } = require('../../models');
+const VaultService = require('../VaultService');
+
+// Telegram Stars subscriptions are always billed every 30 days
+const SUBSCRIPTION_PERIOD = 30 * 24 * 60 * 60;
+
+/**
+ * Telegram Stars Service
+ * Native Telegram payments in Stars (XTR) for digital goods
+ * Paid to the creator's bot balance - no API token, the bot token is used
+ */
+class TelegramStarsService {
+    /**
+     * Telegram API client of a bot
+     * @param {string} storedToken - Bot.token as stored (encrypted)
+     */
+    createClient(storedToken) {
+        if (!storedToken) {
+            throw new Error('Bot token is required');
+        }
+
+        return new Telegram(VaultService.decrypt(storedToken));
+    }
+
+    /**
+     * Validate a bot token (Stars are paid to the bot)
+     * @returns {object} { valid, error?, unreachable? }
+     */
+    async validateCredentials(storedToken) {
+        try {
+            await this.createClient(storedToken).getMe();
+            return { valid: true };
+        } catch (error) {
+            if ([401, 404].includes(error.response?.error_code)) {
+                return { valid: false, error: 'Token do bot inválido' };
+            }
+
+            return { valid: false, unreachable: true, error: 'Erro ao validar token do bot' };
+        }
+    }
+
+    /**
+     * Stars to charge for an amount in BRL of a plan
+     * Plans set their price in Stars; bumps, coupons and offers are applied proportionally
+     */
+    getAmountStars(plan, amount) {
+        const priceStars = parseInt(plan?.price_stars) || 0;
+        const price = parseFloat(plan?.price) || 0;
+        if (priceStars <= 0) return 0;
+        if (price <= 0) return priceStars;
+
+        return Math.max(1, Math.round(priceStars * parseFloat(amount) / price));
+    }
+
+    /**
+     * Create the invoice of a checkout (unified interface)
+     * Returns the parameters for sendInvoice (in the bot) and an invoice link (web / subscriptions)
+     * @param {boolean} paymentData.isSubscription - 30-day Stars subscription (link only)
+     */
+    async createInvoice(paymentData) {
+        const plan = await Plan.findByPk(paymentData.planId, { include: ['bot'] });
+        if (!plan?.bot) {
+            throw new Error('Plan not found');
+        }
+
+        const amountStars = this.getAmountStars(plan, paymentData.amount);
+        if (amountStars <= 0) {
+            throw new Error('Plan has no price in Stars');
+        }
+
+        const invoice = {
+            title: paymentData.title.slice(0, 32),
+            description: (paymentData.description || paymentData.title).slice(0, 255),
+            payload: paymentData.externalReference,
+            provider_token: '', // Stars need no payment provider
+            currency: 'XTR',
+            prices: [{ label: paymentData.title.slice(0, 32), amount: amountStars }]
+        };
+
+        const telegram = this.createClient(plan.bot.token);
+
+        try {
+            const url = await telegram.createInvoiceLink({
+                ...invoice,
+                ...(paymentData.isSubscription && { subscription_period: SUBSCRIPTION_PERIOD })
+            });
+
+            return {
+                id: null, // Charge ID only exists after payment (successful_payment)
+                url,
+                invoice,
+                amountStars
+            };
+        } catch (error) {
+            console.error('[TelegramStarsService] Error creating invoice:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Create a Stars subscription (plans billed every 30 days)
+     */
+    async createSubscription(paymentData) {
+        const result = await this.createInvoice({ ...paymentData, isSubscription: true });
+
+        // The subscription is identified by its first charge (known on successful_payment)
+        return { ...result, subscriptionId: null };
+    }
+
+    /**
+     * Find the pending transaction of an invoice payload (checkout or scheduled renewal)
+     */
+    async findInvoiceTransaction(invoicePayload) {
+        const renewal = await Transaction.findOne({
+            where: { gateway: 'stars', status: 'pending', metadata: { external_reference: invoicePayload } },
+            include: ['subscription']
+        });
+        if (renewal) return renewal;
+
+        const subscription = await Subscription.findOne({
+            where: { external_reference: invoicePayload }
+        });
+        if (!subscription) return null;
+
+        return await Transaction.findOne({
+            where: { subscription_id: subscription.id, gateway: 'stars', status: 'pending' },
+            include: ['subscription'],
+            order: [['created_at', 'DESC']]
+        });
+    }
+
+    /**
+     * Validate a pre-checkout query before Telegram charges the buyer
+     * The invoice must match a pending checkout of this bot with the same price
+     * @returns {object} { valid, error? } - error is shown to the buyer
+     */
+    async validatePreCheckout(query, bot) {
+        const transaction = await this.findInvoiceTransaction(query.invoice_payload);
+        if (!transaction) {
+            return { valid: false, error: 'Pedido não encontrado. Gere um novo pagamento.' };
+        }
+
+        const plan = await Plan.findByPk(transaction.subscription?.plan_id);
+        if (!plan || plan.bot_id !== bot.id || plan.status !== 'active') {
+            return { valid: false, error: 'Este plano não está mais disponível.' };
+        }
+
+        if (query.currency !== 'XTR' || query.total_amount !== transaction.metadata?.amount_stars) {
+            return { valid: false, error: 'O preço mudou. Gere um novo pagamento.' };
+        }
+
+        if (transaction.subscription.user_telegram_id?.toString() !== query.from.id.toString()) {
+            return { valid: false, error: 'Este pagamento pertence a outra conta.' };
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Bot and buyer of a Stars charge (refunds and subscriptions are per bot and user)
+     */
+    async resolveCharge(chargeId) {
+        const transaction = await Transaction.findOne({
+            where: { gateway: 'stars', gateway_payment_id: chargeId },
+            include: [{
+                association: 'subscription',
+                include: [{ association: 'plan', include: ['bot'] }]
+            }]
+        });
+
+        const subscription = transaction?.subscription;
+        if (!subscription?.plan?.bot) {
+            throw new Error(`Stars charge ${chargeId} not found`);
+        }
+
+        return {
+            telegram: this.createClient(subscription.plan.bot.token),
+            userId: subscription.user_telegram_id
+        };
+    }
+
+    /**
+     * Refund a Stars payment (back to the buyer's balance)
+     */
+    async refundPayment(chargeId) {
+        const { telegram, userId } = await this.resolveCharge(chargeId);
+
+        try {
+            const result = await telegram.callApi('refundStarPayment', {
+                user_id: userId,
+                telegram_payment_charge_id: chargeId
+            });
+            console.log('[TelegramStarsService] Refund successful:', chargeId);
+            return result;
+        } catch (error) {
+            console.error('[TelegramStarsService] Error refunding payment:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Cancel a Stars subscription (stays paid until the end of the period)
+     * @param {string} subscriptionId - Charge ID of the first payment
+     */
+    async cancelSubscription(subscriptionId) {
+        const { telegram, userId } = await this.resolveCharge(subscriptionId);
+
+        try {
+            return await telegram.callApi('editUserStarSubscription', {
+                user_id: userId,
+                telegram_payment_charge_id: subscriptionId,
+                is_canceled: true
+            });
+        } catch (error) {
+            console.error('[TelegramStarsService] Error cancelling subscription:', error.message);
+            throw error;
+        }
+    }
+}
+
+module.exports = new TelegramStarsService();
@@ -4,8 +4,10 @@ const StripeService = require('./StripeService');
 const PushinPayService = require('./PushinPayService');
 const SyncPayService = require('./SyncPayService');
 const ParadisePagService = require('./ParadisePagService');
+const TelegramStarsService = require('./TelegramStarsService');
 const config = require('../../config');
 const { Setting } = require('../../models');
+const VaultService = require('../VaultService');
 
 /**
  * Payment Gateway Factory
@@ -20,8 +22,64 @@ class PaymentService {
             stripe: StripeService,
             pushinpay: PushinPayService,
             syncpay: SyncPayService,
-            paradisepag: ParadisePagService
+            paradisepag: ParadisePagService,
+            stars: TelegramStarsService
         };
+
+        // Gateways with native recurring billing (others renew through scheduled PIX charges)
+        this.nativeRecurringGateways = ['asaas', 'mercadopago', 'stripe', 'stars'];
+
+        // Payment methods each gateway charges (checkout paymentMethod values)
+        this.paymentMethods = {
+            asaas: ['pix', 'credit_card', 'boleto'],
+            mercadopago: ['pix', 'credit_card'],
+            stripe: ['credit_card'],
+            pushinpay: ['pix'],
+            syncpay: ['pix'],
+            paradisepag: ['pix', 'credit_card']
+        };
+    }
+
+    /**
+     * Check if a gateway charges a payment method
+     */
+    supportsPaymentMethod(gatewayName, paymentMethod) {
+        return (this.paymentMethods[gatewayName?.toLowerCase()] || []).includes(paymentMethod);
+    }
+
+    /**
+     * Check if a gateway bills subscriptions by itself
+     * Telegram Stars subscriptions only have a 30-day period
+     */
+    supportsNativeRecurring(gatewayName, durationDays = null) {
+        const gateway = gatewayName?.toLowerCase();
+        if (gateway === 'stars' && durationDays !== 30) return false;
+
+        return this.nativeRecurringGateways.includes(gateway);
+    }
+
+    /**
+     * Check if a gateway charges without the creator's API token
+     * (Telegram Stars are paid to the bot's balance)
+     */
+    requiresApiToken(gatewayName) {
+        return gatewayName?.toLowerCase() !== 'stars';
+    }
+
+    /**
+     * Parse creator's stored gateway credentials (decrypted here, right before use)
+     * gateway_api_token is a plain token or a JSON with extra fields (PushinPay)
+     * @returns {object} { apiToken, credentials }
+     */
+    parseCredentials(storedApiToken) {
+        const gatewayApiToken = VaultService.decrypt(storedApiToken);
+
+        if (typeof gatewayApiToken === 'string' && gatewayApiToken.startsWith('{')) {
+            const credentials = JSON.parse(gatewayApiToken);
+            return { apiToken: credentials.api_token, credentials };
+        }
+
+        return { apiToken: gatewayApiToken, credentials: gatewayApiToken };
     }
 
     /**
@@ -70,13 +128,13 @@ class PaymentService {
 
         switch (gateway.toLowerCase()) {
             case 'asaas':
-                return await service.createPaymentWithSplit(paymentData, creatorWalletId);
+                return await service.createPaymentWithSplit(paymentData.creatorApiToken, paymentData);
 
             case 'mercadopago':
-                return await service.createPaymentPreference(paymentData, creatorWalletId);
+                return await service.createPaymentPreference(paymentData.creatorApiToken, paymentData);
 
             case 'stripe':
-                return await service.createCheckoutSession(paymentData, creatorWalletId);
+                return await service.createCheckoutSession(paymentData.creatorApiToken, paymentData);
 
             case 'pushinpay':
                 return await service.createPaymentWithSplit(
@@ -91,49 +149,118 @@ class PaymentService {
             case 'paradisepag':
                 return await service.createPaymentWithSplit(paymentData, creatorWalletId);
 
+            case 'stars':
+                return await service.createInvoice(paymentData);
+
             default:
                 throw new Error(`Gateway '${gateway}' not implemented`);
         }
     }
 
     /**
-     * Create subscription using the appropriate gateway
+     * Create native recurring subscription using the appropriate gateway
+     * subscriptionData.durationDays sets the billing cycle
+     * @returns {object} Gateway result with a unified `subscriptionId`
      */
     async createSubscription(gateway, subscriptionData, creatorWalletId = null) {
         const service = this.getGateway(gateway);
 
         switch (gateway.toLowerCase()) {
-            case 'asaas':
-                return await service.createSubscriptionWithSplit(subscriptionData, creatorWalletId);
+            case 'asaas': {
+                const result = await service.createSubscriptionWithSplit(subscriptionData.creatorApiToken, subscriptionData);
+                return { ...result, subscriptionId: result.subscription.id };
+            }
 
             case 'mercadopago':
-                return await service.createSubscription(subscriptionData);
+                return await service.createSubscription(subscriptionData.creatorApiToken, subscriptionData);
 
-            case 'stripe':
-                return await service.createCheckoutSession({
+            case 'stripe': {
+                // Subscription id is only known after checkout.session.completed
+                const result = await service.createCheckoutSession(subscriptionData.creatorApiToken, {
                     ...subscriptionData,
                     isSubscription: true
-                }, creatorWalletId);
+                });
+                return { ...result, subscriptionId: null };
+            }
+
+            case 'stars':
+                // Subscription is identified by its first charge (successful_payment)
+                return await service.createSubscription(subscriptionData);
+
+            default:
+                // PIX gateways have no native recurrence (see RecurringService)
+                throw new Error(`Gateway '${gateway}' has no native recurring billing`);
+        }
+    }
+
+    /**
+     * Cancel native subscription
+     * @param {string} creatorApiToken - Creator's gateway token (not used by Stripe / Stars)
+     */
+    async cancelSubscription(gateway, subscriptionId, creatorApiToken = null) {
+        const service = this.getGateway(gateway);
+
+        if (['stripe', 'stars'].includes(gateway.toLowerCase())) {
+            return await service.cancelSubscription(subscriptionId);
+        }
+
+        return await service.cancelSubscription(creatorApiToken, subscriptionId);
+    }
+
+    /**
+     * Refund a confirmed payment
+     * @param {string} creatorApiToken - Creator's gateway token (not used by Stripe / Stars)
+     */
+    async refundPayment(gateway, paymentId, creatorApiToken = null) {
+        const service = this.getGateway(gateway);
+
+        switch (gateway.toLowerCase()) {
+            case 'asaas':
+            case 'mercadopago':
+                return await service.refundPayment(creatorApiToken, paymentId);
+
+            case 'stripe':
+            case 'stars':
+                return await service.refundPayment(paymentId);
 
             case 'pushinpay':
-                // PushinPay não tem assinatura nativa, cria pagamento único
-                return await service.createPaymentWithSplit(
-                    subscriptionData.creatorApiToken,
-                    subscriptionData,
-                    creatorWalletId
-                );
+                return await service.refundTransaction(creatorApiToken, paymentId);
 
             default:
-                throw new Error(`Gateway '${gateway}' not implemented`);
+                // SyncPay / ParadisePag: refund through the gateway dashboard
+                throw new Error(`Gateway '${gateway}' has no refund API`);
         }
     }
 
     /**
-     * Cancel subscription
+     * Check if a gateway refunds through the API
+     */
+    supportsRefund(gatewayName) {
+        return ['asaas', 'mercadopago', 'stripe', 'pushinpay', 'stars'].includes(gatewayName?.toLowerCase());
+    }
+
+    /**
+     * Check if a gateway returns the PIX copy-paste code on creation (in-bot checkout)
+     * SyncPay stays out until its charge creation is a real integration (it returns a fixed code)
+     */
+    supportsInChatPix(gatewayName) {
+        return ['pushinpay'].includes(gatewayName?.toLowerCase());
+    }
+
+    /**
+     * Check the creator's credentials on the gateway
+     * @param {string} storedApiToken - Token as stored (encrypted, plain or JSON)
+     * @returns {object} { valid, error?, unreachable? } - unreachable = gateway didn't answer (token not judged)
      */
-    async cancelSubscription(gateway, subscriptionId) {
+    async validateCredentials(gateway, storedApiToken) {
         const service = this.getGateway(gateway);
-        return await service.cancelSubscription(subscriptionId);
+        const { apiToken } = this.parseCredentials(storedApiToken);
+
+        if (this.requiresApiToken(gateway) && !apiToken) {
+            return { valid: false, error: 'Token de API é obrigatório' };
+        }
+
+        return await service.validateCredentials(apiToken);
     }
 
     /**